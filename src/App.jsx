@@ -1,30 +1,48 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import toast from "react-hot-toast";
-import { clamp, toAngleLabel } from './domain/angles.js';
+import { clamp, toAngleLabel, sortAngles, groupAnglesByValue } from './domain/angles.js';
 import { normalizeHoldName as normalizeHoldNameSafe, sanitizeHoldList } from './domain/holds.js';
 import { isSafeRasterDataUrl, isStrongAdminPassword, WEAK_PINS } from './domain/validation.js';
-import { migrateAndSanitize, unwrapImportedDb, LS_VERSION, DEFAULT_HOLDS, getSortedHoldNames, findHoldById, findHoldByName } from './domain/migration.js';
-import { loadState, saveState, loadLastModified, touchLastModified, getAndResetDidRecover, LS_KEY, MAX_DB_SIZE_KB } from './storage/db.js';
+import { migrateAndSanitize, unwrapImportedDb, DEFAULT_HOLDS, getSortedHoldNames, findHoldById, findHoldByName, CURRENT_SCHEMA_VERSION } from './domain/migration.js';
+import { getSaws } from './domain/saws.js';
+import { estimateSetups, sanitizeSequenceOptions, SETUP_TOLERANCE_OPTIONS } from './domain/sequence.js';
+import { angleCuts, totalCuts, needsMultipleCuts, sanitizeOrderQuantity, sanitizeOrderQuantities, sanitizePartialCuts, MAX_ORDER_QUANTITY } from './domain/quantities.js';
+import { parseOperatorLink, buildOperatorLink, resolveOperatorLink, describeUnknownLinkParts } from './domain/deepLink.js';
+import { diffCatalogues, isEmptyDiff, describeDiff } from './domain/diff.js';
+import { maxColumnsForSections } from './domain/print.js';
+import { loadState, loadLastModified, touchLastModified, getAndResetDidRecover, subscribeCatalogueChanges, LS_KEY, MAX_DB_SIZE_KB } from './storage/db.js';
+import { loadCatalogue, reloadCatalogue, saveCatalogue } from './storage/idbStore.js';
 import { pushBackup, LS_BACKUPS_KEY } from './storage/backups.js';
-import { hasAdminSession, sha256Hex, ADMIN_HASH_KEY, ADMIN_SESSION_KEY, ADMIN_REMEMBER_KEY } from './storage/auth.js';
+import { createCredential, verifyCredential } from './storage/auth.js';
+import { getSessionUser, startSession, consumeSessionToken, endSession, loadSessionSettings } from './storage/session.js';
+import { loadAccounts, saveAccounts, findAccount, hasStoredAccounts, normalizeUsername, isValidUsername } from './storage/accounts.js';
+import {
+    loadLoginThrottle, lockRemainingMs, recordLoginFailure, recordLoginSuccess, loadLockoutEvents, clearLockoutEvents,
+} from './storage/loginThrottle.js';
+import { generateRecoveryCodes, hashRecoveryCodes, redeemRecoveryCode } from './storage/recoveryCodes.js';
+import { formatCountdown } from './utils/format.js';
 import { saveWorkProgress, loadWorkProgress, clearWorkProgress, LS_WORK_PROGRESS_KEY } from './storage/workProgress.js';
+import { loadJobs, saveJobs, createJob, updateJob, missingJobHolds, LS_JOBS_KEY } from './storage/jobs.js';
 import { downloadJsonFile, readJsonFile, serializedSizeKB } from './storage/importExport.js';
 import { compressImageFile, printImage } from './utils/image.js';
+import { useImageSrc } from './utils/useImageSrc.js';
 import { SearchIcon, PrinterIcon, SaveIcon, ZoomIcon, PhoneIcon, SortIcon } from './components/icons.jsx';
 import { Card } from './components/Card.jsx';
 import { ConfirmDialog } from './components/ConfirmDialog.jsx';
 import { PasswordInput } from './components/PasswordInput.jsx';
+import { RecoveryCodesDialog } from './components/RecoveryCodesDialog.jsx';
 import { PrintModeSelect } from './components/PrintModeSelect.jsx';
 import { AngleTable } from './components/AngleTable.jsx';
-import { PrintTableSection, PRINT_MAX_COLUMNS_ALL, PRINT_MAX_COLUMNS_SINGLE } from './components/PrintSheet.jsx';
+import { PrintTableSection } from './components/PrintSheet.jsx';
 import { WorkModeOverlay } from './components/WorkModeOverlay.jsx';
+import { JobsPanel } from './components/JobsPanel.jsx';
 import { AdminPage, formatLastModified } from './components/AdminPage.jsx';
 import { theme, getStyles } from './styles/theme.js';
 
 /**
  * PROTOTYPE (no backend)
- * - Holds + angles stored in localStorage
- * - Two tables: MAIN + STEFAN
+ * - Holds + angles stored in IndexedDB (drawings as Blobs), localStorage fallback
+ * - One table per saw from the catalogue's saw registry (seeded with MAIN + STEFAN)
  * - Viewer shows uploaded drawings (angle drawing) and HOLD cover (fallback)
  * - Admin page: /#/admin
  * - UI simplified: no transitions/animations
@@ -35,7 +53,7 @@ import { theme, getStyles } from './styles/theme.js';
  * - useCallback on handlers (perf)
  * - Backup ring before import (data safety)
  * - iOS focus fix (setTimeout instead of rAF)
- * - Admin: SHA-256 hash stored in localStorage (no hardcoded password after first login)
+ * - Admin: salted PBKDF2 credential in localStorage (legacy SHA-256 hashes upgraded on login)
  */
 
 const APP_VERSION = "1.01";
@@ -57,6 +75,13 @@ const DEFAULT_ANGLES = [
     { id: cryptoRandomId(), hold: "Amon", value: 50.0, saw: "stefan" },
 ];
 
+/* -------------------- live sync: drop state of removed items -------------------- */
+/** `byId` without the keys missing from `ids`; the same object when nothing goes. */
+function pruneById(byId, ids) {
+    const kept = Object.fromEntries(Object.entries(byId).filter(([id]) => ids.has(id)));
+    return Object.keys(kept).length === Object.keys(byId).length ? byId : kept;
+}
+
 /* -------------------- tiny debounce hook (P0) -------------------- */
 function useDebounce(value, delay) {
     const [debounced, setDebounced] = useState(value);
@@ -70,6 +95,8 @@ function useDebounce(value, delay) {
 /* -------------------- STORAGE: migration + sanitize -------------------- */
 
 
+// "#/admin" → { path: "/admin", query: "" }; "#/?holds=…" → { path: "/", query: "holds=…" }.
+// replaceHash() rewrites the URL without adding a history entry.
 function useHashRoute() {
     const [hash, setHash] = useState(() => window.location.hash || "#/");
     useEffect(() => {
@@ -77,36 +104,96 @@ function useHashRoute() {
         window.addEventListener("hashchange", onHash);
         return () => window.removeEventListener("hashchange", onHash);
     }, []);
-    return hash.replace("#", "");
+    const replaceHash = useCallback((next) => {
+        // Keep history.state: work mode marks its Back-button entry with it
+        window.history.replaceState(window.history.state, "", next);
+        setHash(next);
+    }, []);
+    const [path, query = ""] = hash.replace("#", "").split("?");
+    return { path: path || "/", query, replaceHash };
 }
 
 
 /* ===================== APP ===================== */
 
 export default function App() {
-    const route = useHashRoute();
-    const [data, setData] = useState(() => loadState());
+    const { path: route, query: routeQuery, replaceHash } = useHashRoute();
+    // Placeholder until loadCatalogue() resolves; never persisted.
+    const [data, setData] = useState(() => migrateAndSanitize({ version: CURRENT_SCHEMA_VERSION, holds: [], angles: [] }));
+    const [catalogueReady, setCatalogueReady] = useState(false);
     const [selectedHolds, setSelectedHolds] = useState(() => new Set());
     const [activeAngleId, setActiveAngleId] = useState(null);
     const [checkedAngles, setCheckedAngles] = useState(() => new Set());
+    // Work mode: pieces cut of angles not yet finished (angle id → count below its total)
+    const [piecesCut, setPiecesCut] = useState(() => ({}));
+    // Units ordered per selected product id; absent means one
+    const [orderQuantities, setOrderQuantities] = useState(() => ({}));
 
-    const toggleAngleCheck = useCallback((id, e) => {
+    // `ids`: one angle, or every angle of a grouped row (all checked → all unchecked)
+    const toggleAngleCheck = useCallback((ids, e) => {
         e.stopPropagation();
         setCheckedAngles(prev => {
             const next = new Set(prev);
-            if (next.has(id)) next.delete(id);
-            else next.add(id);
+            const allChecked = ids.every((id) => next.has(id));
+            for (const id of ids) {
+                if (allChecked) next.delete(id);
+                else next.add(id);
+            }
+            return next;
+        });
+        setPiecesCut(prev => {
+            if (!ids.some((id) => id in prev)) return prev;
+            const next = { ...prev };
+            for (const id of ids) delete next[id];
+            return next;
+        });
+    }, []);
+
+    // One angle's pieces cut: reaching its total checks it off, zero clears it
+    const cutPieces = useCallback((id, count, total) => {
+        setCheckedAngles(prev => {
+            if (prev.has(id) === count >= total) return prev;
+            const next = new Set(prev);
+            if (count >= total) next.add(id);
+            else next.delete(id);
+            return next;
+        });
+        setPiecesCut(prev => {
+            const next = { ...prev };
+            if (count > 0 && count < total) next[id] = count;
+            else delete next[id];
+            return next;
+        });
+    }, []);
+
+    const setOrderQuantity = useCallback((holdId, value) => {
+        setOrderQuantities(prev => {
+            const next = { ...prev };
+            const qty = sanitizeOrderQuantity(value);
+            if (qty > 1) next[holdId] = qty;
+            else delete next[holdId];
             return next;
         });
     }, []);
     const [zoomedImage, setZoomedImage] = useState(null);
     const [lastModifiedMs, setLastModifiedMs] = useState(() => loadLastModified());
 
-    // Print mode: 'all' | 'main' | 'stefan'
-    const [printMode, setPrintMode] = useState("all");
+    // Print mode: 'all' | <saw id>
+    const [printModeChoice, setPrintMode] = useState("all");
 
-    const [mainSort, setMainSort] = useState("desc");
-    const [stefanSort, setStefanSort] = useState("asc");
+    // Per-saw sort overrides ('asc' | 'desc' | 'sequence'); saws without an entry use their registry default.
+    const [sawSort, setSawSort] = useState(() => ({}));
+    // Set-up tolerance and "finish one product first" for the sequence sort
+    const [sequenceOptions, setSequenceOptions] = useState(() => {
+        try { return sanitizeSequenceOptions(JSON.parse(localStorage.getItem("angles_sequence_options") || "null")); } catch { return sanitizeSequenceOptions(null); }
+    });
+    const changeSequenceOptions = useCallback((patch) => {
+        setSequenceOptions((prev) => {
+            const next = sanitizeSequenceOptions({ ...prev, ...patch });
+            try { localStorage.setItem("angles_sequence_options", JSON.stringify(next)); } catch {}
+            return next;
+        });
+    }, []);
 
     const [holdSearch, setHoldSearch] = useState("");
     const searchRef = useRef(null);
@@ -116,15 +203,25 @@ export default function App() {
     const [loginUser, setLoginUser] = useState("admin");
     const [loginPass, setLoginPass] = useState("");
     const [loginShake, setLoginShake] = useState(false);
-    const [loginMode, setLoginMode] = useState("login"); // "login" | "setup"
+    const [loginMode, setLoginMode] = useState("login"); // "login" | "setup" | "recover"
+    const [recoveryCode, setRecoveryCode] = useState("");
+    // Codes generated at setup, shown once: { username, codes }
+    const [setupCodes, setSetupCodes] = useState(null);
     const [loginError, setLoginError] = useState("");
     const [showPass, setShowPass] = useState(false);
     const [rememberMe, setRememberMe] = useState(false);
-    // Keeps admin mounted after one-time session token is consumed on AdminPage mount
-    const [adminAuthed, setAdminAuthed] = useState(false);
+    // Login throttle: when the next attempt is allowed, and a clock for the countdown
+    const [loginLockedUntil, setLoginLockedUntil] = useState(() => loadLoginThrottle().lockedUntil);
+    const [loginNow, setLoginNow] = useState(() => Date.now());
+    // Signed-in username; keeps admin mounted after the one-time session token is consumed on AdminPage mount
+    const [adminUser, setAdminUser] = useState(null);
+    // Stored account list; updated wherever it is written so the signed-in account is re-read
+    const [accounts, setAccounts] = useState(() => loadAccounts());
     const prevRouteRef = useRef(null);
 
     const [showClearConfirm, setShowClearConfirm] = useState(false);
+    const [jobs, setJobs] = useState(() => loadJobs());
+    const [deletingJob, setDeletingJob] = useState(null);
     const [workMode, setWorkMode] = useState(false);
     const [savedProgress, setSavedProgress] = useState(() => loadWorkProgress());
     const [showExitWorkConfirm, setShowExitWorkConfirm] = useState(false);
@@ -133,16 +230,26 @@ export default function App() {
     const [workTheme, setWorkTheme] = useState(() => {
         try { return localStorage.getItem("angles_work_theme") || "light"; } catch { return "light"; }
     });
+    // One row per saw setting instead of per angle, in the tables, print sheet and work mode
+    const [groupByAngle, setGroupByAngle] = useState(() => {
+        try { return localStorage.getItem("angles_group_by_angle") === "1"; } catch { return false; }
+    });
+    const toggleGroupByAngle = useCallback(() => {
+        setGroupByAngle((prev) => {
+            try { localStorage.setItem("angles_group_by_angle", prev ? "0" : "1"); } catch {}
+            return !prev;
+        });
+    }, []);
 
     const openAdmin = useCallback(() => {
-        if (hasAdminSession()) {
+        if (findAccount(loadAccounts(), getSessionUser())) {
             window.location.hash = "#/admin";
         } else {
             setLoginPass("");
             setLoginError("");
-            let storedHash = null;
-            try { storedHash = localStorage.getItem(ADMIN_HASH_KEY); } catch { }
-            setLoginMode(storedHash ? "login" : "setup");
+            setLoginMode(hasStoredAccounts() ? "login" : "setup");
+            setLoginLockedUntil(loadLoginThrottle().lockedUntil);
+            setLoginNow(Date.now());
             setShowLogin(true);
         }
     }, []);
@@ -153,19 +260,30 @@ export default function App() {
         prevRouteRef.current = route;
 
         if (prev === "/admin" && route !== "/admin") {
-            setAdminAuthed(false);
+            setAdminUser(null);
             setShowLogin(false);
-            try { sessionStorage.removeItem(ADMIN_SESSION_KEY); } catch { }
+            consumeSessionToken();
         }
 
-        if (route === "/admin" && prev !== "/admin" && !adminAuthed && !hasAdminSession()) {
+        if (route === "/admin" && prev !== "/admin" && !adminUser && !findAccount(loadAccounts(), getSessionUser())) {
             setLoginPass("");
+            setLoginMode(hasStoredAccounts() ? "login" : "setup");
+            setLoginLockedUntil(loadLoginThrottle().lockedUntil);
+            setLoginNow(Date.now());
             setShowLogin(true);
             if (window.location.hash !== "#/" && window.location.hash !== "#") {
                 window.location.hash = "#/";
             }
         }
-    }, [route, adminAuthed]);
+    }, [route, adminUser]);
+
+    // Tick once a second while the login modal shows a countdown
+    const loginLockRemaining = Math.max(0, loginLockedUntil - loginNow);
+    useEffect(() => {
+        if (!showLogin || loginLockRemaining <= 0) return;
+        const timer = setInterval(() => setLoginNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [showLogin, loginLockRemaining]);
 
     const submitLogin = useCallback(async () => {
         if (!globalThis.crypto?.subtle) {
@@ -173,17 +291,30 @@ export default function App() {
             return;
         }
 
-        let storedHash = null;
-        try { storedHash = localStorage.getItem(ADMIN_HASH_KEY); } catch { }
+        const setup = !hasStoredAccounts();
+        // Re-read: another tab may have recorded failures too
+        const throttle = loadLoginThrottle();
+        if (!setup && lockRemainingMs(throttle) > 0) {
+            setLoginLockedUntil(throttle.lockedUntil);
+            setLoginNow(Date.now());
+            return;
+        }
 
-        const finish = () => {
-            try { sessionStorage.setItem(ADMIN_SESSION_KEY, "1"); } catch { }
-            if (rememberMe) {
-                try { localStorage.setItem(ADMIN_REMEMBER_KEY, "1"); } catch { }
-            } else {
-                try { localStorage.removeItem(ADMIN_REMEMBER_KEY); } catch { }
+        const finish = (username) => {
+            recordLoginSuccess();
+            const events = loadLockoutEvents();
+            if (events.length) {
+                const attempts = events.reduce((n, e) => n + e.failures, 0);
+                const last = events[events.length - 1];
+                const locked = events.some((e) => e.hardLockout) ? ", login was locked" : "";
+                toast.error(
+                    `${attempts} failed login attempt(s) since your last login (${events.length} burst(s), latest ${formatLastModified(last.lastAt)}${locked}).`,
+                    { duration: 15000 }
+                );
+                clearLockoutEvents();
             }
-            setAdminAuthed(true);
+            startSession(username, rememberMe);
+            setAdminUser(username);
             setShowLogin(false);
             setLoginPass("");
             setShowPass(false);
@@ -198,53 +329,153 @@ export default function App() {
         };
 
         try {
-            if (!storedHash) {
+            if (setup) {
+                // First run: the first account is the owner
+                const username = normalizeUsername(loginUser);
+                if (!isValidUsername(username)) {
+                    shake("Login: letters, digits, . _ - only");
+                    return;
+                }
                 if (!isStrongAdminPassword(loginPass)) {
                     shake("4 digits, not all the same");
                     return;
                 }
-                try {
-                    localStorage.setItem(ADMIN_HASH_KEY, await sha256Hex(loginPass));
-                } catch {
+                const codes = generateRecoveryCodes();
+                const owner = { username, role: "owner", credential: await createCredential(loginPass), recoveryCodes: await hashRecoveryCodes(codes) };
+                if (!saveAccounts([owner])) {
                     shake("Не удалось сохранить пароль");
                     return;
                 }
-                finish();
+                setAccounts([owner]);
+                setSetupCodes({ username, codes });
+                finish(username);
+                return;
+            }
+
+            if (loginMode === "recover") {
+                // Checked before the code so a typo in the new PIN doesn't burn an attempt
+                if (!isStrongAdminPassword(loginPass)) {
+                    shake("New PIN: 4 digits, not all the same");
+                    return;
+                }
+                const result = await redeemRecoveryCode(loadAccounts(), loginUser, recoveryCode, loginPass);
+                if (!result) {
+                    const next = recordLoginFailure();
+                    setLoginLockedUntil(next.lockedUntil);
+                    setLoginNow(Date.now());
+                    shake("Wrong login or recovery code");
+                    return;
+                }
+                if (!saveAccounts(result.accounts)) {
+                    shake("Could not save the new PIN");
+                    return;
+                }
+                setAccounts(result.accounts);
+                setRecoveryCode("");
+                setLoginMode("login");
+                setLoginError("");
+                toast.success(`PIN reset. ${result.remaining} recovery code(s) left.`, { duration: 6000 });
+                finish(result.account.username);
                 return;
             }
 
-            const hash = await sha256Hex(loginPass);
-            if (loginUser === "admin" && hash === storedHash) {
+            const accounts = loadAccounts();
+            const account = findAccount(accounts, loginUser);
+            const { ok, needsUpgrade } = account ? await verifyCredential(loginPass, account.credential) : { ok: false };
+            if (ok) {
+                // Legacy unsalted hash or old iteration count: re-derive now that we know the password
+                if (needsUpgrade) {
+                    const credential = await createCredential(loginPass);
+                    const upgraded = accounts.map((a) => (a === account ? { ...a, credential } : a));
+                    if (saveAccounts(upgraded)) setAccounts(upgraded);
+                    else console.warn("Could not upgrade the stored admin credential");
+                }
                 setLoginError("");
-                finish();
+                finish(account.username);
             } else {
+                const next = recordLoginFailure();
+                setLoginLockedUntil(next.lockedUntil);
+                setLoginNow(Date.now());
                 shake();
             }
         } catch (err) {
             console.warn("Login failed:", err);
             shake();
         }
-    }, [loginUser, loginPass]);
+    }, [loginUser, loginPass, loginMode, recoveryCode, rememberMe]);
+
+    // Load the catalogue once (IndexedDB, migrating from localStorage on first run).
+    // The loaded object is remembered so the debounced writer below doesn't re-save
+    // it, which also preserves any corrupt payload kept for recovery.
+    const persistedRef = useRef(null);
+    useEffect(() => {
+        let cancelled = false;
+        loadCatalogue().catch((err) => {
+            // Never leave the app on the unsaved placeholder
+            console.warn("Catalogue load failed, using localStorage:", err);
+            return loadState();
+        }).then((loaded) => {
+            if (cancelled) return;
+            persistedRef.current = loaded;
+            setData(loaded);
+            setCatalogueReady(true);
+            setLastModifiedMs(loadLastModified());
+            // Surface a one-time warning if stored data was unreadable and we recovered.
+            if (getAndResetDidRecover()) {
+                toast.error("Saved data was unreadable...", { duration: 6000 });
+            }
+        });
+        return () => { cancelled = true; };
+    }, []);
 
-    // P0: debounce localStorage writes. Skip the first run so we don't immediately
-    // re-write storage on mount (loadState already persisted sanitized data, and this
-    // preserves any corrupt payload backed up for recovery).
+    // P0: debounce storage writes. Wait until the debounce has settled on the current
+    // data so the pre-load placeholder can never be written.
     const debouncedData = useDebounce(data, 500);
-    const skipFirstSaveRef = useRef(true);
     useEffect(() => {
-        if (skipFirstSaveRef.current) {
-            skipFirstSaveRef.current = false;
-            return;
-        }
-        saveState(debouncedData);
-        setLastModifiedMs(loadLastModified());
-    }, [debouncedData]);
+        if (!catalogueReady || debouncedData !== data || debouncedData === persistedRef.current) return;
+        persistedRef.current = debouncedData;
+        saveCatalogue(debouncedData).then((saved) => {
+            if (saved) setLastModifiedMs(loadLastModified());
+        });
+    }, [debouncedData, data, catalogueReady]);
 
-    // Surface a one-time warning if stored data was unreadable and we recovered.
+    // Live sync: another tab saved the catalogue. Reload it, drop selections that no
+    // longer exist and say what changed. Admin drafts decide for themselves (AdminPage).
+    const dataRef = useRef(data);
     useEffect(() => {
-        if (getAndResetDidRecover()) {
-            toast.error("Saved data was unreadable...", { duration: 6000 });
-        }
+        dataRef.current = data;
+    }, [data]);
+    useEffect(() => {
+        if (!catalogueReady) return undefined;
+        return subscribeCatalogueChanges(async () => {
+            const next = await reloadCatalogue();
+            if (!next) return;
+            setLastModifiedMs(loadLastModified());
+            const diff = diffCatalogues(dataRef.current, next);
+            if (isEmptyDiff(diff)) return;
+
+            persistedRef.current = next;
+            setData(next);
+            const holdIds = new Set(next.holds.map((h) => h.id));
+            const angleIds = new Set(next.angles.map((a) => a.id));
+            setSelectedHolds((prev) => {
+                const kept = new Set([...prev].filter((id) => holdIds.has(id)));
+                return kept.size === prev.size ? prev : kept;
+            });
+            setCheckedAngles((prev) => {
+                const kept = new Set([...prev].filter((id) => angleIds.has(id)));
+                return kept.size === prev.size ? prev : kept;
+            });
+            setPiecesCut((prev) => pruneById(prev, angleIds));
+            setOrderQuantities((prev) => pruneById(prev, holdIds));
+            toast(`Catalogue updated in another tab: ${describeDiff(diff)}`, { duration: 6000 });
+        });
+    }, [catalogueReady]);
+
+    // Admin saves are already persisted; don't let the debounced writer save them again.
+    const applyAdminSave = useCallback((saved) => {
+        persistedRef.current = saved;
+        setData(saved);
     }, []);
 
     useEffect(() => {
@@ -253,6 +484,11 @@ export default function App() {
         }
     }, [data.angles, activeAngleId]);
 
+    const saws = useMemo(() => getSaws(data), [data]);
+
+    // A saw can be removed in admin while its print mode is selected
+    const printMode = printModeChoice === "all" || saws.some((s) => s.id === printModeChoice) ? printModeChoice : "all";
+
     const sortedHolds = useMemo(() => getSortedHoldNames(data.holds || []), [data.holds]);
 
     const visibleHolds = useMemo(() => {
@@ -261,28 +497,36 @@ export default function App() {
         return sortedHolds.filter((h) => h.name.toLowerCase().includes(q));
     }, [sortedHolds, holdSearch]);
 
+    const sortFor = useCallback((saw) => sawSort[saw.id] ?? saw.sort, [sawSort]);
+
+    // Rows per saw id, each sorted by that saw's current direction
     const selectedAngles = useMemo(() => {
         const holdsSet = selectedHolds;
         const all = data.angles
             .filter((a) => holdsSet.has(a.holdId))
-            .map(a => ({ ...a, hold: findHoldById(data.holds, a.holdId)?.name ?? '' }));
+            .map(a => ({ ...a, hold: findHoldById(data.holds, a.holdId)?.name ?? '', total: angleCuts(a, orderQuantities) }));
 
-        let main = all.filter((a) => a.saw === "main");
-        if (mainSort === "asc") {
-            main = main.slice().sort((x, y) => Number(x.value) - Number(y.value) || x.hold.localeCompare(y.hold));
-        } else {
-            main = main.slice().sort((x, y) => Number(y.value) - Number(x.value) || x.hold.localeCompare(y.hold));
+        const bySaw = {};
+        for (const saw of saws) {
+            bySaw[saw.id] = sortAngles(all, saw.id, sortFor(saw), sequenceOptions);
         }
-
-        let stefan = all.filter((a) => a.saw === "stefan");
-        if (stefanSort === "asc") {
-            stefan = stefan.slice().sort((x, y) => Number(x.value) - Number(y.value) || x.hold.localeCompare(y.hold));
-        } else {
-            stefan = stefan.slice().sort((x, y) => Number(y.value) - Number(x.value) || x.hold.localeCompare(y.hold));
+        return bySaw;
+    }, [data.angles, data.holds, selectedHolds, saws, sortFor, sequenceOptions, orderQuantities]);
+
+    // Set-ups of the sequence sort against a plain sort, for saws sorted by sequence
+    const setupEstimates = useMemo(() => {
+        const out = {};
+        for (const saw of saws) {
+            if (sortFor(saw) === "sequence") out[saw.id] = estimateSetups(selectedAngles[saw.id] ?? [], sequenceOptions);
         }
+        return out;
+    }, [saws, sortFor, selectedAngles, sequenceOptions]);
+    const anySequenceSort = saws.some((saw) => sortFor(saw) === "sequence");
 
-        return { main, stefan };
-    }, [data.angles, selectedHolds, mainSort, stefanSort]);
+    const tableRows = useMemo(() => {
+        if (!groupByAngle) return selectedAngles;
+        return Object.fromEntries(Object.entries(selectedAngles).map(([sawId, rows]) => [sawId, groupAnglesByValue(rows)]));
+    }, [selectedAngles, groupByAngle]);
 
     const activeAngle = useMemo(
         () => data.angles.find((a) => a.id === activeAngleId) || null,
@@ -301,6 +545,9 @@ export default function App() {
         return null;
     }, [activeAngle, selectedHolds, data.holds]);
 
+    // Stored drawings are IndexedDB refs; load the one on screen only.
+    const viewerUrl = useImageSrc(viewerSrc);
+
     // P1: useCallback handlers
     const toggleHold = useCallback((name) => {
         setSelectedHolds((prev) => {
@@ -312,11 +559,11 @@ export default function App() {
     }, []);
 
     const saveProgress = useCallback(() => {
-        saveWorkProgress(selectedHolds, checkedAngles, printMode);
+        saveWorkProgress(selectedHolds, checkedAngles, printMode, { pieces: piecesCut, quantities: orderQuantities });
         setSavedProgress(loadWorkProgress());
         setShowSavedModal(true);
         setTimeout(() => setShowSavedModal(false), 1500);
-    }, [selectedHolds, checkedAngles, printMode]);
+    }, [selectedHolds, checkedAngles, printMode, piecesCut, orderQuantities]);
 
     const resumeProgress = useCallback(() => {
         const p = savedProgress;
@@ -331,6 +578,8 @@ export default function App() {
         }
         setSelectedHolds(new Set(holdsToSet));
         setCheckedAngles(new Set(p.checked));
+        setPiecesCut(sanitizePartialCuts(p.pieces));
+        setOrderQuantities(sanitizeOrderQuantities(p.quantities));
         setPrintMode(p.mode || "all");
         setWorkMode(true);
         setSavedProgress(null);
@@ -339,19 +588,20 @@ export default function App() {
     const finishWork = useCallback(() => {
         clearWorkProgress();
         setCheckedAngles(new Set());
+        setPiecesCut({});
         setWorkMode(false);
         setSavedProgress(null);
         setShowExitWorkConfirm(false);
     }, []);
 
     const exitWorkMode = useCallback(() => {
-        if (checkedAngles.size > 0) {
+        if (checkedAngles.size > 0 || Object.keys(piecesCut).length > 0) {
             setShowExitWorkConfirm(true);
         } else {
             clearWorkProgress();
             setWorkMode(false);
         }
-    }, [checkedAngles]);
+    }, [checkedAngles, piecesCut]);
 
     // Intercept browser back button while in work mode
     useEffect(() => {
@@ -375,8 +625,8 @@ export default function App() {
 
     // Auto-save work progress when in work mode
     useEffect(() => {
-        if (workMode) saveWorkProgress(selectedHolds, checkedAngles, printMode);
-    }, [checkedAngles, workMode, selectedHolds, printMode]);
+        if (workMode) saveWorkProgress(selectedHolds, checkedAngles, printMode, { pieces: piecesCut, quantities: orderQuantities });
+    }, [checkedAngles, workMode, selectedHolds, printMode, piecesCut, orderQuantities]);
 
     const clearSelection = useCallback(() => {
         setShowClearConfirm(true);
@@ -386,32 +636,133 @@ export default function App() {
         setSelectedHolds(new Set());
         setActiveAngleId(null);
         setCheckedAngles(new Set());
+        setPiecesCut({});
+        setOrderQuantities({});
         setShowClearConfirm(false);
     }, []);
 
-    const cycleSortMain = useCallback(() => {
-        setMainSort((prev) => (prev === "asc" ? "desc" : "asc"));
+    // Other tabs can change the saved jobs (admin imports report theirs through onJobsChange)
+    useEffect(() => {
+        const onStorage = (e) => { if (e.key === LS_JOBS_KEY) setJobs(loadJobs()); };
+        window.addEventListener("storage", onStorage);
+        return () => window.removeEventListener("storage", onStorage);
     }, []);
 
-    const cycleSortStefan = useCallback(() => {
-        setStefanSort((prev) => (prev === "asc" ? "desc" : "asc"));
+    const storeJobs = useCallback((next, successMessage) => {
+        if (!saveJobs(next)) {
+            toast.error("Jobs could not be saved: storage is full.");
+            return;
+        }
+        setJobs(next);
+        if (successMessage) toast.success(successMessage);
     }, []);
 
+    const saveJob = useCallback((name, note) => {
+        const job = createJob(name, note, selectedHolds);
+        if (job) storeJobs([...jobs, job], `Job "${job.name}" saved.`);
+    }, [jobs, selectedHolds, storeJobs]);
+
+    const loadJob = useCallback((job) => {
+        const missing = missingJobHolds(job, data.holds);
+        setSelectedHolds(new Set(job.holds.filter((id) => !missing.includes(id))));
+        setActiveAngleId(null);
+        setCheckedAngles(new Set());
+        setPiecesCut({});
+        if (missing.length) {
+            toast.error(`${missing.length} product(s) of "${job.name}" are no longer in the catalogue and were skipped.`, { duration: 6000 });
+        }
+    }, [data.holds]);
+
+    // Deep links: a link opened (or pasted) on the operator view restores its selection,
+    // print mode and drawing; after that the hash follows the view, replaced in place
+    // so Back still leaves the page. `writtenQueryRef` is the query we last wrote.
+    const writtenQueryRef = useRef(null);
+    const skipLinkWriteRef = useRef(false);
+    useEffect(() => {
+        if (!catalogueReady || route !== "/" || !routeQuery || routeQuery === writtenQueryRef.current) return;
+        const resolved = resolveOperatorLink(parseOperatorLink(routeQuery), dataRef.current, getSaws(dataRef.current));
+        if (resolved.holds) setSelectedHolds(new Set(resolved.holds));
+        if (resolved.print) setPrintMode(resolved.print);
+        if (resolved.holds || resolved.angle) setActiveAngleId(resolved.angle);
+        const problem = describeUnknownLinkParts(resolved.unknown);
+        if (problem) toast.error(problem, { duration: 8000 });
+        // The view changes on the next render; don't overwrite the link with the old one
+        skipLinkWriteRef.current = true;
+        writtenQueryRef.current = routeQuery;
+    }, [catalogueReady, route, routeQuery]);
+
+    useEffect(() => {
+        if (!catalogueReady || route !== "/") return;
+        if (skipLinkWriteRef.current) {
+            skipLinkWriteRef.current = false;
+            return;
+        }
+        const next = buildOperatorLink({ holds: selectedHolds, print: printMode, angle: activeAngleId });
+        const query = next.split("?")[1] ?? "";
+        writtenQueryRef.current = query;
+        if (query !== routeQuery) replaceHash(next);
+    }, [catalogueReady, route, routeQuery, selectedHolds, printMode, activeAngleId, replaceHash]);
+
+    // asc → desc → sequence → asc
+    const cycleSort = useCallback((saw) => {
+        const nextSort = { asc: "desc", desc: "sequence", sequence: "asc" };
+        setSawSort((prev) => ({ ...prev, [saw.id]: nextSort[prev[saw.id] ?? saw.sort] ?? "asc" }));
+    }, []);
+
+    const printSections = printMode === "all" ? saws : saws.filter((s) => s.id === printMode);
+    const printColumns = maxColumnsForSections(printSections.length);
+
     const styles = useMemo(() => getStyles(theme), []);
 
-    if (route === "/admin" && (adminAuthed || hasAdminSession())) {
+    const adminAccount = route === "/admin" ? findAccount(accounts, adminUser ?? getSessionUser()) : null;
+
+    if (route === "/admin" && adminAccount) {
         return (
-            <AdminPage
-                data={data}
-                setData={setData}
-                onExit={() => {
-                    setShowLogin(false);
-                    setAdminAuthed(false);
-                    try { sessionStorage.removeItem(ADMIN_SESSION_KEY); } catch { }
-                    window.location.hash = "#/";
-                }}
-                lastModifiedMs={lastModifiedMs}
-            />
+            <>
+                <AdminPage
+                    data={data}
+                    setData={applyAdminSave}
+                    account={adminAccount}
+                    accounts={accounts}
+                    onAccountsChange={(next) => {
+                        if (!saveAccounts(next)) {
+                            toast.error("Could not save accounts.");
+                            return false;
+                        }
+                        setAccounts(next);
+                        return true;
+                    }}
+                    onJobsChange={setJobs}
+                    onExit={() => {
+                        setShowLogin(false);
+                        setAdminUser(null);
+                        consumeSessionToken();
+                        window.location.hash = "#/";
+                    }}
+                    onIdleSignOut={(keptDraft) => {
+                        // Inactivity ends "remember me" too, or a reload would walk right back in
+                        endSession();
+                        setAdminUser(null);
+                        window.location.hash = "#/";
+                        toast(
+                            keptDraft
+                                ? "Signed out after inactivity. Your unsaved changes are kept and offered when you sign in again."
+                                : "Signed out after inactivity.",
+                            { duration: 10000 }
+                        );
+                    }}
+                    lastModifiedMs={lastModifiedMs}
+                />
+                {/* First-run recovery codes, shown once over the admin page */}
+                {setupCodes && (
+                    <RecoveryCodesDialog
+                        username={setupCodes.username}
+                        codes={setupCodes.codes}
+                        onClose={() => setSetupCodes(null)}
+                        styles={styles}
+                    />
+                )}
+            </>
         );
     }
 
@@ -451,11 +802,9 @@ export default function App() {
           }
           .print-mode-all .print-section {
             display: table-cell !important;
-            width: 48% !important;
+            width: ${Math.floor(96 / saws.length)}% !important;
             vertical-align: top !important;
           }
-          .print-mode-main .print-section-stefan { display: none !important; }
-          .print-mode-stefan .print-section-main { display: none !important; }
 
           .print-section-title {
             font-size: 20px !important;
@@ -506,6 +855,9 @@ export default function App() {
             outline: none !important;
             box-shadow: none !important;
           }
+          .print-section-wide .print-table-row {
+            grid-template-columns: 104px 1fr !important;
+          }
           .print-table-row span {
             font-size: 15px !important;
             line-height: 1.15 !important;
@@ -533,7 +885,7 @@ export default function App() {
           button { all: unset; }
           
           /* Ensure hidden elements stay hidden (override earlier display: block) */
-          [data-print-hide], .main-grid > :nth-child(1), .main-grid > :nth-child(4), .viewerWrap, .sortButton {
+          [data-print-hide], .main-grid > :nth-child(1), .main-grid > :last-child, .viewerWrap, .sortButton {
              display: none !important;
              visibility: hidden !important;
              opacity: 0 !important;
@@ -545,14 +897,14 @@ export default function App() {
         
         @media screen and (max-width: 1200px) {
           .main-grid {
-            grid-template-columns: 180px 1fr 1fr !important;
+            grid-template-columns: 180px repeat(${saws.length}, 1fr) !important;
             grid-template-rows: auto 1fr !important;
           }
           .main-grid > :nth-child(1) {
             grid-row: 1 / 3;
           }
-          .main-grid > :nth-child(4) {
-            grid-column: 2 / 4;
+          .main-grid > :last-child {
+            grid-column: 2 / -1;
             grid-row: 2;
           }
         }
@@ -833,7 +1185,7 @@ export default function App() {
           }
           .main-grid {
             display: grid !important;
-            grid-template-columns: minmax(180px, 220px) minmax(190px, 260px) minmax(190px, 260px) minmax(260px, 1fr) !important;
+            grid-template-columns: minmax(180px, 220px) repeat(${saws.length}, minmax(190px, 260px)) minmax(260px, 1fr) !important;
             grid-template-rows: 1fr !important;
             width: 100% !important;
             max-width: 1500px !important;
@@ -879,7 +1231,7 @@ export default function App() {
       `}</style>
 
             <div className="searchFade" style={{ display: "none" }} />
-            <div style={styles.grid} className="main-grid">
+            <div style={{ ...styles.grid, gridTemplateColumns: `220px repeat(${saws.length}, 260px) 1fr` }} className="main-grid">
                 {/* Left: holds */}
                 <Card data-print-hide style={styles.card}>
                     <div style={styles.cardBody} className="holdsCardBody">
@@ -919,6 +1271,17 @@ export default function App() {
                             </div>
                         )}
 
+                        <JobsPanel
+                            jobs={jobs}
+                            holds={data.holds}
+                            selectedCount={selectedHolds.size}
+                            onSave={saveJob}
+                            onLoad={loadJob}
+                            onUpdate={(id, patch) => storeJobs(updateJob(jobs, id, patch))}
+                            onDelete={setDeletingJob}
+                            styles={styles}
+                        />
+
                         <div style={styles.holdsList} className="holdsList">
                             {visibleHolds.map((h) => (
                                 <label key={h.id} style={styles.holdRow} className="holdRow">
@@ -930,10 +1293,58 @@ export default function App() {
                                         className="holdCheckbox"
                                     />
                                     <span style={styles.holdName} className="holdName">{h.name}</span>
+                                    {selectedHolds.has(h.id) && (
+                                        <input
+                                            type="number"
+                                            min={1}
+                                            max={MAX_ORDER_QUANTITY}
+                                            value={orderQuantities[h.id] ?? 1}
+                                            onChange={(e) => setOrderQuantity(h.id, e.target.value)}
+                                            title={`Units of ${h.name} to cut`}
+                                            aria-label={`Quantity of ${h.name}`}
+                                            style={{ ...styles.input, width: 56, height: 24, marginLeft: "auto", padding: "0 4px" }}
+                                        />
+                                    )}
                                 </label>
                             ))}
                         </div>
 
+                        <label style={{ ...styles.holdRow, paddingTop: 8, fontSize: 12, color: theme.colors.textSecondary }}>
+                            <input
+                                type="checkbox"
+                                checked={groupByAngle}
+                                onChange={toggleGroupByAngle}
+                                style={styles.checkbox}
+                            />
+                            Group by angle
+                        </label>
+
+                        {anySequenceSort && (
+                            <div style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: 12, color: theme.colors.textSecondary }}>
+                                <label style={{ ...styles.holdRow, gap: 6 }}>
+                                    Set-up tolerance ±
+                                    <select
+                                        value={sequenceOptions.tolerance}
+                                        onChange={(e) => changeSequenceOptions({ tolerance: Number(e.target.value) })}
+                                        style={{ ...styles.input, width: 64, height: 26 }}
+                                    >
+                                        {[...new Set([...SETUP_TOLERANCE_OPTIONS, sequenceOptions.tolerance])].sort((a, b) => a - b).map((v) => (
+                                            <option key={v} value={v}>{v}°</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <label style={styles.holdRow}>
+                                    <input
+                                        type="checkbox"
+                                        checked={sequenceOptions.byProduct}
+                                        onChange={(e) => changeSequenceOptions({ byProduct: e.target.checked })}
+                                        style={styles.checkbox}
+                                    />
+                                    Finish each product first
+                                </label>
+                            </div>
+                        )}
+
                         <div style={styles.footerRow} className="footerRow">
                             <PrintModeSelect
                                 value={printMode}
@@ -941,8 +1352,7 @@ export default function App() {
                                 styles={styles}
                                 options={[
                                     { value: "all", label: "ALL" },
-                                    { value: "main", label: "MAIN" },
-                                    { value: "stefan", label: "STEFAN" },
+                                    ...saws.map((s) => ({ value: s.id, label: s.name })),
                                 ]}
                             />
 
@@ -970,7 +1380,7 @@ export default function App() {
                             <button
                                 type="button"
                                 onClick={() => window.print()}
-                                title="Print MAIN and STEFAN tables"
+                                title="Print angle tables"
                                 aria-label="Print"
                                 data-print-hide
                                 className="iconBtn"
@@ -1011,60 +1421,48 @@ export default function App() {
                     </div>
                 </Card>
 
-                {/* Main table */}
-                <Card style={styles.card}>
-                    <div style={styles.tableBody}>
-                        <div style={styles.tableHeader} className="print-header tableHeader">
-                            <div style={styles.tableTitleCenter} className="tableTitleCenter">MAIN</div>
-                            <button
-                                type="button"
-                                onClick={cycleSortMain}
-                                onMouseDown={(e) => e.preventDefault()}
-                                style={styles.sortButton}
-                                className="sortButton"
-                                title="Sort by angle"
-                                aria-label="Sort MAIN table"
-                                data-print-hide
-                            >
-                                <SortIcon direction={mainSort} />
-                            </button>
-                        </div>
-                        <AngleTable styles={styles} rows={selectedAngles.main} onPick={setActiveAngleId} />
-                    </div>
-                </Card>
-
-                {/* Stefan table */}
-                <Card style={styles.card}>
-                    <div style={styles.tableBody}>
-                        <div style={styles.tableHeader} className="print-header tableHeader">
-                            <div style={styles.tableTitleCenter} className="tableTitleCenter">STEFAN</div>
-                            <button
-                                type="button"
-                                onClick={cycleSortStefan}
-                                onMouseDown={(e) => e.preventDefault()}
-                                style={styles.sortButton}
-                                className="sortButton"
-                                title="Sort by angle"
-                                aria-label="Sort STEFAN table"
-                                data-print-hide
-                            >
-                                <SortIcon direction={stefanSort} />
-                            </button>
+                {/* One table per saw */}
+                {saws.map((saw) => (
+                    <Card key={saw.id} style={styles.card}>
+                        <div style={styles.tableBody}>
+                            <div style={styles.tableHeader} className="print-header tableHeader">
+                                <div style={styles.tableTitleCenter} className="tableTitleCenter">{saw.name}</div>
+                                <button
+                                    type="button"
+                                    onClick={() => cycleSort(saw)}
+                                    onMouseDown={(e) => e.preventDefault()}
+                                    style={styles.sortButton}
+                                    className="sortButton"
+                                    title={sortFor(saw) === "sequence" ? "Cutting sequence (fewest set-ups)" : "Sort by angle"}
+                                    aria-label={`Sort ${saw.name} table`}
+                                    data-print-hide
+                                >
+                                    <SortIcon direction={sortFor(saw)} />
+                                </button>
+                            </div>
+                            {(setupEstimates[saw.id] || needsMultipleCuts(tableRows[saw.id] ?? [])) && (tableRows[saw.id] ?? []).length > 0 && (
+                                <div data-print-hide style={{ fontSize: 11, color: theme.colors.textTertiary, textAlign: "center", marginTop: -6, marginBottom: 8 }}>
+                                    {[
+                                        needsMultipleCuts(tableRows[saw.id]) && `${totalCuts(tableRows[saw.id])} cut(s)`,
+                                        setupEstimates[saw.id] && `${setupEstimates[saw.id].setups} set-up(s) · plain sort ${setupEstimates[saw.id].plainSetups}`,
+                                    ].filter(Boolean).join(" · ")}
+                                </div>
+                            )}
+                            <AngleTable styles={styles} rows={tableRows[saw.id] ?? []} onPick={setActiveAngleId} />
                         </div>
-                        <AngleTable styles={styles} rows={selectedAngles.stefan} onPick={setActiveAngleId} />
-                    </div>
-                </Card>
+                    </Card>
+                ))}
 
                 {/* Viewer */}
                 <Card data-print-hide style={styles.card}>
                     <div style={styles.viewerWrap}>
-                        {viewerSrc ? (
+                        {viewerUrl ? (
                             <div style={{ position: "relative", width: "100%", height: "100%", overflow: "hidden" }}>
-                                <img src={viewerSrc} alt="drawing" style={styles.viewerImg} draggable={false} />
+                                <img src={viewerUrl} alt="drawing" style={styles.viewerImg} draggable={false} />
                                 <div style={styles.viewerTools}>
                                     <button
                                         type="button"
-                                        onClick={() => printImage(viewerSrc)}
+                                        onClick={() => printImage(viewerUrl)}
                                         style={styles.viewerToolBtn}
                                         className="viewerToolBtn"
                                         title="Print drawing"
@@ -1073,7 +1471,7 @@ export default function App() {
                                     </button>
                                     <button
                                         type="button"
-                                        onClick={() => setZoomedImage(viewerSrc)}
+                                        onClick={() => setZoomedImage(viewerUrl)}
                                         style={styles.viewerToolBtn}
                                         className="viewerToolBtn"
                                         title="Zoom image"
@@ -1093,30 +1491,28 @@ export default function App() {
 
             {/* Print-only layout: headers on top, rows flow into side columns */}
             <div className="print-sheet">
-                {(printMode === "all" || printMode === "main") && (
+                {printSections.map((saw) => (
                     <PrintTableSection
-                        title="MAIN"
-                        rows={selectedAngles.main}
-                        maxColumnsPerRow={printMode === "all" ? PRINT_MAX_COLUMNS_ALL : PRINT_MAX_COLUMNS_SINGLE}
-                        className="print-section-main"
+                        key={saw.id}
+                        title={saw.name}
+                        rows={tableRows[saw.id] ?? []}
+                        maxColumnsPerRow={printColumns}
+                        className={`print-section-${saw.id}`}
                     />
-                )}
-                {(printMode === "all" || printMode === "stefan") && (
-                    <PrintTableSection
-                        title="STEFAN"
-                        rows={selectedAngles.stefan}
-                        maxColumnsPerRow={printMode === "all" ? PRINT_MAX_COLUMNS_ALL : PRINT_MAX_COLUMNS_SINGLE}
-                        className="print-section-stefan"
-                    />
-                )}
+                ))}
             </div>
 
             {workMode && (
                 <WorkModeOverlay
-                    main={selectedAngles.main}
-                    stefan={selectedAngles.stefan}
+                    saws={saws}
+                    rows={selectedAngles}
                     checkedAngles={checkedAngles}
+                    piecesCut={piecesCut}
                     onToggleCheck={toggleAngleCheck}
+                    onCutPieces={cutPieces}
+                    grouped={groupByAngle}
+                    onToggleGrouped={toggleGroupByAngle}
+                    sequenceOptions={sequenceOptions}
                     onExit={exitWorkMode}
                     onSave={saveProgress}
                     styles={styles}
@@ -1135,7 +1531,7 @@ export default function App() {
                     <div style={{ background: "#fff", borderRadius: 10, padding: 24, maxWidth: 300, width: "100%", display: "flex", flexDirection: "column", gap: 12, boxSizing: "border-box" }}>
                         <div style={{ fontSize: 11, fontWeight: 700, letterSpacing: "0.05em", color: "#888", textAlign: "center" }}>EXIT WORK MODE</div>
                         <div style={{ fontSize: 13, color: "#1a1a1a", textAlign: "center", lineHeight: 1.5 }}>Keep progress for tomorrow?</div>
-                        <button style={{ ...styles.btnPrimary, height: 44 }} onClick={() => { saveWorkProgress(selectedHolds, checkedAngles, printMode); setSavedProgress(loadWorkProgress()); setWorkMode(false); setShowExitWorkConfirm(false); }}>Keep &amp; exit</button>
+                        <button style={{ ...styles.btnPrimary, height: 44 }} onClick={() => { saveWorkProgress(selectedHolds, checkedAngles, printMode, { pieces: piecesCut, quantities: orderQuantities }); setSavedProgress(loadWorkProgress()); setWorkMode(false); setShowExitWorkConfirm(false); }}>Keep &amp; exit</button>
                         <button style={{ ...styles.btnGhost, height: 44 }} onClick={finishWork}>Clear &amp; exit</button>
                         <button style={{ ...styles.btnGhost, height: 36, fontSize: 12, color: "#999" }} onClick={() => setShowExitWorkConfirm(false)}>Back</button>
                     </div>
@@ -1146,11 +1542,20 @@ export default function App() {
                 <ConfirmDialog
                     message="Discard saved progress?"
                     styles={styles}
-                    onConfirm={() => { clearWorkProgress(); setSavedProgress(null); setCheckedAngles(new Set()); setShowDiscardProgressConfirm(false); }}
+                    onConfirm={() => { clearWorkProgress(); setSavedProgress(null); setCheckedAngles(new Set()); setPiecesCut({}); setShowDiscardProgressConfirm(false); }}
                     onCancel={() => setShowDiscardProgressConfirm(false)}
                 />
             )}
 
+            {deletingJob && (
+                <ConfirmDialog
+                    message={`Delete job "${deletingJob.name}"?`}
+                    styles={styles}
+                    onConfirm={() => { storeJobs(jobs.filter((j) => j.id !== deletingJob.id)); setDeletingJob(null); }}
+                    onCancel={() => setDeletingJob(null)}
+                />
+            )}
+
             {showClearConfirm && (
                 <ConfirmDialog
                     message="Clear selection?"
@@ -1260,9 +1665,16 @@ export default function App() {
                                     </svg>
                                     <div style={{ ...styles.adminTitle, marginBottom: 4, textAlign: "center" }}>FIRST LOGIN</div>
                                     <div style={{ fontSize: 12, color: theme.colors.textSecondary, lineHeight: 1.5 }}>
-                                        Create a 4-digit admin PIN.
+                                        Choose the owner login and a 4-digit PIN.
                                     </div>
                                 </div>
+                                <input
+                                    value={loginUser}
+                                    onChange={(e) => setLoginUser(e.target.value)}
+                                    placeholder="LOGIN"
+                                    className="login-modal-input"
+                                    style={{ ...styles.input, textAlign: "center", background: theme.colors.inputBg, boxShadow: "none" }}
+                                />
                                 <PasswordInput value={loginPass} onChange={(v) => { if (/^\d{0,4}$/.test(v)) setLoginPass(v); }} show={showPass} onToggle={() => setShowPass(v => !v)} placeholder="PIN" styles={styles} inputMode="numeric" maxLength={4} />
                                 {loginError && (
                                     <div style={{ fontSize: 11, color: "#e53e3e", textAlign: "center", marginTop: -4 }}>
@@ -1274,6 +1686,52 @@ export default function App() {
                                     <button type="button" style={styles.btnGhost} onClick={() => setShowLogin(false)}>CANCEL</button>
                                 </div>
                             </>
+                        ) : loginMode === "recover" ? (
+                            <>
+                                <div style={{ textAlign: "center" }}>
+                                    <div style={{ ...styles.adminTitle, marginBottom: 4, textAlign: "center" }}>RESET PIN</div>
+                                    <div style={{ fontSize: 12, color: theme.colors.textSecondary, lineHeight: 1.5 }}>
+                                        Enter one of your recovery codes and choose a new PIN. The code can't be used again.
+                                    </div>
+                                </div>
+                                <input
+                                    value={loginUser}
+                                    onChange={(e) => setLoginUser(e.target.value)}
+                                    placeholder="LOGIN"
+                                    className="login-modal-input"
+                                    style={{ ...styles.input, textAlign: "center", background: theme.colors.inputBg, boxShadow: "none" }}
+                                />
+                                <input
+                                    value={recoveryCode}
+                                    onChange={(e) => setRecoveryCode(e.target.value)}
+                                    placeholder="RECOVERY CODE"
+                                    autoComplete="off"
+                                    autoFocus
+                                    className="login-modal-input"
+                                    style={{ ...styles.input, textAlign: "center", fontFamily: "monospace", background: theme.colors.inputBg, boxShadow: "none" }}
+                                />
+                                <PasswordInput value={loginPass} onChange={(v) => { if (/^\d{0,4}$/.test(v)) setLoginPass(v); }} show={showPass} onToggle={() => setShowPass(v => !v)} placeholder="New PIN" styles={styles} inputMode="numeric" maxLength={4} />
+                                {loginLockRemaining > 0 ? (
+                                    <div style={{ fontSize: 11, color: "#e53e3e", textAlign: "center", marginTop: -4 }}>
+                                        Too many failed attempts. Try again in {formatCountdown(loginLockRemaining)}.
+                                    </div>
+                                ) : loginError && (
+                                    <div style={{ fontSize: 11, color: "#e53e3e", textAlign: "center", marginTop: -4 }}>
+                                        {loginError}
+                                    </div>
+                                )}
+                                <div style={{ display: "flex", gap: 8, justifyContent: "center" }}>
+                                    <button
+                                        type="button"
+                                        style={{ ...styles.btnPrimary, minWidth: 60, opacity: loginLockRemaining > 0 ? 0.4 : 1 }}
+                                        onClick={submitLogin}
+                                        disabled={loginLockRemaining > 0}
+                                    >
+                                        RESET
+                                    </button>
+                                    <button type="button" style={styles.btnGhost} onClick={() => { setLoginMode("login"); setLoginError(""); setLoginPass(""); }}>BACK</button>
+                                </div>
+                            </>
                         ) : (
                             <>
                                 <div style={{ ...styles.adminTitle, marginBottom: 4, textAlign: "center" }}>ADMIN</div>
@@ -1292,12 +1750,35 @@ export default function App() {
                                         onChange={(e) => setRememberMe(e.target.checked)}
                                         style={{ width: 14, height: 14, cursor: "pointer", accentColor: theme.colors.textPrimary }}
                                     />
-                                    <span style={{ fontSize: 12, color: theme.colors.textSecondary }}>Remember me</span>
+                                    <span style={{ fontSize: 12, color: theme.colors.textSecondary }}>Remember me for {loadSessionSettings().rememberDays} day(s)</span>
                                 </label>
+                                {loginLockRemaining > 0 ? (
+                                    <div style={{ fontSize: 11, color: "#e53e3e", textAlign: "center", marginTop: -4 }}>
+                                        Too many failed attempts. Try again in {formatCountdown(loginLockRemaining)}.
+                                    </div>
+                                ) : loginError && (
+                                    <div style={{ fontSize: 11, color: "#e53e3e", textAlign: "center", marginTop: -4 }}>
+                                        {loginError}
+                                    </div>
+                                )}
                                 <div style={{ display: "flex", gap: 8, justifyContent: "center" }}>
-                                    <button type="button" style={{ ...styles.btnPrimary, minWidth: 60 }} onClick={submitLogin}>OK</button>
+                                    <button
+                                        type="button"
+                                        style={{ ...styles.btnPrimary, minWidth: 60, opacity: loginLockRemaining > 0 ? 0.4 : 1 }}
+                                        onClick={submitLogin}
+                                        disabled={loginLockRemaining > 0}
+                                    >
+                                        OK
+                                    </button>
                                     <button type="button" style={styles.btnGhost} onClick={() => setShowLogin(false)}>CANCEL</button>
                                 </div>
+                                <button
+                                    type="button"
+                                    onClick={() => { setLoginMode("recover"); setLoginError(""); setLoginPass(""); setRecoveryCode(""); }}
+                                    style={{ background: "none", border: "none", padding: 0, minHeight: 0, fontSize: 11, color: theme.colors.textTertiary, textDecoration: "underline", cursor: "pointer" }}
+                                >
+                                    Forgot PIN?
+                                </button>
                             </>
                         )}
                     </div>
@@ -1,16 +1,44 @@
 import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import toast from 'react-hot-toast';
-import { clamp, toAngleLabel } from '../domain/angles.js';
+import { clamp, toAngleLabel, toCutLabel, ANGLE_SIDES } from '../domain/angles.js';
 import { normalizeHoldName as normalizeHoldNameSafe } from '../domain/holds.js';
-import { getSortedHoldNames, findHoldByName, generateHoldId, migrateAndSanitize } from '../domain/migration.js';
+import { getSortedHoldNames, findHoldByName, generateHoldId, migrateAndSanitize, migrateStoredCatalogue } from '../domain/migration.js';
 import { isSafeRasterDataUrl } from '../domain/validation.js';
-import { saveState, loadLastModified, MAX_DB_SIZE_KB, serializedSizeKB } from '../storage/db.js';
-import { pushBackup } from '../storage/backups.js';
-import { ADMIN_SESSION_KEY } from '../storage/auth.js';
-import { downloadJsonFile, readJsonFile } from '../storage/importExport.js';
+import { getSaws, findSawById, generateSawId, normalizeSawName, clampToSaw, clampBevelToSaw, sawHasBevel, SAW_ANGLE_MIN, SAW_ANGLE_MAX } from '../domain/saws.js';
+import { parseCsv } from '../domain/csv.js';
+import { sanitizePieces } from '../domain/quantities.js';
+import { emptyHistory, recordChange, undoChange, redoChange, nextUndoLabel, nextRedoLabel } from '../domain/history.js';
+import { loadLastModified, serializedSizeKB } from '../storage/db.js';
+import { saveCatalogue, resolveImageRefs, imageRefsByValue, catalogueSizeLimitKB, getStorageBackend } from '../storage/idbStore.js';
+import { pushBackup, loadBackups, summarizeBackup } from '../storage/backups.js';
+import { loadJobs, saveJobs, sanitizeJobs, mergeImportedJobs } from '../storage/jobs.js';
+import {
+    consumeSessionToken, loadSessionSettings, saveSessionSettings, idleStatus, loadRememberToken, revokeRememberToken,
+    saveAdminDraft, loadAdminDraft, clearAdminDraft,
+} from '../storage/session.js';
+import { can, accountsForExport, sanitizeAccounts, mergeImportedAccounts } from '../storage/accounts.js';
+import { downloadJsonFile, downloadEncryptedJsonFile, downloadCsvFile, downloadBlob, readJsonFile, MAX_IMPORT_FILE_KB } from '../storage/importExport.js';
+import { buildBundle, readBundle } from '../storage/bundle.js';
+import { isEncryptedExport, decryptExport } from '../storage/encryption.js';
+import { checkIntegrity, exportSource, fileCatalogueTime } from '../storage/integrity.js';
 import { compressImageFile } from '../utils/image.js';
+import { filesFromDataTransfer } from '../utils/dropFiles.js';
+import { useImageSrc } from '../utils/useImageSrc.js';
+import { useDraft } from '../utils/useDraft.js';
+import { formatLastModified, fileTimestamp, formatCountdown } from '../utils/format.js';
 import { SaveIcon } from './icons.jsx';
 import { ConfirmDialog } from './ConfirmDialog.jsx';
+import { SawsPanel } from './SawsPanel.jsx';
+import { CalculatorPanel } from './CalculatorPanel.jsx';
+import { BackupsPanel } from './BackupsPanel.jsx';
+import { CompareDialog } from './CompareDialog.jsx';
+import { ImportWizard } from './ImportWizard.jsx';
+import { CsvImportDialog } from './CsvImportDialog.jsx';
+import { BulkDrawingDialog } from './BulkDrawingDialog.jsx';
+import { UsersPanel } from './UsersPanel.jsx';
+import { ChangePinDialog } from './ChangePinDialog.jsx';
+import { SessionPanel } from './SessionPanel.jsx';
+import { PassphraseDialog } from './PassphraseDialog.jsx';
 import { SearchIcon } from './icons.jsx';
 import { Card } from './Card.jsx';
 import { theme, getStyles } from '../styles/theme.js';
@@ -25,30 +53,74 @@ function cryptoRandomId() {
     }
 }
 
-export function formatLastModified(ms) {
-    if (!ms || !Number.isFinite(ms)) return "—";
-    try {
-        const d = new Date(ms);
-        return d.toLocaleString(undefined, {
-            year: "numeric",
-            month: "2-digit",
-            day: "2-digit",
-            hour: "2-digit",
-            minute: "2-digit",
+export { formatLastModified };
+
+/** Banners for the import preview: checksum result, provenance, and whether the file is behind the current catalogue. */
+async function importNotices(envelope) {
+    if (!envelope || typeof envelope !== "object") return [];
+    const notices = [];
+    const { status, problems } = await checkIntegrity(envelope);
+    if (status === "modified") {
+        notices.push({ tone: "danger", text: `This file was changed or cut short after export: ${problems.join("; ")}.` });
+    } else if (status === "unverified") {
+        notices.push({ tone: "info", text: "This file has no checksum (exported by an older version), so changes to it can't be detected." });
+    }
+    const fileTime = fileCatalogueTime(envelope);
+    const currentTime = loadLastModified();
+    if (fileTime && currentTime && fileTime < currentTime) {
+        notices.push({
+            tone: "warn",
+            text: `The file's catalogue is from ${formatLastModified(fileTime)}, older than the current one (${formatLastModified(currentTime)}).`,
         });
-    } catch {
-        return "—";
     }
+    const source = envelope.source;
+    if (source && typeof source === "object") {
+        const parts = [source.device, source.appVersion && `app v${source.appVersion}`].filter((p) => typeof p === "string" && p);
+        if (parts.length) notices.push({ tone: "info", text: `Exported from ${parts.join(", ")}${status === "verified" ? "; checksum OK" : ""}.` });
+    }
+    return notices;
+}
+
+function importErrorMessage(err) {
+    if (err?.name === "SchemaTooNewError") {
+        return `Import refused: file uses schema v${err.version}, this app supports up to v${err.supported}. Update the app first.`;
+    }
+    if (err?.name === "ZipFormatError") return `Import failed: ${err.message}.`;
+    return "Import failed: invalid JSON.";
 }
 
 
 /* -------------------- ADMIN ROW: only angle value, no hold name -------------------- */
-export function AdminAngleRow({ angle, onUpdate, onRemove, onUpload, onRemoveImage, onZoomImage, styles }) {
-    const [draft, setDraft] = useState(() => String(angle.value ?? 0));
+export function AdminAngleRow({ angle, saw, onUpdate, onRemove, onUpload, onRemoveImage, onZoomImage, readOnly = false, styles }) {
+    const [draft, setDraft] = useDraft(angle.value ?? 0);
+    const [piecesDraft, setPiecesDraft] = useDraft(angle.pieces ?? 1);
+    const [bevelDraft, setBevelDraft] = useDraft(angle.bevel ?? 0);
+    const drawingSrc = useImageSrc(angle.drawing);
+    // Bevel input only on saws that tilt (or when an angle still carries one)
+    const showBevel = sawHasBevel(saw) || !!angle.bevel;
+
+    // Bevel of a compound cut: 0 (pure miter) isn't stored
+    const commitBevel = () => {
+        const raw = String(bevelDraft).trim();
+        const v = raw ? Number(raw.replace(",", ".")) : 0;
+        if (!Number.isFinite(v)) {
+            setBevelDraft(String(angle.bevel ?? 0));
+            return;
+        }
+        const bevel = clampBevelToSaw(v, saw);
+        onUpdate({ bevel: bevel > 0 ? bevel : undefined });
+        setBevelDraft(String(bevel));
+    };
 
-    useEffect(() => {
-        setDraft(String(angle.value ?? 0));
-    }, [angle.value]);
+    // Side cycles none → L → R → none
+    const nextSide = ANGLE_SIDES[ANGLE_SIDES.indexOf(angle.side) + 1];
+
+    // Pieces per unit: 1 is the default and isn't stored
+    const commitPieces = () => {
+        const pieces = sanitizePieces(piecesDraft);
+        onUpdate({ pieces: pieces > 1 ? pieces : undefined });
+        setPiecesDraft(String(pieces));
+    };
 
     const commit = () => {
         const raw = String(draft).trim();
@@ -58,7 +130,7 @@ export function AdminAngleRow({ angle, onUpdate, onRemove, onUpload, onRemoveIma
         }
         const v = Number(raw.replace(",", "."));
         if (Number.isFinite(v)) {
-            const vv = clamp(v, 0, 90);
+            const vv = clampToSaw(v, saw);
             onUpdate({ value: vv });
             setDraft(String(vv));
         } else {
@@ -87,14 +159,15 @@ export function AdminAngleRow({ angle, onUpdate, onRemove, onUpload, onRemoveIma
 
     return (
         <div style={styles.adminAngleRow}>
-            <span style={styles.adminAngleLabel}>{toAngleLabel(angle.value)}</span>
+            <span style={styles.adminAngleLabel}>{toCutLabel(angle)}</span>
 
             <div style={{ display: "flex", alignItems: "center", gap: 8, flex: "0 0 auto" }}>
                 <input
                     value={draft}
                     onChange={(e) => setDraft(e.target.value)}
-                    onFocus={handleFocus}
-                    onBlur={commit}
+                    onFocus={readOnly ? undefined : handleFocus}
+                    onBlur={readOnly ? undefined : commit}
+                    readOnly={readOnly}
                     onKeyDown={(e) => {
                         if (e.key === "Enter") {
                             e.preventDefault();
@@ -110,56 +183,165 @@ export function AdminAngleRow({ angle, onUpdate, onRemove, onUpload, onRemoveIma
                     style={styles.adminAngleInput}
                 />
 
-                <button type="button" style={styles.btnSmallGhost28} onClick={onUpload}>
-                    {angle.drawing ? "Change" : "Upload"}
+                {showBevel && (
+                    <label title={`Bevel (0–${saw?.bevelMax ?? 0}°)`} style={{ display: "flex", alignItems: "center", gap: 2, fontSize: 11, color: theme.colors.textTertiary }}>
+                        /
+                        <input
+                            value={bevelDraft}
+                            inputMode="decimal"
+                            aria-label="Bevel"
+                            onChange={(e) => setBevelDraft(e.target.value)}
+                            onFocus={readOnly ? undefined : (e) => e.target.select()}
+                            onBlur={readOnly ? undefined : commitBevel}
+                            readOnly={readOnly}
+                            onKeyDown={(e) => {
+                                if (e.key === "Enter") {
+                                    e.preventDefault();
+                                    e.currentTarget.blur();
+                                }
+                                if (e.key === "Escape") {
+                                    e.preventDefault();
+                                    setBevelDraft(String(angle.bevel ?? 0));
+                                    e.currentTarget.blur();
+                                }
+                            }}
+                            style={{ ...styles.adminAngleInput, width: 52 }}
+                        />
+                    </label>
+                )}
+
+                <button
+                    type="button"
+                    style={{ ...styles.btnSmallGhost28, width: 28, padding: 0, ...(readOnly ? { cursor: "default" } : {}) }}
+                    onClick={readOnly ? undefined : () => onUpdate({ side: nextSide })}
+                    title="Cut side: none, left or right"
+                    aria-label={`Side: ${angle.side ?? "none"}`}
+                >
+                    {angle.side ?? "–"}
                 </button>
 
+                <label title="Pieces per unit" style={{ display: "flex", alignItems: "center", gap: 2, fontSize: 11, color: theme.colors.textTertiary }}>
+                    ×
+                    <input
+                        value={piecesDraft}
+                        inputMode="numeric"
+                        aria-label="Pieces per unit"
+                        onChange={(e) => setPiecesDraft(e.target.value.replace(/\D/g, ""))}
+                        onFocus={readOnly ? undefined : (e) => e.target.select()}
+                        onBlur={readOnly ? undefined : commitPieces}
+                        readOnly={readOnly}
+                        onKeyDown={(e) => {
+                            if (e.key === "Enter") {
+                                e.preventDefault();
+                                e.currentTarget.blur();
+                            }
+                            if (e.key === "Escape") {
+                                e.preventDefault();
+                                setPiecesDraft(String(angle.pieces ?? 1));
+                                e.currentTarget.blur();
+                            }
+                        }}
+                        style={{ ...styles.adminAngleInput, width: 40, padding: "0 4px", textAlign: "center" }}
+                    />
+                </label>
+
+                {!readOnly && (
+                    <button type="button" style={styles.btnSmallGhost28} onClick={onUpload}>
+                        {angle.drawing ? "Change" : "Upload"}
+                    </button>
+                )}
+
                 {angle.drawing && (
                     <>
                         <img
-                            src={angle.drawing}
+                            src={drawingSrc ?? undefined}
                             alt=""
-                            onClick={() => onZoomImage?.(angle.drawing)}
+                            onClick={() => drawingSrc && onZoomImage?.(drawingSrc)}
                             style={{ width: 28, height: 28, objectFit: "cover", borderRadius: 4, cursor: "zoom-in" }}
                         />
-                        <button
-                            type="button"
-                            style={{ ...styles.btnSmallGhost28, width: 28, padding: 0 }}
-                            onClick={onRemoveImage}
-                            title="Remove image"
-                        >
-                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" style={{ opacity: 0.7 }}>
-                                <polyline points="3 6 5 6 21 6"></polyline>
-                                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-                            </svg>
-                        </button>
+                        {!readOnly && (
+                            <button
+                                type="button"
+                                style={{ ...styles.btnSmallGhost28, width: 28, padding: 0 }}
+                                onClick={onRemoveImage}
+                                title="Remove image"
+                            >
+                                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" style={{ opacity: 0.7 }}>
+                                    <polyline points="3 6 5 6 21 6"></polyline>
+                                    <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                                </svg>
+                            </button>
+                        )}
                     </>
                 )}
 
-                <button type="button" style={styles.btnX} onClick={onRemove} title="Remove angle">
-                    ×
-                </button>
+                {!readOnly && (
+                    <button type="button" style={styles.btnX} onClick={onRemove} title="Remove angle">
+                        ×
+                    </button>
+                )}
             </div>
         </div>
     );
 }
 
 /* ===================== ADMIN PAGE ===================== */
-export function AdminPage({ data, setData, onExit, lastModifiedMs }) {
+export function AdminPage({ data, setData, account, accounts = [], onAccountsChange, onJobsChange, onExit, onIdleSignOut, lastModifiedMs }) {
     const styles = useMemo(() => getStyles(theme), []);
+    // owner: everything · editor: edit the catalogue · viewer: look and export
+    const canEdit = can(account?.role, "edit");
+    const canImport = can(account?.role, "import");
+    const canManageUsers = can(account?.role, "users");
 
     const [draftData, setDraftData] = useState(() => data);
+    // Latest draft, also between a change and the next render (updaters run synchronously)
+    const draftRef = useRef(draftData);
+    useEffect(() => {
+        draftRef.current = draftData;
+    }, [draftData]);
+    const [history, setHistory] = useState(emptyHistory);
 
     const holdsSafe = useMemo(() => getSortedHoldNames(Array.isArray(draftData?.holds) ? draftData.holds : []), [draftData?.holds]);
-    const anglesSafe = Array.isArray(draftData?.angles) ? draftData.angles : [];
+    const draftAngles = draftData?.angles;
+    const anglesSafe = useMemo(() => (Array.isArray(draftAngles) ? draftAngles : []), [draftAngles]);
+    const sawsSafe = useMemo(() => getSaws(draftData), [draftData]);
 
     const [selectedProduct, setSelectedProduct] = useState(null);
+    const [sidePanel, setSidePanel] = useState("hold"); // "hold" | "saws" | "calculator" | "backups" | "users" | "session"
+    // Backup ring as last read: re-read whenever this page writes it or the Backups panel opens
+    const [backups, setBackups] = useState(loadBackups);
     const [newHoldName, setNewHoldName] = useState("");
     const [editingHold, setEditingHold] = useState(null);
     const [editingHoldName, setEditingHoldName] = useState("");
     const [zoomedImage, setZoomedImage] = useState(null);
     const [confirmState, setConfirmState] = useState(null);
+    // Parsed import waiting for merge/replace decisions: { theirs, sourceName, imageKey }
+    const [pendingImport, setPendingImport] = useState(null);
+    // Parsed CSV waiting for column mapping: { rows, sourceName }
+    const [pendingCsv, setPendingCsv] = useState(null);
+    // Image files waiting for the bulk drawing preview
+    const [pendingDrawings, setPendingDrawings] = useState(null);
+    // Owner's choice to put PIN hashes into exported files
+    const [exportCredentials, setExportCredentials] = useState(false);
+    const [showChangePin, setShowChangePin] = useState(false);
+    const [compareSources, setCompareSources] = useState(null); // set while the compare view is open
+    // Encrypted export: checkbox, then a passphrase prompt on EXPORT
+    const [encryptExport, setEncryptExport] = useState(false);
+    const [askExportPassphrase, setAskExportPassphrase] = useState(false);
+    // Encrypted file picked for import, waiting for its passphrase
+    const [pendingDecrypt, setPendingDecrypt] = useState(null); // { file, sourceName, error }
+    const [sessionSettings, setSessionSettings] = useState(() => loadSessionSettings());
+    const [rememberToken, setRememberToken] = useState(() => loadRememberToken());
+    // Last idle tick that warned: { idleMs, remainingMs } for the timeout it was counted against
+    const [idleWarning, setIdleWarning] = useState(null);
+    const idleMs = sessionSettings.idleMinutes * 60 * 1000;
+    const idleWarningMs = idleWarning && idleWarning.idleMs === idleMs ? idleWarning.remainingMs : null; // time left, while warning
+    const lastActivityRef = useRef(0);
+    const idleSignOutRef = useRef(null);
     const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
+    // Set when another tab saved while this draft had unsaved edits
+    const [hasConflict, setHasConflict] = useState(false);
+    const draftBaseRef = useRef(data);
     const confirmResolverRef = useRef(null);
 
     const [adminHoldSearch, setAdminHoldSearch] = useState("");
@@ -171,9 +353,12 @@ export function AdminPage({ data, setData, onExit, lastModifiedMs }) {
         return holdsSafe.filter((h) => h.name.toLowerCase().includes(q));
     }, [holdsSafe, adminHoldSearch]);
 
+    const holdNameFor = useCallback((id) => holdsSafe.find((h) => h.id === id)?.name ?? id, [holdsSafe]);
+
     const fileInputRef = useRef(null);
     const uploadTargetIdRef = useRef(null);
     const importDbInputRef = useRef(null);
+    const bulkDrawingsInputRef = useRef(null);
     const holdCoverInputRef = useRef(null);
     const uploadHoldIdRef = useRef(null);
 
@@ -194,21 +379,71 @@ export function AdminPage({ data, setData, onExit, lastModifiedMs }) {
         setConfirmState(null);
     }, []);
 
-    const updateAdminData = useCallback((updater) => {
+    // Every draft edit goes through here with a label for the undo/redo history.
+    // Updaters that return the previous draft unchanged are not recorded.
+    const updateAdminData = useCallback((updater, label = "Edit") => {
+        if (!canEdit) return;
+        const prev = draftRef.current;
+        const next = typeof updater === "function" ? updater(prev) : updater;
+        if (next === prev) return;
+        draftRef.current = next;
+        setHistory((h) => recordChange(h, prev, label));
         setHasUnsavedChanges(true);
-        setDraftData((prev) => (typeof updater === "function" ? updater(prev) : updater));
-    }, []);
+        setDraftData(next);
+    }, [canEdit]);
+
+    const stepHistory = useCallback((step, verb) => {
+        const result = step(history, draftRef.current);
+        if (!result) return;
+        draftRef.current = result.data;
+        setHistory(result.history);
+        setHasUnsavedChanges(result.data !== draftBaseRef.current);
+        setDraftData(result.data);
+        toast(`${verb}: ${result.label}`, { id: "admin-history" });
+    }, [history]);
+
+    const undo = useCallback(() => stepHistory(undoChange, "Undone"), [stepHistory]);
+    const redo = useCallback(() => stepHistory(redoChange, "Redone"), [stepHistory]);
+    const undoLabel = nextUndoLabel(history);
+    const redoLabel = nextRedoLabel(history);
+
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS). Text fields keep their native undo.
+    useEffect(() => {
+        const onKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== "z") return;
+            const el = e.target;
+            if (el instanceof HTMLElement && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName))) return;
+            e.preventDefault();
+            if (e.shiftKey) redo();
+            else undo();
+        };
+        window.addEventListener("keydown", onKeyDown);
+        return () => window.removeEventListener("keydown", onKeyDown);
+    }, [undo, redo]);
 
-    const handleSave = useCallback(() => {
-        const ok = saveState(draftData);
-        if (!ok) {
-            // saveState already surfaced the reason; keep the unsaved flag so the user can retry.
+    const handleSave = useCallback(async () => {
+        if (hasConflict) {
+            const ok = await askConfirm("The catalogue was saved in another tab while you were editing. Saving overwrites those changes. Save anyway?");
+            if (!ok) return;
+        }
+        const saved = await saveCatalogue(draftData);
+        if (!saved) {
+            // saveCatalogue already surfaced the reason; keep the unsaved flag so the user can retry.
             return;
         }
-        setData(draftData);
+        draftBaseRef.current = saved;
+        setData(saved);
         setHasUnsavedChanges(false);
         toast.success("Changes saved");
-    }, [draftData, setData]);
+    }, [askConfirm, draftData, hasConflict, setData]);
+
+    // Drop the conflicting draft in favour of the catalogue saved elsewhere.
+    const discardDraft = useCallback(async () => {
+        const ok = await askConfirm("Discard your unsaved changes and load the catalogue saved in the other tab? Your draft is backed up first.");
+        if (!ok) return;
+        if (pushBackup(draftData)) setBackups(loadBackups());
+        setHasUnsavedChanges(false);
+    }, [askConfirm, draftData]);
 
     const handleExit = useCallback(async () => {
         if (hasUnsavedChanges) {
@@ -221,11 +456,81 @@ export function AdminPage({ data, setData, onExit, lastModifiedMs }) {
     // Session is a one-time token: consume it on mount so re-entering admin
     // (back button, browser nav, reload) always requires logging in again.
     useEffect(() => {
-        try { sessionStorage.removeItem(ADMIN_SESSION_KEY); } catch { }
+        consumeSessionToken();
     }, []);
 
+    // Idle sign-out: any input counts as activity; the last minute shows a warning.
+    // Unsaved edits are kept in storage and offered again after the next login.
     useEffect(() => {
-        if (!hasUnsavedChanges) setDraftData(data);
+        idleSignOutRef.current = () => {
+            const keptDraft = hasUnsavedChanges && saveAdminDraft(account?.username ?? "", draftRef.current);
+            onIdleSignOut?.(keptDraft);
+        };
+    });
+
+    useEffect(() => {
+        const markActive = () => { lastActivityRef.current = Date.now(); };
+        const events = ["pointerdown", "pointermove", "keydown", "wheel", "touchstart"];
+        events.forEach((name) => window.addEventListener(name, markActive, { passive: true }));
+        return () => events.forEach((name) => window.removeEventListener(name, markActive));
+    }, []);
+
+    useEffect(() => {
+        if (!idleMs) return;
+        lastActivityRef.current = Date.now();
+        const timer = setInterval(() => {
+            const { warn, expired, remainingMs } = idleStatus(lastActivityRef.current, idleMs);
+            if (expired) {
+                clearInterval(timer);
+                idleSignOutRef.current?.();
+                return;
+            }
+            setIdleWarning(warn ? { idleMs, remainingMs: Math.ceil(remainingMs / 1000) * 1000 } : null);
+        }, 1000);
+        return () => clearInterval(timer);
+    }, [idleMs]);
+
+    // A draft kept by an idle sign-out goes back to whoever left it
+    const draftOfferedRef = useRef(false);
+    useEffect(() => {
+        if (draftOfferedRef.current) return;
+        draftOfferedRef.current = true;
+        const saved = loadAdminDraft();
+        if (!saved || !canEdit || saved.user.toLowerCase() !== String(account?.username).toLowerCase()) return;
+        (async () => {
+            const newer = (lastModifiedMs ?? 0) > (saved.savedAt ?? 0) ? " The catalogue was saved since; restoring replaces that version in the draft." : "";
+            const ok = await askConfirm(`Restore the unsaved changes kept when you were signed out (${formatLastModified(saved.savedAt)})?${newer}`);
+            clearAdminDraft();
+            if (ok) {
+                updateAdminData(saved.data, "Restored unsaved changes");
+                toast.success("Unsaved changes restored. Press SAVE to keep them.");
+            }
+        })();
+    }, [account?.username, askConfirm, canEdit, lastModifiedMs, updateAdminData]);
+
+    const changeSessionSettings = useCallback((next) => {
+        saveSessionSettings(next);
+        setSessionSettings(next);
+    }, []);
+
+    const revokeRemember = useCallback(() => {
+        revokeRememberToken();
+        setRememberToken(null);
+        toast.success("This browser no longer remembers the login.");
+    }, []);
+
+    // Follow the saved catalogue while the draft is clean; a change arriving under
+    // unsaved edits (another tab saved) is flagged instead of overwriting the draft.
+    useEffect(() => {
+        if (!hasUnsavedChanges) {
+            // Catalogue replaced from outside: the history no longer leads back to it
+            if (data !== draftBaseRef.current) setHistory(emptyHistory());
+            draftBaseRef.current = data;
+            setDraftData(data);
+            setHasConflict(false);
+        } else if (data !== draftBaseRef.current) {
+            setHasConflict(true);
+        }
     }, [data, hasUnsavedChanges]);
 
     // Warn before closing/reloading the tab while admin edits are unsaved.
@@ -254,7 +559,7 @@ export function AdminPage({ data, setData, onExit, lastModifiedMs }) {
             const newHold = { id: generateHoldId(), name };
             newId = newHold.id;
             return { ...prev, holds: getSortedHoldNames([...prevHolds, newHold]) };
-        });
+        }, `Added ${name}`);
         setNewHoldName("");
         if (newId) setSelectedProduct(newId);
     }, [newHoldName, updateAdminData]);
@@ -271,7 +576,7 @@ export function AdminPage({ data, setData, onExit, lastModifiedMs }) {
             ...prev,
             holds: getSortedHoldNames((prev.holds || []).filter((h) => h.id !== holdId)),
             angles: (prev.angles || []).filter((a) => a.holdId !== holdId),
-        }));
+        }), cnt > 0 ? `Deleted ${holdName} and ${cnt} angle(s)` : `Deleted ${holdName}`);
 
         setSelectedProduct(null);
         if (editingHold === holdId) setEditingHold(null);
@@ -304,7 +609,7 @@ export function AdminPage({ data, setData, onExit, lastModifiedMs }) {
                 h.id === oldId ? { ...h, name: nextName } : h
             )),
             // angles.holdId doesn't change — stable IDs
-        }));
+        }), `Renamed ${oldHold?.name ?? oldId} → ${nextName}`);
 
         setEditingHold(null);
     }, [editingHoldName, holdsSafe, updateAdminData]);
@@ -312,25 +617,145 @@ export function AdminPage({ data, setData, onExit, lastModifiedMs }) {
     const addAngleForHold = useCallback((holdId, saw) => {
         updateAdminData((prev) => ({
             ...prev,
-            angles: [...(prev.angles || []), { id: cryptoRandomId(), holdId, value: 0, saw }],
-        }));
+            angles: [...(prev.angles || []), { id: cryptoRandomId(), holdId, value: clampToSaw(0, saw), saw: saw.id }],
+        }), `Added ${saw.name} angle to ${holdNameFor(holdId)}`);
         setSelectedProduct(holdId);
-    }, [updateAdminData]);
+    }, [holdNameFor, updateAdminData]);
+
+    // Calculator result (saw readings) as a new angle of the selected product
+    const addCalculatedAngle = useCallback((saw, { value, bevel }) => {
+        if (!selectedProduct) return;
+        const angle = {
+            id: cryptoRandomId(),
+            holdId: selectedProduct,
+            value: clampToSaw(value, saw),
+            saw: saw.id,
+            ...(clampBevelToSaw(bevel, saw) > 0 ? { bevel: clampBevelToSaw(bevel, saw) } : {}),
+        };
+        updateAdminData((prev) => ({
+            ...prev,
+            angles: [...(prev.angles || []), angle],
+        }), `Added ${saw.name} angle ${toCutLabel(angle)} to ${holdNameFor(selectedProduct)} (calculator)`);
+        toast.success(`Added ${toCutLabel(angle)} to ${holdNameFor(selectedProduct)} on ${saw.name}.`);
+    }, [holdNameFor, selectedProduct, updateAdminData]);
+
+    const addSaw = useCallback((rawName) => {
+        const name = normalizeSawName(rawName);
+        if (!name) return false;
+        if (sawsSafe.some((s) => s.name === name)) {
+            toast.error(`Saw "${name}" already exists.`);
+            return false;
+        }
+        updateAdminData((prev) => ({
+            ...prev,
+            saws: [...getSaws(prev), { id: generateSawId(), name, sort: "asc", min: SAW_ANGLE_MIN, max: SAW_ANGLE_MAX }],
+        }), `Added saw ${name}`);
+        return true;
+    }, [sawsSafe, updateAdminData]);
+
+    const updateSaw = useCallback((id, patch) => {
+        const current = findSawById(sawsSafe, id);
+        if (!current) return;
+        const next = { ...current, ...patch };
+        if ("name" in patch) {
+            next.name = normalizeSawName(patch.name);
+            if (!next.name) return;
+            if (sawsSafe.some((s) => s.id !== id && s.name === next.name)) {
+                toast.error(`Saw "${next.name}" already exists.`);
+                return;
+            }
+        }
+        next.min = clamp(Number(next.min), SAW_ANGLE_MIN, SAW_ANGLE_MAX);
+        next.max = clamp(Number(next.max), SAW_ANGLE_MIN, SAW_ANGLE_MAX);
+        if (next.min > next.max) [next.min, next.max] = [next.max, next.min];
+        const bevelMax = clamp(Number(next.bevelMax) || 0, 0, SAW_ANGLE_MAX);
+        if (bevelMax > 0) next.bevelMax = bevelMax;
+        else delete next.bevelMax;
+        if (next.name === current.name && next.sort === current.sort && next.min === current.min && next.max === current.max
+            && (next.bevelMax ?? 0) === (current.bevelMax ?? 0)) return;
+
+        const label = next.name !== current.name
+            ? `Renamed saw ${current.name} → ${next.name}`
+            : next.sort !== current.sort
+                ? `Set ${next.name} sort to ${next.sort.toUpperCase()}`
+                : (next.bevelMax ?? 0) !== (current.bevelMax ?? 0)
+                    ? `Set ${next.name} bevel to 0–${next.bevelMax ?? 0}°`
+                    : `Set ${next.name} range to ${next.min}–${next.max}°`;
+
+        // Narrowing the range pulls existing angles (and bevels) of this saw into it
+        updateAdminData((prev) => ({
+            ...prev,
+            saws: getSaws(prev).map((s) => (s.id === id ? next : s)),
+            angles: (prev.angles || []).map((a) => {
+                if (a.saw !== id) return a;
+                const { bevel, ...rest } = a;
+                const clamped = clampBevelToSaw(bevel ?? 0, next);
+                return { ...rest, value: clampToSaw(a.value, next), ...(clamped > 0 ? { bevel: clamped } : {}) };
+            }),
+        }), label);
+    }, [sawsSafe, updateAdminData]);
+
+    const removeSaw = useCallback(async (id) => {
+        if (sawsSafe.length <= 1) {
+            toast.error("At least one saw is required.");
+            return;
+        }
+        const saw = findSawById(sawsSafe, id);
+        const cnt = anglesSafe.filter((a) => a.saw === id).length;
+        const ok = await askConfirm(cnt > 0 ? `Delete saw "${saw?.name}" and ${cnt} angle(s)?` : `Delete saw "${saw?.name}"?`);
+        if (!ok) return;
+        updateAdminData((prev) => ({
+            ...prev,
+            saws: getSaws(prev).filter((s) => s.id !== id),
+            angles: (prev.angles || []).filter((a) => a.saw !== id),
+        }), cnt > 0 ? `Deleted saw ${saw?.name} and ${cnt} angle(s)` : `Deleted saw ${saw?.name}`);
+    }, [anglesSafe, askConfirm, sawsSafe, updateAdminData]);
+
+    const moveSaw = useCallback((id, delta) => {
+        updateAdminData((prev) => {
+            const saws = [...getSaws(prev)];
+            const from = saws.findIndex((s) => s.id === id);
+            const to = from + delta;
+            if (from < 0 || to < 0 || to >= saws.length) return prev;
+            [saws[from], saws[to]] = [saws[to], saws[from]];
+            return { ...prev, saws };
+        }, `Moved saw ${findSawById(sawsSafe, id)?.name ?? id}`);
+    }, [sawsSafe, updateAdminData]);
+
+    // "Austin MAIN 28.2°" for history labels
+    const describeAngle = useCallback((a) => {
+        const saw = findSawById(sawsSafe, a.saw)?.name ?? a.saw;
+        return `${holdNameFor(a.holdId)} ${saw} ${toCutLabel(a)}`;
+    }, [holdNameFor, sawsSafe]);
 
     const updateAngle = useCallback((id, patch) => {
+        const angle = anglesSafe.find((a) => a.id === id);
+        if (!angle || Object.keys(patch).every((k) => angle[k] === patch[k])) return;
+        const label = "value" in patch
+            ? `Changed ${describeAngle(angle)} → ${toAngleLabel(patch.value)}`
+            : "pieces" in patch
+                ? `Set ${describeAngle(angle)} to ${patch.pieces ?? 1} piece(s) per unit`
+                : "bevel" in patch
+                    ? (patch.bevel ? `Set ${describeAngle(angle)} bevel to ${toAngleLabel(patch.bevel)}` : `Removed bevel from ${describeAngle(angle)}`)
+                    : "side" in patch
+                        ? (patch.side ? `Set ${describeAngle(angle)} side to ${patch.side}` : `Cleared side of ${describeAngle(angle)}`)
+                        : patch.drawing
+                            ? `Uploaded drawing for ${describeAngle(angle)}`
+                            : `Removed drawing from ${describeAngle(angle)}`;
         updateAdminData((prev) => ({
             ...prev,
             angles: (prev.angles || []).map((a) => (a.id === id ? { ...a, ...patch } : a)),
-        }));
-    }, [updateAdminData]);
+        }), label);
+    }, [anglesSafe, describeAngle, updateAdminData]);
 
     const removeAngle = useCallback(async (id) => {
         if (!(await askConfirm("Delete this angle?"))) return;
+        const angle = anglesSafe.find((a) => a.id === id);
         updateAdminData((prev) => ({
             ...prev,
             angles: (prev.angles || []).filter((a) => a.id !== id),
-        }));
-    }, [askConfirm, updateAdminData]);
+        }), angle ? `Deleted angle ${describeAngle(angle)}` : "Deleted angle");
+    }, [anglesSafe, askConfirm, describeAngle, updateAdminData]);
 
     const handleDrawingUpload = useCallback((e) => {
         const file = e.target.files?.[0];
@@ -347,6 +772,43 @@ export function AdminPage({ data, setData, onExit, lastModifiedMs }) {
             });
     }, [updateAngle]);
 
+    const openBulkDrawings = useCallback((files) => {
+        const images = files.filter((f) => f.type?.startsWith("image/"));
+        if (!images.length) {
+            toast.error("No image files found.");
+            return;
+        }
+        setPendingDrawings(images);
+    }, []);
+
+    const handleBulkDrawingsPicked = useCallback((e) => {
+        const files = [...(e.target.files ?? [])];
+        e.target.value = "";
+        if (files.length) openBulkDrawings(files);
+    }, [openBulkDrawings]);
+
+    // Files or whole folders dropped anywhere on the admin page go to the bulk preview
+    const handleDrop = useCallback((e) => {
+        if (!e.dataTransfer?.types?.includes("Files")) return;
+        e.preventDefault();
+        if (pendingImport || pendingCsv || pendingDrawings) return;
+        filesFromDataTransfer(e.dataTransfer).then(openBulkDrawings);
+    }, [openBulkDrawings, pendingCsv, pendingDrawings, pendingImport]);
+
+    const applyBulkDrawings = useCallback((drawings, failed) => {
+        setPendingDrawings(null);
+        if (drawings.size) {
+            updateAdminData((prev) => ({
+                ...prev,
+                angles: (prev.angles || []).map((a) => (drawings.has(a.id) ? { ...a, drawing: drawings.get(a.id) } : a)),
+            }), `Uploaded ${drawings.size} drawing(s)`);
+            toast.success(`${drawings.size} drawing(s) uploaded. Press SAVE to keep changes.`);
+        }
+        if (failed.length) {
+            toast.error(`Could not process ${failed.length} file(s): ${failed.slice(0, 3).join(", ")}${failed.length > 3 ? ", …" : ""}`, { duration: 6000 });
+        }
+    }, [updateAdminData]);
+
     const handleHoldCoverUpload = useCallback((e) => {
         const file = e.target.files?.[0];
         const holdId = uploadHoldIdRef.current;
@@ -361,13 +823,13 @@ export function AdminPage({ data, setData, onExit, lastModifiedMs }) {
                     holds: prev.holds.map(h =>
                         h.id === holdId ? { ...h, coverImage: dataUrl } : h
                     ),
-                }));
+                }), `Uploaded cover for ${holdNameFor(holdId)}`);
             })
             .catch((err) => {
                 console.warn("Cover upload failed:", err);
                 toast.error("Could not process this image. Try another file.");
             });
-    }, [updateAdminData]);
+    }, [holdNameFor, updateAdminData]);
 
     const removeHoldCover = useCallback(async () => {
         if (!(await askConfirm("Remove hold cover image?"))) return;
@@ -376,24 +838,83 @@ export function AdminPage({ data, setData, onExit, lastModifiedMs }) {
             holds: prev.holds.map(h =>
                 h.id === selectedProduct ? { ...h, coverImage: undefined } : h
             ),
-        }));
-    }, [askConfirm, selectedProduct, updateAdminData]);
-
-    const exportDb = useCallback(() => {
-        const now = new Date();
-        const yyyy = now.getFullYear();
-        const mm = String(now.getMonth() + 1).padStart(2, "0");
-        const dd = String(now.getDate()).padStart(2, "0");
-        const hh = String(now.getHours()).padStart(2, "0");
-        const min = String(now.getMinutes()).padStart(2, "0");
-        const filename = `Base_${yyyy}-${mm}-${dd}_${hh}-${min}.json`;
-        downloadJsonFile(draftData, filename);
+        }), `Removed cover from ${holdNameFor(selectedProduct)}`);
+    }, [askConfirm, holdNameFor, selectedProduct, updateAdminData]);
+
+    // Accounts travel with exports (PIN hashes only when the owner opts in), and so
+    // do the operators' saved jobs and where the file came from
+    const exportExtras = useMemo(
+        () => ({
+            source: exportSource(APP_VERSION, lastModifiedMs),
+            accounts: accountsForExport(accounts, canManageUsers && exportCredentials),
+            jobs: loadJobs(),
+        }),
+        [accounts, canManageUsers, exportCredentials, lastModifiedMs]
+    );
+
+    const exportDb = useCallback(async () => {
+        if (encryptExport) {
+            setAskExportPassphrase(true);
+            return;
+        }
+        try {
+            const filename = `Base_${fileTimestamp()}.json`;
+            // Exports must stand alone: inline drawings kept as IndexedDB Blobs.
+            await downloadJsonFile(await resolveImageRefs(draftData), filename, exportExtras);
+        } catch (err) {
+            console.warn(err);
+            toast.error("Export failed.");
+        }
+    }, [draftData, encryptExport, exportExtras]);
+
+    const exportEncrypted = useCallback(async (passphrase) => {
+        try {
+            const filename = `Base_${fileTimestamp()}.encrypted.json`;
+            await downloadEncryptedJsonFile(await resolveImageRefs(draftData), filename, exportExtras, passphrase, APP_VERSION);
+            setAskExportPassphrase(false);
+            toast.success("Encrypted export saved. Send the passphrase separately from the file.");
+        } catch (err) {
+            console.warn(err);
+            toast.error("Encrypted export failed.");
+        }
+    }, [draftData, exportExtras]);
+
+    const exportZip = useCallback(async () => {
+        try {
+            const bytes = await buildBundle(await resolveImageRefs(draftData), exportExtras);
+            downloadBlob(new Blob([bytes], { type: "application/zip" }), `Base_${fileTimestamp()}.zip`);
+        } catch (err) {
+            console.warn(err);
+            toast.error("ZIP export failed.");
+        }
+    }, [draftData, exportExtras]);
+
+    const exportCsv = useCallback(() => {
+        downloadCsvFile(draftData, `Angles_${fileTimestamp()}.csv`);
     }, [draftData]);
 
-    const triggerImportDb = useCallback(async () => {
-        const ok = await askConfirm("Import will replace all current data. Continue?");
-        if (ok) importDbInputRef.current?.click();
-    }, [askConfirm]);
+    const triggerImportDb = useCallback(() => {
+        importDbInputRef.current?.click();
+    }, []);
+
+    // Sanitized catalogue from a file → import wizard. `envelope` is the parsed export
+    // for its other fields (accounts).
+    const stageImport = useCallback(async (safe, envelope, sourceName) => {
+        if (!safe.holds?.length) {
+            toast.error("Import failed: no holds found.");
+            return;
+        }
+        // Imported images are compared with stored ones by content ref
+        const refs = await imageRefsByValue(safe);
+        setPendingImport({
+            theirs: safe,
+            sourceName,
+            imageKey: (v) => refs.get(v) ?? v,
+            accounts: sanitizeAccounts(envelope?.accounts),
+            jobs: sanitizeJobs(envelope?.jobs),
+            notices: await importNotices(envelope),
+        });
+    }, []);
 
     const handleImportDb = useCallback(async (e) => {
         const file = e.target.files?.[0];
@@ -401,36 +922,142 @@ export function AdminPage({ data, setData, onExit, lastModifiedMs }) {
         if (!file) return;
 
         // Guard against oversized files before reading them into memory.
-        if (file.size / 1024 > MAX_DB_SIZE_KB) {
-            toast.error(`Import too large: ${(file.size / 1024 / 1024).toFixed(1)}MB (max ${(MAX_DB_SIZE_KB / 1024).toFixed(1)}MB).`);
+        if (file.size / 1024 > MAX_IMPORT_FILE_KB) {
+            toast.error(`Import too large: ${(file.size / 1024 / 1024).toFixed(1)}MB (max ${(MAX_IMPORT_FILE_KB / 1024).toFixed(1)}MB).`);
             return;
         }
 
         try {
-            const parsed = await readJsonFile(file);
-            const safe = migrateAndSanitize(parsed);
-            if (!safe.holds?.length) {
-                toast.error("Import failed: no holds found.");
+            if (/\.csv$/i.test(file.name) || file.type === "text/csv") {
+                const rows = parseCsv(await file.text());
+                if (!rows.length) {
+                    toast.error("Import failed: the CSV file is empty.");
+                    return;
+                }
+                setPendingCsv({ rows, sourceName: file.name });
                 return;
             }
 
-            // Sanitized payload must still fit in storage.
-            if (serializedSizeKB(safe) > MAX_DB_SIZE_KB) {
-                toast.error("Import too large after processing. Remove or compress some images.");
+            if (/\.zip$/i.test(file.name) || /zip/.test(file.type)) {
+                const { catalogue, warnings, payload } = await readBundle(await file.arrayBuffer());
+                if (warnings.length) {
+                    toast.error(`${warnings.length} image(s) skipped: ${warnings.slice(0, 3).join("; ")}${warnings.length > 3 ? "; …" : ""}`, { duration: 6000 });
+                }
+                await stageImport(catalogue, payload, file.name);
                 return;
             }
 
-            // P1: backup before import
-            pushBackup(draftData);
+            const envelope = await readJsonFile(file);
+            if (isEncryptedExport(envelope)) {
+                setPendingDecrypt({ file: envelope, sourceName: file.name, error: "" });
+                return;
+            }
+            await stageImport(migrateAndSanitize(envelope), envelope, file.name);
+        } catch (err) {
+            console.warn(err);
+            toast.error(importErrorMessage(err), { duration: 6000 });
+        }
+    }, [stageImport]);
 
-            updateAdminData(safe);
-            setSelectedProduct(null);
-            toast.success("Database imported. Press SAVE to keep changes.");
+    const decryptPendingImport = useCallback(async (passphrase) => {
+        const { file, sourceName } = pendingDecrypt;
+        let payload;
+        try {
+            payload = await decryptExport(file, passphrase);
+        } catch (err) {
+            if (err?.name === "WrongPassphraseError") {
+                setPendingDecrypt((p) => p && { ...p, error: "Wrong passphrase. Try again." });
+                return;
+            }
+            console.warn(err);
+            setPendingDecrypt(null);
+            toast.error(`Import failed: the encrypted file is damaged or was modified (${err?.message ?? "unreadable"}).`, { duration: 6000 });
+            return;
+        }
+        setPendingDecrypt(null);
+        try {
+            await stageImport(migrateAndSanitize(payload), payload, sourceName);
         } catch (err) {
             console.warn(err);
-            toast.error("Import failed: invalid JSON.");
+            toast.error(importErrorMessage(err), { duration: 6000 });
+        }
+    }, [pendingDecrypt, stageImport]);
+
+    const applyImport = useCallback(async (next, mode) => {
+        // Result must still fit in storage.
+        if (serializedSizeKB(next) > catalogueSizeLimitKB()) {
+            toast.error("Import too large after processing. Remove or compress some images.");
+            return;
+        }
+
+        // P1: backup before import
+        pushBackup(draftData);
+        setBackups(loadBackups());
+
+        const name = pendingImport?.sourceName ?? "file";
+        updateAdminData(next, mode === "merge" ? `Merged ${name}` : `Imported ${name}`);
+        setPendingImport(null);
+        setSelectedProduct(null);
+        toast.success(mode === "merge" ? "Import merged. Press SAVE to keep changes." : "Database imported. Press SAVE to keep changes.");
+
+        // Jobs and accounts aren't part of the draft: they apply right away, after asking
+        const importedJobs = pendingImport?.jobs ?? [];
+        if (importedJobs.length && await askConfirm(`The file also has ${importedJobs.length} saved job(s). Add them to this device's jobs?`)) {
+            const mergedJobs = mergeImportedJobs(loadJobs(), importedJobs);
+            if (saveJobs(mergedJobs.jobs)) {
+                onJobsChange?.(mergedJobs.jobs);
+                toast.success(`Jobs: ${mergedJobs.added} added, ${mergedJobs.updated} updated.`);
+            } else {
+                toast.error("Jobs could not be saved.");
+            }
         }
-    }, [draftData, updateAdminData]);
+
+        const imported = pendingImport?.accounts ?? [];
+        if (!canManageUsers || !imported.length) return;
+        if (!(await askConfirm(`The file also has ${imported.length} account(s). Import them into the user list?`))) return;
+        const merged = mergeImportedAccounts(accounts, imported, account?.username);
+        if (merged.error) {
+            toast.error(`Accounts not imported: ${merged.error}.`);
+        } else if (onAccountsChange(merged.accounts)) {
+            toast.success(`Accounts: ${merged.added} added, ${merged.updated} updated.`);
+        } else {
+            toast.error("Accounts could not be saved.");
+        }
+    }, [account?.username, accounts, askConfirm, canManageUsers, draftData, onAccountsChange, onJobsChange, pendingImport, updateAdminData]);
+
+    const backupSummaries = useMemo(
+        () => (sidePanel === "backups" ? backups.map(summarizeBackup) : []),
+        [sidePanel, backups]
+    );
+
+    // Catalogues the compare view can pick from, as they are when it opens; loaded files are added in the dialog
+    const openCompare = useCallback(() => {
+        const backups = loadBackups().map(summarizeBackup).filter((b) => b.data);
+        setCompareSources([
+            { id: "saved", label: "Saved", data },
+            { id: "draft", label: "Current draft", data: draftData },
+            ...backups.map((b, i) => ({ id: `backup:${i}`, label: `Backup ${formatLastModified(b.ts)}`, data: b.data })),
+        ]);
+    }, [data, draftData]);
+
+    const restoreBackup = useCallback(async (entry) => {
+        const ok = await askConfirm(`Restore the backup from ${formatLastModified(entry.ts)} into the draft? The current draft is backed up first.`);
+        if (!ok) return;
+        if (!pushBackup(draftData) && !(await askConfirm("Could not back up the current draft. Restore anyway?"))) return;
+        setBackups(loadBackups());
+        updateAdminData(entry.data, `Restored backup from ${formatLastModified(entry.ts)}`);
+        setSelectedProduct(null);
+        toast.success("Backup restored. Press SAVE to keep changes.");
+    }, [askConfirm, draftData, updateAdminData]);
+
+    const downloadBackup = useCallback(async (entry) => {
+        try {
+            await downloadJsonFile(await resolveImageRefs(entry.data), `Backup_${fileTimestamp(entry.ts ?? Date.now())}.json`, { source: exportSource(APP_VERSION, entry.ts) });
+        } catch (err) {
+            console.warn(err);
+            toast.error("Backup download failed.");
+        }
+    }, []);
 
     const anglesByHold = useMemo(() => {
         const map = new Map();
@@ -444,14 +1071,11 @@ export function AdminPage({ data, setData, onExit, lastModifiedMs }) {
         return map;
     }, [holdsSafe, anglesSafe]);
 
-    const mainAngles = useMemo(
-        () => (selectedProduct ? (anglesByHold.get(selectedProduct) || []).filter((a) => a.saw === "main") : []),
-        [selectedProduct, anglesByHold]
-    );
-    const stefanAngles = useMemo(
-        () => (selectedProduct ? (anglesByHold.get(selectedProduct) || []).filter((a) => a.saw === "stefan") : []),
-        [selectedProduct, anglesByHold]
-    );
+    const sawAngleCounts = useMemo(() => {
+        const map = new Map();
+        anglesSafe.forEach((a) => map.set(a.saw, (map.get(a.saw) ?? 0) + 1));
+        return map;
+    }, [anglesSafe]);
 
     const selectedHoldObj = useMemo(
         () => holdsSafe.find(h => h.id === selectedProduct) ?? null,
@@ -459,20 +1083,26 @@ export function AdminPage({ data, setData, onExit, lastModifiedMs }) {
     );
 
     const selectedCover = selectedHoldObj?.coverImage ?? null;
+    const selectedCoverSrc = useImageSrc(selectedCover);
 
     return (
-        <div style={styles.adminPage} className="admin-page-wrapper">
+        <div
+            style={styles.adminPage}
+            className="admin-page-wrapper"
+            onDragOver={canEdit ? (e) => { if (e.dataTransfer?.types?.includes("Files")) e.preventDefault(); } : undefined}
+            onDrop={canEdit ? handleDrop : undefined}
+        >
             <style>{`
         @media (max-width: 1200px) {
           .admin-grid-container {
-            grid-template-columns: 200px 1fr 1fr !important;
+            grid-template-columns: 200px repeat(${sawsSafe.length}, 1fr) !important;
             grid-template-rows: auto auto !important;
           }
           .admin-grid-container > :nth-child(1) {
             grid-row: 1 / 3;
           }
           .admin-grid-container > :nth-child(2) {
-            grid-column: 2 / 4;
+            grid-column: 2 / -1;
           }
         }
 
@@ -606,7 +1236,7 @@ export function AdminPage({ data, setData, onExit, lastModifiedMs }) {
           }
           .admin-grid-container {
             display: grid !important;
-            grid-template-columns: minmax(180px, 220px) minmax(220px, 260px) minmax(220px, 1fr) minmax(220px, 1fr) !important;
+            grid-template-columns: minmax(180px, 220px) minmax(220px, 260px) repeat(${sawsSafe.length}, minmax(220px, 1fr)) !important;
             grid-template-rows: 1fr !important;
             width: 100% !important;
             max-width: 1500px !important;
@@ -651,7 +1281,7 @@ export function AdminPage({ data, setData, onExit, lastModifiedMs }) {
       `}</style>
 
             <div className="adminSearchFade" style={{ display: "none" }} />
-            <div style={styles.adminGrid} className="admin-grid-container">
+            <div style={{ ...styles.adminGrid, gridTemplateColumns: `220px 260px repeat(${sawsSafe.length}, 1fr)` }} className="admin-grid-container">
                 {/* Left: holds list */}
                 <Card style={styles.card}>
                     <div style={styles.cardBody} className="holdsCardBody">
@@ -683,7 +1313,7 @@ export function AdminPage({ data, setData, onExit, lastModifiedMs }) {
                                 <button
                                     key={h.id}
                                     type="button"
-                                    onClick={() => setSelectedProduct(h.id)}
+                                    onClick={() => { setSelectedProduct(h.id); setSidePanel("hold"); }}
                                     onMouseDown={(e) => { if (e.shiftKey) e.preventDefault(); }}
                                     style={{ ...styles.holdRowBtn, ...(selectedProduct === h.id ? styles.holdRowBtnActive : null) }}
                                 >
@@ -693,45 +1323,178 @@ export function AdminPage({ data, setData, onExit, lastModifiedMs }) {
                         </div>
 
                         <input ref={fileInputRef} type="file" accept="image/*" style={{ display: "none" }} onChange={handleDrawingUpload} />
-                        <input ref={importDbInputRef} type="file" accept="application/json,.json" style={{ display: "none" }} onChange={handleImportDb} />
+                        <input ref={importDbInputRef} type="file" accept="application/json,.json,text/csv,.csv,application/zip,.zip" style={{ display: "none" }} onChange={handleImportDb} />
+                        <input ref={bulkDrawingsInputRef} type="file" accept="image/*" multiple style={{ display: "none" }} onChange={handleBulkDrawingsPicked} />
                         <input ref={holdCoverInputRef} type="file" accept="image/*" style={{ display: "none" }} onChange={handleHoldCoverUpload} />
 
                         <div className="adminFooter" style={{ display: "flex", flexDirection: "column", gap: 8 }}>
                             <div style={styles.footerRow}>
                                 <button style={styles.btnGhost} onClick={handleExit}>BACK</button>
-                                <input
-                                    value={newHoldName}
-                                    onChange={(e) => setNewHoldName(e.target.value)}
-                                    onKeyDown={(e) => e.key === "Enter" && addHold()}
-                                    placeholder="NEW"
-                                    style={{ ...styles.input, flex: 1, minWidth: 0 }}
-                                />
-                                <button style={styles.btnPrimary} onClick={addHold}>+</button>
+                                {canEdit && (
+                                    <>
+                                        <input
+                                            value={newHoldName}
+                                            onChange={(e) => setNewHoldName(e.target.value)}
+                                            onKeyDown={(e) => e.key === "Enter" && addHold()}
+                                            placeholder="NEW"
+                                            style={{ ...styles.input, flex: 1, minWidth: 0 }}
+                                        />
+                                        <button style={styles.btnPrimary} onClick={addHold}>+</button>
+                                    </>
+                                )}
                             </div>
 
-                            <button
-                                type="button"
-                                style={{ ...styles.btnGhost, width: "100%" }}
-                                onClick={handleSave}
-                                title="Save all changes"
-                            >
-                                <SaveIcon />
-                                SAVE{hasUnsavedChanges ? " *" : ""}
-                            </button>
+                            {hasConflict && (
+                                <div style={{ display: "flex", flexDirection: "column", gap: 6, padding: 8, borderRadius: 10, border: `1px solid ${theme.colors.dangerBorder}`, background: theme.colors.dangerBg, color: theme.colors.dangerText, fontSize: 12, lineHeight: 1.3 }}>
+                                    Another tab saved the catalogue while you were editing. Saving here overwrites it.
+                                    <button type="button" style={styles.btnSmallGhost} onClick={discardDraft}>Load saved version</button>
+                                </div>
+                            )}
+
+                            {canEdit && (
+                                <>
+                                    <div style={{ display: "flex", gap: 8 }}>
+                                        <button
+                                            type="button"
+                                            style={{ ...styles.btnGhost, flex: 1, opacity: undoLabel ? 1 : 0.4 }}
+                                            onClick={undo}
+                                            disabled={!undoLabel}
+                                            title={undoLabel ? `Undo: ${undoLabel} (Ctrl+Z)` : "Nothing to undo"}
+                                        >
+                                            ↶ UNDO
+                                        </button>
+                                        <button
+                                            type="button"
+                                            style={{ ...styles.btnGhost, flex: 1, opacity: redoLabel ? 1 : 0.4 }}
+                                            onClick={redo}
+                                            disabled={!redoLabel}
+                                            title={redoLabel ? `Redo: ${redoLabel} (Ctrl+Shift+Z)` : "Nothing to redo"}
+                                        >
+                                            REDO ↷
+                                        </button>
+                                    </div>
+
+                                    <button
+                                        type="button"
+                                        style={{ ...styles.btnGhost, width: "100%" }}
+                                        onClick={handleSave}
+                                        title="Save all changes"
+                                    >
+                                        <SaveIcon />
+                                        SAVE{hasUnsavedChanges ? " *" : ""}
+                                    </button>
+                                </>
+                            )}
 
                             <div style={{ display: "flex", gap: 8 }}>
                                 <button style={{ ...styles.btnGhost, flex: 1 }} onClick={exportDb}>EXPORT</button>
-                                <button style={{ ...styles.btnGhost, flex: 1 }} onClick={triggerImportDb}>IMPORT</button>
+                                <button style={{ ...styles.btnGhost, flex: 1 }} onClick={exportZip} title="Export with drawings as separate image files">ZIP</button>
+                                <button style={{ ...styles.btnGhost, flex: 1 }} onClick={exportCsv} title="Export angles as CSV">CSV</button>
+                            </div>
+                            <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 11, color: theme.colors.textTertiary }}>
+                                <input type="checkbox" checked={encryptExport} onChange={(e) => setEncryptExport(e.target.checked)} />
+                                Encrypt EXPORT with a passphrase
+                            </label>
+                            {canManageUsers && (
+                                <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 11, color: theme.colors.textTertiary }}>
+                                    <input type="checkbox" checked={exportCredentials} onChange={(e) => setExportCredentials(e.target.checked)} />
+                                    Include PIN hashes in export
+                                </label>
+                            )}
+                            {(canImport || canEdit) && (
+                                <div style={{ display: "flex", gap: 8 }}>
+                                    {canImport && <button style={{ ...styles.btnGhost, flex: 1 }} onClick={triggerImportDb}>IMPORT</button>}
+                                    {canEdit && (
+                                        <button
+                                            style={{ ...styles.btnGhost, flex: 1 }}
+                                            onClick={() => bulkDrawingsInputRef.current?.click()}
+                                            title="Upload many drawings at once, matched by file name (or drop a folder here)"
+                                        >
+                                            DRAWINGS
+                                        </button>
+                                    )}
+                                </div>
+                            )}
+
+                            <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+                                {canEdit && (
+                                    <button
+                                        type="button"
+                                        style={{ ...styles.btnGhost, flex: 1 }}
+                                        onClick={() => setSidePanel((p) => (p === "saws" ? "hold" : "saws"))}
+                                    >
+                                        SAWS
+                                    </button>
+                                )}
+                                {canEdit && (
+                                    <button
+                                        type="button"
+                                        style={{ ...styles.btnGhost, flex: 1 }}
+                                        onClick={() => setSidePanel((p) => (p === "calculator" ? "hold" : "calculator"))}
+                                        title="Miter and compound angle calculator"
+                                    >
+                                        CALC
+                                    </button>
+                                )}
+                                <button
+                                    type="button"
+                                    style={{ ...styles.btnGhost, flex: 1 }}
+                                    onClick={() => {
+                                        setBackups(loadBackups());
+                                        setSidePanel((p) => (p === "backups" ? "hold" : "backups"));
+                                    }}
+                                >
+                                    BACKUPS
+                                </button>
+                                <button
+                                    type="button"
+                                    style={{ ...styles.btnGhost, flex: 1 }}
+                                    onClick={openCompare}
+                                >
+                                    COMPARE
+                                </button>
+                                {canManageUsers && (
+                                    <button
+                                        type="button"
+                                        style={{ ...styles.btnGhost, flex: 1 }}
+                                        onClick={() => setSidePanel((p) => (p === "users" ? "hold" : "users"))}
+                                    >
+                                        USERS
+                                    </button>
+                                )}
                             </div>
 
                             <div className="adminFooterMeta" style={{ fontSize: 11, color: theme.colors.textTertiary, lineHeight: 1.3 }}>
-                                Import replaces all current data. Unsaved changes will be lost.
+                                Import lets you merge the file into the draft or replace it. Nothing changes until you apply. Drop image files or a folder anywhere here to upload drawings in bulk.
+                            </div>
+
+                            <div className="adminFooterMeta" style={{ fontSize: 11, color: theme.colors.textTertiary, lineHeight: 1.2 }}>
+                                Signed in as {account?.username} ({account?.role}) ·{" "}
+                                <button
+                                    type="button"
+                                    onClick={() => setShowChangePin(true)}
+                                    style={{ background: "none", border: "none", padding: 0, minHeight: 0, font: "inherit", color: "inherit", textDecoration: "underline", cursor: "pointer" }}
+                                >
+                                    Change PIN
+                                </button>
+                                {" · "}
+                                <button
+                                    type="button"
+                                    onClick={() => { setRememberToken(loadRememberToken()); setSidePanel((p) => (p === "session" ? "hold" : "session")); }}
+                                    style={{ background: "none", border: "none", padding: 0, minHeight: 0, font: "inherit", color: "inherit", textDecoration: "underline", cursor: "pointer" }}
+                                >
+                                    Session
+                                </button>
                             </div>
 
                             <div className="adminFooterMeta" style={{ fontSize: 11, color: theme.colors.textTertiary, lineHeight: 1.2 }}>
                                 Last modified: {formatLastModified(lastModifiedMs)}
                             </div>
 
+                            <div className="adminFooterMeta" style={{ fontSize: 11, color: theme.colors.textTertiary, lineHeight: 1.2 }}>
+                                Storage: {getStorageBackend() === "indexeddb" ? "IndexedDB" : "localStorage"}
+                            </div>
+
                             <div className="adminFooterMeta" style={{ fontSize: 11, color: theme.colors.textTertiary, lineHeight: 1.2 }}>
                                 AVA Volumes © {new Date().getFullYear()} — v{APP_VERSION}
                             </div>
@@ -739,50 +1502,99 @@ export function AdminPage({ data, setData, onExit, lastModifiedMs }) {
                     </div>
                 </Card>
 
-                {/* Hold panel */}
+                {/* Hold panel / saw registry */}
                 <Card style={styles.card}>
                     <div style={styles.tableBody}>
-                        <div style={styles.tableTitleCenter}>HOLD</div>
-
-                        {selectedProduct ? (
+                        <div style={styles.tableTitleCenter}>{sidePanel.toUpperCase()}</div>
+
+                        {sidePanel === "backups" ? (
+                            <BackupsPanel
+                                backups={backupSummaries}
+                                current={draftData}
+                                onRestore={canImport ? restoreBackup : undefined}
+                                onDownload={downloadBackup}
+                                onClose={() => setSidePanel("hold")}
+                                styles={styles}
+                            />
+                        ) : sidePanel === "session" ? (
+                            <SessionPanel
+                                settings={sessionSettings}
+                                onChange={changeSessionSettings}
+                                canConfigure={canManageUsers}
+                                rememberToken={rememberToken}
+                                onRevoke={revokeRemember}
+                                onClose={() => setSidePanel("hold")}
+                                styles={styles}
+                            />
+                        ) : sidePanel === "users" && canManageUsers ? (
+                            <UsersPanel
+                                accounts={accounts}
+                                currentUsername={account?.username}
+                                onChange={onAccountsChange}
+                                styles={styles}
+                            />
+                        ) : sidePanel === "saws" && canEdit ? (
+                            <SawsPanel
+                                saws={sawsSafe}
+                                angleCounts={sawAngleCounts}
+                                onAdd={addSaw}
+                                onUpdate={updateSaw}
+                                onRemove={removeSaw}
+                                onMove={moveSaw}
+                                onClose={() => setSidePanel("hold")}
+                                styles={styles}
+                            />
+                        ) : sidePanel === "calculator" && canEdit ? (
+                            <CalculatorPanel
+                                saws={sawsSafe}
+                                productName={selectedProduct ? selectedHoldObj?.name : null}
+                                onInsert={addCalculatedAngle}
+                                onClose={() => setSidePanel("hold")}
+                                styles={styles}
+                            />
+                        ) : selectedProduct ? (
                             !editingHold ? (
                                 <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
                                     <div style={{ fontSize: 16, color: theme.colors.textPrimary, fontWeight: 600, overflow: "hidden", textOverflow: "ellipsis" }}>
                                         {selectedHoldObj?.name ?? ''}
                                     </div>
 
-                                    <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
-                                        <button style={styles.btnSmallGhost} onClick={() => startRenameHold(selectedProduct)}>Edit</button>
-                                        <button style={styles.btnX} onClick={() => confirmRemoveHold()}>×</button>
-                                    </div>
+                                    {canEdit && (
+                                        <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                                            <button style={styles.btnSmallGhost} onClick={() => startRenameHold(selectedProduct)}>Edit</button>
+                                            <button style={styles.btnX} onClick={() => confirmRemoveHold()}>×</button>
+                                        </div>
+                                    )}
 
                                     <div style={{ display: "flex", flexDirection: "column", gap: 8, marginTop: 6 }}>
                                         <div style={{ fontSize: 11, color: theme.colors.textTertiary }}>Hold cover</div>
 
-                                        <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
-                                            <button
-                                                type="button"
-                                                style={styles.btnSmallGhost}
-                                                onClick={() => {
-                                                    uploadHoldIdRef.current = selectedProduct;
-                                                    holdCoverInputRef.current?.click();
-                                                }}
-                                            >
-                                                {selectedCover ? "Change photo" : "Upload photo"}
-                                            </button>
-
-                                            {selectedCover ? (
-                                                <button type="button" style={styles.btnSmallGhost} onClick={() => removeHoldCover(selectedProduct)}>
-                                                    Remove
+                                        {canEdit && (
+                                            <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+                                                <button
+                                                    type="button"
+                                                    style={styles.btnSmallGhost}
+                                                    onClick={() => {
+                                                        uploadHoldIdRef.current = selectedProduct;
+                                                        holdCoverInputRef.current?.click();
+                                                    }}
+                                                >
+                                                    {selectedCover ? "Change photo" : "Upload photo"}
                                                 </button>
-                                            ) : null}
-                                        </div>
+
+                                                {selectedCover ? (
+                                                    <button type="button" style={styles.btnSmallGhost} onClick={() => removeHoldCover(selectedProduct)}>
+                                                        Remove
+                                                    </button>
+                                                ) : null}
+                                            </div>
+                                        )}
 
                                         {selectedCover ? (
                                             <img
-                                                src={selectedCover}
+                                                src={selectedCoverSrc ?? undefined}
                                                 alt=""
-                                                onClick={() => setZoomedImage(selectedCover)}
+                                                onClick={() => selectedCoverSrc && setZoomedImage(selectedCoverSrc)}
                                                 style={{
                                                     width: "100%",
                                                     maxHeight: 220,
@@ -822,73 +1634,45 @@ export function AdminPage({ data, setData, onExit, lastModifiedMs }) {
                     </div>
                 </Card>
 
-                {/* MAIN */}
-                <Card style={styles.card}>
-                    <div style={styles.tableBody}>
-                        <div style={styles.tableTitleCenter}>MAIN</div>
-                        <div style={styles.table}>
-                            {selectedProduct ? (
-                                <>
-                                    {mainAngles.map((a) => (
-                                        <AdminAngleRow styles={styles}
-                                            key={a.id}
-                                            angle={a}
-                                            onUpdate={(patch) => updateAngle(a.id, patch)}
-                                            onRemove={() => removeAngle(a.id)}
-                                            onUpload={() => {
-                                                uploadTargetIdRef.current = a.id;
-                                                fileInputRef.current?.click();
-                                            }}
-                                            onRemoveImage={async () => {
-                                                if (await askConfirm("Remove image?")) updateAngle(a.id, { drawing: null });
-                                            }}
-                                            onZoomImage={setZoomedImage}
-                                        />
-                                    ))}
-                                    <button style={{ ...styles.btnGhost, marginTop: 6 }} onClick={() => addAngleForHold(selectedProduct, "main")}>
-                                        + Add Main Angle
-                                    </button>
-                                </>
-                            ) : (
-                                <div style={styles.tableEmpty} />
-                            )}
-                        </div>
-                    </div>
-                </Card>
-
-                {/* STEFAN */}
-                <Card style={styles.card}>
-                    <div style={styles.tableBody}>
-                        <div style={styles.tableTitleCenter}>STEFAN</div>
-                        <div style={styles.table}>
-                            {selectedProduct ? (
-                                <>
-                                    {stefanAngles.map((a) => (
-                                        <AdminAngleRow styles={styles}
-                                            key={a.id}
-                                            angle={a}
-                                            onUpdate={(patch) => updateAngle(a.id, patch)}
-                                            onRemove={() => removeAngle(a.id)}
-                                            onUpload={() => {
-                                                uploadTargetIdRef.current = a.id;
-                                                fileInputRef.current?.click();
-                                            }}
-                                            onRemoveImage={async () => {
-                                                if (await askConfirm("Remove image?")) updateAngle(a.id, { drawing: null });
-                                            }}
-                                            onZoomImage={setZoomedImage}
-                                        />
-                                    ))}
-                                    <button style={{ ...styles.btnGhost, marginTop: 6 }} onClick={() => addAngleForHold(selectedProduct, "stefan")}>
-                                        + Add Stefan Angle
-                                    </button>
-                                </>
-                            ) : (
-                                <div style={styles.tableEmpty} />
-                            )}
+                {/* One column per saw */}
+                {sawsSafe.map((saw) => (
+                    <Card key={saw.id} style={styles.card}>
+                        <div style={styles.tableBody}>
+                            <div style={styles.tableTitleCenter}>{saw.name}</div>
+                            <div style={styles.table}>
+                                {selectedProduct ? (
+                                    <>
+                                        {(anglesByHold.get(selectedProduct) || []).filter((a) => a.saw === saw.id).map((a) => (
+                                            <AdminAngleRow styles={styles}
+                                                key={a.id}
+                                                angle={a}
+                                                saw={saw}
+                                                onUpdate={(patch) => updateAngle(a.id, patch)}
+                                                onRemove={() => removeAngle(a.id)}
+                                                onUpload={() => {
+                                                    uploadTargetIdRef.current = a.id;
+                                                    fileInputRef.current?.click();
+                                                }}
+                                                onRemoveImage={async () => {
+                                                    if (await askConfirm("Remove image?")) updateAngle(a.id, { drawing: null });
+                                                }}
+                                                onZoomImage={setZoomedImage}
+                                                readOnly={!canEdit}
+                                            />
+                                        ))}
+                                        {canEdit && (
+                                            <button style={{ ...styles.btnGhost, marginTop: 6 }} onClick={() => addAngleForHold(selectedProduct, saw)}>
+                                                + Add {saw.name} Angle
+                                            </button>
+                                        )}
+                                    </>
+                                ) : (
+                                    <div style={styles.tableEmpty} />
+                                )}
+                            </div>
                         </div>
-                    </div>
-                </Card>
+                    </Card>
+                ))}
             </div>
 
             {zoomedImage && (
@@ -898,6 +1682,107 @@ export function AdminPage({ data, setData, onExit, lastModifiedMs }) {
                 </div>
             )}
 
+            {pendingCsv && (
+                <CsvImportDialog
+                    rows={pendingCsv.rows}
+                    base={draftData}
+                    sourceName={pendingCsv.sourceName}
+                    onContinue={(catalogue) => {
+                        setPendingCsv(null);
+                        // Drawings kept from the draft are refs already, so compare them as-is
+                        setPendingImport({ theirs: migrateStoredCatalogue(catalogue), sourceName: pendingCsv.sourceName, imageKey: (v) => v });
+                    }}
+                    onCancel={() => setPendingCsv(null)}
+                    styles={styles}
+                />
+            )}
+
+            {pendingDrawings && (
+                <BulkDrawingDialog
+                    files={pendingDrawings}
+                    data={draftData}
+                    onApply={applyBulkDrawings}
+                    onCancel={() => setPendingDrawings(null)}
+                    styles={styles}
+                />
+            )}
+
+            {askExportPassphrase && (
+                <PassphraseDialog
+                    title="Encrypted export"
+                    message="Anyone with this passphrase can open the file. It can't be recovered if forgotten — share it by another channel than the file."
+                    confirm
+                    submitLabel="Export"
+                    onSubmit={exportEncrypted}
+                    onCancel={() => setAskExportPassphrase(false)}
+                    styles={styles}
+                />
+            )}
+
+            {compareSources && (
+                <CompareDialog
+                    sources={compareSources}
+                    initialBefore="saved"
+                    initialAfter="draft"
+                    onClose={() => setCompareSources(null)}
+                    styles={styles}
+                />
+            )}
+
+            {pendingDecrypt && (
+                <PassphraseDialog
+                    title={`Open ${pendingDecrypt.sourceName}`}
+                    message={`This file is encrypted${pendingDecrypt.file.appVersion ? ` (exported by v${pendingDecrypt.file.appVersion})` : ""}. Enter its passphrase.`}
+                    submitLabel="Decrypt"
+                    error={pendingDecrypt.error}
+                    onSubmit={decryptPendingImport}
+                    onCancel={() => setPendingDecrypt(null)}
+                    styles={styles}
+                />
+            )}
+
+            {idleWarningMs !== null && (
+                <div style={{ position: "fixed", inset: 0, zIndex: 300, background: "rgba(0,0,0,0.4)", display: "flex", alignItems: "center", justifyContent: "center", padding: 20 }}>
+                    <div style={{ background: "#fff", borderRadius: 10, padding: 20, maxWidth: 320, width: "100%", display: "flex", flexDirection: "column", gap: 12, boxSizing: "border-box", textAlign: "center" }}>
+                        <div style={{ fontSize: 14, fontWeight: 600 }}>Still there?</div>
+                        <div style={{ fontSize: 12, color: theme.colors.textSecondary, lineHeight: 1.5 }}>
+                            You'll be signed out in {formatCountdown(idleWarningMs)} due to inactivity.
+                            {hasUnsavedChanges && " Unsaved changes are kept for your next login."}
+                        </div>
+                        <button
+                            type="button"
+                            style={styles.btnPrimary}
+                            onClick={() => { lastActivityRef.current = Date.now(); setIdleWarning(null); }}
+                        >
+                            Stay signed in
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {showChangePin && account && (
+                <ChangePinDialog
+                    account={account}
+                    accounts={accounts}
+                    onAccountsChange={onAccountsChange}
+                    onClose={() => setShowChangePin(false)}
+                    styles={styles}
+                />
+            )}
+
+            {pendingImport && (
+                <ImportWizard
+                    mine={draftData}
+                    theirs={pendingImport.theirs}
+                    sourceName={pendingImport.sourceName}
+                    imageKey={pendingImport.imageKey}
+                    notices={pendingImport.notices}
+                    onApply={applyImport}
+                    onCancel={() => setPendingImport(null)}
+                    styles={styles}
+                />
+            )}
+
             {confirmState && (
                 <ConfirmDialog
                     message={confirmState.message}
@@ -1,13 +1,18 @@
 import React from 'react';
-import { toAngleLabel } from '../domain/angles.js';
+import { toCutLabel, hasLongCutLabels } from '../domain/angles.js';
 
 export function AngleTable({ rows, onPick, styles }) {
+    // Compound cuts ("45° / 33.9° L") need a wider angle column
+    const rowStyle = hasLongCutLabels(rows) ? { ...styles.tableRow, gridTemplateColumns: "120px 1fr" } : styles.tableRow;
     return (
         <div style={styles.table} className="print-table-container">
             {rows.map((r) => (
-                <button key={r.id} onClick={() => onPick(r.id)} style={styles.tableRow} className="print-table-row">
-                    <span style={styles.angleCell}>{toAngleLabel(r.value)}</span>
-                    <span style={styles.nameCell}>{r.hold}</span>
+                <button key={r.id} onClick={() => onPick(r.id)} style={rowStyle} className="print-table-row">
+                    <span style={styles.angleCell}>{toCutLabel(r)}</span>
+                    <span style={styles.nameCell}>
+                        {r.hold}
+                        {r.total > 1 && <strong> ×{r.total}</strong>}
+                    </span>
                 </button>
             ))}
             {rows.length === 0 ? <div style={styles.tableEmpty} /> : null}
@@ -0,0 +1,59 @@
+import React, { useMemo, useState } from 'react';
+import { diffCatalogues } from '../domain/diff.js';
+import { formatLastModified } from '../utils/format.js';
+import { DiffSummary } from './DiffSummary.jsx';
+import { theme } from '../styles/theme.js';
+
+/* Backup ring browser: pick a snapshot, see what restoring it would change, restore or download */
+export function BackupsPanel({ backups, current, onRestore, onDownload, onClose, styles }) {
+    const [selected, setSelected] = useState(null);
+
+    const entry = selected === null ? null : backups[selected] ?? null;
+    const diff = useMemo(
+        () => (entry?.data ? diffCatalogues(current, entry.data) : null),
+        [entry, current]
+    );
+
+    return (
+        <div style={{ display: "flex", flexDirection: "column", gap: 8, minHeight: 0, overflowY: "auto" }}>
+            {backups.length === 0 && (
+                <div style={{ fontSize: 12, color: theme.colors.textMuted }}>
+                    No backups yet. A snapshot is taken before every import or restore.
+                </div>
+            )}
+
+            {backups.map((b, i) => (
+                <button
+                    key={`${b.ts}-${i}`}
+                    type="button"
+                    onClick={() => setSelected(i === selected ? null : i)}
+                    style={{ ...styles.holdRowBtn, ...(i === selected ? { ...styles.holdRowBtnActive, borderColor: theme.colors.borderMedium } : null), flexDirection: "column", alignItems: "flex-start", gap: 2 }}
+                >
+                    <span style={{ fontSize: 13, fontWeight: 600 }}>{formatLastModified(b.ts)}</span>
+                    <span style={{ fontSize: 11, color: theme.colors.textTertiary }}>
+                        {b.data
+                            ? `${b.products} product(s) · ${b.angles} angle(s) · ${b.sizeKB.toFixed(0)} KB`
+                            : `Unreadable: ${b.error}`}
+                    </span>
+                </button>
+            ))}
+
+            {entry?.data && (
+                <div style={{ display: "flex", flexDirection: "column", gap: 8, borderTop: `1px solid ${theme.colors.borderLight}`, paddingTop: 8 }}>
+                    <div style={{ fontSize: 11, color: theme.colors.textTertiary }}>Restoring changes the draft as follows</div>
+                    <DiffSummary diff={diff} />
+                    <div style={{ display: "flex", gap: 6 }}>
+                        {onRestore && (
+                            <button type="button" style={styles.btnSmallPrimary} onClick={async () => { await onRestore(entry); setSelected(null); }}>Restore</button>
+                        )}
+                        <button type="button" style={styles.btnSmallGhost} onClick={() => onDownload(entry)}>Download</button>
+                    </div>
+                </div>
+            )}
+
+            <button type="button" style={{ ...styles.btnGhost, marginTop: 6 }} onClick={onClose}>DONE</button>
+        </div>
+    );
+}
+
+export default BackupsPanel;
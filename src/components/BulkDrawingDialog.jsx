@@ -0,0 +1,131 @@
+import React, { useMemo, useState } from 'react';
+import { toCutLabel } from '../domain/angles.js';
+import { matchDrawingFiles } from '../domain/drawingMatch.js';
+import { getSaws, findSawById } from '../domain/saws.js';
+import { compressImageFile } from '../utils/image.js';
+import { theme } from '../styles/theme.js';
+
+const STATUS_ORDER = ["matched", "ambiguous", "unmatched"];
+const STATUS_LABELS = { matched: "MATCHED", ambiguous: "AMBIGUOUS", unmatched: "UNMATCHED" };
+
+/**
+ * Preview for bulk drawing upload: every file is matched to an angle by its name,
+ * ambiguous ones can be assigned by hand. On apply the images are compressed and
+ * handed back as onApply(Map angleId → dataUrl, failedFileNames).
+ */
+export function BulkDrawingDialog({ files, data, onApply, onCancel, styles }) {
+    const results = useMemo(() => matchDrawingFiles(files.map((f) => f.name), data), [files, data]);
+    // file index → chosen angle id ("" = skip) for ambiguous files
+    const [choices, setChoices] = useState({});
+    const [progress, setProgress] = useState(null); // { done, total } while compressing
+
+    const saws = useMemo(() => getSaws(data), [data]);
+    const angleText = (id) => {
+        const a = data.angles.find((x) => x.id === id);
+        if (!a) return id;
+        const hold = data.holds.find((h) => h.id === a.holdId)?.name ?? a.holdId;
+        return `${hold} ${findSawById(saws, a.saw)?.name ?? a.saw} ${toCutLabel(a)}${a.drawing ? " (replaces drawing)" : ""}`;
+    };
+
+    // Later files win when two are assigned to the same angle
+    const assignments = useMemo(() => {
+        const map = new Map();
+        results.forEach((r, i) => {
+            const angleId = r.status === "matched" ? r.angleId : r.status === "ambiguous" ? choices[i] : "";
+            if (angleId) map.set(angleId, i);
+        });
+        return map;
+    }, [results, choices]);
+
+    const counts = useMemo(() => {
+        const c = { matched: 0, ambiguous: 0, unmatched: 0 };
+        for (const r of results) c[r.status]++;
+        return c;
+    }, [results]);
+
+    const ordered = useMemo(
+        () => results.map((r, i) => ({ ...r, index: i })).sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status)),
+        [results]
+    );
+
+    const apply = async () => {
+        const drawings = new Map();
+        const failed = [];
+        const jobs = [...assignments];
+        setProgress({ done: 0, total: jobs.length });
+        for (const [angleId, index] of jobs) {
+            try {
+                drawings.set(angleId, await compressImageFile(files[index]));
+            } catch (err) {
+                console.warn("Image upload failed:", files[index].name, err);
+                failed.push(files[index].name);
+            }
+            setProgress((p) => ({ ...p, done: p.done + 1 }));
+        }
+        onApply(drawings, failed);
+    };
+
+    const busy = progress !== null;
+
+    return (
+        <div style={{ position: "fixed", inset: 0, zIndex: 300, background: "rgba(0,0,0,0.4)", display: "flex", alignItems: "center", justifyContent: "center", padding: 20 }}>
+            <div style={{ background: "#fff", borderRadius: 10, padding: 20, maxWidth: 640, width: "100%", maxHeight: "85vh", display: "flex", flexDirection: "column", gap: 12, boxSizing: "border-box" }}>
+                <div style={{ fontSize: 14, fontWeight: 600 }}>Upload {files.length} drawing(s)</div>
+
+                <div style={{ fontSize: 12, color: theme.colors.textSecondary, lineHeight: 1.5 }}>
+                    Files are matched by name: <code>product_saw_angle.png</code>, e.g. <code>Austin_main_28.2.png</code>.
+                    <br />
+                    {counts.matched} matched · {counts.ambiguous} ambiguous · {counts.unmatched} unmatched
+                </div>
+
+                <div style={{ display: "flex", flexDirection: "column", overflowY: "auto", minHeight: 0, borderTop: `1px solid ${theme.colors.borderLight}` }}>
+                    {ordered.map((r) => {
+                        const target = r.status === "matched" ? r.angleId : choices[r.index];
+                        return (
+                            <div key={r.index} style={{ display: "flex", alignItems: "center", gap: 8, padding: "6px 0", borderBottom: `1px solid ${theme.colors.borderLight}` }}>
+                                <div style={{ flex: 1, minWidth: 0 }}>
+                                    <div style={{ fontSize: 12, fontWeight: 600, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{r.name}</div>
+                                    <span style={{ fontSize: 10, fontWeight: 700, letterSpacing: 0.5, color: r.status === "unmatched" ? theme.colors.dangerText : r.status === "matched" ? theme.colors.successText : theme.colors.textTertiary }}>
+                                        {STATUS_LABELS[r.status]}
+                                    </span>
+                                    <span style={{ fontSize: 11, color: theme.colors.textTertiary }}>
+                                        {r.status === "matched" && ` · ${angleText(r.angleId)}${r.note ? ` · ${r.note}` : ""}`}
+                                        {r.status !== "matched" && ` · ${r.reason}`}
+                                        {target && assignments.get(target) !== r.index && " · superseded by a later file"}
+                                    </span>
+                                </div>
+                                {r.status === "ambiguous" && (
+                                    <select
+                                        value={choices[r.index] ?? ""}
+                                        onChange={(e) => setChoices((prev) => ({ ...prev, [r.index]: e.target.value }))}
+                                        style={{ ...styles.input, height: 32, maxWidth: 240, minWidth: 0 }}
+                                        disabled={busy}
+                                    >
+                                        <option value="">Skip</option>
+                                        {r.candidates.map((id) => (
+                                            <option key={id} value={id}>{angleText(id)}</option>
+                                        ))}
+                                    </select>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+
+                <div style={{ display: "flex", gap: 8 }}>
+                    <button type="button" style={{ ...styles.btnGhost, flex: 1, height: 44 }} onClick={onCancel} disabled={busy}>Cancel</button>
+                    <button
+                        type="button"
+                        style={{ ...styles.btnPrimary, flex: 1, height: 44, opacity: assignments.size && !busy ? 1 : 0.4 }}
+                        disabled={!assignments.size || busy}
+                        onClick={apply}
+                    >
+                        {busy ? `Processing ${progress.done}/${progress.total}…` : `Upload ${assignments.size} drawing(s)`}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default BulkDrawingDialog;
@@ -0,0 +1,108 @@
+import React, { useMemo, useState } from 'react';
+import { calculateCut, SAW_REFERENCES } from '../domain/miterCalc.js';
+import { toAngleLabel, toCutLabel } from '../domain/angles.js';
+import { findSawById, sawHasBevel } from '../domain/saws.js';
+import { theme } from '../styles/theme.js';
+
+// Reference convention per saw id, remembered between visits
+const LS_CALC_REFERENCE_KEY = "angles_calc_reference";
+
+function loadReferences() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(LS_CALC_REFERENCE_KEY) || "{}");
+        return parsed && typeof parsed === "object" ? parsed : {};
+    } catch {
+        return {};
+    }
+}
+
+/* Why the result can't go on `saw` as it is, or null */
+function rangeProblem(result, saw) {
+    if (result.miter < saw.min || result.miter > saw.max) return `Miter ${toAngleLabel(result.miter)} is outside ${saw.name} (${saw.min}–${saw.max}°).`;
+    if (result.bevel > 0 && !sawHasBevel(saw)) return `${saw.name} has no bevel; set its bevel range under SAWS.`;
+    if (result.bevel > (saw.bevelMax ?? 0)) return `Bevel ${toAngleLabel(result.bevel)} is outside ${saw.name} (0–${saw.bevelMax}°).`;
+    return null;
+}
+
+/* Miter / compound calculator shown in the admin side panel; inserts the result as an angle of the selected product */
+export function CalculatorPanel({ saws, productName, onInsert, onClose, styles }) {
+    const [corner, setCorner] = useState("90");
+    const [sides, setSides] = useState("");
+    const [spring, setSpring] = useState("");
+    const [sawId, setSawId] = useState(() => saws[0]?.id ?? "");
+    const [references, setReferences] = useState(loadReferences);
+
+    const saw = findSawById(saws, sawId) ?? saws[0];
+    const reference = references[saw?.id] ?? "zero";
+    const result = useMemo(() => calculateCut({ corner, sides, spring, reference }), [corner, sides, spring, reference]);
+    const problem = !result.error && saw ? rangeProblem(result, saw) : null;
+
+    const changeReference = (value) => {
+        const next = { ...references, [saw.id]: value };
+        setReferences(next);
+        try { localStorage.setItem(LS_CALC_REFERENCE_KEY, JSON.stringify(next)); } catch {}
+    };
+
+    const field = (label, value, onChange, placeholder, title) => (
+        <label style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8, fontSize: 12, color: theme.colors.textSecondary }} title={title}>
+            {label}
+            <input
+                value={value}
+                inputMode="decimal"
+                placeholder={placeholder}
+                onChange={(e) => onChange(e.target.value)}
+                style={{ ...styles.adminAngleInput, width: 80 }}
+            />
+        </label>
+    );
+
+    return (
+        <div style={{ display: "flex", flexDirection: "column", gap: 8, minHeight: 0, overflowY: "auto" }}>
+            {field("Corner angle °", corner, setCorner, "90", "Angle between the two pieces: 90 for a square corner")}
+            {field("Number of sides", sides, setSides, "—", "For a regular polygon; replaces the corner angle")}
+            {field("Spring angle °", spring, setSpring, "flat", "Crown molding: angle between its back and the wall (38 for 52/38, 45 for 45/45). Leave empty for flat stock")}
+
+            <label style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8, fontSize: 12, color: theme.colors.textSecondary }}>
+                Saw
+                <select value={saw?.id ?? ""} onChange={(e) => setSawId(e.target.value)} style={{ ...styles.input, width: 120, height: 28 }}>
+                    {saws.map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+                </select>
+            </label>
+            <label style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8, fontSize: 12, color: theme.colors.textSecondary }}>
+                Miter scale
+                <select value={reference} onChange={(e) => changeReference(e.target.value)} style={{ ...styles.input, width: 120, height: 28 }}>
+                    {SAW_REFERENCES.map((r) => <option key={r.id} value={r.id}>{r.label}</option>)}
+                </select>
+            </label>
+
+            <div style={{ borderTop: `1px solid ${theme.colors.borderLight}`, paddingTop: 8, display: "flex", flexDirection: "column", gap: 4 }}>
+                {result.error ? (
+                    <div style={{ fontSize: 12, color: theme.colors.dangerText }}>{result.error}.</div>
+                ) : (
+                    <>
+                        <div style={{ fontSize: 16, fontWeight: 700, color: theme.colors.textPrimary }}>
+                            {toCutLabel({ value: result.miter, bevel: result.bevel })}
+                        </div>
+                        <div style={{ fontSize: 11, color: theme.colors.textTertiary }}>
+                            Miter {result.miter}°{result.bevel > 0 ? ` · bevel ${result.bevel}°` : " · no bevel"} · corner {result.corner}°
+                        </div>
+                        {problem && <div style={{ fontSize: 12, color: theme.colors.dangerText }}>{problem}</div>}
+                    </>
+                )}
+            </div>
+
+            <button
+                type="button"
+                style={{ ...styles.btnSmallPrimary, ...(!productName || result.error || problem ? { opacity: 0.4 } : {}) }}
+                disabled={!productName || !!result.error || !!problem}
+                onClick={() => onInsert(saw, { value: result.miter, bevel: result.bevel })}
+            >
+                {productName ? `Add to ${productName} on ${saw?.name}` : "Select a product to add"}
+            </button>
+
+            <button type="button" style={{ ...styles.btnGhost, marginTop: 6 }} onClick={onClose}>DONE</button>
+        </div>
+    );
+}
+
+export default CalculatorPanel;
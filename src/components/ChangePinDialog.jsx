@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { createCredential, verifyCredential } from '../storage/auth.js';
+import { loadLoginThrottle, lockRemainingMs, recordLoginFailure, recordLoginSuccess } from '../storage/loginThrottle.js';
+import { generateRecoveryCodes, hashRecoveryCodes } from '../storage/recoveryCodes.js';
+import { isStrongAdminPassword } from '../domain/validation.js';
+import { formatCountdown } from '../utils/format.js';
+import { PasswordInput } from './PasswordInput.jsx';
+import { RecoveryCodesDialog } from './RecoveryCodesDialog.jsx';
+import { theme } from '../styles/theme.js';
+
+/**
+ * Change the signed-in account's PIN, or replace its recovery codes. Both need the
+ * current PIN; wrong guesses count towards the login throttle.
+ */
+export function ChangePinDialog({ account, accounts, onAccountsChange, onClose, styles }) {
+    const [current, setCurrent] = useState("");
+    const [next, setNext] = useState("");
+    const [repeat, setRepeat] = useState("");
+    const [show, setShow] = useState(false);
+    const [error, setError] = useState("");
+    const [busy, setBusy] = useState(false);
+    const [newCodes, setNewCodes] = useState(null);
+
+    const digits = (set) => (v) => { if (/^\d{0,4}$/.test(v)) set(v); };
+    const codesLeft = account.recoveryCodes?.length ?? 0;
+
+    // Verify the current PIN, then save the account patched with `patch()`
+    const withCurrentPin = async (patch) => {
+        const lock = lockRemainingMs(loadLoginThrottle());
+        if (lock > 0) {
+            setError(`Too many failed attempts. Try again in ${formatCountdown(lock)}.`);
+            return false;
+        }
+        setBusy(true);
+        try {
+            if (!(await verifyCredential(current, account.credential)).ok) {
+                recordLoginFailure();
+                setError("Current PIN is wrong.");
+                setCurrent("");
+                return false;
+            }
+            recordLoginSuccess();
+            const updated = { ...account, ...(await patch()) };
+            if (!onAccountsChange(accounts.map((a) => (a.username === account.username ? updated : a)))) {
+                setError("Could not save. Storage may be full.");
+                return false;
+            }
+            setError("");
+            return true;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const changePin = async () => {
+        if (!isStrongAdminPassword(next)) return setError("New PIN: 4 digits, not all the same.");
+        if (next !== repeat) return setError("The new PINs don't match.");
+        if (next === current) return setError("The new PIN is the same as the current one.");
+        if (await withCurrentPin(async () => ({ credential: await createCredential(next) }))) {
+            toast.success("PIN changed.");
+            onClose();
+        }
+    };
+
+    const replaceCodes = async () => {
+        const codes = generateRecoveryCodes();
+        if (await withCurrentPin(async () => ({ recoveryCodes: await hashRecoveryCodes(codes) }))) {
+            setCurrent("");
+            setNewCodes(codes);
+        }
+    };
+
+    if (newCodes) {
+        return <RecoveryCodesDialog username={account.username} codes={newCodes} onClose={onClose} styles={styles} />;
+    }
+
+    return (
+        <div style={{ position: "fixed", inset: 0, zIndex: 300, background: "rgba(0,0,0,0.4)", display: "flex", alignItems: "center", justifyContent: "center", padding: 20 }}>
+            <div
+                style={{ background: "#fff", borderRadius: 10, padding: 20, maxWidth: 320, width: "100%", display: "flex", flexDirection: "column", gap: 10, boxSizing: "border-box" }}
+                onKeyDown={(e) => { if (e.key === "Escape") onClose(); }}
+            >
+                <div style={{ fontSize: 14, fontWeight: 600 }}>PIN for {account.username}</div>
+                <PasswordInput value={current} onChange={digits(setCurrent)} show={show} onToggle={() => setShow((v) => !v)} placeholder="Current PIN" styles={styles} inputMode="numeric" maxLength={4} autoFocus />
+                <PasswordInput value={next} onChange={digits(setNext)} show={show} onToggle={() => setShow((v) => !v)} placeholder="New PIN" styles={styles} inputMode="numeric" maxLength={4} />
+                <PasswordInput value={repeat} onChange={digits(setRepeat)} show={show} onToggle={() => setShow((v) => !v)} placeholder="Repeat new PIN" styles={styles} inputMode="numeric" maxLength={4} />
+                {error && <div style={{ fontSize: 11, color: theme.colors.dangerText, textAlign: "center" }}>{error}</div>}
+                <div style={{ display: "flex", gap: 8 }}>
+                    <button type="button" style={{ ...styles.btnGhost, flex: 1 }} onClick={onClose} disabled={busy}>Cancel</button>
+                    <button type="button" style={{ ...styles.btnPrimary, flex: 1, opacity: busy ? 0.4 : 1 }} onClick={changePin} disabled={busy}>Change PIN</button>
+                </div>
+
+                <div style={{ display: "flex", flexDirection: "column", gap: 6, borderTop: `1px solid ${theme.colors.borderLight}`, paddingTop: 10 }}>
+                    <div style={{ fontSize: 11, color: theme.colors.textTertiary, lineHeight: 1.4 }}>
+                        {codesLeft ? `${codesLeft} recovery code(s) left.` : "No recovery codes left."} New codes replace the old ones; enter the current PIN above first.
+                    </div>
+                    <button type="button" style={{ ...styles.btnSmallGhost, opacity: busy ? 0.4 : 1 }} onClick={replaceCodes} disabled={busy}>New recovery codes</button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ChangePinDialog;
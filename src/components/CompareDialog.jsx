@@ -0,0 +1,180 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import toast from 'react-hot-toast';
+import { compareCatalogues, compareReportSections, describeCompareTotals } from '../domain/compare.js';
+import { migrateAndSanitize } from '../domain/migration.js';
+import { readBundle } from '../storage/bundle.js';
+import { isEncryptedExport, decryptExport } from '../storage/encryption.js';
+import { imageRefsByValue } from '../storage/idbStore.js';
+import { readJsonFile, MAX_IMPORT_FILE_KB } from '../storage/importExport.js';
+import { formatLastModified } from '../utils/format.js';
+import { printReport } from '../utils/printReport.js';
+import { PassphraseDialog } from './PassphraseDialog.jsx';
+import { theme } from '../styles/theme.js';
+
+const STATUS_COLORS = { added: theme.colors.successText, removed: theme.colors.dangerText, changed: theme.colors.textPrimary };
+
+/**
+ * Compare two catalogues before importing or saving: pick "before" and "after" from
+ * `sources` ([{ id, label, data }]: draft, saved, backups) or from export files
+ * loaded here, read the per-product changes, print them for sign-off.
+ */
+export function CompareDialog({ sources, initialBefore, initialAfter, onClose, styles }) {
+    const [files, setFiles] = useState([]); // loaded files, same shape as sources
+    const [beforeId, setBeforeId] = useState(initialBefore ?? sources[0]?.id);
+    const [afterId, setAfterId] = useState(initialAfter ?? sources[1]?.id ?? sources[0]?.id);
+    const [pendingFile, setPendingFile] = useState(null); // encrypted file waiting for its passphrase
+    const [imageMaps, setImageMaps] = useState(null); // { key, maps } for the current pair
+    const fileInputRef = useRef(null);
+
+    const all = useMemo(() => [...sources, ...files], [sources, files]);
+    const before = all.find((s) => s.id === beforeId);
+    const after = all.find((s) => s.id === afterId);
+    const pairKey = `${beforeId}|${afterId}`;
+
+    // Inline images and stored refs of the same picture compare equal
+    useEffect(() => {
+        if (!before || !after) return;
+        let cancelled = false;
+        Promise.all([imageRefsByValue(before.data), imageRefsByValue(after.data)])
+            .then((maps) => { if (!cancelled) setImageMaps({ key: pairKey, maps }); })
+            .catch(() => { if (!cancelled) setImageMaps({ key: pairKey, maps: [] }); });
+        return () => { cancelled = true; };
+    }, [before, after, pairKey]);
+
+    const report = useMemo(() => {
+        if (!before || !after || imageMaps?.key !== pairKey) return null;
+        const imageKey = (v) => imageMaps.maps.reduce((k, m) => k ?? m.get(v), undefined) ?? v;
+        return compareCatalogues(before.data, after.data, { imageKey });
+    }, [before, after, imageMaps, pairKey]);
+    const sections = useMemo(() => (report ? compareReportSections(report) : []), [report]);
+
+    const addFile = (label, data) => {
+        const id = `file:${files.length + 1}`;
+        setFiles((prev) => [...prev, { id, label, data }]);
+        setAfterId(id);
+    };
+
+    const pickFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = "";
+        if (!file) return;
+        if (file.size / 1024 > MAX_IMPORT_FILE_KB) {
+            toast.error(`File too large: ${(file.size / 1024 / 1024).toFixed(1)}MB.`);
+            return;
+        }
+        try {
+            if (/\.zip$/i.test(file.name) || /zip/.test(file.type)) {
+                const { catalogue } = await readBundle(await file.arrayBuffer());
+                addFile(file.name, catalogue);
+                return;
+            }
+            const envelope = await readJsonFile(file);
+            if (isEncryptedExport(envelope)) {
+                setPendingFile({ file: envelope, name: file.name, error: "" });
+                return;
+            }
+            addFile(file.name, migrateAndSanitize(envelope));
+        } catch (err) {
+            console.warn(err);
+            toast.error(`Could not read ${file.name}: ${err?.name === "SchemaTooNewError" ? "made by a newer app version" : "not an export file"}.`);
+        }
+    };
+
+    const decryptPending = async (passphrase) => {
+        try {
+            addFile(pendingFile.name, migrateAndSanitize(await decryptExport(pendingFile.file, passphrase)));
+            setPendingFile(null);
+        } catch (err) {
+            if (err?.name === "WrongPassphraseError") {
+                setPendingFile((p) => p && { ...p, error: "Wrong passphrase. Try again." });
+                return;
+            }
+            console.warn(err);
+            setPendingFile(null);
+            toast.error(`Could not read ${pendingFile.name}: the file is damaged or was modified.`);
+        }
+    };
+
+    const print = () => {
+        printReport({
+            title: "Catalogue changes",
+            subtitle: [
+                `Before: ${before.label}`,
+                `After: ${after.label}`,
+                describeCompareTotals(report.totals),
+                `Printed ${formatLastModified(Date.now())}`,
+            ],
+            sections,
+            signOff: true,
+        });
+    };
+
+    const selectStyle = { ...styles.input, height: 32, flex: 1, minWidth: 0 };
+    const sourceOptions = all.map((s) => <option key={s.id} value={s.id}>{s.label}</option>);
+
+    return (
+        <div style={{ position: "fixed", inset: 0, zIndex: 300, background: "rgba(0,0,0,0.4)", display: "flex", alignItems: "center", justifyContent: "center", padding: 20 }}>
+            <div style={{ background: "#fff", borderRadius: 10, padding: 20, maxWidth: 720, width: "100%", maxHeight: "85vh", display: "flex", flexDirection: "column", gap: 12, boxSizing: "border-box" }}>
+                <div style={{ fontSize: 14, fontWeight: 600 }}>Compare catalogues</div>
+
+                <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                    <span style={{ fontSize: 11, color: theme.colors.textTertiary }}>Before</span>
+                    <select value={beforeId} onChange={(e) => setBeforeId(e.target.value)} style={selectStyle}>{sourceOptions}</select>
+                    <button
+                        type="button"
+                        style={styles.btnSmallGhost}
+                        title="Swap"
+                        onClick={() => { setBeforeId(afterId); setAfterId(beforeId); }}
+                    >
+                        ⇄
+                    </button>
+                    <span style={{ fontSize: 11, color: theme.colors.textTertiary }}>After</span>
+                    <select value={afterId} onChange={(e) => setAfterId(e.target.value)} style={selectStyle}>{sourceOptions}</select>
+                    <button type="button" style={styles.btnSmallGhost} onClick={() => fileInputRef.current?.click()}>+ File</button>
+                    <input ref={fileInputRef} type="file" accept="application/json,.json,application/zip,.zip" style={{ display: "none" }} onChange={pickFile} />
+                </div>
+
+                <div style={{ fontSize: 12, color: theme.colors.textSecondary }}>
+                    {report ? describeCompareTotals(report.totals) : "Comparing…"}
+                </div>
+
+                <div style={{ display: "flex", flexDirection: "column", overflowY: "auto", minHeight: 0, borderTop: `1px solid ${theme.colors.borderLight}` }}>
+                    {report?.products.map((p, i) => (
+                        <div key={p.id} style={{ padding: "8px 0", borderBottom: `1px solid ${theme.colors.borderLight}` }}>
+                            <div style={{ fontSize: 13, fontWeight: 600, color: STATUS_COLORS[p.status] }}>{sections[i].heading}</div>
+                            {sections[i].lines.map((line, j) => (
+                                <div key={j} style={{ fontSize: 12, color: theme.colors.textSecondary, lineHeight: 1.4 }}>{line}</div>
+                            ))}
+                        </div>
+                    ))}
+                </div>
+
+                <div style={{ display: "flex", gap: 8 }}>
+                    <button type="button" style={{ ...styles.btnGhost, flex: 1 }} onClick={onClose}>Close</button>
+                    <button
+                        type="button"
+                        style={{ ...styles.btnPrimary, flex: 1, opacity: report ? 1 : 0.4 }}
+                        disabled={!report}
+                        onClick={print}
+                    >
+                        Print summary
+                    </button>
+                </div>
+            </div>
+
+            {pendingFile && (
+                <PassphraseDialog
+                    title={`Open ${pendingFile.name}`}
+                    message="This file is encrypted. Enter its passphrase."
+                    submitLabel="Decrypt"
+                    error={pendingFile.error}
+                    onSubmit={decryptPending}
+                    onCancel={() => setPendingFile(null)}
+                    styles={styles}
+                />
+            )}
+        </div>
+    );
+}
+
+export default CompareDialog;
@@ -0,0 +1,109 @@
+import React, { useMemo, useState } from 'react';
+import { CSV_FIELDS, isHeaderRow, initialColumnMapping, csvRowsToCatalogue } from '../domain/csv.js';
+import { theme } from '../styles/theme.js';
+
+const MAX_REPORT_ROWS = 100;
+
+/**
+ * Column-mapping step for CSV import. Shows a live row validation report; Continue
+ * hands the valid rows, as a catalogue, to the regular merge/replace wizard.
+ */
+export function CsvImportDialog({ rows, base, sourceName, onContinue, onCancel, styles }) {
+    // A file whose first row names no known column is read as data from its first line
+    const [hasHeader, setHasHeader] = useState(() => isHeaderRow(rows[0]));
+    const header = hasHeader ? rows[0] ?? [] : [];
+    const dataRows = useMemo(() => (hasHeader ? rows.slice(1) : rows), [rows, hasHeader]);
+    const columnCount = Math.max(0, ...rows.map((r) => r.length));
+
+    const [mapping, setMapping] = useState(() => initialColumnMapping(rows[0]));
+
+    const missingRequired = CSV_FIELDS.filter((f) => f.required && !(mapping[f.key] >= 0));
+    const result = useMemo(
+        () => (missingRequired.length ? null : csvRowsToCatalogue(dataRows, mapping, base, hasHeader ? 2 : 1)),
+        [missingRequired.length, dataRows, mapping, base, hasHeader]
+    );
+
+    const counts = useMemo(() => {
+        const c = { ok: 0, warning: 0, error: 0 };
+        for (const r of result?.report ?? []) c[r.level]++;
+        return c;
+    }, [result]);
+    const problems = (result?.report ?? []).filter((r) => r.level !== "ok");
+
+    const columnLabel = (i) => {
+        const name = String(header[i] ?? "").trim();
+        const sample = String(dataRows[0]?.[i] ?? "").trim();
+        return `${i + 1}: ${name || "(no header)"}${sample ? ` — e.g. ${sample}` : ""}`;
+    };
+
+    return (
+        <div style={{ position: "fixed", inset: 0, zIndex: 300, background: "rgba(0,0,0,0.4)", display: "flex", alignItems: "center", justifyContent: "center", padding: 20 }}>
+            <div style={{ background: "#fff", borderRadius: 10, padding: 20, maxWidth: 560, width: "100%", maxHeight: "85vh", display: "flex", flexDirection: "column", gap: 12, boxSizing: "border-box" }}>
+                <div style={{ fontSize: 14, fontWeight: 600, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                    Import {sourceName}
+                </div>
+
+                <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, color: theme.colors.textSecondary }}>
+                    <input type="checkbox" checked={hasHeader} onChange={(e) => setHasHeader(e.target.checked)} />
+                    First row is a header
+                </label>
+
+                <div style={{ display: "grid", gridTemplateColumns: "110px 1fr", gap: 6, alignItems: "center" }}>
+                    {CSV_FIELDS.map((f) => (
+                        <React.Fragment key={f.key}>
+                            <span style={{ fontSize: 12, fontWeight: f.required ? 600 : 400 }}>{f.label}{f.required ? " *" : ""}</span>
+                            <select
+                                value={mapping[f.key] ?? -1}
+                                onChange={(e) => setMapping((prev) => ({ ...prev, [f.key]: Number(e.target.value) }))}
+                                style={{ ...styles.input, height: 32, minWidth: 0 }}
+                            >
+                                <option value={-1}>{f.required ? "— choose a column —" : "— not in file —"}</option>
+                                {Array.from({ length: columnCount }, (_, i) => (
+                                    <option key={i} value={i}>{columnLabel(i)}</option>
+                                ))}
+                            </select>
+                        </React.Fragment>
+                    ))}
+                </div>
+
+                {missingRequired.length > 0 ? (
+                    <div style={{ fontSize: 12, color: theme.colors.dangerText }}>
+                        Choose a column for {missingRequired.map((f) => f.label).join(", ")}.
+                    </div>
+                ) : (
+                    <>
+                        <div style={{ fontSize: 12, color: theme.colors.textSecondary }}>
+                            {dataRows.length} row(s): {counts.ok} ok · {counts.warning} warning(s) · {counts.error} error(s) — rows with errors are skipped
+                        </div>
+                        {problems.length > 0 && (
+                            <div style={{ overflowY: "auto", minHeight: 0, maxHeight: 220, borderTop: `1px solid ${theme.colors.borderLight}` }}>
+                                {problems.slice(0, MAX_REPORT_ROWS).map((r) => (
+                                    <div key={r.line} style={{ fontSize: 12, padding: "3px 0", color: r.level === "error" ? theme.colors.dangerText : theme.colors.textSecondary }}>
+                                        Row {r.line}: {r.message}
+                                    </div>
+                                ))}
+                                {problems.length > MAX_REPORT_ROWS && (
+                                    <div style={{ fontSize: 12, color: theme.colors.textMuted }}>…and {problems.length - MAX_REPORT_ROWS} more</div>
+                                )}
+                            </div>
+                        )}
+                    </>
+                )}
+
+                <div style={{ display: "flex", gap: 8 }}>
+                    <button type="button" style={{ ...styles.btnGhost, flex: 1, height: 44 }} onClick={onCancel}>Cancel</button>
+                    <button
+                        type="button"
+                        style={{ ...styles.btnPrimary, flex: 1, height: 44, opacity: result?.catalogue.angles.length ? 1 : 0.4 }}
+                        disabled={!result?.catalogue.angles.length}
+                        onClick={() => onContinue(result.catalogue)}
+                    >
+                        Continue
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default CsvImportDialog;
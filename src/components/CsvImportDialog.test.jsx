@@ -0,0 +1,37 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent, cleanup } from '@testing-library/react';
+import { CsvImportDialog } from './CsvImportDialog.jsx';
+import { catalogueToCsvRows } from '../domain/csv.js';
+import { migrateStoredCatalogue } from '../domain/migration.js';
+
+const base = migrateStoredCatalogue({
+    version: 3,
+    holds: [{ id: 'h1', name: 'Austin' }, { id: 'h2', name: 'Amon' }],
+    angles: [
+        { id: 'a1', holdId: 'h1', value: 28.2, saw: 'main' },
+        { id: 'a2', holdId: 'h1', value: 40, saw: 'main' },
+        { id: 'a3', holdId: 'h2', value: 50, saw: 'stefan' },
+    ],
+});
+
+afterEach(cleanup);
+
+describe('CsvImportDialog', () => {
+    it('imports every row of a headerless export', () => {
+        const rows = catalogueToCsvRows(base).slice(1);
+        const onContinue = vi.fn();
+        render(<CsvImportDialog rows={rows} base={base} sourceName="angles.csv" onContinue={onContinue} onCancel={() => { }} styles={{}} />);
+
+        expect(screen.getByLabelText('First row is a header').checked).toBe(false);
+        expect(screen.getByText(/3 row\(s\): 3 ok/)).toBeTruthy();
+        fireEvent.click(screen.getByText('Continue'));
+        const catalogue = onContinue.mock.calls[0][0];
+        expect(catalogue.angles.map((a) => a.id).sort()).toEqual(['a1', 'a2', 'a3']);
+    });
+
+    it('skips the header row of an export with one', () => {
+        render(<CsvImportDialog rows={catalogueToCsvRows(base)} base={base} sourceName="angles.csv" onContinue={() => { }} onCancel={() => { }} styles={{}} />);
+        expect(screen.getByLabelText('First row is a header').checked).toBe(true);
+        expect(screen.getByText(/3 row\(s\): 3 ok/)).toBeTruthy();
+    });
+});
@@ -0,0 +1,42 @@
+import React from 'react';
+import { isEmptyDiff } from '../domain/diff.js';
+import { theme } from '../styles/theme.js';
+
+function DiffLine({ label, items, color }) {
+    if (!items.length) return null;
+    return (
+        <div style={{ fontSize: 12, lineHeight: 1.4, color }}>
+            <strong>{label}:</strong> {items.join(", ")}
+        </div>
+    );
+}
+
+/* Compact text summary of a diffCatalogues() result */
+export function DiffSummary({ diff }) {
+    if (isEmptyDiff(diff)) {
+        return <div style={{ fontSize: 12, color: theme.colors.textMuted }}>Identical to the current draft</div>;
+    }
+    const { holds, angles, saws } = diff;
+    return (
+        <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+            <DiffLine label="Added products" items={holds.added.map((h) => h.name)} color={theme.colors.successText} />
+            <DiffLine label="Removed products" items={holds.removed.map((h) => h.name)} color={theme.colors.dangerText} />
+            <DiffLine label="Renamed" items={holds.renamed.map((r) => `${r.from} → ${r.to}`)} color={theme.colors.textPrimary} />
+            <div style={{ fontSize: 12, color: theme.colors.textSecondary }}>
+                Angles: +{angles.added.length} · −{angles.removed.length} · changed {angles.changed.length}
+            </div>
+            <DiffLine label="New covers" items={holds.coverChanged.map((h) => h.name)} color={theme.colors.textPrimary} />
+            <DiffLine
+                label="Saws"
+                items={[
+                    ...saws.added.map((s) => `+${s.name}`),
+                    ...saws.removed.map((s) => `−${s.name}`),
+                    ...saws.changed.map((c) => `${c.after.name} changed`),
+                ]}
+                color={theme.colors.textPrimary}
+            />
+        </div>
+    );
+}
+
+export default DiffSummary;
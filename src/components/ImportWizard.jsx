@@ -0,0 +1,194 @@
+import React, { useMemo, useState } from 'react';
+import { toCutLabel } from '../domain/angles.js';
+import { diffCatalogues } from '../domain/diff.js';
+import { planMerge, applyMerge, defaultResolutions, resolveAll, resolveHold, summarizePlan } from '../domain/merge.js';
+import { getSaws, findSawById } from '../domain/saws.js';
+import { DiffSummary } from './DiffSummary.jsx';
+import { theme } from '../styles/theme.js';
+
+const CHOICE_LABELS = { mine: "Keep mine", theirs: "Take theirs", both: "Keep both" };
+const STATUS_LABELS = { new: "NEW", missing: "NOT IN FILE", changed: "CHANGED", identical: "SAME" };
+
+// "Keep both" only means something when both sides have a (different) version
+function choicesFor(status) {
+    return status === "changed" ? ["mine", "theirs", "both"] : ["mine", "theirs"];
+}
+
+function ChoiceButtons({ status, value, onChange, styles }) {
+    return (
+        <div style={{ display: "flex", gap: 4, flexShrink: 0 }}>
+            {choicesFor(status).map((c) => (
+                <button
+                    key={c}
+                    type="button"
+                    style={c === value ? styles.btnSmallPrimary : styles.btnSmallGhost}
+                    onClick={() => onChange(c)}
+                >
+                    {CHOICE_LABELS[c]}
+                </button>
+            ))}
+        </div>
+    );
+}
+
+function StatusBadge({ status }) {
+    return (
+        <span style={{ fontSize: 10, fontWeight: 700, letterSpacing: 0.5, color: status === "missing" ? theme.colors.dangerText : theme.colors.textTertiary }}>
+            {STATUS_LABELS[status]}
+        </span>
+    );
+}
+
+/* Banner about the file itself (checksum, age, origin) */
+function ImportNotice({ tone, text }) {
+    const alarming = tone === "danger" || tone === "warn";
+    return (
+        <div
+            style={{
+                padding: 8,
+                borderRadius: 8,
+                fontSize: 12,
+                lineHeight: 1.4,
+                border: `1px solid ${alarming ? theme.colors.dangerBorder : theme.colors.borderLight}`,
+                background: alarming ? theme.colors.dangerBg : theme.colors.cardBg,
+                color: alarming ? theme.colors.dangerText : theme.colors.textSecondary,
+                fontWeight: tone === "danger" ? 600 : 400,
+            }}
+        >
+            {text}
+        </div>
+    );
+}
+
+function holdTitle(item) {
+    if (!item.mine) return item.theirs.name;
+    if (!item.theirs || item.mine.name === item.theirs.name) return item.mine.name;
+    return `${item.mine.name} → ${item.theirs.name}`;
+}
+
+/**
+ * Import dialog: replace the draft with a file, or merge it item by item.
+ * Nothing touches the draft until onApply(nextCatalogue, mode) is called.
+ */
+export function ImportWizard({ mine, theirs, sourceName, imageKey, notices = [], onApply, onCancel, styles }) {
+    const [mode, setMode] = useState("merge"); // "merge" | "replace"
+    const plan = useMemo(() => planMerge(mine, theirs, { imageKey }), [mine, theirs, imageKey]);
+    const [resolutions, setResolutions] = useState(() => defaultResolutions(plan));
+    const summary = useMemo(() => summarizePlan(plan), [plan]);
+    const replaceDiff = useMemo(() => diffCatalogues(mine, theirs), [mine, theirs]);
+    const merged = useMemo(() => applyMerge(mine, theirs, plan, resolutions), [mine, theirs, plan, resolutions]);
+
+    const saws = useMemo(() => [...getSaws(mine), ...getSaws(theirs)], [mine, theirs]);
+    const sawName = (id) => findSawById(saws, id)?.name ?? id;
+    const angleText = (a) => {
+        if (a.status === "new") return `${sawName(a.theirs.saw)} ${toCutLabel(a.theirs)}`;
+        if (a.status === "missing") return `${sawName(a.mine.saw)} ${toCutLabel(a.mine)}`;
+        const sameCut = a.mine.value === a.theirs.value && (a.mine.bevel ?? 0) === (a.theirs.bevel ?? 0)
+            && (a.mine.side ?? null) === (a.theirs.side ?? null) && a.mine.saw === a.theirs.saw;
+        const piecesFrom = a.mine.pieces ?? 1;
+        const piecesTo = a.theirs.pieces ?? 1;
+        if (sameCut && piecesFrom !== piecesTo) return `${sawName(a.mine.saw)} ${toCutLabel(a.mine)} (pieces ${piecesFrom} → ${piecesTo})`;
+        return sameCut
+            ? `${sawName(a.mine.saw)} ${toCutLabel(a.mine)} (drawing)`
+            : `${sawName(a.mine.saw)} ${toCutLabel(a.mine)} → ${sawName(a.theirs.saw)} ${toCutLabel(a.theirs)}`;
+    };
+
+    const setChoice = (key, choice) => setResolutions((prev) => ({ ...prev, [key]: choice }));
+    const visible = plan.holds.filter((h) => h.status !== "identical");
+
+    return (
+        <div style={{ position: "fixed", inset: 0, zIndex: 300, background: "rgba(0,0,0,0.4)", display: "flex", alignItems: "center", justifyContent: "center", padding: 20 }}>
+            <div style={{ background: "#fff", borderRadius: 10, padding: 20, maxWidth: 640, width: "100%", maxHeight: "85vh", display: "flex", flexDirection: "column", gap: 12, boxSizing: "border-box" }}>
+                <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                    <div style={{ flex: 1, minWidth: 0, fontSize: 14, fontWeight: 600, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                        Import {sourceName}
+                    </div>
+                    <button type="button" style={mode === "merge" ? styles.btnSmallPrimary : styles.btnSmallGhost} onClick={() => setMode("merge")}>MERGE</button>
+                    <button type="button" style={mode === "replace" ? styles.btnSmallPrimary : styles.btnSmallGhost} onClick={() => setMode("replace")}>REPLACE</button>
+                </div>
+
+                {notices.map((n, i) => <ImportNotice key={i} tone={n.tone} text={n.text} />)}
+
+                {mode === "replace" ? (
+                    <div style={{ display: "flex", flexDirection: "column", gap: 8, overflowY: "auto", minHeight: 0 }}>
+                        <div style={{ fontSize: 12, color: theme.colors.textSecondary }}>
+                            The draft is replaced by the file ({theirs.holds.length} product(s), {theirs.angles.length} angle(s)).
+                        </div>
+                        <DiffSummary diff={replaceDiff} />
+                    </div>
+                ) : (
+                    <>
+                        <div style={{ fontSize: 12, color: theme.colors.textSecondary, lineHeight: 1.5 }}>
+                            Products: {summary.holds.new} new · {summary.holds.changed} changed · {summary.holds.missing} not in file · {summary.holds.identical} same
+                            <br />
+                            Angles: {summary.angles.new} new · {summary.angles.changed} changed · {summary.angles.missing} not in file · {summary.angles.identical} same
+                        </div>
+
+                        <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" }}>
+                            <span style={{ fontSize: 11, color: theme.colors.textTertiary }}>All:</span>
+                            {["mine", "theirs", "both"].map((c) => (
+                                <button key={c} type="button" style={styles.btnSmallGhost} onClick={() => setResolutions((prev) => resolveAll(plan, prev, c))}>
+                                    {CHOICE_LABELS[c]}
+                                </button>
+                            ))}
+                            <button type="button" style={styles.btnSmallGhost} onClick={() => setResolutions(defaultResolutions(plan))}>
+                                Reset
+                            </button>
+                        </div>
+
+                        <div style={{ display: "flex", flexDirection: "column", overflowY: "auto", minHeight: 0, borderTop: `1px solid ${theme.colors.borderLight}` }}>
+                            {visible.length === 0 && (
+                                <div style={{ fontSize: 12, color: theme.colors.textMuted, padding: "8px 0" }}>Everything in the file is already in the draft.</div>
+                            )}
+                            {visible.map((h) => {
+                                const choice = resolutions[h.key];
+                                // Angle choices only apply when the product itself is merged in place
+                                const showAngles = h.status === "changed" && choice !== "both";
+                                const angleItems = h.angles.filter((a) => a.status !== "identical");
+                                return (
+                                    <div key={h.key} style={{ padding: "8px 0", borderBottom: `1px solid ${theme.colors.borderLight}`, display: "flex", flexDirection: "column", gap: 6 }}>
+                                        <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                                            <div style={{ flex: 1, minWidth: 0 }}>
+                                                <div style={{ fontSize: 13, fontWeight: 600 }}>{holdTitle(h)}</div>
+                                                <StatusBadge status={h.status} />
+                                                {h.status !== "changed" && (
+                                                    <span style={{ fontSize: 11, color: theme.colors.textTertiary }}> · {h.angles.length} angle(s)</span>
+                                                )}
+                                            </div>
+                                            <ChoiceButtons status={h.status} value={choice} onChange={(c) => setResolutions((prev) => resolveHold(plan, prev, h.key, c))} styles={styles} />
+                                        </div>
+                                        {showAngles && angleItems.map((a) => (
+                                            <div key={a.key} style={{ display: "flex", alignItems: "center", gap: 8, paddingLeft: 12 }}>
+                                                <div style={{ flex: 1, minWidth: 0, fontSize: 12 }}>
+                                                    {angleText(a)} <StatusBadge status={a.status} />
+                                                </div>
+                                                <ChoiceButtons status={a.status} value={resolutions[a.key]} onChange={(c) => setChoice(a.key, c)} styles={styles} />
+                                            </div>
+                                        ))}
+                                    </div>
+                                );
+                            })}
+                        </div>
+
+                        <div style={{ fontSize: 11, color: theme.colors.textTertiary }}>
+                            Result: {merged.holds.length} product(s), {merged.angles.length} angle(s)
+                        </div>
+                    </>
+                )}
+
+                <div style={{ display: "flex", gap: 8 }}>
+                    <button type="button" style={{ ...styles.btnGhost, flex: 1, height: 44 }} onClick={onCancel}>Cancel</button>
+                    <button
+                        type="button"
+                        style={{ ...styles.btnPrimary, flex: 1, height: 44 }}
+                        onClick={() => onApply(mode === "merge" ? merged : theirs, mode)}
+                    >
+                        {mode === "merge" ? "Apply merge" : "Replace draft"}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ImportWizard;
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { missingJobHolds, normalizeJobName, MAX_JOB_NAME_LENGTH, MAX_JOB_NOTE_LENGTH } from '../storage/jobs.js';
+import { theme } from '../styles/theme.js';
+
+const linkStyle = { background: "none", border: "none", padding: 0, minHeight: 0, font: "inherit", color: "inherit", textDecoration: "underline", cursor: "pointer" };
+
+function JobForm({ initialName = "", initialNote = "", submitLabel, onSubmit, onCancel, styles }) {
+    const [name, setName] = useState(initialName);
+    const [note, setNote] = useState(initialNote);
+    const valid = !!normalizeJobName(name);
+
+    return (
+        <form
+            style={{ display: "flex", flexDirection: "column", gap: 4 }}
+            onSubmit={(e) => { e.preventDefault(); if (valid) onSubmit(name, note); }}
+        >
+            <input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Job name"
+                maxLength={MAX_JOB_NAME_LENGTH}
+                autoFocus
+                style={{ ...styles.input, height: 30 }}
+            />
+            <input
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder="Note (optional)"
+                maxLength={MAX_JOB_NOTE_LENGTH}
+                style={{ ...styles.input, height: 30 }}
+            />
+            <div style={{ display: "flex", gap: 6 }}>
+                <button type="button" style={{ ...styles.btnSmallGhost, flex: 1 }} onClick={onCancel}>Cancel</button>
+                <button type="submit" disabled={!valid} style={{ ...styles.btnSmallGhost, flex: 1, opacity: valid ? 1 : 0.4 }}>{submitLabel}</button>
+            </div>
+        </form>
+    );
+}
+
+/* Saved jobs in the hold panel: save the current selection, load, rename or delete one */
+export function JobsPanel({ jobs, holds, selectedCount, onSave, onLoad, onUpdate, onDelete, styles }) {
+    const [open, setOpen] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [editingId, setEditingId] = useState(null);
+
+    return (
+        <div style={{ border: `1px solid ${theme.colors.borderLight}`, borderRadius: 6, padding: "6px 8px", marginBottom: 8, display: "flex", flexDirection: "column", gap: 6 }}>
+            <button
+                type="button"
+                onClick={() => setOpen((o) => !o)}
+                aria-expanded={open}
+                style={{ ...linkStyle, textDecoration: "none", textAlign: "left", fontSize: 11, fontWeight: 600, color: theme.colors.textSecondary }}
+            >
+                {open ? "▾" : "▸"} JOBS ({jobs.length})
+            </button>
+
+            {open && (
+                <>
+                    {jobs.map((job) => {
+                        if (job.id === editingId) {
+                            return (
+                                <JobForm
+                                    key={job.id}
+                                    initialName={job.name}
+                                    initialNote={job.note}
+                                    submitLabel="Save"
+                                    onSubmit={(name, note) => { onUpdate(job.id, { name, note }); setEditingId(null); }}
+                                    onCancel={() => setEditingId(null)}
+                                    styles={styles}
+                                />
+                            );
+                        }
+                        const missing = missingJobHolds(job, holds).length;
+                        return (
+                            <div key={job.id} style={{ fontSize: 11, lineHeight: 1.4, borderTop: `1px solid ${theme.colors.borderLight}`, paddingTop: 4 }}>
+                                <div style={{ fontWeight: 600, color: theme.colors.textPrimary, overflowWrap: "anywhere" }}>{job.name}</div>
+                                {job.note && <div style={{ color: theme.colors.textTertiary, overflowWrap: "anywhere" }}>{job.note}</div>}
+                                <div style={{ color: theme.colors.textTertiary }}>{job.holds.length} product(s)</div>
+                                {missing > 0 && (
+                                    <div style={{ color: theme.colors.dangerText }}>⚠ {missing} product(s) no longer in the catalogue</div>
+                                )}
+                                <div style={{ display: "flex", gap: 8, color: theme.colors.textSecondary }}>
+                                    <button type="button" style={linkStyle} onClick={() => onLoad(job)}>Load</button>
+                                    <button type="button" style={linkStyle} onClick={() => setEditingId(job.id)}>Rename</button>
+                                    <button type="button" style={linkStyle} onClick={() => onDelete(job)}>Delete</button>
+                                </div>
+                            </div>
+                        );
+                    })}
+
+                    {saving ? (
+                        <JobForm
+                            submitLabel="Save job"
+                            onSubmit={(name, note) => { onSave(name, note); setSaving(false); }}
+                            onCancel={() => setSaving(false)}
+                            styles={styles}
+                        />
+                    ) : (
+                        <button
+                            type="button"
+                            disabled={!selectedCount}
+                            title={selectedCount ? undefined : "Select products first"}
+                            style={{ ...styles.btnSmallGhost, opacity: selectedCount ? 1 : 0.4 }}
+                            onClick={() => setSaving(true)}
+                        >
+                            Save selection as job
+                        </button>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+export default JobsPanel;
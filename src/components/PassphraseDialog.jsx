@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { MIN_PASSPHRASE_LENGTH } from '../storage/encryption.js';
+import { PasswordInput } from './PasswordInput.jsx';
+import { theme } from '../styles/theme.js';
+
+/**
+ * Ask for a file passphrase. `confirm` asks twice and enforces the minimum length
+ * (encrypting); otherwise one field (decrypting). onSubmit(passphrase) may be async;
+ * `error` is shown under the fields.
+ */
+export function PassphraseDialog({ title, message, confirm = false, submitLabel, error, onSubmit, onCancel, styles }) {
+    const [value, setValue] = useState("");
+    const [repeat, setRepeat] = useState("");
+    const [show, setShow] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [localError, setLocalError] = useState("");
+
+    const submit = async () => {
+        if (busy) return;
+        if (confirm && value.length < MIN_PASSPHRASE_LENGTH) return setLocalError(`At least ${MIN_PASSPHRASE_LENGTH} characters.`);
+        if (confirm && value !== repeat) return setLocalError("The passphrases don't match.");
+        if (!value) return;
+        setLocalError("");
+        setBusy(true);
+        try {
+            await onSubmit(value);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const shownError = localError || error;
+
+    return (
+        <div style={{ position: "fixed", inset: 0, zIndex: 300, background: "rgba(0,0,0,0.4)", display: "flex", alignItems: "center", justifyContent: "center", padding: 20 }}>
+            <div
+                style={{ background: "#fff", borderRadius: 10, padding: 20, maxWidth: 340, width: "100%", display: "flex", flexDirection: "column", gap: 10, boxSizing: "border-box" }}
+                onKeyDown={(e) => {
+                    if (e.key === "Enter") submit();
+                    if (e.key === "Escape" && !busy) onCancel();
+                }}
+            >
+                <div style={{ fontSize: 14, fontWeight: 600 }}>{title}</div>
+                {message && <div style={{ fontSize: 12, color: theme.colors.textSecondary, lineHeight: 1.5 }}>{message}</div>}
+                <PasswordInput value={value} onChange={setValue} show={show} onToggle={() => setShow((v) => !v)} placeholder="Passphrase" styles={styles} autoFocus />
+                {confirm && (
+                    <PasswordInput value={repeat} onChange={setRepeat} show={show} onToggle={() => setShow((v) => !v)} placeholder="Repeat passphrase" styles={styles} />
+                )}
+                {shownError && <div style={{ fontSize: 11, color: theme.colors.dangerText, textAlign: "center" }}>{shownError}</div>}
+                <div style={{ display: "flex", gap: 8 }}>
+                    <button type="button" style={{ ...styles.btnGhost, flex: 1 }} onClick={onCancel} disabled={busy}>Cancel</button>
+                    <button
+                        type="button"
+                        style={{ ...styles.btnPrimary, flex: 1, opacity: busy || !value ? 0.4 : 1 }}
+                        onClick={submit}
+                        disabled={busy || !value}
+                    >
+                        {busy ? "Working…" : submitLabel}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default PassphraseDialog;
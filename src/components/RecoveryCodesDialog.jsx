@@ -0,0 +1,46 @@
+import React from 'react';
+import toast from 'react-hot-toast';
+import { downloadBlob } from '../storage/importExport.js';
+import { theme } from '../styles/theme.js';
+
+/* Freshly generated recovery codes, shown exactly once: copy or download, then done */
+export function RecoveryCodesDialog({ username, codes, onClose, styles }) {
+    const text = `AVA Volumes recovery codes for ${username}\nEach code resets the PIN once.\n\n${codes.join("\n")}\n`;
+
+    const copy = async () => {
+        try {
+            await navigator.clipboard.writeText(text);
+            toast.success("Codes copied.");
+        } catch {
+            toast.error("Copy failed. Download them instead.");
+        }
+    };
+
+    return (
+        <div style={{ position: "fixed", inset: 0, zIndex: 300, background: "rgba(0,0,0,0.4)", display: "flex", alignItems: "center", justifyContent: "center", padding: 20 }}>
+            <div style={{ background: "#fff", borderRadius: 10, padding: 20, maxWidth: 360, width: "100%", display: "flex", flexDirection: "column", gap: 12, boxSizing: "border-box" }}>
+                <div style={{ fontSize: 14, fontWeight: 600 }}>Recovery codes for {username}</div>
+                <div style={{ fontSize: 12, color: theme.colors.textSecondary, lineHeight: 1.5 }}>
+                    If the PIN is forgotten, any one of these resets it from the login box (<b>Forgot PIN?</b>). Each code works once.
+                    Keep them somewhere safe — they are not shown again.
+                </div>
+                <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 6, padding: 10, borderRadius: 6, background: theme.colors.inputBg, fontFamily: "monospace", fontSize: 14, textAlign: "center" }}>
+                    {codes.map((c) => <div key={c}>{c}</div>)}
+                </div>
+                <div style={{ display: "flex", gap: 8 }}>
+                    <button type="button" style={{ ...styles.btnGhost, flex: 1 }} onClick={copy}>Copy</button>
+                    <button
+                        type="button"
+                        style={{ ...styles.btnGhost, flex: 1 }}
+                        onClick={() => downloadBlob(new Blob([text], { type: "text/plain" }), `Recovery_codes_${username}.txt`)}
+                    >
+                        Download
+                    </button>
+                    <button type="button" style={{ ...styles.btnPrimary, flex: 1 }} onClick={onClose}>Done</button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default RecoveryCodesDialog;
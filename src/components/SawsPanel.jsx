@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { theme } from '../styles/theme.js';
+import { useDraft } from '../utils/useDraft.js';
+
+/* Range input that commits on blur/Enter like AdminAngleRow */
+function SawRangeInput({ value, onCommit, title, styles }) {
+    const [draft, setDraft] = useDraft(value);
+
+    const commit = () => {
+        const v = Number(String(draft).trim().replace(",", "."));
+        if (String(draft).trim() && Number.isFinite(v)) onCommit(v);
+        else setDraft(String(value));
+    };
+
+    return (
+        <input
+            value={draft}
+            title={title}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={commit}
+            onKeyDown={(e) => {
+                if (e.key === "Enter") e.currentTarget.blur();
+                if (e.key === "Escape") {
+                    setDraft(String(value));
+                    e.currentTarget.blur();
+                }
+            }}
+            style={{ ...styles.adminAngleInput, width: 44 }}
+        />
+    );
+}
+
+/* Single saw: name, default sort, allowed angle range, bevel range for compound cuts */
+export function SawRow({ saw, angleCount, isFirst, isLast, onUpdate, onRemove, onMove, styles }) {
+    const [name, setName] = useDraft(saw.name);
+
+    const commitName = () => {
+        if (name.trim() && name.trim().toUpperCase() !== saw.name) onUpdate({ name });
+        else setName(saw.name);
+    };
+
+    return (
+        <div style={{ display: "flex", flexDirection: "column", gap: 6, padding: "8px 0", borderBottom: `1px solid ${theme.colors.borderLight}` }}>
+            <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                <input
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    onBlur={commitName}
+                    onKeyDown={(e) => {
+                        if (e.key === "Enter") e.currentTarget.blur();
+                        if (e.key === "Escape") {
+                            setName(saw.name);
+                            e.currentTarget.blur();
+                        }
+                    }}
+                    style={{ ...styles.input, flex: 1, minWidth: 0 }}
+                />
+                <button type="button" style={styles.btnX} onClick={onRemove} title="Remove saw">×</button>
+            </div>
+            <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" }}>
+                <SawRangeInput value={saw.min} onCommit={(min) => onUpdate({ min })} title="Minimum angle" styles={styles} />
+                <span style={{ fontSize: 12, color: theme.colors.textTertiary }}>–</span>
+                <SawRangeInput value={saw.max} onCommit={(max) => onUpdate({ max })} title="Maximum angle" styles={styles} />
+                <span style={{ fontSize: 12, color: theme.colors.textTertiary }}>°</span>
+                <span style={{ fontSize: 12, color: theme.colors.textTertiary }} title="Bevel range for compound cuts; 0 = saw doesn't tilt">bevel ≤</span>
+                <SawRangeInput value={saw.bevelMax ?? 0} onCommit={(bevelMax) => onUpdate({ bevelMax })} title="Maximum bevel (0 = no compound cuts)" styles={styles} />
+                <button
+                    type="button"
+                    style={styles.btnSmallGhost}
+                    onClick={() => onUpdate({ sort: saw.sort === "asc" ? "desc" : "asc" })}
+                    title="Default sort on the operator page"
+                >
+                    {saw.sort === "asc" ? "↑ ASC" : "↓ DESC"}
+                </button>
+                <button type="button" style={styles.btnSmallGhost} disabled={isFirst} onClick={() => onMove(-1)} title="Move left">←</button>
+                <button type="button" style={styles.btnSmallGhost} disabled={isLast} onClick={() => onMove(1)} title="Move right">→</button>
+            </div>
+            <div style={{ fontSize: 11, color: theme.colors.textTertiary }}>
+                {angleCount} angle(s)
+            </div>
+        </div>
+    );
+}
+
+/* Saw registry editor shown in the admin side panel */
+export function SawsPanel({ saws, angleCounts, onAdd, onUpdate, onRemove, onMove, onClose, styles }) {
+    const [newName, setNewName] = useState("");
+
+    const add = () => {
+        if (onAdd(newName)) setNewName("");
+    };
+
+    return (
+        <div style={{ display: "flex", flexDirection: "column", gap: 8, minHeight: 0, overflowY: "auto" }}>
+            {saws.map((saw, i) => (
+                <SawRow
+                    key={saw.id}
+                    saw={saw}
+                    angleCount={angleCounts.get(saw.id) ?? 0}
+                    isFirst={i === 0}
+                    isLast={i === saws.length - 1}
+                    onUpdate={(patch) => onUpdate(saw.id, patch)}
+                    onRemove={() => onRemove(saw.id)}
+                    onMove={(delta) => onMove(saw.id, delta)}
+                    styles={styles}
+                />
+            ))}
+
+            <div style={{ display: "flex", gap: 8, marginTop: 4 }}>
+                <input
+                    value={newName}
+                    onChange={(e) => setNewName(e.target.value)}
+                    onKeyDown={(e) => e.key === "Enter" && add()}
+                    placeholder="NEW SAW"
+                    style={{ ...styles.input, flex: 1, minWidth: 0 }}
+                />
+                <button style={styles.btnPrimary} onClick={add}>+</button>
+            </div>
+
+            <button type="button" style={{ ...styles.btnGhost, marginTop: 6 }} onClick={onClose}>DONE</button>
+        </div>
+    );
+}
+
+export default SawsPanel;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { IDLE_MINUTES_OPTIONS, REMEMBER_DAYS_OPTIONS } from '../storage/session.js';
+import { formatLastModified } from '../utils/format.js';
+import { theme } from '../styles/theme.js';
+
+const idleLabel = (m) => (m ? `after ${m} min` : "never");
+
+/* Idle sign-out and "remember me" for this browser; only owners change the settings */
+export function SessionPanel({ settings, onChange, canConfigure, rememberToken, onRevoke, onClose, styles }) {
+    const selectStyle = { ...styles.input, height: 32, minWidth: 0 };
+
+    return (
+        <div style={{ display: "flex", flexDirection: "column", gap: 12, fontSize: 12 }}>
+            <label style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+                <span style={{ fontSize: 11, color: theme.colors.textTertiary }}>Sign out when idle</span>
+                <select
+                    value={settings.idleMinutes}
+                    disabled={!canConfigure}
+                    onChange={(e) => onChange({ ...settings, idleMinutes: Number(e.target.value) })}
+                    style={selectStyle}
+                >
+                    {IDLE_MINUTES_OPTIONS.map((m) => <option key={m} value={m}>{idleLabel(m)}</option>)}
+                </select>
+            </label>
+
+            <label style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+                <span style={{ fontSize: 11, color: theme.colors.textTertiary }}>"Remember me" lasts</span>
+                <select
+                    value={settings.rememberDays}
+                    disabled={!canConfigure}
+                    onChange={(e) => onChange({ ...settings, rememberDays: Number(e.target.value) })}
+                    style={selectStyle}
+                >
+                    {REMEMBER_DAYS_OPTIONS.map((d) => <option key={d} value={d}>{d} day(s)</option>)}
+                </select>
+            </label>
+
+            <div style={{ display: "flex", flexDirection: "column", gap: 6, borderTop: `1px solid ${theme.colors.borderLight}`, paddingTop: 10 }}>
+                {rememberToken ? (
+                    <>
+                        <div style={{ color: theme.colors.textSecondary, lineHeight: 1.4 }}>
+                            This browser remembers <b>{rememberToken.user}</b> since {formatLastModified(rememberToken.iat)}, until {formatLastModified(rememberToken.exp)}.
+                        </div>
+                        <button type="button" style={styles.btnSmallGhost} onClick={onRevoke}>Revoke</button>
+                    </>
+                ) : (
+                    <div style={{ color: theme.colors.textTertiary }}>No one is remembered on this browser.</div>
+                )}
+            </div>
+
+            {!canConfigure && (
+                <div style={{ fontSize: 11, color: theme.colors.textTertiary }}>Only an owner can change these settings.</div>
+            )}
+
+            <button type="button" style={{ ...styles.btnGhost, marginTop: 6 }} onClick={onClose}>DONE</button>
+        </div>
+    );
+}
+
+export default SessionPanel;
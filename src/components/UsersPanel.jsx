@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { ROLES, ROLE_LABELS, findAccount, isValidUsername, normalizeUsername, validateAccounts } from '../storage/accounts.js';
+import { createCredential } from '../storage/auth.js';
+import { isStrongAdminPassword } from '../domain/validation.js';
+import { theme } from '../styles/theme.js';
+
+const PIN_HINT = "4 digits, not all the same";
+
+function PinField({ value, onChange, styles }) {
+    return (
+        <input
+            value={value}
+            onChange={(e) => { if (/^\d{0,4}$/.test(e.target.value)) onChange(e.target.value); }}
+            type="password"
+            inputMode="numeric"
+            maxLength={4}
+            placeholder="PIN"
+            style={{ ...styles.adminAngleInput, width: 64 }}
+        />
+    );
+}
+
+/* Owner-only account list: add users, change roles, set PINs, remove. Changes save immediately. */
+export function UsersPanel({ accounts, currentUsername, onChange, styles }) {
+    const [newName, setNewName] = useState("");
+    const [newRole, setNewRole] = useState("editor");
+    const [newPin, setNewPin] = useState("");
+    const [pinFor, setPinFor] = useState(null); // username whose PIN is being set
+    const [pinDraft, setPinDraft] = useState("");
+    const [busy, setBusy] = useState(false);
+
+    const isSelf = (a) => a.username.toLowerCase() === String(currentUsername ?? "").toLowerCase();
+
+    const commit = (next, message) => {
+        const error = validateAccounts(next);
+        if (error) {
+            toast.error(error);
+            return false;
+        }
+        if (!onChange(next)) return false;
+        if (message) toast.success(message);
+        return true;
+    };
+
+    const addAccount = async () => {
+        const username = normalizeUsername(newName);
+        if (!isValidUsername(username)) return toast.error("Login: 1–32 letters, digits, . _ -");
+        if (findAccount(accounts, username)) return toast.error(`"${username}" already exists.`);
+        if (!isStrongAdminPassword(newPin)) return toast.error(`PIN: ${PIN_HINT}`);
+        setBusy(true);
+        try {
+            const credential = await createCredential(newPin);
+            if (commit([...accounts, { username, role: newRole, credential }], `Added ${username}`)) {
+                setNewName("");
+                setNewPin("");
+            }
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const savePin = async (username) => {
+        if (!isStrongAdminPassword(pinDraft)) return toast.error(`PIN: ${PIN_HINT}`);
+        setBusy(true);
+        try {
+            const credential = await createCredential(pinDraft);
+            if (commit(accounts.map((a) => (a.username === username ? { ...a, credential } : a)), `PIN set for ${username}`)) {
+                setPinFor(null);
+                setPinDraft("");
+            }
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div style={{ display: "flex", flexDirection: "column", gap: 8, minHeight: 0, overflowY: "auto" }}>
+            {accounts.map((a) => (
+                <div key={a.username} style={{ display: "flex", flexDirection: "column", gap: 6, padding: "8px 0", borderBottom: `1px solid ${theme.colors.borderLight}` }}>
+                    <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                        <div style={{ flex: 1, minWidth: 0, fontSize: 13, fontWeight: 600, overflow: "hidden", textOverflow: "ellipsis" }}>
+                            {a.username}
+                            {isSelf(a) && <span style={{ fontWeight: 400, color: theme.colors.textTertiary }}> (you)</span>}
+                            {!a.credential && <span style={{ fontSize: 10, fontWeight: 700, color: theme.colors.dangerText }}> NO PIN</span>}
+                        </div>
+                        <button
+                            type="button"
+                            style={styles.btnX}
+                            title={isSelf(a) ? "You can't remove yourself" : `Remove ${a.username}`}
+                            disabled={isSelf(a) || busy}
+                            onClick={() => commit(accounts.filter((x) => x !== a), `Removed ${a.username}`)}
+                        >
+                            ×
+                        </button>
+                    </div>
+                    <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" }}>
+                        <select
+                            value={a.role}
+                            disabled={isSelf(a) || busy}
+                            title={isSelf(a) ? "Another owner has to change your role" : ROLE_LABELS[a.role]}
+                            onChange={(e) => commit(accounts.map((x) => (x === a ? { ...x, role: e.target.value } : x)), `${a.username} is now ${e.target.value}`)}
+                            style={{ ...styles.input, height: 28, minWidth: 0 }}
+                        >
+                            {ROLES.map((r) => <option key={r} value={r}>{r}</option>)}
+                        </select>
+                        {pinFor === a.username ? (
+                            <>
+                                <PinField value={pinDraft} onChange={setPinDraft} styles={styles} />
+                                <button type="button" style={styles.btnSmallPrimary} disabled={busy} onClick={() => savePin(a.username)}>Save</button>
+                                <button type="button" style={styles.btnSmallGhost} onClick={() => { setPinFor(null); setPinDraft(""); }}>Cancel</button>
+                            </>
+                        ) : (
+                            <button type="button" style={styles.btnSmallGhost} onClick={() => { setPinFor(a.username); setPinDraft(""); }}>
+                                {a.credential ? "Change PIN" : "Set PIN"}
+                            </button>
+                        )}
+                    </div>
+                </div>
+            ))}
+
+            <div style={{ display: "flex", flexDirection: "column", gap: 6, paddingTop: 4 }}>
+                <div style={{ fontSize: 11, color: theme.colors.textTertiary }}>Add account</div>
+                <input
+                    value={newName}
+                    onChange={(e) => setNewName(e.target.value)}
+                    placeholder="Login"
+                    style={styles.input}
+                />
+                <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                    <select value={newRole} onChange={(e) => setNewRole(e.target.value)} style={{ ...styles.input, height: 28, flex: 1, minWidth: 0 }}>
+                        {ROLES.map((r) => <option key={r} value={r}>{r}</option>)}
+                    </select>
+                    <PinField value={newPin} onChange={setNewPin} styles={styles} />
+                    <button type="button" style={styles.btnSmallPrimary} disabled={busy} onClick={addAccount}>Add</button>
+                </div>
+                <div style={{ fontSize: 11, color: theme.colors.textTertiary, lineHeight: 1.4 }}>
+                    {ROLES.map((r) => <div key={r}>{ROLE_LABELS[r]}</div>)}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default UsersPanel;
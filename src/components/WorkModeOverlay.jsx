@@ -1,11 +1,13 @@
 import React, { useState, useMemo } from 'react';
-import { toAngleLabel } from '../domain/angles.js';
+import { toCutLabel, hasLongCutLabels, sortAngles, groupAnglesByValue } from '../domain/angles.js';
+import { countSetups } from '../domain/sequence.js';
+import { piecesDone, needsMultipleCuts } from '../domain/quantities.js';
 
-/* Custom dropdown for ALL/MAIN/STEFAN filter used inside WorkModeOverlay */
-function WorkModeFilterSelect({ value, onChange, t }) {
+/* Custom dropdown for ALL / per-saw filter used inside WorkModeOverlay */
+function WorkModeFilterSelect({ value, onChange, saws, t }) {
     const [open, setOpen] = useState(false);
-    const options = [{ v: "all", l: "ALL" }, { v: "main", l: "MAIN" }, { v: "stefan", l: "STEFAN" }];
-    const current = options.find(o => o.v === value);
+    const options = [{ v: "all", l: "ALL" }, ...saws.map(s => ({ v: s.id, l: s.name }))];
+    const current = options.find(o => o.v === value) || options[0];
     return (
         <div style={{ position: "relative", width: 90, flexShrink: 0 }}>
             <button onClick={() => setOpen(v => !v)} style={{ width: "100%", height: 44, background: t.btnBg, border: `1px solid ${t.btnBorder}`, color: t.text, borderRadius: 4, cursor: "pointer", fontSize: 13, fontWeight: 600, display: "flex", alignItems: "center", justifyContent: "space-between", padding: "0 10px" }}>
@@ -25,13 +27,25 @@ function WorkModeFilterSelect({ value, onChange, t }) {
     );
 }
 
-/* Single row with checkbox in work mode */
-function WorkModeRow({ row, checked, isNext, onToggle, t }) {
+// Sort button: ascending → descending → cutting sequence (fewest set-ups)
+const SORT_CYCLE = { asc: "desc", desc: "sequence", sequence: "asc" };
+const SORT_SYMBOLS = { asc: "↑", desc: "↓", sequence: "⤴" };
+
+/*
+ * Single row with checkbox in work mode; a grouped row toggles all its angles.
+ * Rows needing several cuts (`total` > 1) count one piece per tap instead, with
+ * "−" taking one back; the checkbox still marks the whole row done or not.
+ */
+function WorkModeRow({ row, checked, done = 0, isNext, wide = false, onToggle, onCut, t }) {
+    const ids = row.angleIds ?? [row.id];
+    const total = row.total ?? 1;
+    const counted = total > 1 && onCut;
+    const angleColumn = wide ? "136px" : "64px";
     return (
         <div
-            onClick={(e) => onToggle(row.id, e)}
+            onClick={(e) => (counted ? onCut(row, 1, e) : onToggle(ids, e))}
             style={{
-                display: "grid", gridTemplateColumns: "64px 1fr 36px",
+                display: "grid", gridTemplateColumns: counted ? `${angleColumn} 1fr auto 36px` : `${angleColumn} 1fr 36px`,
                 alignItems: "center", gap: 4,
                 background: t.card, border: `1px solid ${t.border}`,
                 borderRadius: 4, padding: "8px 10px", marginBottom: 4,
@@ -39,10 +53,24 @@ function WorkModeRow({ row, checked, isNext, onToggle, t }) {
                 borderLeft: isNext ? `4px solid ${t.text}` : `1px solid ${t.border}`,
             }}
         >
-            <span style={{ fontWeight: 700, fontSize: 18, color: checked ? t.strike : t.text, textDecoration: checked ? "line-through" : "none" }}>{toAngleLabel(row.value)}</span>
+            <span style={{ fontWeight: 700, fontSize: 18, color: checked ? t.strike : t.text, textDecoration: checked ? "line-through" : "none" }}>{toCutLabel(row)}</span>
             <span style={{ fontSize: 16, color: checked ? t.strike : t.sub, textDecoration: checked ? "line-through" : "none" }}>{row.hold}</span>
+            {counted && (
+                <span style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 15, fontWeight: 600, color: checked ? t.strike : t.text }}>
+                    {done > 0 && (
+                        <button
+                            onClick={(e) => onCut(row, -1, e)}
+                            aria-label="One piece less"
+                            style={{ background: "none", border: `1px solid ${t.border}`, color: t.sub, borderRadius: 4, width: 28, height: 28, padding: 0, cursor: "pointer", fontSize: 16 }}
+                        >
+                            −
+                        </button>
+                    )}
+                    {done}/{total}
+                </span>
+            )}
             <div
-                onClick={(e) => onToggle(row.id, e)}
+                onClick={(e) => onToggle(ids, e)}
                 style={{
                     width: 18, height: 18, borderRadius: 3, justifySelf: "center",
                     border: `2px solid ${checked ? t.text : t.border}`,
@@ -61,28 +89,45 @@ function WorkModeRow({ row, checked, isNext, onToggle, t }) {
     );
 }
 
-/* Main fullscreen work-mode overlay */
-function WorkModeOverlay({ main, stefan, checkedAngles, onToggleCheck, onExit, showSaved, theme, onToggleTheme }) {
-    const [filter, setFilter] = useState("all"); // all | main | stefan
-    const [mainSort, setMainSort] = useState("asc");
-    const [stefanSort, setStefanSort] = useState("asc");
+/* Main fullscreen work-mode overlay; rows maps saw id → angle rows */
+function WorkModeOverlay({ saws, rows, checkedAngles, piecesCut = {}, onToggleCheck, onCutPieces, grouped = false, onToggleGrouped, sequenceOptions, onExit, showSaved, theme, onToggleTheme }) {
+    const [filter, setFilter] = useState("all"); // all | <saw id>
+    // Work mode always starts ascending; per-saw overrides live here
+    const [sortBySaw, setSortBySaw] = useState(() => ({}));
 
-    const sortedMain = useMemo(() => {
-        const arr = [...main];
-        return mainSort === "asc"
-            ? arr.sort((a, b) => a.value - b.value || a.hold.localeCompare(b.hold))
-            : arr.sort((a, b) => b.value - a.value || a.hold.localeCompare(b.hold));
-    }, [main, mainSort]);
+    const sections = useMemo(() => saws
+        .filter(s => filter === "all" || s.id === filter)
+        .map(saw => {
+            const direction = sortBySaw[saw.id] ?? "asc";
+            const sorted = sortAngles(rows[saw.id] ?? [], saw.id, direction, sequenceOptions);
+            return {
+                saw,
+                direction,
+                rows: grouped ? groupAnglesByValue(sorted) : sorted,
+                setups: direction === "sequence" ? countSetups(sorted, sequenceOptions?.tolerance) : null,
+                counted: needsMultipleCuts(sorted),
+                wide: hasLongCutLabels(sorted),
+            };
+        }), [saws, rows, filter, sortBySaw, grouped, sequenceOptions]);
+    const isChecked = (r) => (r.angleIds ?? [r.id]).every(id => checkedAngles.has(id));
 
-    const sortedStefan = useMemo(() => {
-        const arr = [...stefan];
-        return stefanSort === "asc"
-            ? arr.sort((a, b) => a.value - b.value || a.hold.localeCompare(b.hold))
-            : arr.sort((a, b) => b.value - a.value || a.hold.localeCompare(b.hold));
-    }, [stefan, stefanSort]);
+    // Per angle of a row (one, or several when grouped): [id, total, done]
+    const rowParts = (r) => (r.angleIds ?? [r.id]).map((id, i) => {
+        const total = r.angleTotals?.[i] ?? r.total ?? 1;
+        return [id, total, piecesDone(id, total, checkedAngles, piecesCut)];
+    });
+    const rowDone = (r) => rowParts(r).reduce((sum, [, , done]) => sum + done, 0);
+    // +1 goes to the first unfinished angle of the row, −1 comes off the last started one
+    const cutPiece = (r, delta, e) => {
+        e.stopPropagation();
+        const parts = rowParts(r);
+        const part = delta > 0
+            ? parts.find(([, total, done]) => done < total)
+            : [...parts].reverse().find(([, , done]) => done > 0);
+        if (part) onCutPieces(part[0], part[2] + delta, part[1]);
+    };
 
-    const showMain = filter !== "stefan";
-    const showStefan = filter !== "main";
+    const hasRows = saws.some(s => (rows[s.id] ?? []).length > 0);
 
     const dark = theme === "dark";
     const t = {
@@ -100,35 +145,36 @@ function WorkModeOverlay({ main, stefan, checkedAngles, onToggleCheck, onExit, s
     return (
         <div style={{ position: "fixed", inset: 0, zIndex: 200, background: t.bg, display: "flex", flexDirection: "column", boxSizing: "border-box" }}>
             <div style={{ flex: 1, overflowY: "auto", padding: "12px 12px 90px" }}>
-                {showMain && sortedMain.length > 0 && (
-                    <div style={{ marginBottom: 16 }}>
-                        <div style={{ display: "flex", alignItems: "center", justifyContent: "center", position: "relative", marginBottom: 8 }}>
-                            <span style={{ fontSize: 11, fontWeight: 700, letterSpacing: "0.05em", color: t.sub }}>MAIN</span>
-                            <button onClick={() => setMainSort(s => s === "asc" ? "desc" : "asc")} style={{ position: "absolute", right: 0, background: "none", border: "none", cursor: "pointer", color: t.sub, fontSize: 14, padding: "0 4px" }}>
-                                {mainSort === "asc" ? "↑" : "↓"}
-                            </button>
-                        </div>
-                        {sortedMain.map((r, i) => {
-                            const nextIdx = sortedMain.findIndex(x => !checkedAngles.has(x.id));
-                            return <WorkModeRow key={r.id} row={r} checked={checkedAngles.has(r.id)} isNext={i === nextIdx} onToggle={onToggleCheck} t={t} />;
-                        })}
-                    </div>
-                )}
-                {showStefan && sortedStefan.length > 0 && (
-                    <div>
-                        <div style={{ display: "flex", alignItems: "center", justifyContent: "center", position: "relative", marginBottom: 8 }}>
-                            <span style={{ fontSize: 11, fontWeight: 700, letterSpacing: "0.05em", color: t.sub }}>STEFAN</span>
-                            <button onClick={() => setStefanSort(s => s === "asc" ? "desc" : "asc")} style={{ position: "absolute", right: 0, background: "none", border: "none", cursor: "pointer", color: t.sub, fontSize: 14, padding: "0 4px" }}>
-                                {stefanSort === "asc" ? "↑" : "↓"}
-                            </button>
+                {sections.filter(sec => sec.rows.length > 0).map(({ saw, direction, rows: sawRows, setups, counted, wide }) => {
+                    const nextIdx = sawRows.findIndex(x => !isChecked(x));
+                    return (
+                        <div key={saw.id} style={{ marginBottom: 16 }}>
+                            <div style={{ display: "flex", alignItems: "center", justifyContent: "center", position: "relative", marginBottom: 8 }}>
+                                <span style={{ fontSize: 11, fontWeight: 700, letterSpacing: "0.05em", color: t.sub }}>
+                                    {saw.name}{setups !== null && ` · ${setups} SET-UP(S)`}
+                                    {counted && ` · ${sawRows.reduce((sum, r) => sum + rowDone(r), 0)}/${sawRows.reduce((sum, r) => sum + (r.total ?? 1), 0)} CUTS`}
+                                </span>
+                                <button onClick={() => setSortBySaw(prev => ({ ...prev, [saw.id]: SORT_CYCLE[direction] }))} style={{ position: "absolute", right: 0, background: "none", border: "none", cursor: "pointer", color: t.sub, fontSize: 14, padding: "0 4px" }}>
+                                    {SORT_SYMBOLS[direction]}
+                                </button>
+                            </div>
+                            {sawRows.map((r, i) => (
+                                <WorkModeRow
+                                    key={r.id}
+                                    row={r}
+                                    checked={isChecked(r)}
+                                    done={rowDone(r)}
+                                    isNext={i === nextIdx}
+                                    wide={wide}
+                                    onToggle={onToggleCheck}
+                                    onCut={onCutPieces && cutPiece}
+                                    t={t}
+                                />
+                            ))}
                         </div>
-                        {sortedStefan.map((r, i) => {
-                            const nextIdx = sortedStefan.findIndex(x => !checkedAngles.has(x.id));
-                            return <WorkModeRow key={r.id} row={r} checked={checkedAngles.has(r.id)} isNext={i === nextIdx} onToggle={onToggleCheck} t={t} />;
-                        })}
-                    </div>
-                )}
-                {sortedMain.length === 0 && sortedStefan.length === 0 && (
+                    );
+                })}
+                {!hasRows && (
                     <div style={{ textAlign: "center", color: t.sub, marginTop: 60, fontSize: 14 }}>No holds selected</div>
                 )}
             </div>
@@ -144,7 +190,17 @@ function WorkModeOverlay({ main, stefan, checkedAngles, onToggleCheck, onExit, s
                         : <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"/></svg>
                     }
                 </button>
-                <WorkModeFilterSelect value={filter} onChange={setFilter} t={t} />
+                <WorkModeFilterSelect value={filter} onChange={setFilter} saws={saws} t={t} />
+                {onToggleGrouped && (
+                    <button
+                        onClick={onToggleGrouped}
+                        aria-pressed={grouped}
+                        title="Group by angle"
+                        style={{ background: grouped ? t.text : t.btnBg, border: `1px solid ${t.btnBorder}`, color: grouped ? t.card : t.text, borderRadius: 4, height: 44, padding: "0 10px", flexShrink: 0, fontSize: 12, fontWeight: 600, cursor: "pointer" }}
+                    >
+                        GROUP
+                    </button>
+                )}
                 <button onClick={onExit} style={{ background: t.btnBg, border: `1px solid ${t.btnBorder}`, color: t.text, borderRadius: 4, flex: 1, height: 44, fontSize: 14, cursor: "pointer" }}>
                     ← EXIT
                 </button>
@@ -93,6 +93,13 @@ export function SortIcon({ direction }) {
             </svg>
         );
     }
+    if (direction === "sequence") {
+        return (
+            <svg width="12" height="12" viewBox="0 0 12 12" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round">
+                <path d="M2 10H5V6H8V2H10" />
+            </svg>
+        );
+    }
     if (direction === "desc") {
         return (
             <svg width="12" height="12" viewBox="0 0 12 12" fill="currentColor">
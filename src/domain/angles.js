@@ -1,3 +1,5 @@
+import { sequenceAngles } from './sequence.js';
+
 export function clamp(n, a, b) {
     return Math.max(a, Math.min(b, n));
 }
@@ -7,11 +9,66 @@ export function toAngleLabel(n) {
     return isInt ? `${Math.round(Number(n))}°` : `${Number(n).toFixed(1)}°`;
 }
 
-export function sortAngles(angles, saw, direction) {
-    return [...angles]
-        .filter(a => a.saw === saw)
+// Cut orientation of an angle (optional): left or right
+export const ANGLE_SIDES = ['L', 'R'];
+
+/** True when an angle tilts the blade as well (`bevel` above 0). */
+export function isCompound(angle) {
+    return Number(angle?.bevel) > 0;
+}
+
+/**
+ * Saw setting as shown to operators: the miter (`value`), then the bevel for
+ * compound cuts and the side, e.g. "45° / 33.9° L", "28.2° R" or "30°".
+ */
+export function toCutLabel(angle) {
+    const parts = [toAngleLabel(angle.value)];
+    if (isCompound(angle)) parts.push(` / ${toAngleLabel(angle.bevel)}`);
+    if (angle.side) parts.push(` ${angle.side}`);
+    return parts.join('');
+}
+
+/** True when some row's label is longer than a plain angle (compound or sided), so tables widen the angle column. */
+export function hasLongCutLabels(rows) {
+    return rows.some((r) => isCompound(r) || !!r.side);
+}
+
+/** Rows of one saw, ordered 'asc', 'desc' or 'sequence' (see sequence.js, which takes `sequenceOptions`). */
+export function sortAngles(angles, saw, direction, sequenceOptions) {
+    const rows = angles.filter(a => a.saw === saw);
+    if (direction === 'sequence') return sequenceAngles(rows, sequenceOptions);
+    return rows
         .sort((x, y) => direction === 'asc'
             ? Number(x.value) - Number(y.value) || x.hold.localeCompare(y.hold)
             : Number(y.value) - Number(x.value) || x.hold.localeCompare(y.hold)
         );
 }
+
+/**
+ * Merge rows that share a saw setting (same saw, value, bevel and side) into one
+ * row per setting, keeping the order of `rows`: { id, value, saw, hold, holds,
+ * angleIds, angleTotals, total }. `id` is the first angle's (its drawing is the
+ * one shown), `hold` lists the product names, e.g. "Austin, Amon", and `total`
+ * adds up the rows' cuts (`total`, default 1; per angle in `angleTotals`).
+ */
+export function groupAnglesByValue(rows) {
+    const groups = new Map();
+    for (const r of rows) {
+        const key = `${r.saw}|${Number(r.value)}|${isCompound(r) ? Number(r.bevel) : 0}|${r.side ?? ''}`;
+        const g = groups.get(key);
+        if (!g) {
+            groups.set(key, {
+                id: r.id, value: r.value, saw: r.saw,
+                ...(isCompound(r) ? { bevel: r.bevel } : {}),
+                ...(r.side ? { side: r.side } : {}),
+                holds: [r.hold], angleIds: [r.id], angleTotals: [r.total ?? 1], total: r.total ?? 1,
+            });
+        } else {
+            if (!g.holds.includes(r.hold)) g.holds.push(r.hold);
+            g.angleIds.push(r.id);
+            g.angleTotals.push(r.total ?? 1);
+            g.total += r.total ?? 1;
+        }
+    }
+    return [...groups.values()].map((g) => ({ ...g, hold: g.holds.join(', ') }));
+}
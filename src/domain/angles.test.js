@@ -1,7 +1,7 @@
 import { describe, it, expect } from 'vitest';
-import { clamp, toAngleLabel } from './angles.js';
+import { clamp, toAngleLabel, toCutLabel, hasLongCutLabels, sortAngles, groupAnglesByValue } from './angles.js';
 import { normalizeHoldName } from './holds.js';
-import { isSafeRasterDataUrl, isStrongAdminPassword } from './validation.js';
+import { isSafeRasterDataUrl, isStrongAdminPassword, isImageRef, isStoredImage } from './validation.js';
 
 describe('clamp', () => {
   it('clamps to min', () => {
@@ -24,6 +24,56 @@ describe('toAngleLabel', () => {
   });
 });
 
+describe('toCutLabel', () => {
+  it('adds bevel and side for compound cuts', () => {
+    expect(toCutLabel({ value: 45, bevel: 33.86, side: 'L' })).toBe('45° / 33.9° L');
+    expect(toCutLabel({ value: 28.2, side: 'R' })).toBe('28.2° R');
+    expect(toCutLabel({ value: 30, bevel: 0 })).toBe('30°');
+    expect(hasLongCutLabels([{ value: 30 }, { value: 28.2, side: 'R' }])).toBe(true);
+    expect(hasLongCutLabels([{ value: 30 }])).toBe(false);
+  });
+});
+
+describe('groupAnglesByValue', () => {
+  const rows = [
+    { id: 'a1', hold: 'Austin', value: 45, saw: 'main' },
+    { id: 'a2', hold: 'Amon', value: 45, saw: 'main' },
+    { id: 'a3', hold: 'Austin', value: 28.2, saw: 'main' },
+    { id: 'a4', hold: 'Avalon Flat', value: 45.0, saw: 'main' },
+    { id: 'a5', hold: 'Austin', value: 45, saw: 'main' },
+    { id: 'a6', hold: 'Amon', value: 45, saw: 'stefan' },
+  ];
+
+  it('merges rows with the same saw setting in sorted order', () => {
+    const grouped = groupAnglesByValue(sortAngles(rows, 'main', 'asc'));
+    expect(grouped.map((g) => [toAngleLabel(g.value), g.hold])).toEqual([
+      ['28.2°', 'Austin'],
+      ['45°', 'Amon, Austin, Avalon Flat'],
+    ]);
+    expect(grouped[1].angleIds).toEqual(['a2', 'a1', 'a5', 'a4']);
+    expect(grouped[1].id).toBe('a2');
+  });
+
+  it('keeps compound settings apart', () => {
+    const grouped = groupAnglesByValue([rows[0], { ...rows[1], bevel: 30, side: 'L' }]);
+    expect(grouped.map(toCutLabel)).toEqual(['45°', '45° / 30° L']);
+  });
+
+  it('keeps values apart that only share a rounded label', () => {
+    const grouped = groupAnglesByValue([{ ...rows[0], value: 31.62 }, { ...rows[1], value: 31.58 }]);
+    expect(grouped.map((g) => g.value)).toEqual([31.62, 31.58]);
+  });
+
+  it('adds up cuts per setting', () => {
+    const grouped = groupAnglesByValue([{ ...rows[0], total: 6 }, rows[1]]);
+    expect(grouped[0]).toMatchObject({ angleTotals: [6, 1], total: 7 });
+  });
+
+  it('keeps saws apart', () => {
+    expect(groupAnglesByValue(rows)).toHaveLength(3);
+  });
+});
+
 describe('normalizeHoldName', () => {
   it('trims whitespace', () => {
     expect(normalizeHoldName('  crimp  ')).toBe('crimp');
@@ -62,3 +112,22 @@ describe('isStrongAdminPassword', () => {
   it('rejects too short', () => expect(isStrongAdminPassword('123')).toBe(false));
   it('rejects too long', () => expect(isStrongAdminPassword('12345')).toBe(false));
 });
+
+describe('isImageRef', () => {
+  it('accepts idb hex refs', () => {
+    expect(isImageRef('idb:0123456789abcdef0123456789abcdef')).toBe(true);
+  });
+  it('rejects other strings', () => {
+    expect(isImageRef('idb:../etc')).toBe(false);
+    expect(isImageRef('data:image/png;base64,abc')).toBe(false);
+    expect(isImageRef(null)).toBe(false);
+  });
+});
+
+describe('isStoredImage', () => {
+  it('accepts raster data URLs and refs, rejects SVG', () => {
+    expect(isStoredImage('data:image/png;base64,abc')).toBe(true);
+    expect(isStoredImage('idb:0123456789abcdef')).toBe(true);
+    expect(isStoredImage('data:image/svg+xml;base64,abc')).toBe(false);
+  });
+});
@@ -0,0 +1,200 @@
+import { getSaws, findSawById } from './saws.js';
+import { toAngleLabel, toCutLabel } from './angles.js';
+
+// Review report between two catalogues ("before" → "after"), grouped per product
+// for sign-off. Products are matched by hold id and angles by angle id, like
+// diffCatalogues(); this adds per-saw value changes and drawing changes. Plain
+// angles are listed by value; compound cuts (bevel or side set on either side)
+// by their full label in `cuts`, so a bevel change isn't lost in the summary.
+
+const isCompoundCut = (a) => Number(a.bevel) > 0 || !!a.side;
+
+function imageChange(before, after, imageKey) {
+    const a = before ? imageKey(before) : null;
+    const b = after ? imageKey(after) : null;
+    if (a === b) return null;
+    if (!a) return 'added';
+    if (!b) return 'removed';
+    return 'replaced';
+}
+
+/**
+ * Compare `before` with `after`. `imageKey` maps an image value to something
+ * comparable across catalogues (see planMerge). Returns
+ * { products: [{ id, name, previousName?, status: 'added' | 'removed' | 'changed',
+ *                cover: 'added' | 'replaced' | 'removed' | null,
+ *                saws: [{ id, name, added: [value], removed: [value], changed: [{ from, to }],
+ *                         pieces: [{ value, from, to }],
+ *                         cuts: [{ from: label | null, to: label | null }] }],
+ *                drawings: { added, replaced, removed } (angle labels like "MAIN 28.2°") }],
+ *   totals: { productsAdded, productsRemoved, productsRenamed, anglesAdded, anglesRemoved,
+ *             anglesChanged, drawingsAdded, drawingsReplaced, drawingsRemoved } }.
+ * Unchanged products are left out; products are sorted by name.
+ */
+export function compareCatalogues(before, after, { imageKey = (v) => v } = {}) {
+    const saws = [...getSaws(after), ...getSaws(before)];
+    const sawName = (id) => findSawById(saws, id)?.name ?? id;
+    const sawRank = (id) => {
+        const i = saws.findIndex((s) => s.id === id);
+        return i < 0 ? saws.length : i;
+    };
+
+    const holdsBefore = new Map((before?.holds ?? []).map((h) => [h.id, h]));
+    const holdsAfter = new Map((after?.holds ?? []).map((h) => [h.id, h]));
+    const anglesOf = (data) => {
+        const map = new Map();
+        for (const a of data?.angles ?? []) {
+            if (!map.has(a.holdId)) map.set(a.holdId, new Map());
+            map.get(a.holdId).set(a.id, a);
+        }
+        return map;
+    };
+    const anglesBefore = anglesOf(before);
+    const anglesAfter = anglesOf(after);
+
+    const totals = {
+        productsAdded: 0, productsRemoved: 0, productsRenamed: 0,
+        anglesAdded: 0, anglesRemoved: 0, anglesChanged: 0,
+        drawingsAdded: 0, drawingsReplaced: 0, drawingsRemoved: 0,
+    };
+    const products = [];
+
+    for (const id of new Set([...holdsAfter.keys(), ...holdsBefore.keys()])) {
+        const hb = holdsBefore.get(id);
+        const ha = holdsAfter.get(id);
+        const status = !hb ? 'added' : !ha ? 'removed' : 'changed';
+        const sawEntries = new Map();
+        const sawEntry = (sawId) => {
+            if (!sawEntries.has(sawId)) sawEntries.set(sawId, { id: sawId, name: sawName(sawId), added: [], removed: [], changed: [], pieces: [], cuts: [] });
+            return sawEntries.get(sawId);
+        };
+        const drawings = { added: [], replaced: [], removed: [] };
+        const noteDrawing = (change, angle) => {
+            if (!change) return;
+            drawings[change].push(`${sawName(angle.saw)} ${toCutLabel(angle)}`);
+            totals[`drawings${change[0].toUpperCase()}${change.slice(1)}`]++;
+        };
+
+        const addCut = (a) => {
+            if (isCompoundCut(a)) sawEntry(a.saw).cuts.push({ from: null, to: toCutLabel(a) });
+            else sawEntry(a.saw).added.push(a.value);
+        };
+        const removeCut = (a) => {
+            if (isCompoundCut(a)) sawEntry(a.saw).cuts.push({ from: toCutLabel(a), to: null });
+            else sawEntry(a.saw).removed.push(a.value);
+        };
+
+        const ab = anglesBefore.get(id) ?? new Map();
+        const aa = anglesAfter.get(id) ?? new Map();
+        for (const [angleId, a] of aa) {
+            const prev = ab.get(angleId);
+            if (!prev) {
+                addCut(a);
+                totals.anglesAdded++;
+                noteDrawing(a.drawing ? 'added' : null, a);
+                continue;
+            }
+            if (prev.saw !== a.saw) {
+                removeCut(prev);
+                addCut(a);
+                totals.anglesChanged++;
+            } else if (isCompoundCut(prev) || isCompoundCut(a)) {
+                if (toCutLabel(prev) !== toCutLabel(a) || Number(prev.value) !== Number(a.value)) {
+                    sawEntry(a.saw).cuts.push({ from: toCutLabel(prev), to: toCutLabel(a) });
+                    totals.anglesChanged++;
+                } else if ((prev.pieces ?? 1) !== (a.pieces ?? 1)) {
+                    sawEntry(a.saw).pieces.push({ value: a.value, label: toCutLabel(a), from: prev.pieces ?? 1, to: a.pieces ?? 1 });
+                    totals.anglesChanged++;
+                }
+            } else if (Number(prev.value) !== Number(a.value)) {
+                sawEntry(a.saw).changed.push({ from: prev.value, to: a.value });
+                totals.anglesChanged++;
+            } else if ((prev.pieces ?? 1) !== (a.pieces ?? 1)) {
+                sawEntry(a.saw).pieces.push({ value: a.value, from: prev.pieces ?? 1, to: a.pieces ?? 1 });
+                totals.anglesChanged++;
+            }
+            noteDrawing(imageChange(prev.drawing, a.drawing, imageKey), a);
+        }
+        for (const [angleId, a] of ab) {
+            if (aa.has(angleId)) continue;
+            removeCut(a);
+            totals.anglesRemoved++;
+        }
+
+        const cover = status === 'changed' ? imageChange(hb.coverImage, ha.coverImage, imageKey) : null;
+        const renamed = status === 'changed' && hb.name !== ha.name;
+        const sawList = [...sawEntries.values()]
+            .map((s) => ({
+                ...s,
+                added: [...s.added].sort((x, y) => x - y),
+                removed: [...s.removed].sort((x, y) => x - y),
+                changed: [...s.changed].sort((x, y) => x.from - y.from),
+                pieces: [...s.pieces].sort((x, y) => x.value - y.value),
+            }))
+            .sort((x, y) => sawRank(x.id) - sawRank(y.id));
+        const hasChanges = status !== 'changed' || renamed || cover || sawList.length
+            || drawings.added.length || drawings.replaced.length || drawings.removed.length;
+        if (!hasChanges) continue;
+
+        if (status === 'added') totals.productsAdded++;
+        if (status === 'removed') totals.productsRemoved++;
+        if (renamed) totals.productsRenamed++;
+        products.push({
+            id,
+            name: (ha ?? hb).name,
+            ...(renamed ? { previousName: hb.name } : {}),
+            status,
+            cover,
+            saws: sawList,
+            drawings,
+        });
+    }
+
+    products.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+    return { products, totals };
+}
+
+const STATUS_TEXT = { added: 'NEW PRODUCT', removed: 'REMOVED PRODUCT', changed: null };
+
+/**
+ * Plain-text lines per product for the printable summary:
+ * [{ heading, lines: [text] }]. Shared by the on-screen list and the print-out.
+ */
+export function compareReportSections(report) {
+    return report.products.map((p) => {
+        const lines = [];
+        if (STATUS_TEXT[p.status]) lines.push(STATUS_TEXT[p.status]);
+        if (p.previousName) lines.push(`Renamed from ${p.previousName}`);
+        if (p.cover) lines.push(`Cover ${p.cover}`);
+        for (const s of p.saws) {
+            const parts = [
+                ...s.changed.map((c) => `${toAngleLabel(c.from)} → ${toAngleLabel(c.to)}`),
+                ...s.added.map((v) => `+${toAngleLabel(v)}`),
+                ...s.removed.map((v) => `−${toAngleLabel(v)}`),
+                ...s.cuts.map((c) => (!c.from ? `+${c.to}` : !c.to ? `−${c.from}` : `${c.from} → ${c.to}`)),
+                ...s.pieces.map((p) => `${p.label ?? toAngleLabel(p.value)} pieces ${p.from} → ${p.to}`),
+            ];
+            lines.push(`${s.name}: ${parts.join(', ')}`);
+        }
+        if (p.drawings.added.length) lines.push(`Drawings added: ${p.drawings.added.join(', ')}`);
+        if (p.drawings.replaced.length) lines.push(`Drawings replaced: ${p.drawings.replaced.join(', ')}`);
+        if (p.drawings.removed.length) lines.push(`Drawings removed: ${p.drawings.removed.join(', ')}`);
+        return { heading: p.name, lines };
+    });
+}
+
+/** One-line totals, e.g. "2 products added · 5 angles changed · 3 drawings replaced". */
+export function describeCompareTotals(totals) {
+    const parts = [
+        [totals.productsAdded, 'product(s) added'],
+        [totals.productsRemoved, 'product(s) removed'],
+        [totals.productsRenamed, 'product(s) renamed'],
+        [totals.anglesAdded, 'angle(s) added'],
+        [totals.anglesRemoved, 'angle(s) removed'],
+        [totals.anglesChanged, 'angle(s) changed'],
+        [totals.drawingsAdded, 'drawing(s) added'],
+        [totals.drawingsReplaced, 'drawing(s) replaced'],
+        [totals.drawingsRemoved, 'drawing(s) removed'],
+    ].filter(([n]) => n > 0).map(([n, label]) => `${n} ${label}`);
+    return parts.length ? parts.join(' · ') : 'No differences';
+}
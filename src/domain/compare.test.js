@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { compareCatalogues, compareReportSections, describeCompareTotals } from './compare.js';
+
+const before = {
+    holds: [{ id: 'h1', name: 'Austin' }, { id: 'h2', name: 'Amon' }, { id: 'h3', name: 'Cobra' }],
+    angles: [
+        { id: 'a1', holdId: 'h1', value: 10, saw: 'main', drawing: 'img:1' },
+        { id: 'a2', holdId: 'h1', value: 20, saw: 'main' },
+        { id: 'a3', holdId: 'h1', value: 30, saw: 'stefan', drawing: 'img:3' },
+        { id: 'a4', holdId: 'h2', value: 45, saw: 'main' },
+        { id: 'a5', holdId: 'h3', value: 15, saw: 'main' },
+    ],
+};
+
+describe('compareCatalogues', () => {
+    it('returns nothing for identical catalogues', () => {
+        const report = compareCatalogues(before, structuredClone(before));
+        expect(report.products).toEqual([]);
+        expect(describeCompareTotals(report.totals)).toBe('No differences');
+    });
+
+    it('groups value, saw and drawing changes per product and saw', () => {
+        const after = {
+            holds: [{ id: 'h1', name: 'Austin XL' }, { id: 'h3', name: 'Cobra' }, { id: 'h4', name: 'Bravo' }],
+            angles: [
+                { id: 'a1', holdId: 'h1', value: 12.5, saw: 'main', drawing: 'img:1b' },
+                { id: 'a2', holdId: 'h1', value: 20, saw: 'stefan', drawing: 'img:2' },
+                { id: 'a5', holdId: 'h3', value: 15, saw: 'main' },
+                { id: 'a6', holdId: 'h4', value: 33, saw: 'main', drawing: 'img:6' },
+            ],
+        };
+        const report = compareCatalogues(before, after);
+        expect(report.products.map((p) => [p.name, p.status])).toEqual([
+            ['Amon', 'removed'],
+            ['Austin XL', 'changed'],
+            ['Bravo', 'added'],
+        ]);
+
+        const austin = report.products[1];
+        expect(austin.previousName).toBe('Austin');
+        expect(austin.saws).toEqual([
+            { id: 'main', name: 'MAIN', added: [], removed: [20], changed: [{ from: 10, to: 12.5 }], pieces: [], cuts: [] },
+            { id: 'stefan', name: 'STEFAN', added: [20], removed: [30], changed: [], pieces: [], cuts: [] },
+        ]);
+        expect(austin.drawings).toEqual({ added: ['STEFAN 20°'], replaced: ['MAIN 12.5°'], removed: [] });
+
+        expect(report.totals).toEqual({
+            productsAdded: 1, productsRemoved: 1, productsRenamed: 1,
+            anglesAdded: 1, anglesRemoved: 2, anglesChanged: 2,
+            drawingsAdded: 2, drawingsReplaced: 1, drawingsRemoved: 0,
+        });
+
+        expect(compareReportSections(report)[1]).toEqual({
+            heading: 'Austin XL',
+            lines: [
+                'Renamed from Austin',
+                'MAIN: 10° → 12.5°, −20°',
+                'STEFAN: +20°, −30°',
+                'Drawings added: STEFAN 20°',
+                'Drawings replaced: MAIN 12.5°',
+            ],
+        });
+        expect(describeCompareTotals(report.totals)).toMatch(/^1 product\(s\) added · 1 product\(s\) removed/);
+    });
+
+    it('reports changed pieces per unit', () => {
+        const after = structuredClone(before);
+        after.angles[3].pieces = 4;
+        const report = compareCatalogues(before, after);
+        expect(report.totals.anglesChanged).toBe(1);
+        expect(compareReportSections(report)).toEqual([{ heading: 'Amon', lines: ['MAIN: 45° pieces 1 → 4'] }]);
+    });
+
+    it('lists compound cuts by their full label', () => {
+        const after = structuredClone(before);
+        after.angles[3] = { ...after.angles[3], bevel: 33.9, side: 'L' };
+        after.angles.push({ id: 'a7', holdId: 'h2', value: 31.6, bevel: 33.9, side: 'R', saw: 'main' });
+        const report = compareCatalogues(before, after);
+        expect(report.totals).toMatchObject({ anglesAdded: 1, anglesChanged: 1 });
+        expect(compareReportSections(report)).toEqual([{ heading: 'Amon', lines: ['MAIN: 45° → 45° / 33.9° L, +31.6° / 33.9° R'] }]);
+    });
+
+    it('compares images through imageKey', () => {
+        const after = structuredClone(before);
+        after.angles[0].drawing = 'data:image/png;base64,AAAA';
+        const imageKey = (v) => (v === 'data:image/png;base64,AAAA' ? 'img:1' : v);
+        expect(compareCatalogues(before, after, { imageKey }).products).toEqual([]);
+        expect(compareCatalogues(before, after).totals.drawingsReplaced).toBe(1);
+    });
+});
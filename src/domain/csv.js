@@ -0,0 +1,244 @@
+import { findHoldById, findHoldByName, generateHoldId, getSortedHoldNames } from './migration.js';
+import { getSaws, findSawById, normalizeSawName, clampToSaw, clampBevelToSaw, sawHasBevel } from './saws.js';
+import { toAngleLabel, ANGLE_SIDES } from './angles.js';
+import { sanitizePieces } from './quantities.js';
+
+// Flat CSV view of the catalogue: one row per angle. Drawings and covers can't be
+// carried in CSV; on import they are kept from the draft for rows that match it.
+
+/** Importable columns. Ids are optional and only used to match existing records. */
+export const CSV_FIELDS = [
+    { key: 'product', label: 'Product', required: true, aliases: ['product', 'hold', 'name', 'profile'] },
+    { key: 'saw', label: 'Saw', required: true, aliases: ['saw', 'machine'] },
+    { key: 'angle', label: 'Angle', required: true, aliases: ['angle', 'value', 'degrees', 'deg', 'miter'] },
+    { key: 'product_id', label: 'Product ID', required: false, aliases: ['product_id', 'productid', 'hold_id', 'holdid'] },
+    { key: 'angle_id', label: 'Angle ID', required: false, aliases: ['angle_id', 'angleid', 'id'] },
+    { key: 'saw_id', label: 'Saw ID', required: false, aliases: ['saw_id', 'sawid'] },
+    { key: 'pieces', label: 'Pieces', required: false, aliases: ['pieces', 'pcs', 'pieces_per_unit'] },
+    { key: 'bevel', label: 'Bevel', required: false, aliases: ['bevel', 'tilt'] },
+    { key: 'side', label: 'Side', required: false, aliases: ['side', 'orientation', 'direction'] },
+];
+
+export const CSV_EXPORT_HEADER = ['product', 'saw', 'angle', 'has_drawing', 'product_id', 'angle_id', 'saw_id', 'pieces', 'bevel', 'side'];
+
+function cryptoRandomId() {
+    try {
+        return globalThis.crypto?.randomUUID?.() ?? `id_${Math.random().toString(16).slice(2)}`;
+    } catch {
+        return `id_${Math.random().toString(16).slice(2)}`;
+    }
+}
+
+/* -------------------- text format -------------------- */
+
+/** Pick the delimiter used most in the first line (outside quotes): comma, semicolon or tab. */
+export function detectDelimiter(text) {
+    const counts = { ',': 0, ';': 0, '\t': 0 };
+    let quoted = false;
+    for (const ch of String(text)) {
+        if (ch === '"') quoted = !quoted;
+        else if (!quoted && (ch === '\n' || ch === '\r')) break;
+        else if (!quoted && ch in counts) counts[ch]++;
+    }
+    return Object.keys(counts).reduce((best, d) => (counts[d] > counts[best] ? d : best), ',');
+}
+
+/**
+ * RFC 4180-style parser: quoted fields, doubled quotes, CRLF/LF, leading BOM.
+ * Returns an array of rows (arrays of strings); blank lines are skipped.
+ */
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+    const src = String(text ?? '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < src.length; i++) {
+        const ch = src[i];
+        if (quoted) {
+            if (ch === '"' && src[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && src[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length) endRow();
+    return rows;
+}
+
+function escapeField(value, delimiter) {
+    const s = String(value ?? '');
+    return s.includes('"') || s.includes(delimiter) || /[\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(rows, delimiter = ',') {
+    return rows.map(r => r.map(v => escapeField(v, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+/* -------------------- catalogue ⇄ rows -------------------- */
+
+/** Header + one row per angle, ordered by product name, saw order and value. */
+export function catalogueToCsvRows(data) {
+    const saws = getSaws(data);
+    const rows = [CSV_EXPORT_HEADER];
+    for (const hold of getSortedHoldNames(data.holds || [])) {
+        for (const saw of saws) {
+            const angles = (data.angles || [])
+                .filter(a => a.holdId === hold.id && a.saw === saw.id)
+                .sort((x, y) => Number(x.value) - Number(y.value));
+            for (const a of angles) {
+                rows.push([hold.name, saw.name, String(a.value), a.drawing ? 'yes' : 'no', hold.id, a.id, saw.id, String(sanitizePieces(a.pieces)), a.bevel ? String(a.bevel) : '', a.side ?? '']);
+            }
+        }
+    }
+    return rows;
+}
+
+/** Column index per field key, guessed from header names (-1 when not found). */
+export function guessColumnMapping(header) {
+    const names = (header || []).map(h => String(h).trim().toLowerCase().replace(/[\s-]+/g, '_'));
+    const mapping = {};
+    for (const field of CSV_FIELDS) {
+        mapping[field.key] = names.findIndex(n => field.aliases.includes(n));
+    }
+    return mapping;
+}
+
+/** Whether a file's first row is a header: it names at least one known column. */
+export function isHeaderRow(firstRow) {
+    return Object.values(guessColumnMapping(firstRow)).some(i => i >= 0);
+}
+
+/** Mapping for a freshly opened file: from its header, or in export column order when it has none. */
+export function initialColumnMapping(firstRow) {
+    return guessColumnMapping(isHeaderRow(firstRow) ? firstRow : CSV_EXPORT_HEADER);
+}
+
+/** "28,2" and "28.2" are both accepted, like sanitizeAngle(); anything else is NaN. */
+export function parseAngleValue(raw) {
+    const s = String(raw ?? '').trim().replace(/°$/, '').replace(',', '.');
+    return s && /^[-+]?\d*\.?\d+$/.test(s) ? Number(s) : NaN;
+}
+
+/**
+ * Build a catalogue from CSV data rows using `mapping` (field key → column index).
+ * Products are matched to `base` by id, then case-insensitive name, and created when
+ * missing; saws must already exist in `base` (by id, then name). Drawings and covers
+ * of matched records are kept from `base`, and so are pieces, bevel and side when their
+ * column isn't mapped. A bevel needs a saw with a bevel range; side is L or R (or left/right).
+ *
+ * Returns { catalogue, report } where report has one entry per row:
+ * { line, level: 'ok' | 'warning' | 'error', message }. Rows with errors are skipped.
+ * `firstLine` is the file line number of rows[0] (2 when there is a header).
+ */
+export function csvRowsToCatalogue(rows, mapping, base, firstLine = 2) {
+    const saws = getSaws(base);
+    const baseHolds = base.holds || [];
+    const baseAngles = base.angles || [];
+    const cell = (row, key) => (mapping[key] >= 0 ? String(row[mapping[key]] ?? '').trim() : '');
+
+    const holds = [];
+    const angles = [];
+    const angleIds = new Set();
+    const report = [];
+
+    const holdFor = (id, name) => {
+        const existing = (id && findHoldById(holds, id)) || findHoldByName(holds, name);
+        if (existing) return existing;
+        const match = (id && findHoldById(baseHolds, id)) || findHoldByName(baseHolds, name);
+        const hold = match
+            ? { ...match, name: match.id === id ? name : match.name }
+            : { id: id || generateHoldId(), name };
+        holds.push(hold);
+        return hold;
+    };
+
+    rows.forEach((row, i) => {
+        const line = firstLine + i;
+        const fail = (message) => report.push({ line, level: 'error', message });
+
+        const name = cell(row, 'product').replace(/\s+/g, ' ');
+        if (!name) return fail('Product is empty');
+
+        const sawId = cell(row, 'saw_id');
+        const sawName = cell(row, 'saw');
+        const saw = (sawId && findSawById(saws, sawId)) || saws.find(s => s.name === normalizeSawName(sawName));
+        if (!saw) return fail(sawName ? `Unknown saw "${sawName}"` : 'Saw is empty');
+
+        const rawValue = cell(row, 'angle');
+        const num = parseAngleValue(rawValue);
+        if (!Number.isFinite(num)) return fail(rawValue ? `"${rawValue}" is not a number` : 'Angle is empty');
+
+        let id = cell(row, 'angle_id');
+        if (id && angleIds.has(id)) return fail(`Duplicate angle ID ${id}`);
+
+        const hold = holdFor(cell(row, 'product_id'), name);
+        const previous = id ? baseAngles.find(a => a.id === id && a.holdId === hold.id) : null;
+        if (!id) id = cryptoRandomId();
+        angleIds.add(id);
+
+        const value = clampToSaw(num, saw);
+        const rawPieces = cell(row, 'pieces');
+        const pieces = mapping.pieces >= 0 && rawPieces ? sanitizePieces(rawPieces) : sanitizePieces(previous?.pieces);
+        const warnings = [];
+        if (value !== num) warnings.push(`${toAngleLabel(num)} is outside ${saw.name} (${saw.min}–${saw.max}°), clamped to ${toAngleLabel(value)}`);
+        if (rawPieces && mapping.pieces >= 0 && String(pieces) !== rawPieces) warnings.push(`Pieces "${rawPieces}" read as ${pieces}`);
+
+        const rawBevel = cell(row, 'bevel');
+        let bevel = mapping.bevel >= 0 ? 0 : clampBevelToSaw(previous?.bevel ?? 0, saw);
+        if (mapping.bevel >= 0 && rawBevel) {
+            const bevelNum = parseAngleValue(rawBevel);
+            bevel = clampBevelToSaw(bevelNum, saw);
+            if (!Number.isFinite(bevelNum)) warnings.push(`Bevel "${rawBevel}" is not a number, left out`);
+            else if (bevelNum > 0 && !sawHasBevel(saw)) warnings.push(`${saw.name} has no bevel, bevel ${toAngleLabel(bevelNum)} left out`);
+            else if (bevel !== bevelNum) warnings.push(`Bevel ${toAngleLabel(bevelNum)} is outside ${saw.name} (0–${saw.bevelMax}°), clamped to ${toAngleLabel(bevel)}`);
+        }
+
+        const rawSide = cell(row, 'side');
+        let side = mapping.side >= 0 ? null : previous?.side ?? null;
+        if (mapping.side >= 0 && rawSide) {
+            side = ANGLE_SIDES.find(s => s === rawSide.charAt(0).toUpperCase()) ?? null;
+            if (!side) warnings.push(`Side "${rawSide}" is not L or R, left out`);
+        }
+
+        angles.push({
+            id,
+            holdId: hold.id,
+            value,
+            saw: saw.id,
+            ...(pieces > 1 ? { pieces } : {}),
+            ...(bevel > 0 ? { bevel } : {}),
+            ...(side ? { side } : {}),
+            ...(previous?.drawing ? { drawing: previous.drawing } : {}),
+        });
+
+        report.push(warnings.length ? { line, level: 'warning', message: warnings.join('; ') } : { line, level: 'ok', message: '' });
+    });
+
+    return {
+        catalogue: { version: base.version, saws, holds: getSortedHoldNames(holds), angles },
+        report,
+    };
+}
@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import {
+    parseCsv, toCsv, detectDelimiter, catalogueToCsvRows, guessColumnMapping, isHeaderRow, initialColumnMapping, parseAngleValue,
+    csvRowsToCatalogue, CSV_EXPORT_HEADER,
+} from './csv.js';
+import { migrateStoredCatalogue } from './migration.js';
+
+const DRAWING = 'idb:00112233445566778899aabbccddeeff';
+const base = migrateStoredCatalogue({
+    version: 3,
+    holds: [{ id: 'h1', name: 'Austin', coverImage: DRAWING }, { id: 'h2', name: 'Amon' }],
+    angles: [
+        { id: 'a1', holdId: 'h1', value: 28.2, saw: 'main', drawing: DRAWING },
+        { id: 'a2', holdId: 'h2', value: 50, saw: 'stefan' },
+    ],
+});
+
+describe('parseCsv / toCsv', () => {
+    it('handles quotes, doubled quotes, CRLF and a BOM', () => {
+        const text = '\uFEFFproduct,angle\r\n"Austin, XL","28,2"\r\n"Say ""hi""",5\r\n\r\n';
+        expect(parseCsv(text)).toEqual([
+            ['product', 'angle'],
+            ['Austin, XL', '28,2'],
+            ['Say "hi"', '5'],
+        ]);
+    });
+
+    it('detects semicolon and tab delimiters', () => {
+        expect(detectDelimiter('product;saw;angle\nA;MAIN;28,2')).toBe(';');
+        expect(detectDelimiter('product\tsaw\nA\tMAIN')).toBe('\t');
+        expect(detectDelimiter('"a;b",c')).toBe(',');
+        expect(parseCsv('product;angle\nAustin;28,2')).toEqual([['product', 'angle'], ['Austin', '28,2']]);
+    });
+
+    it('round-trips through toCsv', () => {
+        const rows = [['a', 'b,c'], ['"q"', 'line\nbreak']];
+        expect(parseCsv(toCsv(rows))).toEqual(rows);
+    });
+});
+
+describe('catalogueToCsvRows', () => {
+    it('writes one row per angle with ids and drawing flag', () => {
+        const rows = catalogueToCsvRows(base);
+        expect(rows[0]).toEqual(CSV_EXPORT_HEADER);
+        expect(rows.slice(1)).toEqual([
+            ['Amon', 'STEFAN', '50', 'no', 'h2', 'a2', 'stefan', '1', '', ''],
+            ['Austin', 'MAIN', '28.2', 'yes', 'h1', 'a1', 'main', '1', '', ''],
+        ]);
+    });
+});
+
+describe('guessColumnMapping', () => {
+    it('maps known header names and aliases', () => {
+        expect(guessColumnMapping(['Hold', 'Machine', 'Degrees', 'Notes'])).toEqual({
+            product: 0, saw: 1, angle: 2, product_id: -1, angle_id: -1, saw_id: -1, pieces: -1, bevel: -1, side: -1,
+        });
+        expect(guessColumnMapping(CSV_EXPORT_HEADER).angle_id).toBe(5);
+    });
+});
+
+describe('initialColumnMapping', () => {
+    it('tells a header row from a data row', () => {
+        expect(isHeaderRow(CSV_EXPORT_HEADER)).toBe(true);
+        expect(isHeaderRow(['Austin', 'MAIN', '28.2'])).toBe(false);
+    });
+
+    it('uses the header when it names any column', () => {
+        expect(initialColumnMapping(['Hold', 'Machine', 'Degrees'])).toEqual(guessColumnMapping(['Hold', 'Machine', 'Degrees']));
+    });
+
+    it('falls back to the export column order for a headerless file', () => {
+        const rows = catalogueToCsvRows(base).slice(1);
+        const mapping = initialColumnMapping(rows[0]);
+        expect(mapping).toEqual(guessColumnMapping(CSV_EXPORT_HEADER));
+        const { catalogue, report } = csvRowsToCatalogue(rows, mapping, base, 1);
+        expect(report.every(r => r.level === 'ok')).toBe(true);
+        expect(catalogue.angles.map(a => [a.id, a.holdId])).toEqual([['a2', 'h2'], ['a1', 'h1']]);
+    });
+});
+
+describe('parseAngleValue', () => {
+    it('accepts decimal comma and a trailing degree sign', () => {
+        expect(parseAngleValue('28,2')).toBe(28.2);
+        expect(parseAngleValue(' 45° ')).toBe(45);
+        expect(Number.isNaN(parseAngleValue('abc'))).toBe(true);
+        expect(Number.isNaN(parseAngleValue(''))).toBe(true);
+    });
+});
+
+describe('csvRowsToCatalogue', () => {
+    const mapping = guessColumnMapping(CSV_EXPORT_HEADER);
+
+    it('round-trips an export, keeping drawings and covers from the draft', () => {
+        const rows = catalogueToCsvRows(base).slice(1);
+        const { catalogue, report } = csvRowsToCatalogue(rows, mapping, base);
+        expect(report.every(r => r.level === 'ok')).toBe(true);
+        expect(catalogue.holds).toEqual([{ id: 'h2', name: 'Amon' }, { id: 'h1', name: 'Austin', coverImage: DRAWING }]);
+        expect(catalogue.angles.find(a => a.id === 'a1')).toEqual(base.angles[0]);
+    });
+
+    it('creates missing products and matches existing ones by name', () => {
+        const m = { product: 0, saw: 1, angle: 2, product_id: -1, angle_id: -1, saw_id: -1 };
+        const { catalogue, report } = csvRowsToCatalogue([['AUSTIN', 'main', '30'], ['Delta', 'Stefan', '12,5']], m, base);
+        expect(report.map(r => r.level)).toEqual(['ok', 'ok']);
+        expect(catalogue.holds.map(h => h.name)).toEqual(['Austin', 'Delta']);
+        expect(catalogue.holds[0].id).toBe('h1');
+        expect(catalogue.angles.map(a => a.value)).toEqual([30, 12.5]);
+    });
+
+    it('reads pieces per unit, keeping the draft value when the column is missing', () => {
+        const withPieces = { ...base, angles: base.angles.map(a => (a.id === 'a1' ? { ...a, pieces: 3 } : a)) };
+        const m = { product: 0, saw: 1, angle: 2, product_id: -1, angle_id: 3, saw_id: -1, pieces: 4 };
+        const { catalogue, report } = csvRowsToCatalogue([['Austin', 'MAIN', '28.2', 'a1', ''], ['Amon', 'STEFAN', '50', 'a2', '2.5']], m, withPieces);
+        expect(catalogue.angles.map(a => a.pieces)).toEqual([3, 3]);
+        expect(report[1]).toEqual({ line: 3, level: 'warning', message: 'Pieces "2.5" read as 3' });
+    });
+
+    it('reads compound cuts within the saw bevel range', () => {
+        const compoundBase = { ...base, saws: base.saws.map(s => (s.id === 'stefan' ? { ...s, bevelMax: 45 } : s)) };
+        const m = { product: 0, saw: 1, angle: 2, product_id: -1, angle_id: -1, saw_id: -1, bevel: 3, side: 4 };
+        const { catalogue, report } = csvRowsToCatalogue([
+            ['Amon', 'STEFAN', '31,6', '33,9', 'left'],
+            ['Amon', 'STEFAN', '31.6', '50', 'R'],
+            ['Austin', 'MAIN', '45', '30', 'up'],
+        ], m, compoundBase);
+        expect(catalogue.angles.map(a => [a.value, a.bevel, a.side])).toEqual([[31.6, 33.9, 'L'], [31.6, 45, 'R'], [45, undefined, undefined]]);
+        expect(report.map(r => r.message)).toEqual([
+            '',
+            'Bevel 50° is outside STEFAN (0–45°), clamped to 45°',
+            'MAIN has no bevel, bevel 30° left out; Side "up" is not L or R, left out',
+        ]);
+    });
+
+    it('reports invalid rows with their file line and skips them', () => {
+        const m = { product: 0, saw: 1, angle: 2, product_id: -1, angle_id: 3, saw_id: -1 };
+        const rows = [
+            ['', 'MAIN', '10', ''],
+            ['Austin', 'BAND', '10', ''],
+            ['Austin', 'MAIN', 'abc', ''],
+            ['Austin', 'MAIN', '120', 'x1'],
+            ['Austin', 'MAIN', '20', 'x1'],
+        ];
+        const { catalogue, report } = csvRowsToCatalogue(rows, m, base);
+        expect(report).toEqual([
+            { line: 2, level: 'error', message: 'Product is empty' },
+            { line: 3, level: 'error', message: 'Unknown saw "BAND"' },
+            { line: 4, level: 'error', message: '"abc" is not a number' },
+            { line: 5, level: 'warning', message: '120° is outside MAIN (0–90°), clamped to 90°' },
+            { line: 6, level: 'error', message: 'Duplicate angle ID x1' },
+        ]);
+        expect(catalogue.angles).toHaveLength(1);
+        expect(catalogue.angles[0].value).toBe(90);
+    });
+});
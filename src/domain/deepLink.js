@@ -0,0 +1,60 @@
+// Operator deep links: `#/?holds=<id>,<id>&print=<saw id>&angle=<angle id>` restores
+// the selected products, print mode and the angle whose drawing is shown. Every
+// parameter is optional; print mode "all" and an empty selection are left out.
+
+/** Parse the query part of the hash (after "?") into { holds, print, angle }; absent parameters are null. */
+export function parseOperatorLink(query) {
+    const params = new URLSearchParams(query ?? '');
+    const holds = params.get('holds');
+    return {
+        holds: holds == null ? null : holds.split(',').map((s) => s.trim()).filter(Boolean),
+        print: params.get('print') || null,
+        angle: params.get('angle') || null,
+    };
+}
+
+/** Hash for an operator view, e.g. "#/?holds=h_a,h_b&print=main"; "#/" when there is nothing to keep. */
+export function buildOperatorLink({ holds = [], print = 'all', angle = null } = {}) {
+    const parts = [];
+    const ids = [...holds];
+    if (ids.length) parts.push(`holds=${ids.map(encodeURIComponent).join(',')}`);
+    if (print && print !== 'all') parts.push(`print=${encodeURIComponent(print)}`);
+    if (angle) parts.push(`angle=${encodeURIComponent(angle)}`);
+    return parts.length ? `#/?${parts.join('&')}` : '#/';
+}
+
+/**
+ * Check a parsed link against the catalogue. Returns the parts that exist
+ * ({ holds, print, angle }, null where the link doesn't set them) and `unknown`:
+ * { holds: [id], print: id | null, angle: id | null } for ids that don't.
+ * An angle counts as unknown unless it belongs to one of the linked products.
+ */
+export function resolveOperatorLink(link, data, saws) {
+    const holdIds = new Set((data?.holds ?? []).map((h) => h.id));
+    const holds = link.holds ? link.holds.filter((id) => holdIds.has(id)) : null;
+    const unknownHolds = link.holds ? link.holds.filter((id) => !holdIds.has(id)) : [];
+
+    const printKnown = !link.print || link.print === 'all' || saws.some((s) => s.id === link.print);
+    const selected = new Set(holds ?? []);
+    const angleKnown = !link.angle || (data?.angles ?? []).some((a) => a.id === link.angle && selected.has(a.holdId));
+
+    return {
+        holds,
+        print: link.print && printKnown ? link.print : null,
+        angle: link.angle && angleKnown ? link.angle : null,
+        unknown: {
+            holds: unknownHolds,
+            print: printKnown ? null : link.print,
+            angle: angleKnown ? null : link.angle,
+        },
+    };
+}
+
+/** One sentence about the ids a link couldn't open, or null when everything was found. */
+export function describeUnknownLinkParts(unknown) {
+    const parts = [];
+    if (unknown.holds.length) parts.push(`unknown product id(s) ${unknown.holds.join(', ')}`);
+    if (unknown.print) parts.push(`unknown saw "${unknown.print}"`);
+    if (unknown.angle) parts.push(`angle ${unknown.angle} not found among the linked products`);
+    return parts.length ? `Link partly opened: ${parts.join('; ')}.` : null;
+}
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { parseOperatorLink, buildOperatorLink, resolveOperatorLink, describeUnknownLinkParts } from './deepLink.js';
+import { DEFAULT_SAWS } from './saws.js';
+
+const data = {
+    holds: [{ id: 'h_a', name: 'Austin' }, { id: 'h_b', name: 'Amon' }],
+    angles: [
+        { id: 'a1', holdId: 'h_a', value: 28.2, saw: 'main' },
+        { id: 'a2', holdId: 'h_b', value: 50, saw: 'stefan' },
+    ],
+};
+
+describe('deep links', () => {
+    it('round-trips selection, print mode and angle', () => {
+        const hash = buildOperatorLink({ holds: new Set(['h_a', 'h_b']), print: 'main', angle: 'a1' });
+        expect(hash).toBe('#/?holds=h_a,h_b&print=main&angle=a1');
+        expect(parseOperatorLink(hash.slice(3))).toEqual({ holds: ['h_a', 'h_b'], print: 'main', angle: 'a1' });
+    });
+
+    it('leaves out defaults', () => {
+        expect(buildOperatorLink({ holds: [], print: 'all' })).toBe('#/');
+        expect(parseOperatorLink('')).toEqual({ holds: null, print: null, angle: null });
+        expect(parseOperatorLink('holds=')).toEqual({ holds: [], print: null, angle: null });
+    });
+
+    it('reports ids that are not in the catalogue', () => {
+        const link = parseOperatorLink('holds=h_a,h_gone&print=nope&angle=a2');
+        const resolved = resolveOperatorLink(link, data, DEFAULT_SAWS);
+        expect(resolved).toEqual({
+            holds: ['h_a'],
+            print: null,
+            angle: null,
+            unknown: { holds: ['h_gone'], print: 'nope', angle: 'a2' },
+        });
+        expect(describeUnknownLinkParts(resolved.unknown)).toBe(
+            'Link partly opened: unknown product id(s) h_gone; unknown saw "nope"; angle a2 not found among the linked products.'
+        );
+    });
+
+    it('accepts a fully known link', () => {
+        const resolved = resolveOperatorLink(parseOperatorLink('holds=h_b&print=stefan&angle=a2'), data, DEFAULT_SAWS);
+        expect(resolved).toMatchObject({ holds: ['h_b'], print: 'stefan', angle: 'a2' });
+        expect(describeUnknownLinkParts(resolved.unknown)).toBeNull();
+    });
+});
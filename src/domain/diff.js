@@ -0,0 +1,96 @@
+// Catalogue comparison. Holds and angles are matched by id, so renames are
+// reported as renames rather than as a remove + add.
+
+function byId(items) {
+    return new Map((Array.isArray(items) ? items : []).map(x => [x.id, x]));
+}
+
+function sawChanged(a, b) {
+    return a.name !== b.name || a.sort !== b.sort || a.min !== b.min || a.max !== b.max || (a.bevelMax ?? 0) !== (b.bevelMax ?? 0);
+}
+
+function angleChanged(a, b) {
+    return Number(a.value) !== Number(b.value) || a.saw !== b.saw || (a.pieces ?? 1) !== (b.pieces ?? 1)
+        || (a.bevel ?? 0) !== (b.bevel ?? 0) || (a.side ?? null) !== (b.side ?? null)
+        || (a.drawing ?? null) !== (b.drawing ?? null);
+}
+
+/**
+ * Compare two catalogues (same schema). Returns
+ * { holds: { added, removed, renamed: [{ id, from, to }], coverChanged },
+ *   angles: { added, removed, changed: [{ id, before, after }] },
+ *   saws: { added, removed, changed: [{ id, before, after }] } }.
+ */
+export function diffCatalogues(base, next) {
+    const baseHolds = byId(base?.holds);
+    const nextHolds = byId(next?.holds);
+    const baseAngles = byId(base?.angles);
+    const nextAngles = byId(next?.angles);
+
+    const holds = { added: [], removed: [], renamed: [], coverChanged: [] };
+    for (const [id, h] of nextHolds) {
+        const prev = baseHolds.get(id);
+        if (!prev) {
+            holds.added.push(h);
+            continue;
+        }
+        if (prev.name !== h.name) holds.renamed.push({ id, from: prev.name, to: h.name });
+        if ((prev.coverImage ?? null) !== (h.coverImage ?? null)) holds.coverChanged.push(h);
+    }
+    for (const [id, h] of baseHolds) {
+        if (!nextHolds.has(id)) holds.removed.push(h);
+    }
+
+    const angles = { added: [], removed: [], changed: [] };
+    for (const [id, a] of nextAngles) {
+        const prev = baseAngles.get(id);
+        if (!prev) angles.added.push(a);
+        else if (angleChanged(prev, a)) angles.changed.push({ id, before: prev, after: a });
+    }
+    for (const [id, a] of baseAngles) {
+        if (!nextAngles.has(id)) angles.removed.push(a);
+    }
+
+    const baseSaws = byId(base?.saws);
+    const nextSaws = byId(next?.saws);
+    const saws = { added: [], removed: [], changed: [] };
+    for (const [id, s] of nextSaws) {
+        const prev = baseSaws.get(id);
+        if (!prev) saws.added.push(s);
+        else if (sawChanged(prev, s)) saws.changed.push({ id, before: prev, after: s });
+    }
+    for (const [id, s] of baseSaws) {
+        if (!nextSaws.has(id)) saws.removed.push(s);
+    }
+
+    return { holds, angles, saws };
+}
+
+export function isEmptyDiff(d) {
+    return [
+        d.holds.added, d.holds.removed, d.holds.renamed, d.holds.coverChanged,
+        d.angles.added, d.angles.removed, d.angles.changed,
+        d.saws.added, d.saws.removed, d.saws.changed,
+    ].every(list => !list.length);
+}
+
+function nameList(names, max) {
+    return names.length > max ? `${names.slice(0, max).join(', ')} +${names.length - max} more` : names.join(', ');
+}
+
+/**
+ * One-line summary for toasts, e.g. "added Bravo; renamed Austin → Austin XL; 3 angle(s) changed".
+ * Empty string when nothing changed.
+ */
+export function describeDiff(d, maxNames = 3) {
+    const parts = [];
+    if (d.holds.added.length) parts.push(`added ${nameList(d.holds.added.map(h => h.name), maxNames)}`);
+    if (d.holds.removed.length) parts.push(`removed ${nameList(d.holds.removed.map(h => h.name), maxNames)}`);
+    if (d.holds.renamed.length) parts.push(`renamed ${nameList(d.holds.renamed.map(r => `${r.from} → ${r.to}`), maxNames)}`);
+    const angleCount = d.angles.added.length + d.angles.removed.length + d.angles.changed.length;
+    if (d.holds.coverChanged.length) parts.push(`new cover for ${nameList(d.holds.coverChanged.map(h => h.name), maxNames)}`);
+    if (angleCount) parts.push(`${angleCount} angle(s) changed`);
+    const sawCount = d.saws.added.length + d.saws.removed.length + d.saws.changed.length;
+    if (sawCount) parts.push(`${sawCount} saw(s) changed`);
+    return parts.join('; ');
+}
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { diffCatalogues, isEmptyDiff, describeDiff } from './diff.js';
+
+const base = {
+    holds: [{ id: 'h1', name: 'Austin' }, { id: 'h2', name: 'Amon' }],
+    angles: [
+        { id: 'a1', holdId: 'h1', value: 10, saw: 'main' },
+        { id: 'a2', holdId: 'h2', value: 20, saw: 'stefan' },
+    ],
+};
+
+describe('diffCatalogues', () => {
+    it('reports nothing for identical catalogues', () => {
+        const d = diffCatalogues(base, structuredClone(base));
+        expect(isEmptyDiff(d)).toBe(true);
+    });
+
+    it('detects added, removed and renamed products by id', () => {
+        const next = {
+            holds: [{ id: 'h1', name: 'Austin XL' }, { id: 'h3', name: 'Bravo' }],
+            angles: base.angles,
+        };
+        const d = diffCatalogues(base, next);
+        expect(d.holds.added.map(h => h.id)).toEqual(['h3']);
+        expect(d.holds.removed.map(h => h.id)).toEqual(['h2']);
+        expect(d.holds.renamed).toEqual([{ id: 'h1', from: 'Austin', to: 'Austin XL' }]);
+    });
+
+    it('detects angle value, saw and drawing changes', () => {
+        const next = {
+            holds: base.holds,
+            angles: [
+                { id: 'a1', holdId: 'h1', value: 12, saw: 'main' },
+                { id: 'a2', holdId: 'h2', value: 20, saw: 'stefan', drawing: 'idb:00112233445566778899aabbccddeeff' },
+                { id: 'a3', holdId: 'h2', value: 30, saw: 'main' },
+            ],
+        };
+        const d = diffCatalogues(base, next);
+        expect(d.angles.changed.map(c => c.id)).toEqual(['a1', 'a2']);
+        expect(d.angles.added.map(a => a.id)).toEqual(['a3']);
+        expect(d.angles.removed).toEqual([]);
+        expect(isEmptyDiff(d)).toBe(false);
+    });
+
+    it('detects cover and saw changes', () => {
+        const withSaws = { ...base, saws: [{ id: 'main', name: 'MAIN', sort: 'desc', min: 0, max: 90 }] };
+        const next = {
+            holds: [{ ...base.holds[0], coverImage: 'idb:00112233445566778899aabbccddeeff' }, base.holds[1]],
+            angles: base.angles,
+            saws: [{ id: 'main', name: 'MAIN', sort: 'desc', min: 0, max: 60 }, { id: 's2', name: 'NEW', sort: 'asc', min: 0, max: 90 }],
+        };
+        const d = diffCatalogues(withSaws, next);
+        expect(d.holds.coverChanged.map(h => h.id)).toEqual(['h1']);
+        expect(d.saws.changed.map(c => c.id)).toEqual(['main']);
+        expect(d.saws.added.map(s => s.id)).toEqual(['s2']);
+        expect(describeDiff(d)).toBe('new cover for Austin; 2 saw(s) changed');
+    });
+
+    it('tolerates missing input', () => {
+        const d = diffCatalogues(null, base);
+        expect(d.holds.added).toHaveLength(2);
+        expect(d.angles.added).toHaveLength(2);
+    });
+});
+
+describe('describeDiff', () => {
+    it('is empty when nothing changed', () => {
+        expect(describeDiff(diffCatalogues(base, base))).toBe('');
+    });
+
+    it('names products and counts angle changes', () => {
+        const next = {
+            holds: [{ id: 'h1', name: 'Austin XL' }, { id: 'h3', name: 'Bravo' }],
+            angles: [{ id: 'a1', holdId: 'h1', value: 11, saw: 'main' }],
+        };
+        expect(describeDiff(diffCatalogues(base, next))).toBe(
+            'added Bravo; removed Amon; renamed Austin → Austin XL; 2 angle(s) changed'
+        );
+    });
+
+    it('truncates long name lists', () => {
+        const next = { holds: ['A', 'B', 'C', 'D'].map(n => ({ id: n, name: n })), angles: [] };
+        expect(describeDiff(diffCatalogues({ holds: [], angles: [] }, next), 2)).toBe('added A, B +2 more');
+    });
+});
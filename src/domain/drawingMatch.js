@@ -0,0 +1,125 @@
+import { getSaws, findSawById } from './saws.js';
+import { parseAngleValue } from './csv.js';
+
+// Bulk drawing upload: files named `<product>_<saw>_<angle>.<ext>` (e.g.
+// `Austin_main_28.2.png`) are matched to existing angles. Product names are matched
+// loosely (case, accents, punctuation and small typos); saw and angle must be exact.
+
+const ANGLE_TOLERANCE = 0.05;
+
+/** Lowercase, strip accents and everything but letters and digits. */
+export function looseKey(s) {
+    return String(s ?? '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, '');
+}
+
+function editDistance(a, b) {
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        prev = row;
+    }
+    return prev[b.length];
+}
+
+/**
+ * Split a filename into { product, saw, value }. The last two `_`-separated parts
+ * are the saw and the angle, the rest is the product name (so names may contain
+ * underscores). Returns null when the name doesn't follow the convention.
+ */
+export function parseDrawingFilename(filename) {
+    const base = String(filename ?? '').split(/[\\/]/).pop().replace(/\.[a-z0-9]+$/i, '');
+    const parts = base.split('_');
+    if (parts.length < 3) return null;
+    const value = parseAngleValue(parts.pop());
+    const saw = parts.pop().trim();
+    const product = parts.join(' ').trim().replace(/\s+/g, ' ');
+    if (!product || !saw || !Number.isFinite(value)) return null;
+    return { product, saw, value };
+}
+
+/**
+ * Products whose name matches `name`: exact loose-key matches when there are any,
+ * otherwise the closest names within a typo budget of about one edit per four
+ * characters. Several results mean the name is ambiguous.
+ */
+export function findProductsByName(holds, name) {
+    const key = looseKey(name);
+    if (!key) return [];
+    const exact = holds.filter((h) => looseKey(h.name) === key);
+    if (exact.length) return exact;
+
+    const budget = Math.max(1, Math.floor(key.length / 4));
+    let best = Infinity;
+    let found = [];
+    for (const h of holds) {
+        const d = editDistance(key, looseKey(h.name));
+        if (d > budget || d > best) continue;
+        if (d < best) {
+            best = d;
+            found = [];
+        }
+        found.push(h);
+    }
+    return found;
+}
+
+/**
+ * Match filenames to angles in `data`. Returns one entry per file, in input order:
+ *   { name, status: 'matched', angleId, note? }      — note is set for fuzzy product matches
+ *   { name, status: 'ambiguous', candidates, reason } — candidates are angle ids to choose from
+ *   { name, status: 'unmatched', reason }
+ * Files that target the same angle are all reported as ambiguous.
+ */
+export function matchDrawingFiles(names, data) {
+    const holds = data.holds || [];
+    const angles = data.angles || [];
+    const saws = getSaws(data);
+
+    const results = names.map((name) => {
+        const parsed = parseDrawingFilename(name);
+        if (!parsed) return { name, status: 'unmatched', reason: 'Name is not <product>_<saw>_<angle>' };
+
+        const products = findProductsByName(holds, parsed.product);
+        if (!products.length) return { name, status: 'unmatched', reason: `No product like "${parsed.product}"` };
+
+        const saw = findSawById(saws, parsed.saw.toLowerCase())
+            ?? saws.find((s) => looseKey(s.name) === looseKey(parsed.saw));
+        if (!saw) return { name, status: 'unmatched', reason: `Unknown saw "${parsed.saw}"` };
+
+        const productIds = new Set(products.map((h) => h.id));
+        const candidates = angles
+            .filter((a) => productIds.has(a.holdId) && a.saw === saw.id && Math.abs(Number(a.value) - parsed.value) <= ANGLE_TOLERANCE)
+            .map((a) => a.id);
+
+        if (!candidates.length) {
+            const where = products.length === 1 ? products[0].name : `${products.length} products`;
+            return { name, status: 'unmatched', reason: `No ${saw.name} ${parsed.value}° angle on ${where}` };
+        }
+        if (candidates.length > 1) {
+            const reason = products.length > 1
+                ? `"${parsed.product}" matches ${products.map((h) => h.name).join(', ')}`
+                : `${candidates.length} ${saw.name} ${parsed.value}° angles on ${products[0].name}`;
+            return { name, status: 'ambiguous', candidates, reason };
+        }
+
+        const angleId = candidates[0];
+        const product = products.find((h) => h.id === angles.find((a) => a.id === angleId).holdId);
+        const fuzzy = looseKey(product.name) !== looseKey(parsed.product);
+        return { name, status: 'matched', angleId, ...(fuzzy ? { note: `"${parsed.product}" → ${product.name}` } : {}) };
+    });
+
+    const perAngle = new Map();
+    for (const r of results) {
+        if (r.status === 'matched') perAngle.set(r.angleId, (perAngle.get(r.angleId) ?? 0) + 1);
+    }
+    return results.map((r) => (r.status === 'matched' && perAngle.get(r.angleId) > 1
+        ? { name: r.name, status: 'ambiguous', candidates: [r.angleId], reason: 'Several files for the same angle' }
+        : r));
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { parseDrawingFilename, findProductsByName, matchDrawingFiles, looseKey } from './drawingMatch.js';
+import { migrateAndSanitize } from './migration.js';
+
+const data = migrateAndSanitize({
+    version: 3,
+    holds: [
+        { id: 'h1', name: 'Austin' },
+        { id: 'h2', name: 'Amon XL' },
+        { id: 'h3', name: 'Bravo 1' },
+        { id: 'h4', name: 'Bravo 2' },
+    ],
+    angles: [
+        { id: 'a1', holdId: 'h1', value: 28.2, saw: 'main' },
+        { id: 'a2', holdId: 'h1', value: 50, saw: 'stefan' },
+        { id: 'a3', holdId: 'h2', value: 12.5, saw: 'main' },
+        { id: 'a4', holdId: 'h3', value: 30, saw: 'main' },
+        { id: 'a5', holdId: 'h4', value: 30, saw: 'main' },
+    ],
+});
+
+describe('parseDrawingFilename', () => {
+    it('splits product, saw and angle, allowing underscores in the product', () => {
+        expect(parseDrawingFilename('Austin_main_28.2.png')).toEqual({ product: 'Austin', saw: 'main', value: 28.2 });
+        expect(parseDrawingFilename('folder/Amon_XL_MAIN_12,5.jpg')).toEqual({ product: 'Amon XL', saw: 'MAIN', value: 12.5 });
+        expect(parseDrawingFilename('Austin_28.2.png')).toBe(null);
+        expect(parseDrawingFilename('Austin_main_abc.png')).toBe(null);
+    });
+});
+
+describe('findProductsByName', () => {
+    it('ignores case, accents and punctuation, and tolerates small typos', () => {
+        expect(looseKey('Ámon-XL')).toBe('amonxl');
+        expect(findProductsByName(data.holds, 'amon-xl').map((h) => h.id)).toEqual(['h2']);
+        expect(findProductsByName(data.holds, 'Austen').map((h) => h.id)).toEqual(['h1']);
+        expect(findProductsByName(data.holds, 'Bravo').map((h) => h.id)).toEqual(['h3', 'h4']);
+        expect(findProductsByName(data.holds, 'Zulu')).toEqual([]);
+    });
+});
+
+describe('matchDrawingFiles', () => {
+    it('sorts files into matched, ambiguous and unmatched', () => {
+        const results = matchDrawingFiles([
+            'Austin_main_28.2.png',
+            'austen_STEFAN_50.jpg',
+            'Bravo_main_30.png',
+            'Austin_main_45.png',
+            'Austin_band_28.2.png',
+            'notes.txt',
+        ], data);
+        expect(results).toEqual([
+            { name: 'Austin_main_28.2.png', status: 'matched', angleId: 'a1' },
+            { name: 'austen_STEFAN_50.jpg', status: 'matched', angleId: 'a2', note: '"austen" → Austin' },
+            { name: 'Bravo_main_30.png', status: 'ambiguous', candidates: ['a4', 'a5'], reason: '"Bravo" matches Bravo 1, Bravo 2' },
+            { name: 'Austin_main_45.png', status: 'unmatched', reason: 'No MAIN 45° angle on Austin' },
+            { name: 'Austin_band_28.2.png', status: 'unmatched', reason: 'Unknown saw "band"' },
+            { name: 'notes.txt', status: 'unmatched', reason: 'Name is not <product>_<saw>_<angle>' },
+        ]);
+    });
+
+    it('flags several files for the same angle as ambiguous', () => {
+        const results = matchDrawingFiles(['Austin_main_28.2.png', 'austin_MAIN_28,2.jpg'], data);
+        expect(results.map((r) => r.status)).toEqual(['ambiguous', 'ambiguous']);
+        expect(results[0].candidates).toEqual(['a1']);
+    });
+});
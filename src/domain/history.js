@@ -0,0 +1,58 @@
+// Undo/redo over whole-catalogue snapshots. Drafts are immutable, so an entry
+// just keeps a reference to the catalogue it replaced (no copying).
+//
+// past:   [{ label, data }]  data = catalogue before the labelled change
+// future: [{ label, data }]  data = catalogue after the labelled change
+
+export const MAX_HISTORY = 50;
+
+export function emptyHistory() {
+    return { past: [], future: [] };
+}
+
+/** Record that `before` was replaced by a change described by `label`. Clears redo. */
+export function recordChange(history, before, label, limit = MAX_HISTORY) {
+    return {
+        past: [...history.past, { label, data: before }].slice(-limit),
+        future: [],
+    };
+}
+
+/**
+ * Step back from `current`. Returns { history, data, label } with the catalogue to
+ * show, or null when there is nothing to undo.
+ */
+export function undoChange(history, current) {
+    const entry = history.past[history.past.length - 1];
+    if (!entry) return null;
+    return {
+        history: {
+            past: history.past.slice(0, -1),
+            future: [{ label: entry.label, data: current }, ...history.future],
+        },
+        data: entry.data,
+        label: entry.label,
+    };
+}
+
+/** Re-apply the last undone change; null when there is nothing to redo. */
+export function redoChange(history, current) {
+    const [entry, ...rest] = history.future;
+    if (!entry) return null;
+    return {
+        history: {
+            past: [...history.past, { label: entry.label, data: current }],
+            future: rest,
+        },
+        data: entry.data,
+        label: entry.label,
+    };
+}
+
+export function nextUndoLabel(history) {
+    return history.past[history.past.length - 1]?.label ?? null;
+}
+
+export function nextRedoLabel(history) {
+    return history.future[0]?.label ?? null;
+}
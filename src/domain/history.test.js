@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import {
+    emptyHistory, recordChange, undoChange, redoChange, nextUndoLabel, nextRedoLabel, MAX_HISTORY,
+} from './history.js';
+
+const v0 = { n: 0 };
+const v1 = { n: 1 };
+const v2 = { n: 2 };
+
+describe('history', () => {
+    it('starts with nothing to undo or redo', () => {
+        const h = emptyHistory();
+        expect(undoChange(h, v0)).toBeNull();
+        expect(redoChange(h, v0)).toBeNull();
+        expect(nextUndoLabel(h)).toBeNull();
+        expect(nextRedoLabel(h)).toBeNull();
+    });
+
+    it('undoes and redoes in order with labels', () => {
+        let h = recordChange(emptyHistory(), v0, 'Added Austin');
+        h = recordChange(h, v1, 'Renamed Austin → Austin XL');
+        expect(nextUndoLabel(h)).toBe('Renamed Austin → Austin XL');
+
+        const u1 = undoChange(h, v2);
+        expect(u1.data).toBe(v1);
+        expect(u1.label).toBe('Renamed Austin → Austin XL');
+        const u2 = undoChange(u1.history, u1.data);
+        expect(u2.data).toBe(v0);
+        expect(nextRedoLabel(u2.history)).toBe('Added Austin');
+
+        const r1 = redoChange(u2.history, u2.data);
+        expect(r1.data).toBe(v1);
+        const r2 = redoChange(r1.history, r1.data);
+        expect(r2.data).toBe(v2);
+        expect(redoChange(r2.history, r2.data)).toBeNull();
+    });
+
+    it('drops the redo stack on a new change', () => {
+        const h = recordChange(emptyHistory(), v0, 'a');
+        const u = undoChange(h, v1);
+        const next = recordChange(u.history, u.data, 'b');
+        expect(next.future).toEqual([]);
+        expect(nextUndoLabel(next)).toBe('b');
+    });
+
+    it('keeps at most MAX_HISTORY entries, dropping the oldest', () => {
+        let h = emptyHistory();
+        for (let i = 0; i < MAX_HISTORY + 5; i++) h = recordChange(h, { n: i }, `step ${i}`);
+        expect(h.past).toHaveLength(MAX_HISTORY);
+        expect(h.past[0].label).toBe('step 5');
+    });
+});
@@ -0,0 +1,267 @@
+import { findHoldByName, generateHoldId, getSortedHoldNames, migrateStoredCatalogue } from './migration.js';
+import { getSaws, normalizeSawName } from './saws.js';
+
+// Merge an imported catalogue ("theirs") into the draft ("mine").
+//
+// planMerge() classifies every hold and angle; the admin then picks a resolution
+// per item and applyMerge() builds the result. Both catalogues must already be
+// sanitized to the current schema (migrateAndSanitize, or migrateStoredCatalogue for the draft).
+//
+// Statuses:  new       — only in theirs
+//            missing   — only in mine
+//            identical — in both, same content
+//            changed   — in both, different content
+// Choices:   mine | theirs | both
+
+export const MERGE_CHOICES = ['mine', 'theirs', 'both'];
+
+function cryptoRandomId() {
+    try {
+        return globalThis.crypto?.randomUUID?.() ?? `id_${Math.random().toString(16).slice(2)}`;
+    } catch {
+        return `id_${Math.random().toString(16).slice(2)}`;
+    }
+}
+
+/** Their saw id → my saw id, matched by id then by name. Unmatched saws map to null. */
+function mapSaws(mineSaws, theirSaws) {
+    const map = new Map();
+    for (const s of theirSaws) {
+        const match = mineSaws.find(m => m.id === s.id) ?? mineSaws.find(m => m.name === normalizeSawName(s.name));
+        map.set(s.id, match?.id ?? null);
+    }
+    return map;
+}
+
+function planAngles(mineAngles, theirAngles, sawMap, imageKey) {
+    const sameDrawing = (a, b) => imageKey(a.drawing ?? null) === imageKey(b.drawing ?? null);
+    const sawOf = (a) => sawMap.get(a.saw) ?? `theirs:${a.saw}`;
+    const unmatched = [...mineAngles];
+    const take = (pred) => {
+        const i = unmatched.findIndex(pred);
+        return i < 0 ? null : unmatched.splice(i, 1)[0];
+    };
+
+    const items = [];
+    for (const t of theirAngles) {
+        // Same id first, then the same cut (saw, miter, bevel and side) entered independently
+        const sameCut = (a) => a.saw === sawOf(t) && Number(a.value) === Number(t.value)
+            && (a.bevel ?? 0) === (t.bevel ?? 0) && (a.side ?? null) === (t.side ?? null);
+        const m = take(a => a.id === t.id) ?? take(sameCut);
+        if (!m) {
+            items.push({ key: `a::${t.id}`, status: 'new', mine: null, theirs: t });
+            continue;
+        }
+        const same = sameCut(m) && (m.pieces ?? 1) === (t.pieces ?? 1) && sameDrawing(m, t);
+        items.push({ key: `a:${m.id}:${t.id}`, status: same ? 'identical' : 'changed', mine: m, theirs: t });
+    }
+    for (const m of unmatched) {
+        items.push({ key: `a:${m.id}:`, status: 'missing', mine: m, theirs: null });
+    }
+    return items;
+}
+
+/**
+ * Classify holds (matched by id, then case-insensitive name) and their angles.
+ * `imageKey` maps an image value to something comparable across catalogues
+ * (e.g. data URL → content ref); defaults to the value itself.
+ *
+ * Returns { holds: [{ key, status, mine, theirs, angles: [{ key, status, mine, theirs }] }] }.
+ */
+export function planMerge(mine, theirs, { imageKey = (v) => v } = {}) {
+    const sawMap = mapSaws(getSaws(mine), getSaws(theirs));
+    const mineHolds = [...mine.holds];
+    const anglesOf = (data, holdId) => data.angles.filter(a => a.holdId === holdId);
+
+    const holds = [];
+    for (const t of getSortedHoldNames(theirs.holds)) {
+        const byId = mineHolds.find(h => h.id === t.id);
+        const m = byId ?? findHoldByName(mineHolds, t.name);
+        if (!m) {
+            holds.push({
+                key: `h::${t.id}`,
+                status: 'new',
+                mine: null,
+                theirs: t,
+                angles: planAngles([], anglesOf(theirs, t.id), sawMap, imageKey),
+            });
+            continue;
+        }
+        mineHolds.splice(mineHolds.indexOf(m), 1);
+        const angles = planAngles(anglesOf(mine, m.id), anglesOf(theirs, t.id), sawMap, imageKey);
+        const same = m.name === t.name &&
+            imageKey(m.coverImage ?? null) === imageKey(t.coverImage ?? null) &&
+            angles.every(a => a.status === 'identical');
+        holds.push({ key: `h:${m.id}:${t.id}`, status: same ? 'identical' : 'changed', mine: m, theirs: t, angles });
+    }
+    for (const m of mineHolds) {
+        holds.push({
+            key: `h:${m.id}:`,
+            status: 'missing',
+            mine: m,
+            theirs: null,
+            angles: planAngles(anglesOf(mine, m.id), [], sawMap, imageKey),
+        });
+    }
+    return { holds, sawMap };
+}
+
+/** Choice used until the admin picks one: add what's new, keep mine otherwise. */
+export function defaultChoice(status) {
+    return status === 'new' ? 'theirs' : 'mine';
+}
+
+/** { [key]: choice } for every hold and angle of a plan, using defaultChoice(). */
+export function defaultResolutions(plan) {
+    const out = {};
+    for (const h of plan.holds) {
+        out[h.key] = defaultChoice(h.status);
+        for (const a of h.angles) out[a.key] = defaultChoice(a.status);
+    }
+    return out;
+}
+
+/**
+ * Set one choice for every item that has a real decision (not identical).
+ * `status` limits it to items with that status.
+ */
+export function resolveAll(plan, resolutions, choice, status = null) {
+    const out = { ...resolutions };
+    const applies = (item) => item.status !== 'identical' && (!status || item.status === status);
+    for (const h of plan.holds) {
+        if (applies(h)) out[h.key] = choice;
+        for (const a of h.angles) {
+            if (applies(a)) out[a.key] = choice;
+        }
+    }
+    return out;
+}
+
+/**
+ * Set a hold's choice and carry it to its angles: "take theirs" takes all of their
+ * angles, "keep mine" puts the angles back to their defaults. Angles can be changed
+ * one by one afterwards; "keep both" leaves them alone (the hold is copied whole).
+ */
+export function resolveHold(plan, resolutions, holdKey, choice) {
+    const out = { ...resolutions, [holdKey]: choice };
+    const hold = plan.holds.find(h => h.key === holdKey);
+    if (!hold || choice === 'both') return out;
+    for (const a of hold.angles) {
+        if (a.status !== 'identical') out[a.key] = choice === 'theirs' ? 'theirs' : defaultChoice(a.status);
+    }
+    return out;
+}
+
+/** Count of holds and angles per status. */
+export function summarizePlan(plan) {
+    const count = () => ({ new: 0, missing: 0, identical: 0, changed: 0 });
+    const holds = count();
+    const angles = count();
+    for (const h of plan.holds) {
+        holds[h.status]++;
+        for (const a of h.angles) angles[a.status]++;
+    }
+    return { holds, angles };
+}
+
+function uniqueName(name, taken) {
+    const lower = new Set(taken.map(n => n.toLowerCase()));
+    if (!lower.has(name.toLowerCase())) return name;
+    for (let i = 2; ; i++) {
+        const candidate = `${name} (${i})`;
+        if (!lower.has(candidate.toLowerCase())) return candidate;
+    }
+}
+
+/**
+ * Build the merged catalogue. Holds resolved as "both" keep mine and add theirs as a
+ * separate product (renamed "Name (2)") with all of their angles; for other matched
+ * holds the angle choices decide, an angle without one following a "theirs" hold.
+ * My saws win; saws only theirs has are added when one of their angles is kept.
+ */
+export function applyMerge(mine, theirs, plan, resolutions) {
+    const choiceOf = (item) => resolutions[item.key] ?? defaultChoice(item.status);
+    const theirSaws = getSaws(theirs);
+    const saws = [...getSaws(mine)];
+    const usedIds = new Set([...mine.holds.map(h => h.id), ...mine.angles.map(a => a.id)]);
+    const freshId = (id, make) => (id && !usedIds.has(id) ? id : make());
+
+    const resolveSaw = (theirSawId) => {
+        const mapped = plan.sawMap.get(theirSawId);
+        if (mapped) return mapped;
+        if (!saws.some(s => s.id === theirSawId)) {
+            const s = theirSaws.find(x => x.id === theirSawId);
+            if (s) saws.push({ ...s, name: uniqueName(s.name, saws.map(x => x.name)).toUpperCase() });
+        }
+        return theirSawId;
+    };
+    const copyAngle = (a, holdId, keepId) => {
+        const id = keepId ? freshId(a.id, cryptoRandomId) : cryptoRandomId();
+        usedIds.add(id);
+        return { ...a, id, holdId, saw: resolveSaw(a.saw) };
+    };
+
+    // Mine keep their names; imported and renamed products yield on a clash ("Name (2)")
+    const holds = [];
+    const angles = [];
+    const addHold = (hold, yields) => holds.push({ hold, yields });
+
+    for (const item of plan.holds) {
+        const choice = choiceOf(item);
+
+        if (item.status === 'new') {
+            if (choice === 'mine') continue;
+            const id = freshId(item.theirs.id, generateHoldId);
+            usedIds.add(id);
+            addHold({ ...item.theirs, id }, true);
+            for (const a of item.angles) angles.push(copyAngle(a.theirs, id, true));
+            continue;
+        }
+
+        if (item.status === 'missing') {
+            if (choice === 'theirs') continue;
+            addHold(item.mine, false);
+            angles.push(...item.angles.map(a => a.mine));
+            continue;
+        }
+
+        // identical / changed
+        if (choice === 'theirs') {
+            const { coverImage: _mineCover, ...rest } = item.mine;
+            const cover = item.theirs.coverImage ? { coverImage: item.theirs.coverImage } : {};
+            addHold({ ...rest, name: item.theirs.name, ...cover }, item.theirs.name !== item.mine.name);
+        } else {
+            addHold(item.mine, false);
+        }
+
+        if (choice === 'both') {
+            angles.push(...item.angles.filter(a => a.mine).map(a => a.mine));
+            const copyId = generateHoldId();
+            usedIds.add(copyId);
+            addHold({ ...item.theirs, id: copyId }, true);
+            for (const a of item.angles.filter(x => x.theirs)) angles.push(copyAngle(a.theirs, copyId, false));
+            continue;
+        }
+
+        for (const a of item.angles) {
+            const c = resolutions[a.key] ?? (choice === 'theirs' ? 'theirs' : defaultChoice(a.status));
+            if (a.status === 'new') {
+                if (c !== 'mine') angles.push(copyAngle(a.theirs, item.mine.id, true));
+            } else if (a.status === 'missing') {
+                if (c !== 'theirs') angles.push(a.mine);
+            } else if (c === 'theirs') {
+                angles.push({ ...a.theirs, id: a.mine.id, holdId: item.mine.id, saw: resolveSaw(a.theirs.saw) });
+            } else {
+                angles.push(a.mine);
+                if (c === 'both' && a.status === 'changed') angles.push(copyAngle(a.theirs, item.mine.id, false));
+            }
+        }
+    }
+
+    const named = [];
+    for (const { hold } of [...holds.filter(h => !h.yields), ...holds.filter(h => h.yields)]) {
+        named.push({ ...hold, name: uniqueName(hold.name, named.map(x => x.name)) });
+    }
+
+    return migrateStoredCatalogue({ version: mine.version, saws, holds: getSortedHoldNames(named), angles });
+}
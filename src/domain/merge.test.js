@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import { planMerge, applyMerge, defaultResolutions, resolveAll, resolveHold, summarizePlan } from './merge.js';
+import { migrateStoredCatalogue, getSortedHoldNames } from './migration.js';
+
+const catalogue = (holds, angles, saws) => migrateStoredCatalogue({ version: 3, holds, angles, ...(saws ? { saws } : {}) });
+
+const mine = catalogue(
+    [{ id: 'h1', name: 'Austin' }, { id: 'h2', name: 'Amon' }, { id: 'h3', name: 'Bravo' }],
+    [
+        { id: 'a1', holdId: 'h1', value: 28.2, saw: 'main' },
+        { id: 'a2', holdId: 'h1', value: 65, saw: 'stefan' },
+        { id: 'a3', holdId: 'h2', value: 50, saw: 'stefan' },
+        { id: 'a4', holdId: 'h3', value: 10, saw: 'main' },
+    ]
+);
+
+const theirs = catalogue(
+    [
+        { id: 'x1', name: 'austin' },       // matched by name, renamed case
+        { id: 'h2', name: 'Amon' },         // matched by id, identical
+        { id: 'x9', name: 'Delta' },        // new
+    ],
+    [
+        { id: 'b1', holdId: 'x1', value: 28.2, saw: 'main' },   // same cut as a1
+        { id: 'b2', holdId: 'x1', value: 30, saw: 'main' },     // new angle
+        { id: 'a3', holdId: 'h2', value: 50, saw: 'stefan' },
+        { id: 'b9', holdId: 'x9', value: 12, saw: 'main' },
+    ]
+);
+
+const byName = (data, name) => data.holds.find(h => h.name === name);
+const valuesOf = (data, holdId) => data.angles.filter(a => a.holdId === holdId).map(a => a.value).sort((x, y) => x - y);
+
+describe('planMerge', () => {
+    const plan = planMerge(mine, theirs);
+    const item = (key) => plan.holds.find(h => h.key === key);
+
+    it('matches holds by id, then by case-insensitive name', () => {
+        expect(item('h:h1:x1').status).toBe('changed');
+        expect(item('h:h2:h2').status).toBe('identical');
+        expect(item('h::x9').status).toBe('new');
+        expect(item('h:h3:').status).toBe('missing');
+    });
+
+    it('classifies angles inside matched holds', () => {
+        const statuses = Object.fromEntries(item('h:h1:x1').angles.map(a => [a.key, a.status]));
+        expect(statuses).toEqual({ 'a:a1:b1': 'identical', 'a::b2': 'new', 'a:a2:': 'missing' });
+    });
+
+    it('counts statuses', () => {
+        const s = summarizePlan(plan);
+        expect(s.holds).toEqual({ new: 1, missing: 1, identical: 1, changed: 1 });
+        expect(s.angles).toEqual({ new: 2, missing: 2, identical: 2, changed: 0 });
+    });
+
+    it('compares images through imageKey', () => {
+        const a = catalogue([{ id: 'h1', name: 'A', coverImage: 'idb:00112233445566778899aabbccddeeff' }], []);
+        const b = catalogue([{ id: 'h1', name: 'A', coverImage: 'data:image/png;base64,AAAA' }], []);
+        expect(planMerge(a, b).holds[0].status).toBe('changed');
+        const imageKey = (v) => (v === 'data:image/png;base64,AAAA' ? 'idb:00112233445566778899aabbccddeeff' : v);
+        expect(planMerge(a, b, { imageKey }).holds[0].status).toBe('identical');
+    });
+});
+
+describe('applyMerge', () => {
+    const plan = planMerge(mine, theirs);
+
+    it('by default adds new items and keeps everything of mine', () => {
+        const out = applyMerge(mine, theirs, plan, defaultResolutions(plan));
+        expect(out.holds.map(h => h.name)).toEqual(['Amon', 'Austin', 'Bravo', 'Delta']);
+        expect(valuesOf(out, 'h1')).toEqual([28.2, 30, 65]);
+        expect(valuesOf(out, byName(out, 'Delta').id)).toEqual([12]);
+    });
+
+    it('"take theirs" in bulk mirrors the import for matched and missing items', () => {
+        const out = applyMerge(mine, theirs, plan, resolveAll(plan, defaultResolutions(plan), 'theirs'));
+        expect(out.holds.map(h => h.name)).toEqual(['Amon', 'austin', 'Delta']);
+        expect(byName(out, 'austin').id).toBe('h1');
+        expect(valuesOf(out, 'h1')).toEqual([28.2, 30]);
+    });
+
+    it('"take theirs" on a product takes its angles too, unless they are chosen one by one', () => {
+        const res = resolveHold(plan, defaultResolutions(plan), 'h:h1:x1', 'theirs');
+        expect(valuesOf(applyMerge(mine, theirs, plan, res), 'h1')).toEqual([28.2, 30]);
+        const keep65 = plan.holds.find(h => h.key === 'h:h1:x1').angles.find(a => a.status === 'missing');
+        expect(valuesOf(applyMerge(mine, theirs, plan, { ...res, [keep65.key]: 'mine' }), 'h1')).toEqual([28.2, 30, 65]);
+        expect(resolveHold(plan, res, 'h:h1:x1', 'mine')).toEqual(defaultResolutions(plan));
+        // Without angle choices, the product's choice applies
+        expect(valuesOf(applyMerge(mine, theirs, plan, { 'h:h1:x1': 'theirs' }), 'h1')).toEqual([28.2, 30]);
+    });
+
+    it('"keep mine" in bulk leaves the draft untouched', () => {
+        const out = applyMerge(mine, theirs, plan, resolveAll(plan, defaultResolutions(plan), 'mine'));
+        expect(out.holds).toEqual(getSortedHoldNames(mine.holds));
+        expect(out.angles.map(a => a.id).sort()).toEqual(mine.angles.map(a => a.id).sort());
+    });
+
+    it('"keep both" adds their version as a separate product', () => {
+        const res = { ...defaultResolutions(plan), 'h:h1:x1': 'both' };
+        const out = applyMerge(mine, theirs, plan, res);
+        const copy = byName(out, 'austin (2)');
+        expect(copy).toBeTruthy();
+        expect(copy.id).not.toBe('h1');
+        expect(valuesOf(out, copy.id)).toEqual([28.2, 30]);
+        expect(valuesOf(out, 'h1')).toEqual([28.2, 65]);
+    });
+
+    it('keeps both versions of a changed angle', () => {
+        const t = catalogue([{ id: 'h1', name: 'Austin' }], [{ id: 'a1', holdId: 'h1', value: 29, saw: 'main' }]);
+        const m = catalogue([{ id: 'h1', name: 'Austin' }], [{ id: 'a1', holdId: 'h1', value: 28.2, saw: 'main' }]);
+        const p = planMerge(m, t);
+        expect(p.holds[0].angles[0].status).toBe('changed');
+
+        const both = applyMerge(m, t, p, { [p.holds[0].key]: 'mine', [p.holds[0].angles[0].key]: 'both' });
+        expect(valuesOf(both, 'h1')).toEqual([28.2, 29]);
+        expect(new Set(both.angles.map(a => a.id)).size).toBe(2);
+
+        const take = applyMerge(m, t, p, { [p.holds[0].key]: 'mine', [p.holds[0].angles[0].key]: 'theirs' });
+        expect(take.angles).toEqual([{ id: 'a1', holdId: 'h1', value: 29, saw: 'main' }]);
+    });
+
+    it('adds saws that only the import has, matching others by name', () => {
+        const t = catalogue(
+            [{ id: 'x1', name: 'Echo' }],
+            [{ id: 'b1', holdId: 'x1', value: 20, saw: 'm2' }, { id: 'b2', holdId: 'x1', value: 5, saw: 'band' }],
+            [{ id: 'm2', name: 'main', sort: 'desc', min: 0, max: 90 }, { id: 'band', name: 'BAND', sort: 'asc', min: 0, max: 45 }]
+        );
+        const p = planMerge(mine, t);
+        const out = applyMerge(mine, t, p, defaultResolutions(p));
+        expect(out.saws.map(s => s.name)).toEqual(['MAIN', 'STEFAN', 'BAND']);
+        const echo = byName(out, 'Echo');
+        expect(out.angles.filter(a => a.holdId === echo.id).map(a => a.saw).sort()).toEqual(['band', 'main']);
+    });
+});
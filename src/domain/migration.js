@@ -1,4 +1,7 @@
 // Migration and sanitization logic extracted from App.jsx
+import { DEFAULT_SAWS, sanitizeSaws, clampToSaw, compoundFields } from './saws.js';
+import { isStoredImage } from './validation.js';
+import { sanitizePieces } from './quantities.js';
 
 function normalizeHoldName(s) {
     return String(s || '').trim().replace(/\s+/g, ' ');
@@ -35,7 +38,21 @@ function cryptoRandomId() {
     }
 }
 
-export const LS_VERSION = 1;
+/** Newest schema this app reads and writes. Bump together with a new SCHEMA_STEPS entry. */
+export const CURRENT_SCHEMA_VERSION = 5;
+
+/**
+ * Thrown when data comes from a newer schema than CURRENT_SCHEMA_VERSION.
+ * Such data is refused rather than "sanitized" into a lossy older shape.
+ */
+export class SchemaTooNewError extends Error {
+    constructor(version) {
+        super(`Data uses schema v${version}; this app supports up to v${CURRENT_SCHEMA_VERSION}.`);
+        this.name = 'SchemaTooNewError';
+        this.version = version;
+        this.supported = CURRENT_SCHEMA_VERSION;
+    }
+}
 
 export const DEFAULT_HOLDS = ['Anton'];
 
@@ -108,15 +125,79 @@ export function migrateV1toV2(v1) {
 }
 
 /**
- * Detect data version.
+ * Migrate v2 data (saws hardcoded as 'main'/'stefan') to v3
+ * (catalogue carries a `saws` registry, angles reference saw ids).
+ * Pure function — does not touch localStorage.
+ */
+export function migrateV2toV3(v2) {
+    return {
+        version: 3,
+        saws: DEFAULT_SAWS.map(s => ({ ...s })),
+        holds: Array.isArray(v2?.holds) ? v2.holds : [],
+        angles: Array.isArray(v2?.angles) ? v2.angles : [],
+    };
+}
+
+/**
+ * Migrate v3 data to v4 (angles may carry `pieces` per unit; absent means 1).
+ * Pure function — does not touch localStorage.
+ */
+export function migrateV3toV4(v3) {
+    return { ...v3, version: 4 };
+}
+
+/**
+ * Migrate v4 data to v5 (angles may be compound: `bevel` and `side` next to the
+ * miter in `value`). Existing values are pure miter, so nothing else changes.
+ * Pure function — does not touch localStorage.
+ */
+export function migrateV4toV5(v4) {
+    return { ...v4, version: 5 };
+}
+
+/**
+ * Detect data version. Any positive integer is reported as-is so newer
+ * schemas can be refused instead of being treated as v1.
  */
 export function detectVersion(data) {
     if (!data || typeof data !== 'object') return 0;
-    if (data.version === 2) return 2;
+    if (Number.isInteger(data.version) && data.version > 1) return data.version;
     return 1; // v1 has no version or version:1
 }
 
-function sanitizeV2(data) {
+/** v1: holds as a name list, covers in holdImages keyed by name, angles reference hold names. */
+export function sanitizeV1(data) {
+    const holds = sanitizeHoldList(data?.holds ?? DEFAULT_HOLDS);
+    const holdsSet = new Set(holds);
+
+    const anglesRaw = Array.isArray(data?.angles) ? data.angles : [];
+
+    const angles = [];
+    const ids = new Set();
+
+    for (const a of anglesRaw) {
+        const sa = sanitizeAngle(a, holdsSet);
+        if (!sa) continue;
+        if (ids.has(sa.id)) sa.id = cryptoRandomId();
+        ids.add(sa.id);
+        angles.push(sa);
+    }
+
+    const rawHoldImages =
+        data?.holdImages && typeof data.holdImages === 'object' ? data.holdImages : {};
+    const holdImages = {};
+    for (const h of holds) {
+        const v = rawHoldImages[h];
+        if (isSafeRasterDataUrl(v)) {
+            holdImages[h] = v;
+        }
+    }
+
+    return { version: 1, holds, angles, holdImages };
+}
+
+/** v2: holds as { id, name, coverImage }, angles reference holdId, saws fixed to main/stefan. */
+export function sanitizeV2(data) {
     const holds = Array.isArray(data.holds)
         ? data.holds
             .filter(h => h && typeof h.id === 'string' && typeof h.name === 'string')
@@ -144,6 +225,64 @@ function sanitizeV2(data) {
     return { version: 2, holds, angles };
 }
 
+/**
+ * v3: catalogue carries a saw registry; angles reference saw ids and respect saw ranges.
+ * Images stay inline data URLs unless `imageRefs` is set (catalogues read back from
+ * this device's own store, whose Blobs live in IndexedDB).
+ */
+export function sanitizeV3(data, { imageRefs = false } = {}) {
+    const isImage = imageRefs ? isStoredImage : isSafeRasterDataUrl;
+    const saws = sanitizeSaws(data.saws);
+    const sawsById = new Map(saws.map(s => [s.id, s]));
+
+    const holds = Array.isArray(data.holds)
+        ? data.holds
+            .filter(h => h && typeof h.id === 'string' && typeof h.name === 'string')
+            .map(h => ({
+                id: h.id,
+                name: normalizeHoldName(h.name),
+                ...(isImage(h.coverImage) ? { coverImage: h.coverImage } : {}),
+            }))
+        : [];
+
+    const holdIds = new Set(holds.map(h => h.id));
+
+    // Angles for unknown holds or unknown saws are dropped; values are clamped to the saw's range.
+    const angles = Array.isArray(data.angles)
+        ? data.angles
+            .filter(a => a && typeof a.id === 'string' && holdIds.has(a.holdId) && sawsById.has(a.saw))
+            .map(a => ({
+                id: a.id,
+                holdId: a.holdId,
+                value: clampToSaw(Number(a.value) || 0, sawsById.get(a.saw)),
+                saw: a.saw,
+                ...(isImage(a.drawing) ? { drawing: a.drawing } : {}),
+            }))
+        : [];
+
+    return { version: 3, saws, holds, angles };
+}
+
+/** v4: v3 plus optional `pieces` per angle (whole number above 1; 1 is left out). */
+export function sanitizeV4(data, options) {
+    const v3 = sanitizeV3(data, options);
+    const rawById = new Map((Array.isArray(data.angles) ? data.angles : []).filter(a => a && typeof a.id === 'string').map(a => [a.id, a]));
+    const angles = v3.angles.map(a => {
+        const pieces = sanitizePieces(rawById.get(a.id)?.pieces);
+        return pieces > 1 ? { ...a, pieces } : a;
+    });
+    return { ...v3, version: 4, angles };
+}
+
+/** v5: v4 plus optional compound parts per angle (`bevel` within the saw's `bevelMax`, `side` 'L' | 'R'). */
+export function sanitizeV5(data, options) {
+    const v4 = sanitizeV4(data, options);
+    const sawsById = new Map(v4.saws.map(s => [s.id, s]));
+    const rawById = new Map((Array.isArray(data.angles) ? data.angles : []).filter(a => a && typeof a.id === 'string').map(a => [a.id, a]));
+    const angles = v4.angles.map(a => ({ ...a, ...compoundFields(rawById.get(a.id), sawsById.get(a.saw)) }));
+    return { ...v4, version: 5, angles };
+}
+
 /** Accepts raw db OR wrapper: { data: { holds, angles, holdImages } } */
 export function unwrapImportedDb(parsed) {
     if (!parsed || typeof parsed !== 'object') return parsed;
@@ -151,41 +290,47 @@ export function unwrapImportedDb(parsed) {
     return parsed;
 }
 
-export function migrateAndSanitize(parsed) {
-    // If already v2, validate and return as-is (with basic sanitization)
-    if (detectVersion(parsed) === 2) {
-        return sanitizeV2(parsed);
-    }
-
-    const unwrapped = unwrapImportedDb(parsed);
-
-    const holds = sanitizeHoldList(unwrapped?.holds ?? DEFAULT_HOLDS);
-    const holdsSet = new Set(holds);
-
-    const anglesRaw = Array.isArray(unwrapped?.angles) ? unwrapped.angles : [];
-
-    const angles = [];
-    const ids = new Set();
+/**
+ * Ordered schema registry. Each entry owns the sanitizer for its version and the
+ * `up` step that produces it from the previous version. Steps are pure.
+ */
+export const SCHEMA_STEPS = [
+    { version: 1, sanitize: sanitizeV1 },
+    { version: 2, sanitize: sanitizeV2, up: migrateV1toV2 },
+    { version: 3, sanitize: sanitizeV3, up: migrateV2toV3 },
+    { version: 4, sanitize: sanitizeV4, up: migrateV3toV4 },
+    { version: 5, sanitize: sanitizeV5, up: migrateV4toV5 },
+];
 
-    for (const a of anglesRaw) {
-        const sa = sanitizeAngle(a, holdsSet);
-        if (!sa) continue;
-        if (ids.has(sa.id)) sa.id = cryptoRandomId();
-        ids.add(sa.id);
-        angles.push(sa);
+/**
+ * Bring data of any known version up to CURRENT_SCHEMA_VERSION, sanitizing at
+ * every step. Throws SchemaTooNewError for data from a newer schema. `options`
+ * go to every sanitizer (see sanitizeV3).
+ */
+export function migrateToCurrent(data, options = {}) {
+    const from = Math.max(1, detectVersion(data));
+    if (from > CURRENT_SCHEMA_VERSION) throw new SchemaTooNewError(from);
+
+    const first = SCHEMA_STEPS.find(step => step.version === from);
+    let next = first.sanitize(data ?? {}, options);
+    for (const step of SCHEMA_STEPS) {
+        if (step.version <= from) continue;
+        next = step.sanitize(step.up(next), options);
     }
+    return next;
+}
 
-    const rawHoldImages =
-        unwrapped?.holdImages && typeof unwrapped.holdImages === 'object' ? unwrapped.holdImages : {};
-    const holdImages = {};
-    for (const h of holds) {
-        const v = rawHoldImages[h];
-        if (isSafeRasterDataUrl(v)) {
-            holdImages[h] = v;
-        }
-    }
+/**
+ * Accepts raw stored state or an export wrapper; always returns the current schema.
+ * Images must be inline data URLs, as in every file this app reads or writes.
+ */
+export function migrateAndSanitize(parsed) {
+    return migrateToCurrent(unwrapImportedDb(parsed));
+}
 
-    return { version: LS_VERSION, holds, angles, holdImages };
+/** migrateAndSanitize() for catalogues from this device's store, which keep `idb:` image refs. */
+export function migrateStoredCatalogue(parsed) {
+    return migrateToCurrent(unwrapImportedDb(parsed), { imageRefs: true });
 }
 
 /**
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { migrateAndSanitize, unwrapImportedDb, migrateV1toV2, detectVersion, findHoldById, findHoldByName, getSortedHoldNames, getAnglesForHold, getAnglesBySaw } from './migration.js';
+import { migrateAndSanitize, migrateStoredCatalogue, migrateToCurrent, unwrapImportedDb, migrateV1toV2, migrateV2toV3, migrateV3toV4, migrateV4toV5, detectVersion, sanitizeV1, sanitizeV2, sanitizeV3, sanitizeV4, sanitizeV5, SCHEMA_STEPS, CURRENT_SCHEMA_VERSION, SchemaTooNewError, findHoldById, findHoldByName, getSortedHoldNames, getAnglesForHold, getAnglesBySaw } from './migration.js';
 
 describe('unwrapImportedDb', () => {
     it('unwraps { data: ... } wrapper', () => {
@@ -17,7 +17,17 @@ describe('migrateAndSanitize', () => {
         const result = migrateAndSanitize({});
         expect(result.holds).toBeDefined();
         expect(result.angles).toBeDefined();
-        expect(result.version).toBe(1);
+        expect(result.version).toBe(CURRENT_SCHEMA_VERSION);
+    });
+    it('upgrades v1 input to the current schema', () => {
+        const result = migrateAndSanitize({
+            holds: ['Austin'],
+            angles: [{ id: 'a1', hold: 'Austin', value: 45, saw: 'stefan' }],
+            holdImages: {},
+        });
+        expect(result.version).toBe(CURRENT_SCHEMA_VERSION);
+        expect(result.holds[0]).toMatchObject({ name: 'Austin' });
+        expect(result.angles[0]).toMatchObject({ id: 'a1', holdId: result.holds[0].id, saw: 'stefan' });
     });
     it('clamps angle value to 0-90', () => {
         const input = {
@@ -37,6 +47,20 @@ describe('migrateAndSanitize', () => {
         const result = migrateAndSanitize(input);
         expect(result.angles[0].drawing).toBeUndefined();
     });
+    it('accepts idb: image refs from the local store only', () => {
+        const ref = 'idb:00112233445566778899aabbccddeeff';
+        const input = {
+            version: 5,
+            holds: [{ id: 'h1', name: 'Austin', coverImage: ref }],
+            angles: [{ id: 'a1', holdId: 'h1', value: 45, saw: 'main', drawing: ref }],
+        };
+        const imported = migrateAndSanitize(input);
+        expect(imported.holds[0].coverImage).toBeUndefined();
+        expect(imported.angles[0].drawing).toBeUndefined();
+        const stored = migrateStoredCatalogue(input);
+        expect(stored.holds[0].coverImage).toBe(ref);
+        expect(stored.angles[0].drawing).toBe(ref);
+    });
     it('deduplicates holds case-insensitively', () => {
         const input = {
             holds: ['Austin', 'austin', 'AUSTIN'],
@@ -60,7 +84,10 @@ describe('migrateAndSanitize', () => {
 describe('detectVersion', () => {
     it('returns 1 for v1 data', () => expect(detectVersion({ holds: [] })).toBe(1));
     it('returns 2 for v2 data', () => expect(detectVersion({ version: 2, holds: [] })).toBe(2));
+    it('returns 3 for v3 data', () => expect(detectVersion({ version: 3, holds: [] })).toBe(3));
     it('returns 0 for null', () => expect(detectVersion(null)).toBe(0));
+    it('reports future versions as-is', () => expect(detectVersion({ version: 9 })).toBe(9));
+    it('treats non-integer versions as v1', () => expect(detectVersion({ version: '2' })).toBe(1));
 });
 
 describe('migrateV1toV2', () => {
@@ -117,6 +144,219 @@ describe('migrateV1toV2', () => {
     });
 });
 
+describe('sanitizeV1', () => {
+    it('keeps only safe hold images for known holds', () => {
+        const v1 = sanitizeV1({
+            holds: ['Austin'],
+            angles: [],
+            holdImages: { Austin: 'data:image/png;base64,a', Ghost: 'data:image/png;base64,b' },
+        });
+        expect(v1.holdImages).toEqual({ Austin: 'data:image/png;base64,a' });
+    });
+    it('regenerates duplicate angle ids', () => {
+        const v1 = sanitizeV1({
+            holds: ['Austin'],
+            angles: [
+                { id: 'a1', hold: 'Austin', value: 10 },
+                { id: 'a1', hold: 'Austin', value: 20 },
+            ],
+        });
+        expect(new Set(v1.angles.map(a => a.id)).size).toBe(2);
+    });
+    it('accepts decimal comma values', () => {
+        const v1 = sanitizeV1({ holds: ['Austin'], angles: [{ id: 'a1', hold: 'Austin', value: '28,2' }] });
+        expect(v1.angles[0].value).toBe(28.2);
+    });
+});
+
+describe('sanitizeV2', () => {
+    it('coerces unknown saws to main', () => {
+        const v2 = sanitizeV2({
+            version: 2,
+            holds: [{ id: 'h1', name: 'Austin' }],
+            angles: [{ id: 'a1', holdId: 'h1', value: 30, saw: 'other' }],
+        });
+        expect(v2.angles[0].saw).toBe('main');
+    });
+    it('drops holds without id', () => {
+        const v2 = sanitizeV2({ version: 2, holds: [{ name: 'Austin' }], angles: [] });
+        expect(v2.holds).toHaveLength(0);
+    });
+});
+
+describe('sanitizeV3', () => {
+    it('seeds saws when the registry is missing', () => {
+        const v3 = sanitizeV3({ version: 3, holds: [], angles: [] });
+        expect(v3.saws.map(s => s.id)).toEqual(['main', 'stefan']);
+    });
+    it('rejects unsafe cover images', () => {
+        const v3 = sanitizeV3({ version: 3, holds: [{ id: 'h1', name: 'A', coverImage: 'data:image/svg+xml;base64,a' }], angles: [] });
+        expect(v3.holds[0].coverImage).toBeUndefined();
+    });
+});
+
+describe('SCHEMA_STEPS', () => {
+    it('is ordered and contiguous up to the current version', () => {
+        expect(SCHEMA_STEPS.map(s => s.version)).toEqual(
+            Array.from({ length: CURRENT_SCHEMA_VERSION }, (_, i) => i + 1)
+        );
+    });
+    it('has an up step for every version after the first', () => {
+        SCHEMA_STEPS.slice(1).forEach(step => expect(typeof step.up).toBe('function'));
+    });
+});
+
+describe('migrateToCurrent', () => {
+    it('runs every step from v1', () => {
+        const result = migrateToCurrent({ holds: ['Austin'], angles: [] });
+        expect(result.version).toBe(CURRENT_SCHEMA_VERSION);
+        expect(result.saws).toBeDefined();
+    });
+    it('is idempotent on current data', () => {
+        const once = migrateToCurrent({ holds: ['Austin'], angles: [{ id: 'a1', hold: 'Austin', value: 10 }] });
+        expect(migrateToCurrent(once)).toEqual(once);
+    });
+    it('refuses data from a newer schema', () => {
+        expect(() => migrateToCurrent({ version: CURRENT_SCHEMA_VERSION + 1, holds: [] })).toThrow(SchemaTooNewError);
+    });
+    it('reports versions on the refusal', () => {
+        try {
+            migrateAndSanitize({ app: 'AnglesProto', data: { version: 99 } });
+            expect.unreachable();
+        } catch (err) {
+            expect(err.name).toBe('SchemaTooNewError');
+            expect(err.version).toBe(99);
+            expect(err.supported).toBe(CURRENT_SCHEMA_VERSION);
+        }
+    });
+});
+
+describe('migrateV2toV3', () => {
+    it('seeds the MAIN and STEFAN saws', () => {
+        const v3 = migrateV2toV3({ version: 2, holds: [], angles: [] });
+        expect(v3.version).toBe(3);
+        expect(v3.saws.map(s => s.id)).toEqual(['main', 'stefan']);
+        expect(v3.saws.map(s => s.name)).toEqual(['MAIN', 'STEFAN']);
+    });
+    it('keeps holds and angles untouched', () => {
+        const v2 = {
+            version: 2,
+            holds: [{ id: 'h1', name: 'Austin' }],
+            angles: [{ id: 'a1', holdId: 'h1', value: 30, saw: 'stefan' }],
+        };
+        const v3 = migrateV2toV3(v2);
+        expect(v3.holds).toEqual(v2.holds);
+        expect(v3.angles).toEqual(v2.angles);
+    });
+});
+
+describe('migrateAndSanitize (saw registry)', () => {
+    const saws = [
+        { id: 'main', name: 'MAIN', sort: 'desc', min: 0, max: 90 },
+        { id: 's3', name: 'THIRD', sort: 'asc', min: 10, max: 50 },
+    ];
+
+    it('upgrades v2 input with seed saws', () => {
+        const result = migrateAndSanitize({
+            version: 2,
+            holds: [{ id: 'h1', name: 'Austin' }],
+            angles: [{ id: 'a1', holdId: 'h1', value: 30, saw: 'stefan' }],
+        });
+        expect(result.version).toBe(CURRENT_SCHEMA_VERSION);
+        expect(result.saws).toHaveLength(2);
+        expect(result.angles[0].saw).toBe('stefan');
+    });
+    it('keeps angles on a third saw', () => {
+        const result = migrateAndSanitize({
+            version: 3,
+            saws,
+            holds: [{ id: 'h1', name: 'Austin' }],
+            angles: [{ id: 'a1', holdId: 'h1', value: 30, saw: 's3' }],
+        });
+        expect(result.angles[0].saw).toBe('s3');
+    });
+    it('clamps values to the saw range', () => {
+        const result = migrateAndSanitize({
+            version: 3,
+            saws,
+            holds: [{ id: 'h1', name: 'Austin' }],
+            angles: [{ id: 'a1', holdId: 'h1', value: 80, saw: 's3' }],
+        });
+        expect(result.angles[0].value).toBe(50);
+    });
+    it('drops angles for unknown saws', () => {
+        const result = migrateAndSanitize({
+            version: 3,
+            saws,
+            holds: [{ id: 'h1', name: 'Austin' }],
+            angles: [{ id: 'a1', holdId: 'h1', value: 30, saw: 'stefan' }],
+        });
+        expect(result.angles).toHaveLength(0);
+    });
+    it('reads the export wrapper', () => {
+        const result = migrateAndSanitize({
+            app: 'AnglesProto',
+            version: 3,
+            data: { version: 3, saws, holds: [{ id: 'h1', name: 'Austin' }], angles: [] },
+        });
+        expect(result.holds).toHaveLength(1);
+        expect(result.saws.map(s => s.id)).toEqual(['main', 's3']);
+    });
+});
+
+describe('pieces per unit (v4)', () => {
+    const holds = [{ id: 'h1', name: 'Austin' }];
+
+    it('upgrades v3 angles as one piece each', () => {
+        const v3 = { version: 3, saws: [], holds, angles: [{ id: 'a1', holdId: 'h1', value: 30, saw: 'main' }] };
+        expect(migrateV3toV4(v3).version).toBe(4);
+        const result = migrateAndSanitize(v3);
+        expect(result.version).toBe(CURRENT_SCHEMA_VERSION);
+        expect(result.angles[0]).toEqual({ id: 'a1', holdId: 'h1', value: 30, saw: 'main' });
+    });
+    it('keeps whole piece counts above one', () => {
+        const v4 = sanitizeV4({
+            version: 4,
+            holds,
+            angles: [
+                { id: 'a1', holdId: 'h1', value: 30, saw: 'main', pieces: 4 },
+                { id: 'a2', holdId: 'h1', value: 31, saw: 'main', pieces: 2.6 },
+                { id: 'a3', holdId: 'h1', value: 32, saw: 'main', pieces: -2 },
+                { id: 'a4', holdId: 'h1', value: 33, saw: 'main', pieces: 'x' },
+            ],
+        });
+        expect(v4.angles.map(a => a.pieces)).toEqual([4, 3, undefined, undefined]);
+    });
+});
+
+describe('compound cuts (v5)', () => {
+    const holds = [{ id: 'h1', name: 'Austin' }];
+    const saws = [
+        { id: 'main', name: 'MAIN', sort: 'asc', min: 0, max: 90 },
+        { id: 'stefan', name: 'STEFAN', sort: 'asc', min: 0, max: 90, bevelMax: 45 },
+    ];
+
+    it('upgrades v4 values as pure miter', () => {
+        const v4 = { version: 4, saws, holds, angles: [{ id: 'a1', holdId: 'h1', value: 30, saw: 'stefan', pieces: 2 }] };
+        expect(migrateV4toV5(v4).version).toBe(5);
+        expect(migrateAndSanitize(v4).angles[0]).toEqual({ id: 'a1', holdId: 'h1', value: 30, saw: 'stefan', pieces: 2 });
+    });
+    it('keeps bevel within the saw and a valid side', () => {
+        const v5 = sanitizeV5({
+            version: 5,
+            saws,
+            holds,
+            angles: [
+                { id: 'a1', holdId: 'h1', value: 31.6, saw: 'stefan', bevel: 33.9, side: 'L' },
+                { id: 'a2', holdId: 'h1', value: 31.6, saw: 'stefan', bevel: 60, side: 'up' },
+                { id: 'a3', holdId: 'h1', value: 31.6, saw: 'main', bevel: 33.9, side: 'R' },
+            ],
+        });
+        expect(v5.saws[1].bevelMax).toBe(45);
+        expect(v5.angles.map(a => [a.bevel, a.side])).toEqual([[33.9, 'L'], [45, undefined], [undefined, 'R']]);
+    });
+});
+
 const sampleHolds = [
     { id: 'h1', name: 'Zebra' },
     { id: 'h2', name: 'Austin' },
@@ -0,0 +1,75 @@
+// Saw settings from the geometry of a joint. Two pieces meet at a corner
+// (`corner`, the angle between them: 90 for a square corner, or the inside angle
+// of a polygon with `sides` sides). Flat stock is cut with the miter alone; crown
+// molding lying flat on the saw table needs a compound cut, from its spring angle
+// (the angle between the molding's back and the wall, e.g. 38 for 52/38 crown):
+//   miter = atan(sin(spring) / tan(corner / 2))
+//   bevel = asin(cos(spring) × cos(corner / 2))
+// The miter is a saw reading: with the 'zero' reference 0° is a square cut (most
+// miter saws); with 'ninety' the scale reads 90° at square, so it reads 90 − angle.
+// The bevel is always the blade's tilt from upright, as stored on an angle.
+
+export const SAW_REFERENCES = [
+    { id: 'zero', label: '0° = square' },
+    { id: 'ninety', label: '90° = square' },
+];
+export const MIN_SIDES = 3;
+export const MAX_SIDES = 100;
+
+const rad = (deg) => (deg * Math.PI) / 180;
+const deg = (r) => (r * 180) / Math.PI;
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** Inside angle of a regular polygon, e.g. 90 for 4 sides, 120 for 6. */
+export function polygonCornerAngle(sides) {
+    return 180 - 360 / sides;
+}
+
+/** Miter and bevel (0° = square) for pieces meeting at `corner`; `spring` null for flat stock. */
+export function cutForCorner(corner, spring = null) {
+    if (spring === null) return { miter: 90 - corner / 2, bevel: 0 };
+    const half = rad(corner / 2);
+    return {
+        miter: deg(Math.atan(Math.sin(rad(spring)) / Math.tan(half))),
+        bevel: deg(Math.asin(Math.cos(rad(spring)) * Math.cos(half))),
+    };
+}
+
+/** An angle (0° = square) as read on a saw with the given reference. */
+export function toSawReading(angle, reference = 'zero') {
+    return reference === 'ninety' ? 90 - angle : angle;
+}
+
+function toNumber(raw) {
+    if (raw === null || raw === undefined || String(raw).trim() === '') return null;
+    return Number(String(raw).trim().replace(',', '.'));
+}
+
+/**
+ * Calculator inputs as typed (strings or numbers; blank = not given): { corner,
+ * sides, spring, reference }. `sides` takes precedence over `corner`; no spring
+ * means flat stock. Returns { corner, miter, bevel } rounded to 0.01° (the miter as
+ * read on the saw's scale, the bevel as tilt from upright), or { error } with a
+ * message for the first invalid input.
+ */
+export function calculateCut({ corner, sides, spring, reference = 'zero' } = {}) {
+    const sideCount = toNumber(sides);
+    if (sideCount !== null && !(Number.isInteger(sideCount) && sideCount >= MIN_SIDES && sideCount <= MAX_SIDES)) {
+        return { error: `Number of sides must be a whole number from ${MIN_SIDES} to ${MAX_SIDES}` };
+    }
+    const cornerAngle = sideCount !== null ? polygonCornerAngle(sideCount) : toNumber(corner);
+    if (cornerAngle === null) return { error: 'Enter a corner angle or a number of sides' };
+    if (!(cornerAngle > 0 && cornerAngle < 180)) return { error: 'Corner angle must be between 0° and 180°' };
+
+    const springAngle = toNumber(spring);
+    if (springAngle !== null && !(springAngle >= 0 && springAngle <= 90)) {
+        return { error: 'Spring angle must be between 0° and 90°' };
+    }
+
+    const { miter, bevel } = cutForCorner(cornerAngle, springAngle);
+    return {
+        corner: round2(cornerAngle),
+        miter: round2(toSawReading(miter, reference)),
+        bevel: round2(bevel),
+    };
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { calculateCut, cutForCorner, polygonCornerAngle, toSawReading } from './miterCalc.js';
+
+describe('polygonCornerAngle', () => {
+    it('gives the inside angle of regular polygons', () => {
+        expect(polygonCornerAngle(4)).toBe(90);
+        expect(polygonCornerAngle(6)).toBe(120);
+        expect(polygonCornerAngle(8)).toBe(135);
+    });
+});
+
+describe('cutForCorner', () => {
+    it('halves the corner for flat stock', () => {
+        expect(cutForCorner(90)).toEqual({ miter: 45, bevel: 0 });
+        expect(cutForCorner(120)).toEqual({ miter: 30, bevel: 0 });
+    });
+
+    it('matches the crown molding tables', () => {
+        const crown5238 = cutForCorner(90, 38);
+        expect(crown5238.miter).toBeCloseTo(31.62, 2);
+        expect(crown5238.bevel).toBeCloseTo(33.86, 2);
+        const crown4545 = cutForCorner(90, 45);
+        expect(crown4545.miter).toBeCloseTo(35.26, 2);
+        expect(crown4545.bevel).toBeCloseTo(30, 6);
+    });
+
+    it('treats a 90° spring as flat stock', () => {
+        const cut = cutForCorner(90, 90);
+        expect(cut.miter).toBeCloseTo(45, 6);
+        expect(cut.bevel).toBeCloseTo(0, 6);
+    });
+});
+
+describe('calculateCut', () => {
+    it('returns saw readings rounded to 0.01°', () => {
+        expect(calculateCut({ corner: '90', spring: '38' })).toEqual({ corner: 90, miter: 31.62, bevel: 33.86 });
+        expect(calculateCut({ corner: 90 })).toEqual({ corner: 90, miter: 45, bevel: 0 });
+    });
+
+    it('takes the corner from the number of sides', () => {
+        expect(calculateCut({ corner: 90, sides: '8', spring: 38 })).toEqual({ corner: 135, miter: 14.31, bevel: 17.55 });
+        expect(calculateCut({ sides: 6 })).toEqual({ corner: 120, miter: 30, bevel: 0 });
+    });
+
+    it('reads the miter from 90° on saws that mark square as 90°', () => {
+        expect(toSawReading(31.62, 'ninety')).toBeCloseTo(58.38, 6);
+        // The bevel stays the tilt from upright
+        expect(calculateCut({ corner: '90', spring: '38', reference: 'ninety' })).toEqual({ corner: 90, miter: 58.38, bevel: 33.86 });
+        expect(calculateCut({ sides: 6, reference: 'ninety' })).toEqual({ corner: 120, miter: 60, bevel: 0 });
+    });
+
+    it('accepts a decimal comma', () => {
+        expect(calculateCut({ corner: '112,5' }).miter).toBe(33.75);
+    });
+
+    it('reports invalid input', () => {
+        expect(calculateCut({})).toEqual({ error: 'Enter a corner angle or a number of sides' });
+        expect(calculateCut({ corner: 180 }).error).toMatch(/between 0° and 180°/);
+        expect(calculateCut({ corner: 'abc' }).error).toMatch(/between 0° and 180°/);
+        expect(calculateCut({ sides: 2.5 }).error).toMatch(/whole number from 3 to 100/);
+        expect(calculateCut({ corner: 90, spring: 95 }).error).toMatch(/Spring angle/);
+    });
+});
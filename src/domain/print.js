@@ -0,0 +1,32 @@
+// Print sheet layout: rows are cut into columns of PRINT_ROWS_PER_COLUMN, and
+// columns into rows of at most maxColumnsPerRow, per saw section.
+
+// A4 portrait: ~46 rows per column keeps each column on one page
+export const PRINT_ROWS_PER_COLUMN = 46;
+export const PRINT_MAX_COLUMNS_ALL = 2;
+export const PRINT_MAX_COLUMNS_SINGLE = 4;
+
+// Columns per section shrink as more saw sections share the page width
+export function maxColumnsForSections(sectionCount) {
+    if (sectionCount <= 1) return PRINT_MAX_COLUMNS_SINGLE;
+    return Math.max(1, Math.floor((PRINT_MAX_COLUMNS_ALL * 2) / sectionCount));
+}
+
+export function chunkRowsForPrint(rows, rowsPerColumn) {
+    if (!rows.length) return [];
+    const chunks = [];
+    for (let i = 0; i < rows.length; i += rowsPerColumn) {
+        chunks.push(rows.slice(i, i + rowsPerColumn));
+    }
+    return chunks;
+}
+
+export function buildPrintColumnGroups(rows, rowsPerColumn, maxColumnsPerRow) {
+    const chunks = chunkRowsForPrint(rows, rowsPerColumn);
+    if (!chunks.length) return [];
+    const groups = [];
+    for (let i = 0; i < chunks.length; i += maxColumnsPerRow) {
+        groups.push(chunks.slice(i, i + maxColumnsPerRow));
+    }
+    return groups;
+}
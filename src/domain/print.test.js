@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+import { maxColumnsForSections, chunkRowsForPrint, buildPrintColumnGroups, PRINT_MAX_COLUMNS_SINGLE } from './print.js';
+
+describe('maxColumnsForSections', () => {
+    it('gives a single section the full width and shares it between more', () => {
+        expect(maxColumnsForSections(1)).toBe(PRINT_MAX_COLUMNS_SINGLE);
+        expect(maxColumnsForSections(2)).toBe(2);
+        expect(maxColumnsForSections(3)).toBe(1);
+        expect(maxColumnsForSections(8)).toBe(1);
+    });
+});
+
+describe('buildPrintColumnGroups', () => {
+    it('cuts rows into columns and columns into rows of columns', () => {
+        const rows = [1, 2, 3, 4, 5, 6, 7];
+        expect(chunkRowsForPrint(rows, 3)).toEqual([[1, 2, 3], [4, 5, 6], [7]]);
+        expect(buildPrintColumnGroups(rows, 3, 2)).toEqual([[[1, 2, 3], [4, 5, 6]], [[7]]]);
+        expect(buildPrintColumnGroups([], 3, 2)).toEqual([]);
+    });
+});
@@ -0,0 +1,62 @@
+// Quantities: an angle can need several pieces per unit of its product
+// (`angle.pieces`, default 1, stored only when above 1), and an order asks for
+// a number of units per selected product. Cuts at an angle = pieces × units.
+
+export const MAX_PIECES = 999;
+export const MAX_ORDER_QUANTITY = 9999;
+
+function toCount(n, max) {
+    const v = Math.round(Number(n));
+    return Number.isFinite(v) && v >= 1 ? Math.min(max, v) : 1;
+}
+
+export function sanitizePieces(n) {
+    return toCount(n, MAX_PIECES);
+}
+
+export function sanitizeOrderQuantity(n) {
+    return toCount(n, MAX_ORDER_QUANTITY);
+}
+
+/** `{ holdId: units }` with only valid entries above 1 kept. */
+export function sanitizeOrderQuantities(map) {
+    const out = {};
+    for (const [holdId, qty] of Object.entries(map && typeof map === 'object' ? map : {})) {
+        const q = sanitizeOrderQuantity(qty);
+        if (q > 1) out[holdId] = q;
+    }
+    return out;
+}
+
+/** `{ angleId: pieces cut }` with only whole counts of at least one kept (saved work progress). */
+export function sanitizePartialCuts(map) {
+    const out = {};
+    for (const [id, n] of Object.entries(map && typeof map === 'object' ? map : {})) {
+        if (Number.isInteger(n) && n >= 1) out[id] = n;
+    }
+    return out;
+}
+
+/** Cuts needed at `angle` for the order: its pieces × the units of its product. */
+export function angleCuts(angle, quantities) {
+    return sanitizePieces(angle.pieces) * sanitizeOrderQuantity(quantities?.[angle.holdId]);
+}
+
+/** Total cuts of table rows (each carrying `total`). */
+export function totalCuts(rows) {
+    return rows.reduce((sum, r) => sum + (r.total ?? 1), 0);
+}
+
+/** True when some row needs more than one cut per angle (worth showing counts). */
+export function needsMultipleCuts(rows) {
+    return rows.some((r) => (r.total ?? 1) > (r.angleIds?.length ?? 1));
+}
+
+/**
+ * Pieces already cut of one angle: `total` when it is checked off, else its
+ * partial count (`partial` maps angle id → pieces cut, below the total).
+ */
+export function piecesDone(id, total, checked, partial) {
+    if (checked.has(id)) return total;
+    return Math.min(total, partial?.[id] ?? 0);
+}
@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { sanitizePieces, sanitizeOrderQuantities, sanitizePartialCuts, angleCuts, totalCuts, needsMultipleCuts, piecesDone, MAX_PIECES } from './quantities.js';
+
+describe('quantities', () => {
+    it('sanitizes piece counts', () => {
+        expect(sanitizePieces(3)).toBe(3);
+        expect(sanitizePieces('2')).toBe(2);
+        expect(sanitizePieces(0)).toBe(1);
+        expect(sanitizePieces(undefined)).toBe(1);
+        expect(sanitizePieces(MAX_PIECES + 1)).toBe(MAX_PIECES);
+    });
+
+    it('keeps order quantities above one', () => {
+        expect(sanitizeOrderQuantities({ h1: 5, h2: 1, h3: 'x', h4: '12' })).toEqual({ h1: 5, h4: 12 });
+        expect(sanitizeOrderQuantities(null)).toEqual({});
+        expect(sanitizePartialCuts({ a1: 2, a2: 0, a3: '4', a4: 1.5 })).toEqual({ a1: 2 });
+    });
+
+    it('multiplies pieces by the product quantity', () => {
+        expect(angleCuts({ holdId: 'h1', pieces: 4 }, { h1: 3 })).toBe(12);
+        expect(angleCuts({ holdId: 'h2' }, { h1: 3 })).toBe(1);
+        expect(totalCuts([{ total: 12 }, { total: 1 }, {}])).toBe(14);
+    });
+
+    it('tells when counts are worth showing', () => {
+        expect(needsMultipleCuts([{ total: 1 }, { angleIds: ['a', 'b'], total: 2 }])).toBe(false);
+        expect(needsMultipleCuts([{ angleIds: ['a', 'b'], total: 3 }])).toBe(true);
+    });
+
+    it('counts pieces done', () => {
+        const checked = new Set(['a1']);
+        expect(piecesDone('a1', 6, checked, { a1: 2 })).toBe(6);
+        expect(piecesDone('a2', 6, checked, { a2: 2 })).toBe(2);
+        expect(piecesDone('a3', 6, checked, {})).toBe(0);
+    });
+});
@@ -0,0 +1,109 @@
+import { clamp, ANGLE_SIDES } from './angles.js';
+
+// Hard limits for any saw; a saw's own range must sit inside these.
+export const SAW_ANGLE_MIN = 0;
+export const SAW_ANGLE_MAX = 90;
+
+/** Seed saws used when migrating data that predates the saw registry. */
+export const DEFAULT_SAWS = [
+    { id: 'main', name: 'MAIN', sort: 'desc', min: SAW_ANGLE_MIN, max: SAW_ANGLE_MAX },
+    { id: 'stefan', name: 'STEFAN', sort: 'asc', min: SAW_ANGLE_MIN, max: SAW_ANGLE_MAX },
+];
+
+export function generateSawId() {
+    try {
+        return `s_${globalThis.crypto?.randomUUID?.() ?? Math.random().toString(16).slice(2)}`;
+    } catch {
+        return `s_${Math.random().toString(16).slice(2)}`;
+    }
+}
+
+export function normalizeSawName(s) {
+    return String(s || '').trim().replace(/\s+/g, ' ').toUpperCase();
+}
+
+function toRangeNumber(raw, fallback) {
+    if (raw === null || raw === undefined || raw === '') return fallback;
+    const num = typeof raw === 'number' ? raw : Number(String(raw ?? '').replace(',', '.'));
+    return Number.isFinite(num) ? clamp(num, SAW_ANGLE_MIN, SAW_ANGLE_MAX) : fallback;
+}
+
+/**
+ * Sanitize a single saw record. Returns null when the record has no usable id or name.
+ * `bevelMax` (saws that also tilt for compound cuts) is kept only when above 0.
+ */
+export function sanitizeSaw(s) {
+    const id = typeof s?.id === 'string' ? s.id.trim() : '';
+    const name = normalizeSawName(s?.name);
+    if (!id || !name) return null;
+
+    let min = toRangeNumber(s?.min, SAW_ANGLE_MIN);
+    let max = toRangeNumber(s?.max, SAW_ANGLE_MAX);
+    if (min > max) [min, max] = [max, min];
+
+    const bevelMax = toRangeNumber(s?.bevelMax, 0);
+    return { id, name, sort: s?.sort === 'desc' ? 'desc' : 'asc', min, max, ...(bevelMax > 0 ? { bevelMax } : {}) };
+}
+
+/**
+ * Sanitize the saw list: drops invalid entries and duplicate ids/names, keeps order.
+ * Never returns an empty list — falls back to the seed saws.
+ */
+export function sanitizeSaws(saws) {
+    const arr = Array.isArray(saws) ? saws : [];
+    const ids = new Set();
+    const names = new Set();
+    const out = [];
+    for (const raw of arr) {
+        const s = sanitizeSaw(raw);
+        if (!s || ids.has(s.id) || names.has(s.name)) continue;
+        ids.add(s.id);
+        names.add(s.name);
+        out.push(s);
+    }
+    return out.length ? out : DEFAULT_SAWS.map(s => ({ ...s }));
+}
+
+/**
+ * Saws of a catalogue, falling back to the seed saws for data without a registry.
+ */
+export function getSaws(data) {
+    return Array.isArray(data?.saws) && data.saws.length ? data.saws : DEFAULT_SAWS;
+}
+
+export function findSawById(saws, sawId) {
+    return saws.find(s => s.id === sawId);
+}
+
+/** True when the saw can tilt its blade, i.e. cut compound angles. */
+export function sawHasBevel(saw) {
+    return (saw?.bevelMax ?? 0) > 0;
+}
+
+/**
+ * Clamp a bevel into 0…`bevelMax` of the saw; 0 on saws without a bevel.
+ */
+export function clampBevelToSaw(bevel, saw) {
+    const num = Number(bevel);
+    return Number.isFinite(num) ? clamp(num, 0, saw?.bevelMax ?? 0) : 0;
+}
+
+/**
+ * Compound parts of an angle for storage on `saw`: { bevel?, side? }. A bevel is
+ * kept when above 0 and clamped to the saw; `side` is 'L' or 'R' when given.
+ */
+export function compoundFields(angle, saw) {
+    const bevel = clampBevelToSaw(angle?.bevel ?? 0, saw);
+    const side = ANGLE_SIDES.includes(angle?.side) ? angle.side : null;
+    return { ...(bevel > 0 ? { bevel } : {}), ...(side ? { side } : {}) };
+}
+
+/**
+ * Clamp an angle value into the saw's allowed range.
+ */
+export function clampToSaw(value, saw) {
+    const num = Number(value);
+    const min = saw?.min ?? SAW_ANGLE_MIN;
+    const max = saw?.max ?? SAW_ANGLE_MAX;
+    return Number.isFinite(num) ? clamp(num, min, max) : min;
+}
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { sanitizeSaw, sanitizeSaws, clampToSaw, clampBevelToSaw, sawHasBevel, getSaws, normalizeSawName, DEFAULT_SAWS } from './saws.js';
+
+describe('sanitizeSaw', () => {
+    it('keeps a valid saw', () => {
+        expect(sanitizeSaw({ id: 's1', name: 'Bevel', sort: 'desc', min: 10, max: 60 }))
+            .toEqual({ id: 's1', name: 'BEVEL', sort: 'desc', min: 10, max: 60 });
+    });
+    it('rejects saw without id or name', () => {
+        expect(sanitizeSaw({ name: 'X' })).toBeNull();
+        expect(sanitizeSaw({ id: 's1', name: '  ' })).toBeNull();
+    });
+    it('defaults sort to asc and range to 0-90', () => {
+        expect(sanitizeSaw({ id: 's1', name: 'X' })).toMatchObject({ sort: 'asc', min: 0, max: 90 });
+    });
+    it('keeps a bevel range only for saws that tilt', () => {
+        expect(sanitizeSaw({ id: 's1', name: 'X', bevelMax: 48 })).toMatchObject({ bevelMax: 48 });
+        expect(sanitizeSaw({ id: 's1', name: 'X', bevelMax: 0 })).not.toHaveProperty('bevelMax');
+        expect(sanitizeSaw({ id: 's1', name: 'X', bevelMax: 200 })).toMatchObject({ bevelMax: 90 });
+    });
+    it('clamps and orders the range', () => {
+        expect(sanitizeSaw({ id: 's1', name: 'X', min: 120, max: -5 })).toMatchObject({ min: 0, max: 90 });
+        expect(sanitizeSaw({ id: 's1', name: 'X', min: 50, max: 20 })).toMatchObject({ min: 20, max: 50 });
+    });
+});
+
+describe('sanitizeSaws', () => {
+    it('drops duplicate ids and names', () => {
+        const saws = sanitizeSaws([
+            { id: 'a', name: 'One' },
+            { id: 'a', name: 'Two' },
+            { id: 'b', name: 'one' },
+            { id: 'c', name: 'Three' },
+        ]);
+        expect(saws.map(s => s.id)).toEqual(['a', 'c']);
+    });
+    it('falls back to seed saws when empty', () => {
+        expect(sanitizeSaws([]).map(s => s.id)).toEqual(['main', 'stefan']);
+        expect(sanitizeSaws(null)).toHaveLength(DEFAULT_SAWS.length);
+    });
+});
+
+describe('clampToSaw', () => {
+    it('clamps into the saw range', () => {
+        const saw = { min: 15, max: 45 };
+        expect(clampToSaw(5, saw)).toBe(15);
+        expect(clampToSaw(60, saw)).toBe(45);
+        expect(clampToSaw(30, saw)).toBe(30);
+    });
+    it('returns min for non-numeric values', () => {
+        expect(clampToSaw('abc', { min: 10, max: 20 })).toBe(10);
+    });
+});
+
+describe('clampBevelToSaw', () => {
+    it('clamps into 0…bevelMax', () => {
+        expect(clampBevelToSaw(50, { bevelMax: 45 })).toBe(45);
+        expect(clampBevelToSaw(-3, { bevelMax: 45 })).toBe(0);
+        expect(clampBevelToSaw(30, { min: 0, max: 90 })).toBe(0);
+        expect(sawHasBevel({ bevelMax: 45 })).toBe(true);
+        expect(sawHasBevel({})).toBe(false);
+    });
+});
+
+describe('getSaws', () => {
+    it('returns catalogue saws', () => {
+        const saws = [{ id: 'x', name: 'X', sort: 'asc', min: 0, max: 90 }];
+        expect(getSaws({ saws })).toBe(saws);
+    });
+    it('falls back to seeds for data without registry', () => {
+        expect(getSaws({ holds: [] })).toBe(DEFAULT_SAWS);
+    });
+});
+
+describe('normalizeSawName', () => {
+    it('trims, collapses and uppercases', () => {
+        expect(normalizeSawName('  new   saw ')).toBe('NEW SAW');
+    });
+});
@@ -0,0 +1,132 @@
+// Cut sequencing: order one saw's angle rows so the operator adjusts the saw as
+// little as possible. A set-up is one saw setting; the next angle needs a new
+// set-up when it is more than `tolerance` degrees from the setting in use.
+// With `byProduct`, each product's angles are cut together before the next
+// product starts (batches); products are then chained so each one starts at the
+// end of its range nearest to where the saw already is. Compound cuts also set
+// the bevel and side, so a change of either is a new set-up too.
+
+export const DEFAULT_SEQUENCE_OPTIONS = { tolerance: 0, byProduct: false };
+export const MAX_SETUP_TOLERANCE = 5;
+export const SETUP_TOLERANCE_OPTIONS = [0, 0.1, 0.2, 0.5, 1, 2];
+
+const EPS = 1e-9;
+
+export function sanitizeSequenceOptions(o) {
+    const tolerance = Number(o?.tolerance);
+    return {
+        tolerance: Number.isFinite(tolerance) ? Math.min(MAX_SETUP_TOLERANCE, Math.max(0, tolerance)) : 0,
+        byProduct: !!o?.byProduct,
+    };
+}
+
+const bevelOf = (r) => Number(r.bevel) || 0;
+const sideOf = (r) => r.side ?? '';
+
+/** Number of saw set-ups needed to cut `rows` in the given order. */
+export function countSetups(rows, tolerance = 0) {
+    let setups = 0;
+    let setting = null;
+    for (const r of rows) {
+        const v = Number(r.value);
+        if (setting === null || Math.abs(v - setting.value) > tolerance + EPS
+            || Math.abs(bevelOf(r) - setting.bevel) > tolerance + EPS || sideOf(r) !== setting.side) {
+            setups++;
+            setting = { value: v, bevel: bevelOf(r), side: sideOf(r) };
+        }
+    }
+    return setups;
+}
+
+/** Total degrees the saw moves to cut `rows` in the given order. */
+export function angleTravel(rows) {
+    let travel = 0;
+    for (let i = 1; i < rows.length; i++) travel += Math.abs(Number(rows[i].value) - Number(rows[i - 1].value));
+    return travel;
+}
+
+// Ascending sweep; angles that share a set-up are ordered by bevel and side,
+// then by product so a product's pieces at that setting come off the saw together
+function sweep(rows, tolerance) {
+    const sorted = [...rows].sort((x, y) => Number(x.value) - Number(y.value) || x.hold.localeCompare(y.hold));
+    const out = [];
+    let cluster = [];
+    const flush = () => {
+        out.push(...cluster.sort((x, y) => bevelOf(x) - bevelOf(y) || sideOf(x).localeCompare(sideOf(y))
+            || x.hold.localeCompare(y.hold) || Number(x.value) - Number(y.value)));
+        cluster = [];
+    };
+    for (const r of sorted) {
+        if (cluster.length && Number(r.value) - Number(cluster[0].value) > tolerance + EPS) flush();
+        cluster.push(r);
+    }
+    flush();
+    return out;
+}
+
+function chainProducts(products, first, firstReversed) {
+    const order = [firstReversed ? [...first.rows].reverse() : first.rows];
+    let position = Number(order[0][order[0].length - 1].value);
+    const left = products.filter((p) => p !== first);
+    while (left.length) {
+        let best = null;
+        for (const p of left) {
+            const toMin = Math.abs(p.min - position);
+            const toMax = Math.abs(p.max - position);
+            const distance = Math.min(toMin, toMax);
+            if (!best || distance < best.distance - EPS) best = { p, distance, reversed: toMax < toMin };
+        }
+        left.splice(left.indexOf(best.p), 1);
+        const rows = best.reversed ? [...best.p.rows].reverse() : best.p.rows;
+        order.push(rows);
+        position = Number(rows[rows.length - 1].value);
+    }
+    return order.flat();
+}
+
+/**
+ * Rows (one saw's) in cutting order, see above. Returns a new array; rows need
+ * `value` and `hold`, and `holdId` (falls back to `hold`) when `byProduct` is set.
+ */
+export function sequenceAngles(rows, options = DEFAULT_SEQUENCE_OPTIONS) {
+    const { tolerance, byProduct } = sanitizeSequenceOptions(options);
+    if (!byProduct || rows.length < 2) return sweep(rows, tolerance);
+
+    const byHold = new Map();
+    for (const r of rows) {
+        const key = r.holdId ?? r.hold;
+        if (!byHold.has(key)) byHold.set(key, []);
+        byHold.get(key).push(r);
+    }
+    const products = [...byHold.values()]
+        .map((list) => {
+            const sorted = sweep(list, tolerance);
+            return { rows: sorted, min: Number(sorted[0].value), max: Number(sorted[sorted.length - 1].value) };
+        })
+        .sort((a, b) => a.min - b.min || a.rows[0].hold.localeCompare(b.rows[0].hold));
+
+    // Greedy chaining from every start; keep the fewest set-ups, then the least travel
+    let best = null;
+    for (const first of products) {
+        for (const reversed of [false, true]) {
+            const order = chainProducts(products, first, reversed);
+            const setups = countSetups(order, tolerance);
+            const travel = angleTravel(order);
+            if (!best || setups < best.setups || (setups === best.setups && travel < best.travel - EPS)) {
+                best = { order, setups, travel };
+            }
+        }
+    }
+    return best.order;
+}
+
+/**
+ * Set-ups for the sequence compared with a plain ascending sort counted at the
+ * same tolerance, so the difference is what the sequencing itself saves:
+ * { setups, plainSetups }.
+ */
+export function estimateSetups(rows, options = DEFAULT_SEQUENCE_OPTIONS) {
+    const { tolerance } = sanitizeSequenceOptions(options);
+    const plain = [...rows].sort((x, y) => Number(x.value) - Number(y.value));
+    return { setups: countSetups(sequenceAngles(rows, options), tolerance), plainSetups: countSetups(plain, tolerance) };
+}
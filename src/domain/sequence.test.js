@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { countSetups, angleTravel, sequenceAngles, estimateSetups, sanitizeSequenceOptions, MAX_SETUP_TOLERANCE } from './sequence.js';
+
+const row = (id, hold, value) => ({ id, hold, holdId: `h_${hold}`, value, saw: 'main' });
+
+describe('countSetups', () => {
+    it('starts a new set-up only outside the tolerance of the current setting', () => {
+        const rows = [row('a', 'A', 45), row('b', 'B', 45.2), row('c', 'C', 45.6), row('d', 'D', 30)];
+        expect(countSetups(rows, 0)).toBe(4);
+        expect(countSetups(rows, 0.5)).toBe(3);
+        expect(countSetups([], 1)).toBe(0);
+    });
+
+    it('counts a bevel or side change as a new set-up', () => {
+        const rows = [row('a', 'A', 45), { ...row('b', 'B', 45), bevel: 30 }, { ...row('c', 'C', 45), bevel: 30, side: 'L' }];
+        expect(countSetups(rows, 0.5)).toBe(3);
+        expect(countSetups([rows[1], { ...rows[1], id: 'd', bevel: 30.2 }], 0.5)).toBe(1);
+    });
+
+    it('measures travel', () => {
+        expect(angleTravel([row('a', 'A', 30), row('b', 'B', 45), row('c', 'C', 40)])).toBe(20);
+    });
+});
+
+describe('sequenceAngles', () => {
+    it('sweeps once and merges angles within the tolerance', () => {
+        const rows = [row('a', 'Austin', 45.3), row('b', 'Amon', 28.2), row('c', 'Amon', 45), row('d', 'Avalon', 45.4)];
+        const order = sequenceAngles(rows, { tolerance: 0.5 });
+        expect(order.map((r) => r.id)).toEqual(['b', 'c', 'a', 'd']);
+        expect(countSetups(order, 0.5)).toBe(2);
+    });
+
+    it('finishes each product before the next and chains products by nearest end', () => {
+        const rows = [
+            row('a1', 'A', 10), row('a2', 'A', 50),
+            row('b1', 'B', 52), row('b2', 'B', 80),
+            row('c1', 'C', 12), row('c2', 'C', 8),
+        ];
+        const order = sequenceAngles(rows, { tolerance: 0, byProduct: true });
+        const holds = order.map((r) => r.hold);
+        // Each product's angles stay together
+        expect(holds.join('')).toMatch(/^(A{2}|B{2}|C{2}){3}$/);
+        expect(order.map((r) => r.id)).toEqual(['c2', 'c1', 'a1', 'a2', 'b1', 'b2']);
+        expect(angleTravel(order)).toBe(76);
+    });
+
+    it('keeps the input untouched', () => {
+        const rows = [row('a', 'A', 50), row('b', 'B', 10)];
+        sequenceAngles(rows, { byProduct: true });
+        expect(rows.map((r) => r.id)).toEqual(['a', 'b']);
+    });
+});
+
+describe('estimateSetups', () => {
+    it('compares with a plain sort at the same tolerance', () => {
+        const rows = [row('a', 'A', 45), row('b', 'B', 45.1), row('c', 'C', 45.2), row('d', 'D', 60)];
+        expect(estimateSetups(rows, { tolerance: 0.2 })).toEqual({ setups: 2, plainSetups: 2 });
+    });
+
+    it('counts what grouping bevels saves over a plain sort', () => {
+        const rows = [row('a', 'A', 45), { ...row('b', 'B', 45.1), bevel: 30 }, row('c', 'C', 45.2)];
+        expect(estimateSetups(rows, { tolerance: 0.2 })).toEqual({ setups: 2, plainSetups: 3 });
+    });
+
+    it('sanitizes options', () => {
+        expect(sanitizeSequenceOptions({ tolerance: 99, byProduct: 1 })).toEqual({ tolerance: MAX_SETUP_TOLERANCE, byProduct: true });
+        expect(sanitizeSequenceOptions(null)).toEqual({ tolerance: 0, byProduct: false });
+    });
+});
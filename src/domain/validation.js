@@ -2,6 +2,16 @@ export function isSafeRasterDataUrl(s) {
     return typeof s === 'string' && /^data:image\/(png|jpe?g|webp|gif);/i.test(s);
 }
 
+/** Reference to an image Blob kept in the IndexedDB image store (see storage/idbStore.js). */
+export function isImageRef(s) {
+    return typeof s === 'string' && /^idb:[0-9a-f]{16,64}$/.test(s);
+}
+
+/** An image value a catalogue may carry: inline raster data URL or stored Blob reference. */
+export function isStoredImage(s) {
+    return isSafeRasterDataUrl(s) || isImageRef(s);
+}
+
 export const WEAK_PINS = new Set([
     '0000', '1111', '2222', '3333', '4444', '5555', '6666', '7777', '8888', '9999',
     '1234', '4321', '0123',
@@ -0,0 +1,149 @@
+import { LS_KEY, ADMIN_HASH_KEY, LEGACY_CREDENTIAL_ALG, loadStoredCredential, parseCredential } from './auth.js';
+
+// Admin accounts: [{ username, role, credential?, recoveryCodes? }] under LS_ACCOUNTS_KEY
+// (recovery codes: see recoveryCodes.js). An account
+// without a credential exists (e.g. imported without hashes) but can't log in until
+// an owner sets its PIN. Installs from before accounts had one credential under
+// ADMIN_HASH_KEY; it becomes the "admin" owner account on first read.
+export const LS_ACCOUNTS_KEY = `${LS_KEY}_admin_accounts`;
+
+export const ROLES = ['owner', 'editor', 'viewer'];
+
+export const ROLE_LABELS = {
+    owner: 'Owner — manages users, imports and restores',
+    editor: 'Editor — edits products and angles',
+    viewer: 'Viewer — read-only, can export',
+};
+
+const PERMISSIONS = {
+    owner: ['users', 'import', 'edit', 'export'],
+    editor: ['edit', 'export'],
+    viewer: ['export'],
+};
+
+/** Whether `role` may do `permission`: 'users' | 'import' | 'edit' | 'export'. */
+export function can(role, permission) {
+    return PERMISSIONS[role]?.includes(permission) ?? false;
+}
+
+export function normalizeUsername(s) {
+    return String(s ?? '').trim();
+}
+
+export function isValidUsername(s) {
+    return /^[A-Za-z0-9._-]{1,32}$/.test(s);
+}
+
+export function findAccount(accounts, username) {
+    const key = normalizeUsername(username).toLowerCase();
+    return key ? accounts.find((a) => a.username.toLowerCase() === key) ?? null : null;
+}
+
+function sanitizeAccount(a) {
+    const username = normalizeUsername(a?.username);
+    if (!isValidUsername(username) || !ROLES.includes(a?.role)) return null;
+    const credential = parseCredential(a.credential) ? a.credential : undefined;
+    const codes = Array.isArray(a.recoveryCodes) ? a.recoveryCodes.filter((r) => parseCredential(r)?.kind === 'pbkdf2') : [];
+    return { username, role: a.role, ...(credential ? { credential } : {}), ...(codes.length ? { recoveryCodes: codes } : {}) };
+}
+
+/** Valid accounts from any input, first one wins for duplicate usernames. */
+export function sanitizeAccounts(list) {
+    const out = [];
+    for (const raw of Array.isArray(list) ? list : []) {
+        const a = sanitizeAccount(raw);
+        if (a && !findAccount(out, a.username)) out.push(a);
+    }
+    return out;
+}
+
+/** Problem with an account list that would lock everyone out, or null. */
+export function validateAccounts(accounts) {
+    if (!accounts.some((a) => a.role === 'owner' && a.credential)) {
+        return 'At least one owner with a PIN is required';
+    }
+    return null;
+}
+
+/* -------------------- persistence -------------------- */
+
+/**
+ * Whether any credential was ever stored. First-run setup is offered only when not:
+ * an unreadable account list must not let someone create a fresh owner.
+ */
+export function hasStoredAccounts() {
+    try {
+        return localStorage.getItem(LS_ACCOUNTS_KEY) !== null || loadStoredCredential() !== null;
+    } catch {
+        return true;
+    }
+}
+
+export function loadAccounts() {
+    try {
+        const raw = localStorage.getItem(LS_ACCOUNTS_KEY);
+        if (raw) return sanitizeAccounts(JSON.parse(raw));
+    } catch {
+        return [];
+    }
+    const legacy = parseCredential(loadStoredCredential());
+    if (!legacy) return [];
+    const credential = legacy.kind === 'sha256' ? { alg: LEGACY_CREDENTIAL_ALG, hash: legacy.hash } : legacy.record;
+    return [{ username: 'admin', role: 'owner', credential }];
+}
+
+/** Returns false when the list could not be written. */
+export function saveAccounts(accounts) {
+    try {
+        localStorage.setItem(LS_ACCOUNTS_KEY, JSON.stringify(accounts));
+    } catch {
+        return false;
+    }
+    try { localStorage.removeItem(ADMIN_HASH_KEY); } catch { }
+    return true;
+}
+
+/* -------------------- export / import -------------------- */
+
+/** Accounts for an export file; credentials and recovery codes only when explicitly asked for. */
+export function accountsForExport(accounts, includeCredentials = false) {
+    return accounts.map((a) => {
+        if (!includeCredentials || !a.credential) return { username: a.username, role: a.role };
+        const codes = a.recoveryCodes?.length ? { recoveryCodes: a.recoveryCodes } : {};
+        return { username: a.username, role: a.role, credential: a.credential, ...codes };
+    });
+}
+
+/**
+ * Merge accounts from a file into the current list: known usernames take the
+ * file's role (and credential with its recovery codes when the file has one), new
+ * usernames are added. The signed-in `currentUsername` keeps its own role and
+ * credential, so a file can't demote them or replace their PIN.
+ * Returns { accounts, added, updated, error }; on error the current list is kept.
+ */
+export function mergeImportedAccounts(current, imported, currentUsername = null) {
+    const self = findAccount(current, currentUsername);
+    const accounts = current.map((a) => ({ ...a }));
+    let added = 0;
+    let updated = 0;
+    for (const a of sanitizeAccounts(imported)) {
+        const existing = findAccount(accounts, a.username);
+        if (!existing) {
+            accounts.push(a);
+            added++;
+            continue;
+        }
+        if (self && existing.username === self.username) continue;
+        const changed = existing.role !== a.role || (a.credential && JSON.stringify(a.credential) !== JSON.stringify(existing.credential));
+        existing.role = a.role;
+        if (a.credential) {
+            existing.credential = a.credential;
+            // Codes belong to the credential they were issued with
+            if (a.recoveryCodes) existing.recoveryCodes = a.recoveryCodes;
+            else delete existing.recoveryCodes;
+        }
+        if (changed) updated++;
+    }
+    const error = validateAccounts(accounts);
+    return error ? { accounts: current, added: 0, updated: 0, error } : { accounts, added, updated, error: null };
+}
@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+    can, findAccount, sanitizeAccounts, validateAccounts, loadAccounts, saveAccounts, hasStoredAccounts,
+    accountsForExport, mergeImportedAccounts, LS_ACCOUNTS_KEY,
+} from './accounts.js';
+import { ADMIN_HASH_KEY, LEGACY_CREDENTIAL_ALG } from './auth.js';
+
+const CRED = { alg: 'PBKDF2-SHA256', iterations: 1000, salt: '00112233', hash: 'a'.repeat(64) };
+const CRED2 = { ...CRED, hash: 'b'.repeat(64) };
+const owner = { username: 'anna', role: 'owner', credential: CRED };
+const editor = { username: 'bo', role: 'editor', credential: CRED2 };
+
+describe('can', () => {
+    it('grants permissions by role', () => {
+        expect(can('owner', 'users')).toBe(true);
+        expect(can('editor', 'edit')).toBe(true);
+        expect(can('editor', 'import')).toBe(false);
+        expect(can('viewer', 'export')).toBe(true);
+        expect(can('viewer', 'edit')).toBe(false);
+        expect(can(undefined, 'export')).toBe(false);
+    });
+});
+
+describe('sanitizeAccounts / validateAccounts', () => {
+    it('drops invalid entries and case-insensitive duplicates', () => {
+        const list = sanitizeAccounts([
+            owner,
+            { username: 'ANNA', role: 'viewer' },
+            { username: 'bad name', role: 'editor' },
+            { username: 'cy', role: 'admin' },
+            { username: 'dee', role: 'viewer', credential: { alg: 'MD5', hash: 'x' } },
+        ]);
+        expect(list).toEqual([owner, { username: 'dee', role: 'viewer' }]);
+        expect(findAccount(list, ' Anna ')).toBe(list[0]);
+    });
+
+    it('requires an owner who can log in', () => {
+        expect(validateAccounts([owner, editor])).toBe(null);
+        expect(validateAccounts([editor])).toMatch(/owner/);
+        expect(validateAccounts([{ username: 'anna', role: 'owner' }])).toMatch(/owner/);
+    });
+});
+
+describe('export / import', () => {
+    it('leaves credentials out of exports unless asked', () => {
+        expect(accountsForExport([owner, editor])).toEqual([
+            { username: 'anna', role: 'owner' },
+            { username: 'bo', role: 'editor' },
+        ]);
+        expect(accountsForExport([owner], true)).toEqual([owner]);
+        const withCodes = { ...owner, recoveryCodes: [CRED2] };
+        expect(accountsForExport([withCodes])).toEqual([{ username: 'anna', role: 'owner' }]);
+        expect(accountsForExport([withCodes], true)).toEqual([withCodes]);
+    });
+
+    it('merges by username, keeping credentials the file does not carry', () => {
+        const result = mergeImportedAccounts([owner, editor], [
+            { username: 'BO', role: 'viewer' },
+            { username: 'cy', role: 'editor' },
+        ]);
+        expect(result.error).toBe(null);
+        expect(result.added).toBe(1);
+        expect(result.updated).toBe(1);
+        expect(result.accounts).toEqual([owner, { ...editor, role: 'viewer' }, { username: 'cy', role: 'editor' }]);
+    });
+
+    it('never changes the role or credential of the signed-in account', () => {
+        const result = mergeImportedAccounts([owner, editor], [
+            { username: 'ANNA', role: 'viewer', credential: CRED2 },
+            { username: 'bo', role: 'owner' },
+        ], 'anna');
+        expect(result.error).toBe(null);
+        expect(result.updated).toBe(1);
+        expect(result.accounts).toEqual([owner, { ...editor, role: 'owner' }]);
+    });
+
+    it('refuses a merge that leaves no usable owner', () => {
+        const current = [owner, editor];
+        const result = mergeImportedAccounts(current, [{ username: 'anna', role: 'viewer' }]);
+        expect(result.error).toMatch(/owner/);
+        expect(result.accounts).toBe(current);
+    });
+});
+
+describe('persistence', () => {
+    let store;
+
+    beforeEach(() => {
+        store = {};
+        const mock = () => ({
+            getItem: (k) => Object.prototype.hasOwnProperty.call(store, k) ? store[k] : null,
+            setItem: (k, v) => { store[k] = String(v); },
+            removeItem: (k) => { delete store[k]; },
+        });
+        vi.stubGlobal('localStorage', mock());
+    });
+
+    it('turns the pre-accounts hash into an "admin" owner and drops it once saved', () => {
+        expect(hasStoredAccounts()).toBe(false);
+        store[ADMIN_HASH_KEY] = 'c'.repeat(64);
+        expect(hasStoredAccounts()).toBe(true);
+
+        const accounts = loadAccounts();
+        expect(accounts).toEqual([{ username: 'admin', role: 'owner', credential: { alg: LEGACY_CREDENTIAL_ALG, hash: 'c'.repeat(64) } }]);
+
+        expect(saveAccounts(accounts)).toBe(true);
+        expect(store[ADMIN_HASH_KEY]).toBeUndefined();
+        expect(loadAccounts()).toEqual(accounts);
+    });
+
+    it('keeps setup closed when the stored list is unreadable', () => {
+        store[LS_ACCOUNTS_KEY] = '{broken';
+        expect(loadAccounts()).toEqual([]);
+        expect(hasStoredAccounts()).toBe(true);
+    });
+});
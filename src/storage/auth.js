@@ -2,14 +2,7 @@ export const LS_KEY = 'angles_proto_v1';
 export const ADMIN_HASH_KEY = `${LS_KEY}_admin_hash`;
 export const ADMIN_SESSION_KEY = `${LS_KEY}_admin_session`;
 export const ADMIN_REMEMBER_KEY = `${LS_KEY}_admin_remember`;
-
-export function hasAdminSession() {
-    try {
-        if (sessionStorage.getItem(ADMIN_SESSION_KEY) === "1") return true;
-        if (localStorage.getItem(ADMIN_REMEMBER_KEY) === "1") return true;
-        return false;
-    } catch { return false; }
-}
+// Session tokens under the two keys above: see session.js
 
 export async function sha256Hex(text) {
     const enc = new TextEncoder();
@@ -17,3 +10,80 @@ export async function sha256Hex(text) {
     const hash = await crypto.subtle.digest("SHA-256", bytes);
     return [...new Uint8Array(hash)].map((b) => b.toString(16).padStart(2, "0")).join("");
 }
+
+/* -------------------- credential record -------------------- */
+
+// A credential record is { alg: 'PBKDF2-SHA256', iterations, salt: <hex>, hash: <hex> },
+// kept per account (see accounts.js). Older installs hold a bare unsalted SHA-256 hex
+// string under ADMIN_HASH_KEY ({ alg: 'SHA-256', hash } once moved into an account);
+// it is still accepted and replaced with a PBKDF2 record on the next successful login.
+export const CREDENTIAL_ALG = 'PBKDF2-SHA256';
+export const LEGACY_CREDENTIAL_ALG = 'SHA-256';
+export const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const KEY_BITS = 256;
+
+function toHex(bytes) {
+    return [...bytes].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function fromHex(hex) {
+    return new Uint8Array((hex.match(/../g) ?? []).map((h) => parseInt(h, 16)));
+}
+
+// Compare without bailing out at the first differing character
+function timingSafeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+}
+
+export async function pbkdf2Hex(password, saltHex, iterations) {
+    const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(String(password ?? "")), "PBKDF2", false, ["deriveBits"]);
+    const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt: fromHex(saltHex), iterations }, key, KEY_BITS);
+    return toHex(new Uint8Array(bits));
+}
+
+/** New credential record for `password` with a random salt. */
+export async function createCredential(password, iterations = PBKDF2_ITERATIONS) {
+    const salt = toHex(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+    return { alg: CREDENTIAL_ALG, iterations, salt, hash: await pbkdf2Hex(password, salt, iterations) };
+}
+
+/**
+ * Parse a stored credential (record object, its JSON, or a legacy hex hash):
+ * { kind: 'pbkdf2', record }, { kind: 'sha256', hash }, or null when unusable.
+ */
+export function parseCredential(raw) {
+    let r = raw;
+    if (typeof raw === "string") {
+        if (/^[0-9a-f]{64}$/.test(raw)) return { kind: "sha256", hash: raw };
+        try { r = JSON.parse(raw); } catch { return null; }
+    }
+    if (!r || typeof r !== "object" || !/^[0-9a-f]{64}$/.test(r.hash)) return null;
+    if (r.alg === LEGACY_CREDENTIAL_ALG) return { kind: "sha256", hash: r.hash };
+    const valid = r.alg === CREDENTIAL_ALG && Number.isInteger(r.iterations) && r.iterations > 0 && /^[0-9a-f]{2,}$/.test(r.salt);
+    return valid ? { kind: "pbkdf2", record: r } : null;
+}
+
+/**
+ * Check `password` against a stored value. `needsUpgrade` is set when it matched a
+ * legacy SHA-256 hash or a record with fewer iterations than the current default.
+ */
+export async function verifyCredential(password, raw) {
+    const parsed = parseCredential(raw);
+    if (!parsed) return { ok: false, needsUpgrade: false };
+    if (parsed.kind === "sha256") {
+        const ok = timingSafeEqual(await sha256Hex(password), parsed.hash);
+        return { ok, needsUpgrade: ok };
+    }
+    const { record } = parsed;
+    const ok = timingSafeEqual(await pbkdf2Hex(password, record.salt, record.iterations), record.hash);
+    return { ok, needsUpgrade: ok && record.iterations < PBKDF2_ITERATIONS };
+}
+
+/** Pre-accounts single credential, read once to seed the account list. */
+export function loadStoredCredential() {
+    try { return localStorage.getItem(ADMIN_HASH_KEY); } catch { return null; }
+}
@@ -1,5 +1,8 @@
 import { describe, it, expect, beforeEach } from 'vitest';
-import { sha256Hex } from './auth.js';
+import {
+    sha256Hex, pbkdf2Hex, createCredential, verifyCredential, parseCredential,
+    CREDENTIAL_ALG, LEGACY_CREDENTIAL_ALG, PBKDF2_ITERATIONS,
+} from './auth.js';
 
 describe('sha256Hex', () => {
     it('returns a 64-char hex string', async () => {
@@ -18,3 +21,39 @@ describe('sha256Hex', () => {
         expect(a).not.toBe(b);
     });
 });
+
+describe('credential records', () => {
+    // Few iterations keep the tests fast; the format is what matters here
+    const ITER = 1000;
+
+    it('creates salted PBKDF2 records that verify only the right password', async () => {
+        const a = await createCredential('2580', ITER);
+        const b = await createCredential('2580', ITER);
+        expect(a).toMatchObject({ alg: CREDENTIAL_ALG, iterations: ITER });
+        expect(a.salt).not.toBe(b.salt);
+        expect(a.hash).not.toBe(b.hash);
+        expect(await verifyCredential('2580', JSON.stringify(a))).toEqual({ ok: true, needsUpgrade: true });
+        expect((await verifyCredential('2581', JSON.stringify(a))).ok).toBe(false);
+    });
+
+    it('does not ask to upgrade a record at the current iteration count', async () => {
+        const record = { ...(await createCredential('2580', ITER)), iterations: PBKDF2_ITERATIONS };
+        record.hash = await pbkdf2Hex('2580', record.salt, PBKDF2_ITERATIONS);
+        expect(await verifyCredential('2580', JSON.stringify(record))).toEqual({ ok: true, needsUpgrade: false });
+    });
+
+    it('accepts a legacy SHA-256 hash and flags it for upgrade', async () => {
+        const legacy = await sha256Hex('2580');
+        expect(parseCredential(legacy)).toEqual({ kind: 'sha256', hash: legacy });
+        expect(await verifyCredential('2580', legacy)).toEqual({ ok: true, needsUpgrade: true });
+        expect(await verifyCredential('0000', legacy)).toEqual({ ok: false, needsUpgrade: false });
+        expect(await verifyCredential('2580', { alg: LEGACY_CREDENTIAL_ALG, hash: legacy })).toEqual({ ok: true, needsUpgrade: true });
+    });
+
+    it('rejects unknown or malformed stored values', async () => {
+        expect(parseCredential(null)).toBe(null);
+        expect(parseCredential('{"alg":"MD5"}')).toBe(null);
+        expect(parseCredential('not json')).toBe(null);
+        expect((await verifyCredential('2580', 'not json')).ok).toBe(false);
+    });
+});
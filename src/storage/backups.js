@@ -1,15 +1,53 @@
 import { LS_KEY } from './db.js';
+import { migrateStoredCatalogue } from '../domain/migration.js';
 
 export const LS_BACKUPS_KEY = `${LS_KEY}_backups`;
 export const MAX_BACKUPS = 5;
 
+/** Returns false when the snapshot could not be written (e.g. storage full). */
 export function pushBackup(snapshot) {
     try {
         const raw = localStorage.getItem(LS_BACKUPS_KEY);
         const arr = raw ? JSON.parse(raw) : [];
         const next = [{ ts: Date.now(), data: snapshot }, ...(Array.isArray(arr) ? arr : [])].slice(0, MAX_BACKUPS);
         localStorage.setItem(LS_BACKUPS_KEY, JSON.stringify(next));
+        return true;
     } catch (e) {
         console.warn('Backup failed:', e);
+        return false;
+    }
+}
+
+export function loadBackups() {
+    try {
+        const raw = localStorage.getItem(LS_BACKUPS_KEY);
+        const arr = raw ? JSON.parse(raw) : [];
+        return Array.isArray(arr) ? arr.filter(b => b && typeof b === 'object' && b.data) : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Describe a ring entry for the restore UI. Snapshots may predate the current
+ * schema, so they are migrated here; unreadable ones get `data: null` and `error`.
+ */
+export function summarizeBackup(entry) {
+    let sizeKB = 0;
+    try {
+        sizeKB = new Blob([JSON.stringify(entry.data)]).size / 1024;
+    } catch { }
+
+    try {
+        const data = migrateStoredCatalogue(entry.data);
+        return {
+            ts: Number(entry.ts) || null,
+            data,
+            products: data.holds.length,
+            angles: data.angles.length,
+            sizeKB,
+        };
+    } catch (err) {
+        return { ts: Number(entry.ts) || null, data: null, products: 0, angles: 0, sizeKB, error: err?.message ?? 'Unreadable' };
     }
 }
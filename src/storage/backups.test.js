@@ -0,0 +1,59 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { pushBackup, loadBackups, summarizeBackup, LS_BACKUPS_KEY, MAX_BACKUPS } from './backups.js';
+import { CURRENT_SCHEMA_VERSION } from '../domain/migration.js';
+
+describe('backups', () => {
+    let store;
+
+    beforeEach(() => {
+        store = {};
+        const mockLS = {
+            getItem: (k) => Object.prototype.hasOwnProperty.call(store, k) ? store[k] : null,
+            setItem: (k, v) => { store[k] = String(v); },
+            removeItem: (k) => { delete store[k]; },
+            clear: () => { store = {}; },
+        };
+        vi.stubGlobal('localStorage', mockLS);
+    });
+
+    it('returns an empty list when nothing was backed up', () => {
+        expect(loadBackups()).toEqual([]);
+    });
+
+    it('keeps the newest snapshots first, capped at MAX_BACKUPS', () => {
+        for (let i = 0; i < MAX_BACKUPS + 2; i++) {
+            expect(pushBackup({ n: i })).toBe(true);
+        }
+        const list = loadBackups();
+        expect(list).toHaveLength(MAX_BACKUPS);
+        expect(list[0].data.n).toBe(MAX_BACKUPS + 1);
+    });
+
+    it('reports failure when storage rejects the write', () => {
+        localStorage.setItem = () => { throw new Error('QuotaExceededError'); };
+        expect(pushBackup({ n: 1 })).toBe(false);
+    });
+
+    it('ignores a corrupted ring', () => {
+        store[LS_BACKUPS_KEY] = '{not json';
+        expect(loadBackups()).toEqual([]);
+    });
+
+    it('summarizes entries, migrating old snapshots', () => {
+        const s = summarizeBackup({
+            ts: 1000,
+            data: { holds: ['Austin'], angles: [{ id: 'a1', hold: 'Austin', value: 10, saw: 'main' }] },
+        });
+        expect(s.ts).toBe(1000);
+        expect(s.data.version).toBe(CURRENT_SCHEMA_VERSION);
+        expect(s.products).toBe(1);
+        expect(s.angles).toBe(1);
+        expect(s.sizeKB).toBeGreaterThan(0);
+    });
+
+    it('marks snapshots from a newer schema as unreadable', () => {
+        const s = summarizeBackup({ ts: 1, data: { version: CURRENT_SCHEMA_VERSION + 1, holds: [], angles: [] } });
+        expect(s.data).toBeNull();
+        expect(s.error).toBeTruthy();
+    });
+});
@@ -0,0 +1,148 @@
+import { migrateAndSanitize } from '../domain/migration.js';
+import { getSaws, findSawById } from '../domain/saws.js';
+import { isSafeRasterDataUrl } from '../domain/validation.js';
+import { createZip, readZip, ZipFormatError } from '../utils/zip.js';
+import { buildExportPayload } from './importExport.js';
+import { computeIntegrity } from './integrity.js';
+
+// ZIP bundle: the export JSON as catalogue.json, with every drawing and cover
+// stored as its own file and referenced by path:
+//   catalogue.json
+//   drawings/<product>/<SAW>-<angle>.jpg
+//   covers/<product>.jpg
+// Easier to inspect and much smaller than base64 inside JSON.
+
+export const BUNDLE_CATALOGUE_FILE = 'catalogue.json';
+
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif' };
+
+/** Image type from the file's leading bytes; the extension in the archive is not trusted. */
+export function sniffImageType(bytes) {
+    const b = bytes;
+    if (b.length >= 8 && b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4e && b[3] === 0x47) return 'image/png';
+    if (b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff) return 'image/jpeg';
+    if (b.length >= 6 && b[0] === 0x47 && b[1] === 0x49 && b[2] === 0x46 && b[3] === 0x38) return 'image/gif';
+    if (b.length >= 12 && String.fromCharCode(...b.subarray(0, 4)) === 'RIFF' && String.fromCharCode(...b.subarray(8, 12)) === 'WEBP') {
+        return 'image/webp';
+    }
+    return null;
+}
+
+function dataUrlToBytes(dataUrl) {
+    const comma = dataUrl.indexOf(',');
+    const header = dataUrl.slice(5, comma);
+    const body = dataUrl.slice(comma + 1);
+    if (!/;base64$/i.test(header)) return new TextEncoder().encode(decodeURIComponent(body));
+    const bin = atob(body);
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+}
+
+function bytesToDataUrl(bytes, type) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return `data:${type};base64,${btoa(bin)}`;
+}
+
+/** Product/saw names as path segments: no separators or characters Windows rejects. */
+function safeSegment(name) {
+    const s = String(name ?? '').replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_').replace(/^\.+/, '_').trim();
+    return s || '_';
+}
+
+/**
+ * Build the bundle archive for a catalogue whose images are inline data URLs
+ * (resolve IndexedDB refs first). `extras` as for buildExportPayload(). Resolves to the
+ * ZIP bytes; the integrity digest covers catalogue.json's data with image paths.
+ */
+export async function buildBundle(data, extras = {}) {
+    const payload = buildExportPayload(data, extras);
+    const catalogue = payload.data;
+    const saws = getSaws(catalogue);
+    const holdName = new Map(catalogue.holds.map((h) => [h.id, h.name]));
+
+    const files = [];
+    const pathByImage = new Map();
+    const usedPaths = new Set();
+
+    // Identical images (one drawing reused for several angles) are written once
+    const addImage = (dataUrl, basePath) => {
+        if (!isSafeRasterDataUrl(dataUrl)) return undefined;
+        if (pathByImage.has(dataUrl)) return pathByImage.get(dataUrl);
+        const bytes = dataUrlToBytes(dataUrl);
+        const type = sniffImageType(bytes);
+        if (!type) return undefined;
+        let path = `${basePath}.${EXTENSIONS[type]}`;
+        for (let n = 2; usedPaths.has(path.toLowerCase()); n++) path = `${basePath}-${n}.${EXTENSIONS[type]}`;
+        usedPaths.add(path.toLowerCase());
+        pathByImage.set(dataUrl, path);
+        files.push({ name: path, data: bytes });
+        return path;
+    };
+
+    const withPaths = (obj, key, basePath) => {
+        const { [key]: value, ...rest } = obj;
+        const path = value ? addImage(value, basePath) : undefined;
+        return path ? { ...rest, [key]: path } : rest;
+    };
+
+    const bundled = {
+        ...catalogue,
+        holds: catalogue.holds.map((h) => withPaths(h, 'coverImage', `covers/${safeSegment(h.name)}`)),
+        angles: catalogue.angles.map((a) => {
+            const product = safeSegment(holdName.get(a.holdId));
+            const saw = safeSegment(findSawById(saws, a.saw)?.name ?? a.saw);
+            return withPaths(a, 'drawing', `drawings/${product}/${saw}-${a.value}`);
+        }),
+    };
+
+    const json = JSON.stringify({ ...payload, format: 'zip', data: bundled, integrity: await computeIntegrity(bundled) }, null, 2);
+    return createZip([{ name: BUNDLE_CATALOGUE_FILE, data: json }, ...files]);
+}
+
+/**
+ * Read a bundle archive back into a sanitized catalogue with inline images, plus
+ * the parsed catalogue.json envelope as `payload` for its other fields.
+ * Image paths that are missing from the archive or aren't a PNG/JPEG/WebP/GIF are
+ * dropped and listed in `warnings`. Throws ZipFormatError when the archive itself
+ * is unusable, SyntaxError for a broken catalogue.json.
+ */
+export async function readBundle(input) {
+    const entries = await readZip(input);
+    const byName = new Map(entries.map((e) => [e.name, e.data]));
+    const json = byName.get(BUNDLE_CATALOGUE_FILE);
+    if (!json) throw new ZipFormatError(`${BUNDLE_CATALOGUE_FILE} is missing from the archive`);
+
+    const parsed = JSON.parse(new TextDecoder().decode(json));
+    const data = parsed && typeof parsed === 'object' && parsed.data ? parsed.data : parsed;
+    const warnings = [];
+    const urls = new Map();
+
+    const resolve = (path) => {
+        if (typeof path !== 'string' || !path) return undefined;
+        if (urls.has(path)) return urls.get(path);
+        const bytes = byName.get(path);
+        const type = bytes ? sniffImageType(bytes) : null;
+        const url = type ? bytesToDataUrl(bytes, type) : undefined;
+        if (!bytes) warnings.push(`${path} is missing`);
+        else if (!isSafeRasterDataUrl(url)) warnings.push(`${path} is not a supported image`);
+        urls.set(path, isSafeRasterDataUrl(url) ? url : undefined);
+        return urls.get(path);
+    };
+
+    const withImage = (obj, key) => {
+        const { [key]: path, ...rest } = obj ?? {};
+        const url = resolve(path);
+        return url ? { ...rest, [key]: url } : rest;
+    };
+
+    const inlined = {
+        ...data,
+        holds: Array.isArray(data?.holds) ? data.holds.map((h) => (h && typeof h === 'object' ? withImage(h, 'coverImage') : h)) : data?.holds,
+        angles: Array.isArray(data?.angles) ? data.angles.map((a) => withImage(a, 'drawing')) : data?.angles,
+    };
+    return { catalogue: migrateAndSanitize(inlined), warnings, payload: parsed };
+}
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { buildBundle, readBundle, sniffImageType, BUNDLE_CATALOGUE_FILE } from './bundle.js';
+import { checkIntegrity } from './integrity.js';
+import { createZip, readZip, ZipFormatError } from '../utils/zip.js';
+
+// 1x1 images, just the bytes that matter for type sniffing
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+const JPEG = 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQAAAQABAAD/2wBDAAEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQH/wAALCAABAAEBAREA/8QAFAABAAAAAAAAAAAAAAAAAAAACf/EABQQAQAAAAAAAAAAAAAAAAAAAAD/2gAIAQEAAD8AKp//2Q==';
+
+const catalogue = {
+    version: 3,
+    holds: [{ id: 'h1', name: 'Austin', coverImage: PNG }, { id: 'h2', name: 'A/B "pro"' }],
+    angles: [
+        { id: 'a1', holdId: 'h1', value: 28.2, saw: 'main', drawing: JPEG },
+        { id: 'a2', holdId: 'h1', value: 30, saw: 'main', drawing: JPEG },
+        { id: 'a3', holdId: 'h2', value: 50, saw: 'stefan', drawing: PNG },
+    ],
+};
+
+const encode = (obj) => new TextEncoder().encode(JSON.stringify(obj));
+
+describe('sniffImageType', () => {
+    it('recognises rasters by their magic bytes only', () => {
+        expect(sniffImageType(new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))).toBe('image/png');
+        expect(sniffImageType(new Uint8Array([0xff, 0xd8, 0xff, 0xe0]))).toBe('image/jpeg');
+        expect(sniffImageType(new TextEncoder().encode('<svg xmlns="http://www.w3.org/2000/svg"/>'))).toBe(null);
+    });
+});
+
+describe('buildBundle', () => {
+    it('stores images as files referenced by path from catalogue.json', async () => {
+        const entries = await readZip(await buildBundle(catalogue));
+        const names = entries.map((e) => e.name);
+        expect(names[0]).toBe(BUNDLE_CATALOGUE_FILE);
+        expect(names.slice(1).sort()).toEqual(['covers/Austin.png', 'drawings/Austin/MAIN-28.2.jpg']);
+
+        const payload = JSON.parse(new TextDecoder().decode(entries[0].data));
+        expect(payload.app).toBe('AnglesProto');
+        expect(payload.format).toBe('zip');
+        expect(payload.data.holds.find((h) => h.id === 'h1').coverImage).toBe('covers/Austin.png');
+        // Same image reused: written once, both angles point at it
+        expect(payload.data.angles.map((a) => a.drawing)).toEqual([
+            'drawings/Austin/MAIN-28.2.jpg', 'drawings/Austin/MAIN-28.2.jpg', 'covers/Austin.png',
+        ]);
+    });
+
+    it('makes product names safe as path segments', async () => {
+        const names = (await readZip(await buildBundle({ ...catalogue, holds: [{ id: 'h2', name: 'A/B "pro"' }], angles: [catalogue.angles[2]] })))
+            .map((e) => e.name);
+        expect(names).toContain('drawings/A_B _pro_/STEFAN-50.png');
+    });
+});
+
+describe('readBundle', () => {
+    it('round-trips a catalogue with inline images', async () => {
+        const { catalogue: back, warnings, payload } = await readBundle(await buildBundle(catalogue));
+        expect(warnings).toEqual([]);
+        expect(await checkIntegrity(payload)).toEqual({ status: 'verified', problems: [] });
+        expect(back.holds.find((h) => h.id === 'h1').coverImage).toBe(PNG);
+        expect(back.angles.find((a) => a.id === 'a2').drawing).toBe(JPEG);
+        expect(back.angles.find((a) => a.id === 'a3').drawing).toBe(PNG);
+    });
+
+    it('drops missing and non-raster images with a warning', async () => {
+        const data = {
+            version: 3,
+            holds: [{ id: 'h1', name: 'Austin', coverImage: 'covers/evil.png' }],
+            angles: [{ id: 'a1', holdId: 'h1', value: 10, saw: 'main', drawing: 'drawings/none.jpg' }],
+        };
+        const zip = createZip([
+            { name: BUNDLE_CATALOGUE_FILE, data: JSON.stringify({ data }) },
+            { name: 'covers/evil.png', data: '<svg onload="alert(1)"/>' },
+        ]);
+        const { catalogue: back, warnings } = await readBundle(zip);
+        expect(warnings).toEqual(['covers/evil.png is not a supported image', 'drawings/none.jpg is missing']);
+        expect(back.holds[0].coverImage).toBeUndefined();
+        expect(back.angles[0].drawing).toBeUndefined();
+    });
+
+    it('rejects archives without catalogue.json', async () => {
+        await expect(readBundle(createZip([{ name: 'other.json', data: encode({}) }]))).rejects.toBeInstanceOf(ZipFormatError);
+    });
+});
@@ -1,6 +1,5 @@
 import toast from 'react-hot-toast';
-import { migrateAndSanitize, DEFAULT_HOLDS, DEFAULT_ANGLES, LS_VERSION } from '../domain/migration.js';
-import { migrateV1toV2, detectVersion } from '../domain/migration.js';
+import { migrateAndSanitize, migrateStoredCatalogue, DEFAULT_HOLDS, DEFAULT_ANGLES } from '../domain/migration.js';
 
 export const LS_KEY = 'angles_proto_v1';
 export const LS_LAST_MODIFIED_KEY = 'angles_proto_v1_lastModified';
@@ -16,6 +15,21 @@ export function getAndResetDidRecover() {
     return v;
 }
 
+/** Lets other backends (IndexedDB) report a corrupt-data recovery through the same toast. */
+export function markRecoveredFromCorrupt() {
+    didRecoverFromCorrupt = true;
+}
+
+/** Seed catalogue for a fresh install, at the current schema. */
+export function defaultState() {
+    return migrateAndSanitize({
+        version: 1,
+        holds: DEFAULT_HOLDS,
+        angles: DEFAULT_ANGLES,
+        holdImages: {},
+    });
+}
+
 export function ensureLastModifiedExists() {
     try {
         const v = localStorage.getItem(LS_LAST_MODIFIED_KEY);
@@ -23,12 +37,62 @@ export function ensureLastModifiedExists() {
     } catch { }
 }
 
+/* -------------------- cross-tab sync -------------------- */
+
+// Every catalogue write ends in touchLastModified(). Other tabs hear about it on a
+// BroadcastChannel, or through the `storage` event for LS_LAST_MODIFIED_KEY where
+// BroadcastChannel is missing; subscribers get each timestamp once.
+export const SYNC_CHANNEL_NAME = 'angles_proto_sync';
+const TAB_ID = Math.random().toString(16).slice(2);
+let syncChannel;
+
+function openSyncChannel() {
+    try {
+        return typeof BroadcastChannel === 'function' ? new BroadcastChannel(SYNC_CHANNEL_NAME) : null;
+    } catch {
+        return null;
+    }
+}
+
 export function touchLastModified() {
+    const ts = Date.now();
+    try {
+        localStorage.setItem(LS_LAST_MODIFIED_KEY, String(ts));
+    } catch { }
     try {
-        localStorage.setItem(LS_LAST_MODIFIED_KEY, String(Date.now()));
+        if (syncChannel === undefined) syncChannel = openSyncChannel();
+        syncChannel?.postMessage({ type: 'catalogue-saved', ts, tab: TAB_ID });
     } catch { }
 }
 
+/**
+ * Call onChange(ts) whenever another tab saves the catalogue.
+ * Returns an unsubscribe function.
+ */
+export function subscribeCatalogueChanges(onChange) {
+    let lastTs = null;
+    const notify = (ts) => {
+        if (!Number.isFinite(ts) || ts === lastTs) return;
+        lastTs = ts;
+        onChange(ts);
+    };
+
+    const onStorage = (e) => {
+        if (e.key === LS_LAST_MODIFIED_KEY && e.newValue) notify(Number(e.newValue));
+    };
+    const onMessage = (e) => {
+        if (e.data?.type === 'catalogue-saved' && e.data.tab !== TAB_ID) notify(Number(e.data.ts));
+    };
+
+    window.addEventListener('storage', onStorage);
+    const channel = openSyncChannel();
+    channel?.addEventListener('message', onMessage);
+    return () => {
+        window.removeEventListener('storage', onStorage);
+        channel?.close();
+    };
+}
+
 export function loadLastModified() {
     try {
         const v = localStorage.getItem(LS_LAST_MODIFIED_KEY);
@@ -42,13 +106,7 @@ export function loadState() {
     try {
         const raw = localStorage.getItem(LS_KEY);
         if (!raw) {
-            const v1init = {
-                version: 1,
-                holds: DEFAULT_HOLDS,
-                angles: DEFAULT_ANGLES,
-                holdImages: {},
-            };
-            const init = migrateAndSanitize(migrateV1toV2(v1init));
+            const init = defaultState();
             localStorage.setItem(LS_KEY, JSON.stringify(init));
             localStorage.setItem(LS_LAST_MODIFIED_KEY, String(Date.now()));
             return init;
@@ -56,10 +114,9 @@ export function loadState() {
 
         const parsed = JSON.parse(raw);
 
-        // Upgrade v1 → v2 if needed
-        const upgraded = detectVersion(parsed) < 2 ? migrateV1toV2(parsed) : parsed;
-
-        const next = migrateAndSanitize(upgraded);
+        // Runs every pending schema step; data from a newer schema throws and is
+        // quarantined below like any other unreadable payload.
+        const next = migrateStoredCatalogue(parsed);
 
         localStorage.setItem(LS_KEY, JSON.stringify(next));
         ensureLastModifiedExists();
@@ -67,30 +124,28 @@ export function loadState() {
     } catch {
         // Data is unreadable. Preserve the original bytes for recovery instead of
         // silently overwriting them, and DON'T touch LS_KEY here so the user can
-        // still export/inspect the corrupt payload. Keep only the newest copy.
+        // still export/inspect the corrupt payload.
         try {
-            const raw = localStorage.getItem(LS_KEY);
-            if (raw) {
-                for (let i = localStorage.length - 1; i >= 0; i--) {
-                    const k = localStorage.key(i);
-                    if (k && k.startsWith(`${LS_CORRUPT_KEY}_`)) localStorage.removeItem(k);
-                }
-                localStorage.setItem(`${LS_CORRUPT_KEY}_${Date.now()}`, raw);
-            }
+            quarantineCorrupt(localStorage.getItem(LS_KEY));
         } catch { }
         didRecoverFromCorrupt = true;
-        return migrateAndSanitize({
-            version: LS_VERSION,
-            holds: DEFAULT_HOLDS,
-            angles: DEFAULT_ANGLES,
-            holdImages: {},
-        });
+        return defaultState();
+    }
+}
+
+/** Store an unreadable payload under LS_CORRUPT_KEY_<ts>, keeping only the newest copy. */
+export function quarantineCorrupt(raw) {
+    if (!raw) return;
+    for (let i = localStorage.length - 1; i >= 0; i--) {
+        const k = localStorage.key(i);
+        if (k && k.startsWith(`${LS_CORRUPT_KEY}_`)) localStorage.removeItem(k);
     }
+    localStorage.setItem(`${LS_CORRUPT_KEY}_${Date.now()}`, raw);
 }
 
 export function saveState(next) {
     try {
-        const safe = migrateAndSanitize(next);
+        const safe = migrateStoredCatalogue(next);
         localStorage.setItem(LS_KEY, JSON.stringify(safe));
         touchLastModified();
         return true;
@@ -13,7 +13,41 @@ const localStorageMock = {
 };
 vi.stubGlobal('localStorage', localStorageMock);
 
-import { loadLastModified, touchLastModified, serializedSizeKB } from './db.js';
+import {
+    loadLastModified, touchLastModified, serializedSizeKB, loadState, getAndResetDidRecover, subscribeCatalogueChanges,
+    LS_KEY, LS_CORRUPT_KEY, LS_LAST_MODIFIED_KEY, SYNC_CHANNEL_NAME,
+} from './db.js';
+import { CURRENT_SCHEMA_VERSION } from '../domain/migration.js';
+
+describe('loadState', () => {
+    beforeEach(() => {
+        store.clear();
+        getAndResetDidRecover();
+    });
+
+    it('seeds current-schema data on first run', () => {
+        const state = loadState();
+        expect(state.version).toBe(CURRENT_SCHEMA_VERSION);
+        expect(JSON.parse(store.get(LS_KEY)).version).toBe(CURRENT_SCHEMA_VERSION);
+    });
+
+    it('migrates stored v1 data', () => {
+        store.set(LS_KEY, JSON.stringify({ holds: ['Austin'], angles: [{ id: 'a1', hold: 'Austin', value: 30, saw: 'main' }] }));
+        const state = loadState();
+        expect(state.version).toBe(CURRENT_SCHEMA_VERSION);
+        expect(state.angles[0].holdId).toBe(state.holds[0].id);
+    });
+
+    it('quarantines data from a newer schema', () => {
+        const raw = JSON.stringify({ version: CURRENT_SCHEMA_VERSION + 1, holds: [] });
+        store.set(LS_KEY, raw);
+        const state = loadState();
+        expect(state.version).toBe(CURRENT_SCHEMA_VERSION);
+        expect(getAndResetDidRecover()).toBe(true);
+        expect(store.get(LS_KEY)).toBe(raw);
+        expect([...store.keys()].some(k => k.startsWith(`${LS_CORRUPT_KEY}_`))).toBe(true);
+    });
+});
 
 describe('loadLastModified', () => {
     beforeEach(() => store.clear());
@@ -28,6 +62,35 @@ describe('loadLastModified', () => {
     });
 });
 
+describe('subscribeCatalogueChanges', () => {
+    const storageEvent = (key, newValue) => window.dispatchEvent(new StorageEvent('storage', { key, newValue }));
+
+    it('fires once per last-modified timestamp from another tab', () => {
+        const onChange = vi.fn();
+        const unsubscribe = subscribeCatalogueChanges(onChange);
+        storageEvent(LS_LAST_MODIFIED_KEY, '1000');
+        storageEvent(LS_LAST_MODIFIED_KEY, '1000');
+        storageEvent('unrelated', '2000');
+        storageEvent(LS_LAST_MODIFIED_KEY, '3000');
+        unsubscribe();
+        storageEvent(LS_LAST_MODIFIED_KEY, '4000');
+        expect(onChange.mock.calls).toEqual([[1000], [3000]]);
+    });
+
+    it.runIf(typeof BroadcastChannel === 'function')('hears saves broadcast by other tabs', async () => {
+        const received = new Promise((resolve) => {
+            const unsubscribe = subscribeCatalogueChanges((ts) => {
+                unsubscribe();
+                resolve(ts);
+            });
+        });
+        const other = new BroadcastChannel(SYNC_CHANNEL_NAME);
+        other.postMessage({ type: 'catalogue-saved', ts: 5000, tab: 'other-tab' });
+        expect(await received).toBe(5000);
+        other.close();
+    });
+});
+
 describe('serializedSizeKB', () => {
     it('returns a finite number for a plain object', () => {
         const kb = serializedSizeKB({ holds: ['Austin'], angles: [] });
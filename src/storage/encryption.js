@@ -0,0 +1,113 @@
+// Passphrase-encrypted export files. The export payload is encrypted with AES-GCM
+// under a key derived from the passphrase with PBKDF2; the file stays JSON with a
+// readable header:
+//   { app, appVersion, format: 'encrypted',
+//     encryption: { cipher: 'AES-GCM', iv, check, kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt } },
+//     ciphertext }
+// (binary fields base64). PBKDF2 yields the AES key plus a verifier whose SHA-256 is
+// `check`, so a wrong passphrase is told apart from a damaged file. The header is
+// bound to the ciphertext as AES-GCM additional data: editing it breaks decryption.
+
+export const ENCRYPTED_FORMAT = 'encrypted';
+export const ENCRYPTION_ITERATIONS = 600000;
+export const MIN_PASSPHRASE_LENGTH = 8;
+const APP_NAME = 'AnglesProto';
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+export class WrongPassphraseError extends Error {
+    name = 'WrongPassphraseError';
+}
+
+/** The file is not a readable encrypted export: damaged, edited or an unknown variant. */
+export class EncryptedFormatError extends Error {
+    name = 'EncryptedFormatError';
+}
+
+function toBase64(bytes) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(bin);
+}
+
+function fromBase64(s) {
+    if (typeof s !== 'string') throw new EncryptedFormatError('Missing field');
+    let bin;
+    try { bin = atob(s); } catch { throw new EncryptedFormatError('Invalid base64'); }
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+}
+
+export function isEncryptedExport(obj) {
+    return !!obj && typeof obj === 'object' && obj.format === ENCRYPTED_FORMAT && 'encryption' in obj;
+}
+
+async function deriveKeys(passphrase, salt, iterations) {
+    const base = await crypto.subtle.importKey('raw', new TextEncoder().encode(String(passphrase ?? '')), 'PBKDF2', false, ['deriveBits']);
+    const bits = new Uint8Array(await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, base, 512));
+    const key = await crypto.subtle.importKey('raw', bits.subarray(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+    const check = toBase64(new Uint8Array(await crypto.subtle.digest('SHA-256', bits.subarray(32))));
+    return { key, check };
+}
+
+// Everything but the ciphertext, in a fixed key order, authenticated with it
+function headerBytes(file) {
+    const { cipher, iv, check, kdf } = file.encryption;
+    return new TextEncoder().encode(JSON.stringify([file.app, file.appVersion, file.format, cipher, iv, check, kdf.name, kdf.hash, kdf.iterations, kdf.salt]));
+}
+
+/** Encrypt an export payload into the file object described above. */
+export async function encryptExport(payload, passphrase, { appVersion = '', iterations = ENCRYPTION_ITERATIONS } = {}) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const { key, check } = await deriveKeys(passphrase, salt, iterations);
+    const file = {
+        app: APP_NAME,
+        appVersion,
+        format: ENCRYPTED_FORMAT,
+        encryption: {
+            cipher: 'AES-GCM',
+            iv: toBase64(iv),
+            check,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64(salt) },
+        },
+    };
+    const plain = new TextEncoder().encode(JSON.stringify(payload));
+    const sealed = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: headerBytes(file) }, key, plain);
+    return { ...file, ciphertext: toBase64(new Uint8Array(sealed)) };
+}
+
+/**
+ * Decrypt a file made by encryptExport() back into the export payload. Throws
+ * WrongPassphraseError or EncryptedFormatError.
+ */
+export async function decryptExport(file, passphrase) {
+    const enc = file?.encryption;
+    const kdf = enc?.kdf;
+    if (enc?.cipher !== 'AES-GCM' || kdf?.name !== 'PBKDF2' || kdf?.hash !== 'SHA-256') {
+        throw new EncryptedFormatError('Unsupported encryption settings');
+    }
+    if (!Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > 10_000_000) {
+        throw new EncryptedFormatError('Invalid key derivation settings');
+    }
+    const salt = fromBase64(kdf.salt);
+    const iv = fromBase64(enc.iv);
+    const sealed = fromBase64(file.ciphertext);
+    if (iv.length !== IV_BYTES || typeof enc.check !== 'string') throw new EncryptedFormatError('Invalid header');
+
+    const { key, check } = await deriveKeys(passphrase, salt, kdf.iterations);
+    if (check !== enc.check) throw new WrongPassphraseError('Wrong passphrase');
+
+    let plain;
+    try {
+        plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData: headerBytes(file) }, key, sealed);
+    } catch {
+        throw new EncryptedFormatError('The file is damaged or was modified');
+    }
+    try {
+        return JSON.parse(new TextDecoder().decode(plain));
+    } catch {
+        throw new EncryptedFormatError('Decrypted content is not valid JSON');
+    }
+}
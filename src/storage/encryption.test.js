@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import {
+    encryptExport, decryptExport, isEncryptedExport, WrongPassphraseError, EncryptedFormatError, ENCRYPTED_FORMAT,
+} from './encryption.js';
+
+// Few iterations keep the tests fast; the format is what matters here
+const OPTS = { appVersion: '1.01', iterations: 1000 };
+const payload = { app: 'AnglesProto', version: 3, data: { version: 3, holds: [{ id: 'h1', name: 'Austin' }], angles: [] } };
+
+describe('encrypted export', () => {
+    it('round-trips with a readable header and no plaintext', async () => {
+        const file = await encryptExport(payload, 'correct horse', OPTS);
+        expect(isEncryptedExport(file)).toBe(true);
+        expect(isEncryptedExport(payload)).toBe(false);
+        expect(file).toMatchObject({
+            app: 'AnglesProto',
+            appVersion: '1.01',
+            format: ENCRYPTED_FORMAT,
+            encryption: { cipher: 'AES-GCM', kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: 1000 } },
+        });
+        expect(JSON.stringify(file)).not.toContain('Austin');
+        expect(await decryptExport(JSON.parse(JSON.stringify(file)), 'correct horse')).toEqual(payload);
+    });
+
+    it('tells a wrong passphrase apart from a damaged file', async () => {
+        const file = await encryptExport(payload, 'correct horse', OPTS);
+        await expect(decryptExport(file, 'wrong horse')).rejects.toBeInstanceOf(WrongPassphraseError);
+
+        const flipped = atob(file.ciphertext).split('');
+        flipped[3] = String.fromCharCode(flipped[3].charCodeAt(0) ^ 1);
+        const damaged = { ...file, ciphertext: btoa(flipped.join('')) };
+        await expect(decryptExport(damaged, 'correct horse')).rejects.toBeInstanceOf(EncryptedFormatError);
+
+        const edited = { ...file, appVersion: '9.99' };
+        await expect(decryptExport(edited, 'correct horse')).rejects.toBeInstanceOf(EncryptedFormatError);
+
+        await expect(decryptExport({ ...file, ciphertext: '%%%' }, 'correct horse')).rejects.toBeInstanceOf(EncryptedFormatError);
+        await expect(decryptExport({ ...file, encryption: { ...file.encryption, cipher: 'ROT13' } }, 'x')).rejects.toBeInstanceOf(EncryptedFormatError);
+    });
+});
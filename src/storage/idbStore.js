@@ -0,0 +1,345 @@
+import toast from 'react-hot-toast';
+import { migrateStoredCatalogue } from '../domain/migration.js';
+import { isSafeRasterDataUrl, isImageRef } from '../domain/validation.js';
+import {
+    LS_KEY, MAX_DB_SIZE_KB, loadState, saveState, defaultState, quarantineCorrupt,
+    markRecoveredFromCorrupt, touchLastModified, ensureLastModifiedExists,
+} from './db.js';
+import { loadBackups } from './backups.js';
+import { loadAdminDraft } from './session.js';
+
+// IndexedDB layout:
+//   records — the catalogue JSON under CATALOGUE_KEY, with images replaced by `idb:<hash>` refs
+//   images  — raster Blobs keyed by the same ref (content-addressed, so re-saving is idempotent)
+export const IDB_NAME = 'angles_proto';
+export const IDB_VERSION = 1;
+const STORE_RECORDS = 'records';
+const STORE_IMAGES = 'images';
+const CATALOGUE_KEY = 'catalogue';
+
+// 'indexeddb' once loadCatalogue() opened the database, 'localStorage' when it fell back.
+let activeBackend = null;
+let dbPromise = null;
+
+function requestToPromise(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function txDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error ?? new Error('Transaction aborted'));
+    });
+}
+
+export function openCatalogueDb() {
+    if (dbPromise) return dbPromise;
+    if (!globalThis.indexedDB) return Promise.reject(new Error('IndexedDB unavailable'));
+    dbPromise = new Promise((resolve, reject) => {
+        const req = globalThis.indexedDB.open(IDB_NAME, IDB_VERSION);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains(STORE_RECORDS)) db.createObjectStore(STORE_RECORDS);
+            if (!db.objectStoreNames.contains(STORE_IMAGES)) db.createObjectStore(STORE_IMAGES);
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+        req.onblocked = () => reject(new Error('IndexedDB open blocked'));
+    }).catch((err) => {
+        dbPromise = null;
+        throw err;
+    });
+    return dbPromise;
+}
+
+export function getStorageBackend() {
+    return activeBackend ?? 'localStorage';
+}
+
+/** Size cap for a serialized catalogue; only localStorage needs one. */
+export function catalogueSizeLimitKB() {
+    return getStorageBackend() === 'indexeddb' ? Infinity : MAX_DB_SIZE_KB;
+}
+
+/* -------------------- image helpers (pure) -------------------- */
+
+export function dataUrlToBlob(dataUrl) {
+    const comma = dataUrl.indexOf(',');
+    const header = dataUrl.slice(5, comma);
+    const body = dataUrl.slice(comma + 1);
+    const type = header.split(';')[0] || 'application/octet-stream';
+    if (!/;base64$/i.test(header)) {
+        return new Blob([decodeURIComponent(body)], { type });
+    }
+    const bin = atob(body);
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return new Blob([bytes], { type });
+}
+
+export function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(String(reader.result));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/** Content-addressed ref for an inline image; falls back to a random id without WebCrypto. */
+export async function imageRefFor(dataUrl) {
+    try {
+        const hash = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(dataUrl));
+        return `idb:${[...new Uint8Array(hash)].slice(0, 16).map((b) => b.toString(16).padStart(2, '0')).join('')}`;
+    } catch {
+        const bytes = Array.from({ length: 16 }, () => Math.floor(Math.random() * 256));
+        return `idb:${bytes.map((b) => b.toString(16).padStart(2, '0')).join('')}`;
+    }
+}
+
+/** Return a copy of the catalogue with every cover/drawing value passed through fn (undefined drops it). */
+export function mapCatalogueImages(data, fn) {
+    const mapField = (obj, key) => {
+        if (!obj[key]) return obj;
+        const { [key]: value, ...rest } = obj;
+        const next = fn(value);
+        return next ? { ...rest, [key]: next } : rest;
+    };
+    return {
+        ...data,
+        holds: (data.holds || []).map((h) => mapField(h, 'coverImage')),
+        angles: (data.angles || []).map((a) => mapField(a, 'drawing')),
+    };
+}
+
+/** All image values (data URLs and refs) used by a catalogue. */
+export function collectCatalogueImages(data) {
+    const values = new Set();
+    mapCatalogueImages(data ?? {}, (v) => {
+        values.add(v);
+        return v;
+    });
+    return values;
+}
+
+/** Inline image (data URL) → the ref it is stored under. Lets imports be compared with stored images. */
+export async function imageRefsByValue(data) {
+    const refs = new Map();
+    for (const v of collectCatalogueImages(data)) {
+        if (isSafeRasterDataUrl(v)) refs.set(v, await imageRefFor(v));
+    }
+    return refs;
+}
+
+/** Split inline data URLs out of a catalogue: returns the catalogue with refs plus the Blobs to store. */
+export async function extractImages(data) {
+    const refs = await imageRefsByValue(data);
+    const blobs = new Map();
+    for (const [url, ref] of refs) blobs.set(ref, dataUrlToBlob(url));
+    return { data: mapCatalogueImages(data, (v) => refs.get(v) ?? v), blobs };
+}
+
+/* -------------------- catalogue store -------------------- */
+
+async function writeCatalogue(db, data) {
+    const { data: withRefs, blobs } = await extractImages(data);
+    const tx = db.transaction([STORE_RECORDS, STORE_IMAGES], 'readwrite');
+    for (const [ref, blob] of blobs) tx.objectStore(STORE_IMAGES).put(blob, ref);
+    tx.objectStore(STORE_RECORDS).put(withRefs, CATALOGUE_KEY);
+    await txDone(tx);
+    return withRefs;
+}
+
+// Every tab holds this shared Web Lock for its lifetime, taken when this module
+// loads, so a loading tab can tell whether others are open (see collectGarbage).
+export const TAB_LOCK_NAME = 'angles_proto_tab';
+
+/** Resolves to true once this tab holds its lock, false when it can't take one. */
+function holdTabLock() {
+    const locks = globalThis.navigator?.locks;
+    if (!locks) return Promise.resolve(false);
+    return new Promise((resolve) => {
+        locks.request(TAB_LOCK_NAME, { mode: 'shared' }, () => {
+            resolve(true);
+            return new Promise(() => { });
+        }).catch(() => resolve(false));
+    });
+}
+
+const tabLockHeld = holdTabLock();
+
+/** True when more than one tab holds the tab lock, or null when that can't be known. */
+export async function otherTabsOpen(locks = globalThis.navigator?.locks) {
+    if (!locks) return null;
+    const { held = [] } = await locks.query();
+    return held.filter((l) => l.name === TAB_LOCK_NAME).length > 1;
+}
+
+// Drop Blobs no longer referenced by the catalogue, the backup ring or the draft kept
+// across an idle sign-out. Another tab's open draft and undo history may still hold
+// refs the saved catalogue dropped, so nothing is collected while other tabs are open
+// (or when the browser can't tell); their Blobs go on a later, lone load.
+async function collectGarbage(db, data) {
+    if (!(await tabLockHeld) || (await otherTabsOpen()) !== false) return;
+
+    const keep = collectCatalogueImages(data);
+    for (const b of loadBackups()) collectCatalogueImages(b.data).forEach((v) => keep.add(v));
+    collectCatalogueImages(loadAdminDraft()?.data).forEach((v) => keep.add(v));
+
+    const tx = db.transaction(STORE_IMAGES, 'readwrite');
+    const store = tx.objectStore(STORE_IMAGES);
+    const keys = await requestToPromise(store.getAllKeys());
+    for (const k of keys) {
+        if (!keep.has(k)) store.delete(k);
+    }
+    await txDone(tx);
+}
+
+// First run on IndexedDB: move the legacy localStorage catalogue over, then free its key.
+async function migrateFromLocalStorage(db) {
+    let raw = null;
+    try { raw = localStorage.getItem(LS_KEY); } catch { }
+
+    let state;
+    if (!raw) {
+        state = defaultState();
+    } else {
+        try {
+            state = migrateStoredCatalogue(JSON.parse(raw));
+        } catch {
+            // loadState() quarantines the payload and keeps LS_KEY for inspection;
+            // IndexedDB is only populated once the user saves.
+            return loadState();
+        }
+    }
+
+    const saved = await writeCatalogue(db, state);
+    if (raw) {
+        try { localStorage.removeItem(LS_KEY); } catch { }
+    }
+    ensureLastModifiedExists();
+    return saved;
+}
+
+/**
+ * Load the catalogue, preferring IndexedDB and migrating transparently from the
+ * legacy `angles_proto_v1` localStorage key. Falls back to localStorage entirely
+ * when IndexedDB is unavailable (private mode, old browsers, tests) or can't be read.
+ */
+export async function loadCatalogue() {
+    let db;
+    try {
+        db = await openCatalogueDb();
+    } catch (err) {
+        console.warn('IndexedDB unavailable, using localStorage:', err);
+        activeBackend = 'localStorage';
+        return loadState();
+    }
+    activeBackend = 'indexeddb';
+
+    let record;
+    try {
+        record = await requestToPromise(db.transaction(STORE_RECORDS).objectStore(STORE_RECORDS).get(CATALOGUE_KEY));
+        if (record === undefined) return await migrateFromLocalStorage(db);
+    } catch (err) {
+        // Read or first-run write failed (e.g. quota): carry on from localStorage,
+        // which still holds the legacy catalogue until the migration succeeded.
+        console.warn('IndexedDB read failed, using localStorage:', err);
+        activeBackend = 'localStorage';
+        return loadState();
+    }
+
+    let next;
+    try {
+        next = migrateStoredCatalogue(record);
+    } catch {
+        // Same contract as loadState(): keep a copy of the unreadable record and
+        // leave the stored one untouched until the user saves.
+        try { quarantineCorrupt(JSON.stringify(record)); } catch { }
+        markRecoveredFromCorrupt();
+        return defaultState();
+    }
+
+    try {
+        if (record.version !== next.version) await writeCatalogue(db, next);
+        await collectGarbage(db, next);
+    } catch (err) {
+        console.warn('Catalogue maintenance failed:', err);
+    }
+    ensureLastModifiedExists();
+    return next;
+}
+
+/**
+ * Re-read the catalogue after another tab saved it. Unlike loadCatalogue() this never
+ * writes or collects garbage, so Blobs still referenced by an open draft survive.
+ * Returns null when there is no stored catalogue or it can't be read.
+ */
+export async function reloadCatalogue() {
+    try {
+        if (getStorageBackend() !== 'indexeddb') {
+            const raw = localStorage.getItem(LS_KEY);
+            return raw === null ? null : migrateStoredCatalogue(JSON.parse(raw));
+        }
+        const db = await openCatalogueDb();
+        const record = await requestToPromise(db.transaction(STORE_RECORDS).objectStore(STORE_RECORDS).get(CATALOGUE_KEY));
+        return record === undefined ? null : migrateStoredCatalogue(record);
+    } catch (err) {
+        console.warn('Catalogue reload failed:', err);
+        return null;
+    }
+}
+
+/**
+ * Persist a catalogue. Returns the stored catalogue (images as refs on IndexedDB)
+ * or null when saving failed; the reason is surfaced as a toast like saveState().
+ */
+export async function saveCatalogue(next) {
+    if (getStorageBackend() !== 'indexeddb') {
+        return saveState(next) ? migrateStoredCatalogue(next) : null;
+    }
+    try {
+        const db = await openCatalogueDb();
+        const saved = await writeCatalogue(db, migrateStoredCatalogue(next));
+        touchLastModified();
+        return saved;
+    } catch (err) {
+        if (err?.name === 'QuotaExceededError') {
+            console.warn('Storage full:', err);
+            toast.error('Storage full. Remove some drawings or upload smaller images.');
+        } else {
+            console.warn('Save failed:', err);
+            toast.error('Could not save. Changes may be lost.');
+        }
+        return null;
+    }
+}
+
+export async function loadImageBlob(ref) {
+    if (!isImageRef(ref)) return null;
+    try {
+        const db = await openCatalogueDb();
+        const blob = await requestToPromise(db.transaction(STORE_IMAGES).objectStore(STORE_IMAGES).get(ref));
+        return blob ?? null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Inline every image ref back to a data URL (for export/backups that must stand on
+ * their own). Refs whose Blob is gone are dropped.
+ */
+export async function resolveImageRefs(data) {
+    const urls = new Map();
+    for (const v of collectCatalogueImages(data)) {
+        if (!isImageRef(v)) continue;
+        const blob = await loadImageBlob(v);
+        if (blob) urls.set(v, await blobToDataUrl(blob));
+    }
+    return mapCatalogueImages(data, (v) => (isImageRef(v) ? urls.get(v) : v));
+}
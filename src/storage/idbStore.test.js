@@ -0,0 +1,177 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const store = new Map();
+vi.stubGlobal('localStorage', {
+    getItem: (k) => store.has(k) ? store.get(k) : null,
+    setItem: (k, v) => store.set(k, String(v)),
+    removeItem: (k) => store.delete(k),
+    clear: () => store.clear(),
+    get length() { return store.size; },
+    key: (i) => [...store.keys()][i] ?? null,
+});
+
+import {
+    dataUrlToBlob, blobToDataUrl, imageRefFor, mapCatalogueImages, collectCatalogueImages,
+    extractImages, loadCatalogue, reloadCatalogue, getStorageBackend, catalogueSizeLimitKB,
+    otherTabsOpen, TAB_LOCK_NAME,
+} from './idbStore.js';
+import { LS_KEY, MAX_DB_SIZE_KB } from './db.js';
+import { isImageRef } from '../domain/validation.js';
+
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+const JPG = 'data:image/jpeg;base64,/9j/4AAQ';
+
+const catalogue = {
+    version: 3,
+    holds: [{ id: 'h1', name: 'Austin', coverImage: JPG }, { id: 'h2', name: 'Amon' }],
+    angles: [
+        { id: 'a1', holdId: 'h1', value: 10, saw: 'main', drawing: PNG },
+        { id: 'a2', holdId: 'h1', value: 20, saw: 'main', drawing: PNG },
+        { id: 'a3', holdId: 'h2', value: 30, saw: 'stefan' },
+    ],
+};
+
+describe('dataUrlToBlob', () => {
+    it('decodes base64 payload and keeps the mime type', async () => {
+        const blob = dataUrlToBlob(PNG);
+        expect(blob.type).toBe('image/png');
+        expect(blob.size).toBe(8);
+    });
+    it('roundtrips through blobToDataUrl', async () => {
+        expect(await blobToDataUrl(dataUrlToBlob(PNG))).toBe(PNG);
+    });
+});
+
+describe('imageRefFor', () => {
+    it('is content-addressed', async () => {
+        const a = await imageRefFor(PNG);
+        expect(isImageRef(a)).toBe(true);
+        expect(await imageRefFor(PNG)).toBe(a);
+        expect(await imageRefFor(JPG)).not.toBe(a);
+    });
+});
+
+describe('mapCatalogueImages', () => {
+    it('maps covers and drawings, dropping undefined results', () => {
+        const out = mapCatalogueImages(catalogue, (v) => (v === PNG ? undefined : 'x'));
+        expect(out.holds[0].coverImage).toBe('x');
+        expect('drawing' in out.angles[0]).toBe(false);
+        expect(out.angles[2]).toEqual(catalogue.angles[2]);
+    });
+});
+
+describe('collectCatalogueImages', () => {
+    it('returns each distinct image once', () => {
+        expect([...collectCatalogueImages(catalogue)].sort()).toEqual([JPG, PNG].sort());
+    });
+});
+
+describe('extractImages', () => {
+    it('replaces data URLs with refs and returns one Blob per distinct image', async () => {
+        const { data, blobs } = await extractImages(catalogue);
+        expect(blobs.size).toBe(2);
+        expect(isImageRef(data.angles[0].drawing)).toBe(true);
+        expect(data.angles[0].drawing).toBe(data.angles[1].drawing);
+        expect(blobs.get(data.holds[0].coverImage).type).toBe('image/jpeg');
+    });
+    it('leaves existing refs alone', async () => {
+        const ref = await imageRefFor(PNG);
+        const { data, blobs } = await extractImages({ holds: [], angles: [{ id: 'a', drawing: ref }] });
+        expect(blobs.size).toBe(0);
+        expect(data.angles[0].drawing).toBe(ref);
+    });
+});
+
+describe('otherTabsOpen', () => {
+    // LockManager stand-in: every request is granted and held until released
+    const fakeLocks = () => {
+        const held = [];
+        return {
+            request(name, options, callback) {
+                const lock = { name, mode: options.mode };
+                held.push(lock);
+                callback(lock);
+                return Promise.resolve();
+            },
+            release: (name) => held.splice(held.findIndex((l) => l.name === name), 1),
+            query: async () => ({ held: [...held] }),
+        };
+    };
+
+    it('counts the tabs holding the tab lock', async () => {
+        const locks = fakeLocks();
+        locks.request(TAB_LOCK_NAME, { mode: 'shared' }, () => { });
+        locks.request('other', { mode: 'exclusive' }, () => { });
+        expect(await otherTabsOpen(locks)).toBe(false);
+        locks.request(TAB_LOCK_NAME, { mode: 'shared' }, () => { });
+        expect(await otherTabsOpen(locks)).toBe(true);
+        locks.release(TAB_LOCK_NAME);
+        expect(await otherTabsOpen(locks)).toBe(false);
+    });
+
+    it("can't tell without Web Locks", async () => {
+        expect(await otherTabsOpen(undefined)).toBeNull();
+    });
+});
+
+describe('loadCatalogue without IndexedDB', () => {
+    beforeEach(() => store.clear());
+
+    it('falls back to localStorage', async () => {
+        store.set(LS_KEY, JSON.stringify({ holds: ['Austin'], angles: [] }));
+        const state = await loadCatalogue();
+        expect(state.holds[0].name).toBe('Austin');
+        expect(getStorageBackend()).toBe('localStorage');
+        expect(catalogueSizeLimitKB()).toBe(MAX_DB_SIZE_KB);
+    });
+
+    it('reloads what another tab saved without rewriting it', async () => {
+        await loadCatalogue();
+        const raw = JSON.stringify({ holds: ['Amon'], angles: [] });
+        store.set(LS_KEY, raw);
+        const state = await reloadCatalogue();
+        expect(state.holds[0].name).toBe('Amon');
+        expect(store.get(LS_KEY)).toBe(raw);
+    });
+
+    it('returns null when the stored catalogue is unreadable', async () => {
+        await loadCatalogue();
+        store.set(LS_KEY, '{broken');
+        expect(await reloadCatalogue()).toBeNull();
+    });
+
+    it('returns null rather than the seed catalogue when nothing is stored', async () => {
+        await loadCatalogue();
+        store.delete(LS_KEY);
+        expect(await reloadCatalogue()).toBeNull();
+    });
+});
+
+// Last in the file: the opened (fake) database stays cached in the module
+describe('loadCatalogue when IndexedDB fails', () => {
+    beforeEach(() => store.clear());
+
+    // IDBRequest stand-in: succeeds with `result`, or fails when there is none
+    const fakeRequest = (result) => {
+        const req = { result };
+        setTimeout(() => {
+            if (result) return req.onsuccess?.();
+            req.error = new Error('read failed');
+            req.onerror?.();
+        }, 0);
+        return req;
+    };
+    // Opens fine, but every read errors (e.g. a corrupt or evicted store)
+    const fakeDb = {
+        objectStoreNames: { contains: () => true },
+        transaction: () => ({ objectStore: () => ({ get: () => fakeRequest(null) }) }),
+    };
+
+    it('falls back to localStorage when the record read throws', async () => {
+        vi.stubGlobal('indexedDB', { open: () => fakeRequest(fakeDb) });
+        store.set(LS_KEY, JSON.stringify({ holds: ['Austin'], angles: [] }));
+        const state = await loadCatalogue();
+        expect(state.holds[0].name).toBe('Austin');
+        expect(getStorageBackend()).toBe('localStorage');
+    });
+});
@@ -1,16 +1,50 @@
-import { migrateAndSanitize } from '../domain/migration.js';
+import { migrateAndSanitize, migrateStoredCatalogue, CURRENT_SCHEMA_VERSION } from '../domain/migration.js';
+import { catalogueToCsvRows, toCsv } from '../domain/csv.js';
+import { encryptExport } from './encryption.js';
+import { computeIntegrity } from './integrity.js';
 
 export const MAX_DB_SIZE_KB = 4500;
+// Files may hold many inline drawings; the stored size is checked separately after sanitizing.
+export const MAX_IMPORT_FILE_KB = 50 * 1024;
 
-export function downloadJsonFile(obj, filename = 'angles-db.json') {
-    // obj is already v2 if the app has migrated, or v1 if not yet
-    const payload = {
+/**
+ * Wrap a catalogue in the export envelope, migrated to the current schema.
+ * `extras` adds top-level fields next to `data` (e.g. `accounts`).
+ */
+export function buildExportPayload(obj, extras = {}) {
+    return {
         app: 'AnglesProto',
         exportedAt: new Date().toISOString(),
-        version: obj.version ?? 1,
-        data: obj,
+        version: CURRENT_SCHEMA_VERSION,
+        ...extras,
+        data: migrateAndSanitize(obj),
     };
-    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
+}
+
+/** buildExportPayload() plus the `integrity` block over its data (see integrity.js). */
+export async function buildSealedExportPayload(obj, extras = {}) {
+    const payload = buildExportPayload(obj, extras);
+    return { ...payload, integrity: await computeIntegrity(payload.data) };
+}
+
+export async function downloadJsonFile(obj, filename = 'angles-db.json', extras = {}) {
+    const payload = await buildSealedExportPayload(obj, extras);
+    downloadBlob(new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" }), filename);
+}
+
+/** Same export, encrypted with `passphrase` (see encryption.js). */
+export async function downloadEncryptedJsonFile(obj, filename, extras, passphrase, appVersion) {
+    const file = await encryptExport(await buildSealedExportPayload(obj, extras), passphrase, { appVersion });
+    downloadBlob(new Blob([JSON.stringify(file, null, 2)], { type: "application/json" }), filename);
+}
+
+/** One row per angle; the BOM makes Excel read non-ASCII product names correctly. */
+export function downloadCsvFile(obj, filename = 'angles.csv') {
+    const text = `\uFEFF${toCsv(catalogueToCsvRows(migrateStoredCatalogue(obj)))}`;
+    downloadBlob(new Blob([text], { type: "text/csv;charset=utf-8" }), filename);
+}
+
+export function downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
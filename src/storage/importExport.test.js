@@ -1,5 +1,16 @@
 import { describe, it, expect } from 'vitest';
-import { serializedSizeKB } from './importExport.js';
+import { serializedSizeKB, buildExportPayload, buildSealedExportPayload } from './importExport.js';
+import { CURRENT_SCHEMA_VERSION } from '../domain/migration.js';
+
+describe('buildExportPayload', () => {
+    it('wraps data at the current schema version', () => {
+        const payload = buildExportPayload({ holds: ['Austin'], angles: [] });
+        expect(payload.app).toBe('AnglesProto');
+        expect(payload.version).toBe(CURRENT_SCHEMA_VERSION);
+        expect(payload.data.version).toBe(CURRENT_SCHEMA_VERSION);
+        expect(payload.data.holds[0].name).toBe('Austin');
+    });
+});
 
 describe('serializedSizeKB', () => {
     it('returns a number for a valid object', () => {
@@ -16,3 +27,19 @@ describe('serializedSizeKB', () => {
         expect(serializedSizeKB(large)).toBeGreaterThan(serializedSizeKB(small));
     });
 });
+
+describe('buildExportPayload extras', () => {
+    it('adds extra top-level fields without touching data', () => {
+        const payload = buildExportPayload({ holds: ['Austin'], angles: [] }, { accounts: [{ username: 'anna', role: 'owner' }] });
+        expect(payload.accounts).toEqual([{ username: 'anna', role: 'owner' }]);
+        expect(payload.data.holds[0].name).toBe('Austin');
+    });
+});
+
+describe('buildSealedExportPayload', () => {
+    it('adds a digest and counts for the exported data', async () => {
+        const payload = await buildSealedExportPayload({ holds: ['Austin'], angles: [] });
+        expect(payload.integrity).toMatchObject({ alg: 'SHA-256', counts: { holds: 1, angles: 0, drawings: 0 } });
+        expect(payload.integrity.digest).toMatch(/^[0-9a-f]{64}$/);
+    });
+});
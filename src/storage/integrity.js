@@ -0,0 +1,75 @@
+import { sha256Hex } from './auth.js';
+
+// Integrity and provenance fields of export files:
+//   integrity: { alg: 'SHA-256', digest, counts: { holds, angles, drawings } }
+//   source:    { app, appVersion, device, catalogueModifiedAt }
+// The digest covers `data` exactly as written to the file (image paths for ZIP
+// bundles, whose image files the archive's CRCs cover), serialized canonically:
+// object keys sorted, no whitespace. Files from before these fields import as
+// "unverified", not as modified.
+export const INTEGRITY_ALG = 'SHA-256';
+
+/** JSON with object keys sorted at every level, so equal data hashes equally. */
+export function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map((v) => (v === undefined ? 'null' : canonicalJson(v))).join(',')}]`;
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+        return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+export function catalogueCounts(data) {
+    const holds = Array.isArray(data?.holds) ? data.holds : [];
+    const angles = Array.isArray(data?.angles) ? data.angles : [];
+    return { holds: holds.length, angles: angles.length, drawings: angles.filter((a) => a?.drawing).length };
+}
+
+export async function computeIntegrity(data) {
+    return { alg: INTEGRITY_ALG, digest: await sha256Hex(canonicalJson(data)), counts: catalogueCounts(data) };
+}
+
+/**
+ * Check a parsed export file against its integrity block. Returns
+ * { status: 'verified' | 'modified' | 'unverified', problems: [text] }.
+ */
+export async function checkIntegrity(envelope) {
+    const declared = envelope?.integrity;
+    if (!declared || typeof declared !== 'object') return { status: 'unverified', problems: [] };
+    if (declared.alg !== INTEGRITY_ALG || typeof declared.digest !== 'string') {
+        return { status: 'unverified', problems: [`Unknown checksum type "${declared.alg}"`] };
+    }
+    const problems = [];
+    const actual = catalogueCounts(envelope.data);
+    for (const key of ['holds', 'angles', 'drawings']) {
+        const expected = declared.counts?.[key];
+        if (Number.isInteger(expected) && expected !== actual[key]) {
+            problems.push(`File lists ${expected} ${key}, contains ${actual[key]}`);
+        }
+    }
+    if (await sha256Hex(canonicalJson(envelope.data)) !== declared.digest) problems.push('Checksum does not match the content');
+    return { status: problems.length ? 'modified' : 'verified', problems };
+}
+
+function describeDevice() {
+    const ua = globalThis.navigator?.userAgent ?? '';
+    const browser = /Edg\//.test(ua) ? 'Edge' : /Firefox\//.test(ua) ? 'Firefox' : /Chrome\//.test(ua) ? 'Chrome' : /Safari\//.test(ua) ? 'Safari' : 'Browser';
+    const os = /Android/.test(ua) ? 'Android' : /iPhone|iPad/.test(ua) ? 'iOS' : /Windows/.test(ua) ? 'Windows' : /Mac OS X/.test(ua) ? 'macOS' : /Linux/.test(ua) ? 'Linux' : '';
+    return os ? `${browser} on ${os}` : browser;
+}
+
+/** Provenance block for an export: this app and device, and when the catalogue last changed. */
+export function exportSource(appVersion, catalogueModifiedAt) {
+    return {
+        app: 'AnglesProto',
+        appVersion,
+        device: describeDevice(),
+        catalogueModifiedAt: Number.isFinite(catalogueModifiedAt) ? new Date(catalogueModifiedAt).toISOString() : null,
+    };
+}
+
+/** When the file's catalogue was last changed (falls back to the export time), in ms, or null. */
+export function fileCatalogueTime(envelope) {
+    const t = Date.parse(envelope?.source?.catalogueModifiedAt ?? envelope?.exportedAt ?? '');
+    return Number.isFinite(t) ? t : null;
+}
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { canonicalJson, catalogueCounts, computeIntegrity, checkIntegrity, exportSource, fileCatalogueTime } from './integrity.js';
+
+const data = {
+    version: 3,
+    holds: [{ id: 'h1', name: 'Austin' }],
+    angles: [
+        { id: 'a1', holdId: 'h1', value: 28.2, saw: 'main', drawing: 'data:image/png;base64,AAAA' },
+        { id: 'a2', holdId: 'h1', value: 45, saw: 'main' },
+    ],
+};
+
+describe('canonicalJson', () => {
+    it('ignores key order and undefined fields', () => {
+        expect(canonicalJson({ b: 1, a: [{ y: 2, x: undefined, z: 'q' }] })).toBe('{"a":[{"y":2,"z":"q"}],"b":1}');
+        expect(canonicalJson({ a: 1, b: 2 })).toBe(canonicalJson({ b: 2, a: 1 }));
+    });
+});
+
+describe('checkIntegrity', () => {
+    it('verifies an untouched file, including after a JSON round-trip', async () => {
+        expect(catalogueCounts(data)).toEqual({ holds: 1, angles: 2, drawings: 1 });
+        const envelope = JSON.parse(JSON.stringify({ data, integrity: await computeIntegrity(data) }));
+        expect(await checkIntegrity(envelope)).toEqual({ status: 'verified', problems: [] });
+    });
+
+    it('reports edits and truncation', async () => {
+        const integrity = await computeIntegrity(data);
+        const edited = { data: { ...data, holds: [{ id: 'h1', name: 'Austen' }] }, integrity };
+        expect(await checkIntegrity(edited)).toEqual({ status: 'modified', problems: ['Checksum does not match the content'] });
+
+        const cut = await checkIntegrity({ data: { ...data, angles: data.angles.slice(0, 1) }, integrity });
+        expect(cut.status).toBe('modified');
+        expect(cut.problems[0]).toBe('File lists 2 angles, contains 1');
+    });
+
+    it('treats files without a checksum as unverified', async () => {
+        expect(await checkIntegrity({ data })).toEqual({ status: 'unverified', problems: [] });
+    });
+});
+
+describe('provenance', () => {
+    it('records the app and catalogue time, read back for the age check', () => {
+        const source = exportSource('1.01', Date.UTC(2026, 0, 2));
+        expect(source).toMatchObject({ app: 'AnglesProto', appVersion: '1.01', catalogueModifiedAt: '2026-01-02T00:00:00.000Z' });
+        expect(typeof source.device).toBe('string');
+        expect(fileCatalogueTime({ source })).toBe(Date.UTC(2026, 0, 2));
+        expect(fileCatalogueTime({ exportedAt: '2026-03-01T00:00:00.000Z' })).toBe(Date.UTC(2026, 2, 1));
+        expect(fileCatalogueTime({})).toBe(null);
+    });
+});
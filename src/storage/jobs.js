@@ -0,0 +1,106 @@
+import { LS_KEY } from './db.js';
+
+// Saved jobs: named product selections operators load again instead of ticking
+// the same holds every week. [{ id, name, note, holds: [hold id], createdAt, updatedAt }]
+// under LS_JOBS_KEY. Jobs keep hold ids that were deleted from the catalogue so
+// the UI can warn about them; they also travel with exports.
+export const LS_JOBS_KEY = `${LS_KEY}_jobs`;
+export const MAX_JOB_NAME_LENGTH = 60;
+export const MAX_JOB_NOTE_LENGTH = 200;
+
+function newJobId() {
+    try {
+        return `j_${globalThis.crypto.randomUUID().replace(/-/g, '').slice(0, 12)}`;
+    } catch {
+        return `j_${Math.random().toString(16).slice(2, 14)}`;
+    }
+}
+
+export function normalizeJobName(s) {
+    return String(s ?? '').replace(/\s+/g, ' ').trim().slice(0, MAX_JOB_NAME_LENGTH);
+}
+
+function sanitizeJob(j) {
+    const name = normalizeJobName(j?.name);
+    if (!name || typeof j?.id !== 'string' || !j.id) return null;
+    const holds = Array.isArray(j.holds) ? [...new Set(j.holds.filter((id) => typeof id === 'string' && id))] : [];
+    return {
+        id: j.id,
+        name,
+        note: String(j.note ?? '').trim().slice(0, MAX_JOB_NOTE_LENGTH),
+        holds,
+        createdAt: Number(j.createdAt) || 0,
+        updatedAt: Number(j.updatedAt) || Number(j.createdAt) || 0,
+    };
+}
+
+/** Valid jobs from any input, first one wins for duplicate ids. */
+export function sanitizeJobs(list) {
+    const out = [];
+    const seen = new Set();
+    for (const raw of Array.isArray(list) ? list : []) {
+        const j = sanitizeJob(raw);
+        if (j && !seen.has(j.id)) {
+            seen.add(j.id);
+            out.push(j);
+        }
+    }
+    return out;
+}
+
+export function loadJobs() {
+    try {
+        const raw = localStorage.getItem(LS_JOBS_KEY);
+        return sanitizeJobs(raw ? JSON.parse(raw) : []);
+    } catch {
+        return [];
+    }
+}
+
+/** Returns false when the list could not be written (e.g. storage full). */
+export function saveJobs(jobs) {
+    try {
+        localStorage.setItem(LS_JOBS_KEY, JSON.stringify(sanitizeJobs(jobs)));
+        return true;
+    } catch (e) {
+        console.warn('Saving jobs failed:', e);
+        return false;
+    }
+}
+
+export function createJob(name, note, holds, now = Date.now()) {
+    return sanitizeJob({ id: newJobId(), name, note, holds: [...holds], createdAt: now, updatedAt: now });
+}
+
+/** `jobs` with job `id` changed by `patch` ({ name?, note?, holds? }); invalid names are ignored. */
+export function updateJob(jobs, id, patch, now = Date.now()) {
+    return jobs.map((j) => (j.id === id ? sanitizeJob({ ...j, ...patch, updatedAt: now }) ?? j : j));
+}
+
+/** Hold ids of `job` that are no longer in the catalogue. */
+export function missingJobHolds(job, holds) {
+    const ids = new Set((holds ?? []).map((h) => h.id));
+    return job.holds.filter((id) => !ids.has(id));
+}
+
+/**
+ * Merge jobs from an import into `current`, matched by id: new ones are added,
+ * an existing one is replaced when the imported copy is newer.
+ * Returns { jobs, added, updated }.
+ */
+export function mergeImportedJobs(current, imported) {
+    const jobs = current.map((j) => ({ ...j }));
+    let added = 0;
+    let updated = 0;
+    for (const j of sanitizeJobs(imported)) {
+        const i = jobs.findIndex((x) => x.id === j.id);
+        if (i < 0) {
+            jobs.push(j);
+            added++;
+        } else if (j.updatedAt > jobs[i].updatedAt) {
+            jobs[i] = j;
+            updated++;
+        }
+    }
+    return { jobs, added, updated };
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+    loadJobs, saveJobs, createJob, updateJob, sanitizeJobs, missingJobHolds, mergeImportedJobs, LS_JOBS_KEY, MAX_JOB_NAME_LENGTH,
+} from './jobs.js';
+
+describe('jobs', () => {
+    let store;
+
+    beforeEach(() => {
+        store = {};
+        vi.stubGlobal('localStorage', {
+            getItem: (k) => Object.prototype.hasOwnProperty.call(store, k) ? store[k] : null,
+            setItem: (k, v) => { store[k] = String(v); },
+            removeItem: (k) => { delete store[k]; },
+        });
+    });
+
+    it('saves and loads jobs', () => {
+        expect(loadJobs()).toEqual([]);
+        const job = createJob('  Weekly   Austin ', 'Tuesdays', new Set(['h_a', 'h_b']), 1000);
+        expect(job).toMatchObject({ name: 'Weekly Austin', note: 'Tuesdays', holds: ['h_a', 'h_b'], createdAt: 1000 });
+        expect(job.id).toMatch(/^j_/);
+        expect(saveJobs([job])).toBe(true);
+        expect(loadJobs()).toEqual([job]);
+    });
+
+    it('drops invalid entries and survives corrupt storage', () => {
+        expect(sanitizeJobs([
+            { id: 'j_1', name: 'x'.repeat(MAX_JOB_NAME_LENGTH + 10), holds: ['h_a', 'h_a', 3] },
+            { id: 'j_1', name: 'Duplicate' },
+            { id: 'j_2', name: '   ' },
+            null,
+        ])).toEqual([
+            { id: 'j_1', name: 'x'.repeat(MAX_JOB_NAME_LENGTH), note: '', holds: ['h_a'], createdAt: 0, updatedAt: 0 },
+        ]);
+        store[LS_JOBS_KEY] = '{not json';
+        expect(loadJobs()).toEqual([]);
+    });
+
+    it('renames without accepting an empty name', () => {
+        const job = createJob('A', '', ['h_a'], 1000);
+        const [renamed] = updateJob([job], job.id, { name: 'B', note: 'n' }, 2000);
+        expect(renamed).toMatchObject({ name: 'B', note: 'n', updatedAt: 2000 });
+        expect(updateJob([job], job.id, { name: ' ' })).toEqual([job]);
+    });
+
+    it('lists holds that were deleted from the catalogue', () => {
+        const job = createJob('A', '', ['h_a', 'h_gone'], 1000);
+        expect(missingJobHolds(job, [{ id: 'h_a', name: 'Austin' }])).toEqual(['h_gone']);
+    });
+
+    it('merges imported jobs by id, keeping the newer copy', () => {
+        const mine = [
+            { id: 'j_1', name: 'Mine', note: '', holds: [], createdAt: 1, updatedAt: 5 },
+            { id: 'j_2', name: 'Old', note: '', holds: [], createdAt: 1, updatedAt: 1 },
+        ];
+        const theirs = [
+            { id: 'j_1', name: 'Stale', holds: [], updatedAt: 2 },
+            { id: 'j_2', name: 'Newer', holds: ['h_a'], updatedAt: 3 },
+            { id: 'j_3', name: 'New', holds: [], updatedAt: 3 },
+        ];
+        const { jobs, added, updated } = mergeImportedJobs(mine, theirs);
+        expect({ added, updated }).toEqual({ added: 1, updated: 1 });
+        expect(jobs.map((j) => j.name)).toEqual(['Mine', 'Newer', 'New']);
+    });
+});
@@ -0,0 +1,99 @@
+import { LS_KEY } from './auth.js';
+
+// Failed admin logins, persisted so reloading the page doesn't reset the count.
+// The first FREE_ATTEMPTS failures cost nothing; after that each failure doubles the
+// wait (BASE_DELAY_MS, 2×, 4× … up to MAX_DELAY_MS). HARD_LOCKOUT_AFTER failures in a
+// row lock the login for HARD_LOCKOUT_MS. A successful login resets the counter.
+//
+// Client-side only: someone with access to browser storage can clear it. The point
+// is to make guessing slow and visible, not impossible.
+export const LS_LOGIN_THROTTLE_KEY = `${LS_KEY}_login_throttle`;
+export const LS_LOCKOUT_EVENTS_KEY = `${LS_KEY}_lockout_events`;
+
+export const FREE_ATTEMPTS = 3;
+export const BASE_DELAY_MS = 5000;
+export const MAX_DELAY_MS = 5 * 60 * 1000;
+export const HARD_LOCKOUT_AFTER = 10;
+export const HARD_LOCKOUT_MS = 30 * 60 * 1000;
+const MAX_EVENTS = 20;
+
+const EMPTY = { failures: 0, lockedUntil: 0 };
+
+/* -------------------- pure rules -------------------- */
+
+/** Wait imposed after the n-th consecutive failure (0 while attempts are free). */
+export function backoffDelayMs(failures) {
+    if (failures >= HARD_LOCKOUT_AFTER) return HARD_LOCKOUT_MS;
+    if (failures <= FREE_ATTEMPTS) return 0;
+    return Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (failures - FREE_ATTEMPTS - 1));
+}
+
+export function lockRemainingMs(state, now = Date.now()) {
+    return Math.max(0, (state?.lockedUntil ?? 0) - now);
+}
+
+/**
+ * Apply one failed attempt. Returns the next state and, once attempts stop being
+ * free, the lockout event to record: one event per streak of failures, updated as
+ * the streak grows ({ startedAt, lastAt, failures, hardLockout }).
+ */
+export function applyFailure(state, event, now = Date.now()) {
+    const failures = (state?.failures ?? 0) + 1;
+    const next = { failures, lockedUntil: now + backoffDelayMs(failures) };
+    if (failures <= FREE_ATTEMPTS) return { state: next, event: null };
+    return {
+        state: next,
+        event: {
+            startedAt: event?.startedAt ?? now,
+            lastAt: now,
+            failures,
+            hardLockout: failures >= HARD_LOCKOUT_AFTER,
+        },
+    };
+}
+
+/* -------------------- persistence -------------------- */
+
+export function loadLoginThrottle() {
+    try {
+        const s = JSON.parse(localStorage.getItem(LS_LOGIN_THROTTLE_KEY));
+        return Number.isFinite(s?.failures) && Number.isFinite(s?.lockedUntil) ? s : { ...EMPTY };
+    } catch {
+        return { ...EMPTY };
+    }
+}
+
+export function loadLockoutEvents() {
+    try {
+        const list = JSON.parse(localStorage.getItem(LS_LOCKOUT_EVENTS_KEY));
+        return Array.isArray(list) ? list : [];
+    } catch {
+        return [];
+    }
+}
+
+export function clearLockoutEvents() {
+    try { localStorage.removeItem(LS_LOCKOUT_EVENTS_KEY); } catch { }
+}
+
+/** Count a failed login; returns the new throttle state. */
+export function recordLoginFailure(now = Date.now()) {
+    const prev = loadLoginThrottle();
+    const events = loadLockoutEvents();
+    // The streak's event is the last one while the counter hasn't been reset
+    const open = prev.failures > FREE_ATTEMPTS ? events[events.length - 1] : null;
+    const { state, event } = applyFailure(prev, open, now);
+    try {
+        localStorage.setItem(LS_LOGIN_THROTTLE_KEY, JSON.stringify(state));
+        if (event) {
+            const list = open ? [...events.slice(0, -1), event] : [...events, event];
+            localStorage.setItem(LS_LOCKOUT_EVENTS_KEY, JSON.stringify(list.slice(-MAX_EVENTS)));
+        }
+    } catch { }
+    return state;
+}
+
+/** Reset the counter after a successful login. Lockout events are kept until shown. */
+export function recordLoginSuccess() {
+    try { localStorage.removeItem(LS_LOGIN_THROTTLE_KEY); } catch { }
+}
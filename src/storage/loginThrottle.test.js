@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+    backoffDelayMs, applyFailure, lockRemainingMs, recordLoginFailure, recordLoginSuccess, loadLoginThrottle,
+    loadLockoutEvents, clearLockoutEvents,
+    FREE_ATTEMPTS, BASE_DELAY_MS, MAX_DELAY_MS, HARD_LOCKOUT_AFTER, HARD_LOCKOUT_MS,
+} from './loginThrottle.js';
+
+describe('backoffDelayMs', () => {
+    it('is free for the first attempts, then doubles up to the cap', () => {
+        expect(backoffDelayMs(FREE_ATTEMPTS)).toBe(0);
+        expect(backoffDelayMs(FREE_ATTEMPTS + 1)).toBe(BASE_DELAY_MS);
+        expect(backoffDelayMs(FREE_ATTEMPTS + 2)).toBe(BASE_DELAY_MS * 2);
+        expect(backoffDelayMs(FREE_ATTEMPTS + 3)).toBe(BASE_DELAY_MS * 4);
+        expect(backoffDelayMs(HARD_LOCKOUT_AFTER - 1)).toBeLessThanOrEqual(MAX_DELAY_MS);
+        expect(backoffDelayMs(HARD_LOCKOUT_AFTER)).toBe(HARD_LOCKOUT_MS);
+    });
+});
+
+describe('applyFailure', () => {
+    it('starts one event per streak once attempts stop being free', () => {
+        let state = { failures: 0, lockedUntil: 0 };
+        let event = null;
+        for (let i = 1; i <= FREE_ATTEMPTS; i++) {
+            ({ state, event } = applyFailure(state, event, 1000 * i));
+            expect(event).toBe(null);
+        }
+        ({ state, event } = applyFailure(state, event, 10000));
+        expect(event).toEqual({ startedAt: 10000, lastAt: 10000, failures: FREE_ATTEMPTS + 1, hardLockout: false });
+        expect(lockRemainingMs(state, 10000)).toBe(BASE_DELAY_MS);
+
+        ({ state, event } = applyFailure(state, event, 20000));
+        expect(event).toMatchObject({ startedAt: 10000, lastAt: 20000, failures: FREE_ATTEMPTS + 2 });
+    });
+});
+
+describe('persisted throttle', () => {
+    let store;
+
+    beforeEach(() => {
+        store = {};
+        vi.stubGlobal('localStorage', {
+            getItem: (k) => Object.prototype.hasOwnProperty.call(store, k) ? store[k] : null,
+            setItem: (k, v) => { store[k] = String(v); },
+            removeItem: (k) => { delete store[k]; },
+        });
+    });
+
+    it('counts failures across calls and hard-locks after the limit', () => {
+        let state;
+        for (let i = 0; i < HARD_LOCKOUT_AFTER; i++) state = recordLoginFailure(1000);
+        expect(state.failures).toBe(HARD_LOCKOUT_AFTER);
+        expect(lockRemainingMs(loadLoginThrottle(), 1000)).toBe(HARD_LOCKOUT_MS);
+
+        const events = loadLockoutEvents();
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({ failures: HARD_LOCKOUT_AFTER, hardLockout: true });
+    });
+
+    it('resets the counter on success but keeps events until cleared', () => {
+        for (let i = 0; i <= FREE_ATTEMPTS; i++) recordLoginFailure(1000);
+        recordLoginSuccess();
+        expect(loadLoginThrottle()).toEqual({ failures: 0, lockedUntil: 0 });
+        expect(loadLockoutEvents()).toHaveLength(1);
+
+        // A new streak gets its own event
+        for (let i = 0; i <= FREE_ATTEMPTS; i++) recordLoginFailure(5000);
+        expect(loadLockoutEvents()).toHaveLength(2);
+
+        clearLockoutEvents();
+        expect(loadLockoutEvents()).toEqual([]);
+    });
+
+    it('treats unreadable stored state as no failures', () => {
+        store.angles_proto_v1_login_throttle = 'garbage';
+        expect(loadLoginThrottle()).toEqual({ failures: 0, lockedUntil: 0 });
+    });
+});
@@ -0,0 +1,55 @@
+import { createCredential, verifyCredential } from './auth.js';
+import { findAccount } from './accounts.js';
+
+// One-time recovery codes: shown once when an owner account is created (or new codes
+// are requested), kept only as credential records on the account
+// ({ ..., recoveryCodes: [record, …] }). A code resets the account's PIN from the login
+// modal and is removed when used.
+export const RECOVERY_CODE_COUNT = 8;
+// Codes carry 50 random bits, unlike a 4-digit PIN, so a much cheaper KDF will do
+// and checking all of them at login stays fast.
+export const RECOVERY_CODE_ITERATIONS = 10000;
+const CODE_LENGTH = 10;
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'; // Crockford base32: no I, L, O, U
+
+/** Fresh codes formatted for display, e.g. "7K2QD-M9XTA". */
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    return Array.from({ length: count }, () => {
+        const chars = [...crypto.getRandomValues(new Uint8Array(CODE_LENGTH))].map((b) => ALPHABET[b & 31]).join('');
+        return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+    });
+}
+
+/** Typed code → canonical form: case, spaces and dashes ignored, O/I/L read as 0/1. */
+export function normalizeRecoveryCode(input) {
+    return String(input ?? '').toUpperCase().replace(/[\s-]/g, '').replace(/O/g, '0').replace(/[IL]/g, '1');
+}
+
+export function hashRecoveryCodes(codes) {
+    return Promise.all(codes.map((c) => createCredential(normalizeRecoveryCode(c), RECOVERY_CODE_ITERATIONS)));
+}
+
+/** Index of the stored record matching `input`, or -1. */
+export async function findRecoveryCode(input, records) {
+    const code = normalizeRecoveryCode(input);
+    if (code.length !== CODE_LENGTH || !Array.isArray(records)) return -1;
+    for (let i = 0; i < records.length; i++) {
+        if ((await verifyCredential(code, records[i])).ok) return i;
+    }
+    return -1;
+}
+
+/**
+ * Reset `username`'s PIN with one of their recovery codes. Returns the updated
+ * account list and how many codes are left, or null when login or code don't match.
+ * The used code is dropped from the list.
+ */
+export async function redeemRecoveryCode(accounts, username, code, newPin) {
+    const account = findAccount(accounts, username);
+    const index = account ? await findRecoveryCode(code, account.recoveryCodes) : -1;
+    if (index < 0) return null;
+    const recoveryCodes = account.recoveryCodes.filter((_, i) => i !== index);
+    const credential = await createCredential(newPin);
+    const updated = { ...account, credential, recoveryCodes };
+    return { accounts: accounts.map((a) => (a === account ? updated : a)), account: updated, remaining: recoveryCodes.length };
+}
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import {
+    generateRecoveryCodes, normalizeRecoveryCode, hashRecoveryCodes, findRecoveryCode, redeemRecoveryCode,
+    RECOVERY_CODE_COUNT, RECOVERY_CODE_ITERATIONS,
+} from './recoveryCodes.js';
+import { verifyCredential } from './auth.js';
+
+describe('generateRecoveryCodes / normalizeRecoveryCode', () => {
+    it('makes distinct dashed codes without ambiguous letters', () => {
+        const codes = generateRecoveryCodes();
+        expect(codes).toHaveLength(RECOVERY_CODE_COUNT);
+        expect(new Set(codes).size).toBe(codes.length);
+        for (const c of codes) expect(c).toMatch(/^[0-9A-HJKMNP-TV-Z]{5}-[0-9A-HJKMNP-TV-Z]{5}$/);
+    });
+
+    it('ignores case, spaces and dashes and reads O/I/L as digits', () => {
+        expect(normalizeRecoveryCode(' 7k2qd - m9xta ')).toBe('7K2QDM9XTA');
+        expect(normalizeRecoveryCode('oIl')).toBe('011');
+    });
+});
+
+describe('findRecoveryCode / redeemRecoveryCode', () => {
+    const codes = ['7K2QD-M9XTA', 'ABCDE-FGH01'];
+
+    it('matches a typed code against the hashed records', async () => {
+        const records = await hashRecoveryCodes(codes);
+        expect(records[0].iterations).toBe(RECOVERY_CODE_ITERATIONS);
+        expect(JSON.stringify(records)).not.toContain('7K2QD');
+        expect(await findRecoveryCode('abcde fgho1', records)).toBe(1);
+        expect(await findRecoveryCode('7K2QD-M9XTB', records)).toBe(-1);
+        expect(await findRecoveryCode('short', records)).toBe(-1);
+    });
+
+    it('resets the PIN and uses the code up', async () => {
+        const accounts = [
+            { username: 'anna', role: 'owner', recoveryCodes: await hashRecoveryCodes(codes) },
+            { username: 'bo', role: 'editor' },
+        ];
+        const result = await redeemRecoveryCode(accounts, 'ANNA', '7k2qd-m9xta', '4821');
+        expect(result.remaining).toBe(1);
+        expect(result.accounts[1]).toBe(accounts[1]);
+        expect((await verifyCredential('4821', result.account.credential)).ok).toBe(true);
+
+        expect(await redeemRecoveryCode(result.accounts, 'anna', '7k2qd-m9xta', '4821')).toBe(null);
+        expect(await redeemRecoveryCode(result.accounts, 'bo', 'ABCDE-FGH01', '4821')).toBe(null);
+    });
+});
@@ -0,0 +1,132 @@
+import { LS_KEY, ADMIN_SESSION_KEY, ADMIN_REMEMBER_KEY } from './auth.js';
+import { migrateStoredCatalogue } from '../domain/migration.js';
+
+// Admin sessions are tokens { id, user, iat, exp } stored as JSON:
+//   ADMIN_SESSION_KEY  (sessionStorage) hands the login over to the admin page, which
+//                      consumes it on mount; it expires after SESSION_TTL_MS regardless.
+//   ADMIN_REMEMBER_KEY (localStorage) is "remember me": it lasts rememberDays and can
+//                      be revoked from the admin panel or by an idle sign-out.
+// The pre-token flags ("1" or a bare username) never expired and are not honoured:
+// those browsers log in once more.
+export const LS_SESSION_SETTINGS_KEY = `${LS_KEY}_session_settings`;
+export const LS_ADMIN_DRAFT_KEY = `${LS_KEY}_admin_draft`;
+
+export const SESSION_TTL_MS = 10 * 60 * 1000;
+export const IDLE_WARNING_MS = 60 * 1000;
+export const IDLE_MINUTES_OPTIONS = [0, 5, 15, 30, 60]; // 0 = never
+export const REMEMBER_DAYS_OPTIONS = [1, 7, 30];
+export const DEFAULT_SESSION_SETTINGS = { idleMinutes: 15, rememberDays: 7 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* -------------------- tokens -------------------- */
+
+export function createSessionToken(user, ttlMs, now = Date.now()) {
+    const id = [...crypto.getRandomValues(new Uint8Array(16))].map((b) => b.toString(16).padStart(2, '0')).join('');
+    return { id, user, iat: now, exp: now + ttlMs };
+}
+
+/** The token in `raw` if well-formed and not expired, else null. */
+export function parseSessionToken(raw, now = Date.now()) {
+    let t;
+    try { t = JSON.parse(raw); } catch { return null; }
+    if (!t || typeof t !== 'object' || typeof t.id !== 'string' || typeof t.user !== 'string' || !t.user) return null;
+    if (!Number.isFinite(t.iat) || !Number.isFinite(t.exp) || t.iat > now || t.exp <= now) return null;
+    return t;
+}
+
+/** Username of the current admin session (this tab, then "remember me"), or null. */
+export function getSessionUser(now = Date.now()) {
+    try {
+        return parseSessionToken(sessionStorage.getItem(ADMIN_SESSION_KEY), now)?.user
+            ?? parseSessionToken(localStorage.getItem(ADMIN_REMEMBER_KEY), now)?.user
+            ?? null;
+    } catch { return null; }
+}
+
+export function hasAdminSession() {
+    return getSessionUser() !== null;
+}
+
+/** After a successful login: hand-over token, plus a remember token or none. */
+export function startSession(user, remember, now = Date.now()) {
+    try { sessionStorage.setItem(ADMIN_SESSION_KEY, JSON.stringify(createSessionToken(user, SESSION_TTL_MS, now))); } catch { }
+    if (!remember) {
+        revokeRememberToken();
+        return;
+    }
+    const days = loadSessionSettings().rememberDays;
+    try { localStorage.setItem(ADMIN_REMEMBER_KEY, JSON.stringify(createSessionToken(user, days * DAY_MS, now))); } catch { }
+}
+
+export function consumeSessionToken() {
+    try { sessionStorage.removeItem(ADMIN_SESSION_KEY); } catch { }
+}
+
+/** The live "remember me" token of this browser, or null. */
+export function loadRememberToken(now = Date.now()) {
+    try { return parseSessionToken(localStorage.getItem(ADMIN_REMEMBER_KEY), now); } catch { return null; }
+}
+
+export function revokeRememberToken() {
+    try { localStorage.removeItem(ADMIN_REMEMBER_KEY); } catch { }
+}
+
+/** Sign out completely: neither this tab nor "remember me" lets anyone back in. */
+export function endSession() {
+    consumeSessionToken();
+    revokeRememberToken();
+}
+
+/* -------------------- settings -------------------- */
+
+export function loadSessionSettings() {
+    let s = null;
+    try { s = JSON.parse(localStorage.getItem(LS_SESSION_SETTINGS_KEY)); } catch { }
+    return {
+        idleMinutes: IDLE_MINUTES_OPTIONS.includes(s?.idleMinutes) ? s.idleMinutes : DEFAULT_SESSION_SETTINGS.idleMinutes,
+        rememberDays: REMEMBER_DAYS_OPTIONS.includes(s?.rememberDays) ? s.rememberDays : DEFAULT_SESSION_SETTINGS.rememberDays,
+    };
+}
+
+export function saveSessionSettings(settings) {
+    try { localStorage.setItem(LS_SESSION_SETTINGS_KEY, JSON.stringify(settings)); } catch { }
+}
+
+/**
+ * Where an idle session stands `now`: warning for the last IDLE_WARNING_MS, then
+ * expired. `idleMs` 0 disables the timeout.
+ */
+export function idleStatus(lastActivity, idleMs, now = Date.now()) {
+    if (!idleMs) return { warn: false, expired: false, remainingMs: Infinity };
+    const remainingMs = Math.max(0, lastActivity + idleMs - now);
+    return { warn: remainingMs > 0 && remainingMs <= IDLE_WARNING_MS, expired: remainingMs === 0, remainingMs };
+}
+
+/* -------------------- draft kept across an idle sign-out -------------------- */
+
+/** Returns false when the draft could not be written (e.g. storage full). */
+export function saveAdminDraft(user, data, now = Date.now()) {
+    try {
+        localStorage.setItem(LS_ADMIN_DRAFT_KEY, JSON.stringify({ user, savedAt: now, data }));
+        return true;
+    } catch (e) {
+        console.warn('Keeping the draft failed:', e);
+        return false;
+    }
+}
+
+/** { user, savedAt, data } with the catalogue migrated, or null. */
+export function loadAdminDraft() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(LS_ADMIN_DRAFT_KEY));
+        if (!saved || typeof saved.user !== 'string' || !saved.data) return null;
+        return { user: saved.user, savedAt: Number(saved.savedAt) || null, data: migrateStoredCatalogue(saved.data) };
+    } catch {
+        return null;
+    }
+}
+
+export function clearAdminDraft() {
+    try { localStorage.removeItem(LS_ADMIN_DRAFT_KEY); } catch { }
+}
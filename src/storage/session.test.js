@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+    createSessionToken, parseSessionToken, getSessionUser, startSession, consumeSessionToken, endSession,
+    loadRememberToken, loadSessionSettings, saveSessionSettings, idleStatus,
+    saveAdminDraft, loadAdminDraft, clearAdminDraft,
+    SESSION_TTL_MS, IDLE_WARNING_MS, DEFAULT_SESSION_SETTINGS,
+} from './session.js';
+import { ADMIN_SESSION_KEY, ADMIN_REMEMBER_KEY } from './auth.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('session tokens', () => {
+    it('accept only well-formed, unexpired tokens', () => {
+        const t = createSessionToken('anna', 1000, 5000);
+        expect(t).toMatchObject({ user: 'anna', iat: 5000, exp: 6000 });
+        expect(t.id).toMatch(/^[0-9a-f]{32}$/);
+        expect(parseSessionToken(JSON.stringify(t), 5999)).toEqual(t);
+        expect(parseSessionToken(JSON.stringify(t), 6000)).toBe(null);
+        expect(parseSessionToken(JSON.stringify(t), 4000)).toBe(null);
+        expect(parseSessionToken('1')).toBe(null);
+        expect(parseSessionToken('anna')).toBe(null);
+        expect(parseSessionToken(null)).toBe(null);
+    });
+});
+
+describe('idleStatus', () => {
+    it('warns in the last minute, then expires', () => {
+        const idle = 15 * 60 * 1000;
+        expect(idleStatus(0, idle, idle - IDLE_WARNING_MS - 1).warn).toBe(false);
+        expect(idleStatus(0, idle, idle - IDLE_WARNING_MS)).toEqual({ warn: true, expired: false, remainingMs: IDLE_WARNING_MS });
+        expect(idleStatus(0, idle, idle + 5)).toEqual({ warn: false, expired: true, remainingMs: 0 });
+        expect(idleStatus(0, 0, 10 * idle).expired).toBe(false);
+    });
+});
+
+describe('persistence', () => {
+    let local;
+    let session;
+
+    beforeEach(() => {
+        const mock = (store) => ({
+            getItem: (k) => Object.prototype.hasOwnProperty.call(store, k) ? store[k] : null,
+            setItem: (k, v) => { store[k] = String(v); },
+            removeItem: (k) => { delete store[k]; },
+        });
+        local = {};
+        session = {};
+        vi.stubGlobal('localStorage', mock(local));
+        vi.stubGlobal('sessionStorage', mock(session));
+    });
+
+    it('ignores the old never-expiring flags', () => {
+        session[ADMIN_SESSION_KEY] = '1';
+        local[ADMIN_REMEMBER_KEY] = 'bo';
+        expect(getSessionUser()).toBe(null);
+    });
+
+    it('hands over a short session and a bounded remember token', () => {
+        startSession('anna', true, 1000);
+        expect(getSessionUser(1000 + SESSION_TTL_MS - 1)).toBe('anna');
+
+        consumeSessionToken();
+        expect(session[ADMIN_SESSION_KEY]).toBeUndefined();
+        const remember = loadRememberToken(2000);
+        expect(remember.exp).toBe(1000 + DEFAULT_SESSION_SETTINGS.rememberDays * DAY);
+        expect(getSessionUser(remember.exp - 1)).toBe('anna');
+        expect(getSessionUser(remember.exp)).toBe(null);
+
+        endSession();
+        expect(getSessionUser(2000)).toBe(null);
+    });
+
+    it('drops an earlier remember token when logging in without it', () => {
+        startSession('anna', true, 1000);
+        startSession('bo', false, 2000);
+        expect(local[ADMIN_REMEMBER_KEY]).toBeUndefined();
+    });
+
+    it('uses the configured remember lifetime and rejects unknown settings', () => {
+        saveSessionSettings({ idleMinutes: 5, rememberDays: 30 });
+        startSession('anna', true, 0);
+        expect(loadRememberToken(1).exp).toBe(30 * DAY);
+
+        saveSessionSettings({ idleMinutes: 7, rememberDays: 365 });
+        expect(loadSessionSettings()).toEqual(DEFAULT_SESSION_SETTINGS);
+    });
+
+    it('keeps a draft for the next login', () => {
+        expect(loadAdminDraft()).toBe(null);
+        expect(saveAdminDraft('anna', { version: 3, holds: [{ id: 'h1', name: 'Austin' }], angles: [] }, 42)).toBe(true);
+        const saved = loadAdminDraft();
+        expect(saved).toMatchObject({ user: 'anna', savedAt: 42 });
+        expect(saved.data.holds[0].name).toBe('Austin');
+        clearAdminDraft();
+        expect(loadAdminDraft()).toBe(null);
+    });
+});
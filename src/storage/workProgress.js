@@ -1,11 +1,14 @@
 export const LS_WORK_PROGRESS_KEY = 'angles_proto_v1_work_progress';
 
-export function saveWorkProgress(holds, checked, mode) {
+// `pieces`: angle id → pieces cut so far (below its total); `quantities`: product id → units ordered
+export function saveWorkProgress(holds, checked, mode, { pieces = {}, quantities = {} } = {}) {
     try {
         localStorage.setItem(LS_WORK_PROGRESS_KEY, JSON.stringify({
             holds: [...holds],
             checked: [...checked],
             mode,
+            pieces,
+            quantities,
             savedAt: Date.now(),
         }));
     } catch { }
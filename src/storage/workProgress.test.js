@@ -28,6 +28,12 @@ describe('workProgress', () => {
         expect(loaded.mode).toBe('all');
         expect(typeof loaded.savedAt).toBe('number');
     });
+    it('keeps partial pieces and order quantities', () => {
+        saveWorkProgress(new Set(['h_a']), new Set(), 'main', { pieces: { a1: 3 }, quantities: { h_a: 4 } });
+        const loaded = loadWorkProgress();
+        expect(loaded.pieces).toEqual({ a1: 3 });
+        expect(loaded.quantities).toEqual({ h_a: 4 });
+    });
     it('clearWorkProgress removes data', () => {
         saveWorkProgress(new Set(['A']), new Set(), 'main');
         clearWorkProgress();
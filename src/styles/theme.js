@@ -23,6 +23,10 @@ export const theme = {
         viewerEmptyBg: '#fafafa',
         viewerEmptyBorder: '#e0e0e0',
         adminPageBg: '#f5f7fa',
+        successText: '#166534',
+        dangerText: '#b91c1c',
+        dangerBg: '#fef2f2',
+        dangerBorder: '#fca5a5',
     },
 };
 
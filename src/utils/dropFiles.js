@@ -0,0 +1,39 @@
+// Files from a drag-and-drop, descending into dropped folders where the browser
+// exposes them (webkitGetAsEntry). Falls back to the flat file list otherwise.
+
+function readEntries(reader) {
+    return new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+}
+
+function entryFile(entry) {
+    return new Promise((resolve, reject) => entry.file(resolve, reject));
+}
+
+async function collectEntry(entry, out) {
+    if (entry.isFile) {
+        out.push(await entryFile(entry));
+    } else if (entry.isDirectory) {
+        const reader = entry.createReader();
+        // readEntries returns at most ~100 entries per call; read until empty
+        for (let batch = await readEntries(reader); batch.length; batch = await readEntries(reader)) {
+            for (const child of batch) await collectEntry(child, out);
+        }
+    }
+}
+
+export async function filesFromDataTransfer(dataTransfer) {
+    const entries = [...(dataTransfer?.items ?? [])]
+        .map((item) => (item.kind === 'file' ? item.webkitGetAsEntry?.() : null))
+        .filter(Boolean);
+    if (!entries.length) return [...(dataTransfer?.files ?? [])];
+
+    const out = [];
+    for (const entry of entries) {
+        try {
+            await collectEntry(entry, out);
+        } catch (err) {
+            console.warn('Could not read dropped item:', err);
+        }
+    }
+    return out;
+}
@@ -0,0 +1,32 @@
+export function formatLastModified(ms) {
+    if (!ms || !Number.isFinite(ms)) return "—";
+    try {
+        const d = new Date(ms);
+        return d.toLocaleString(undefined, {
+            year: "numeric",
+            month: "2-digit",
+            day: "2-digit",
+            hour: "2-digit",
+            minute: "2-digit",
+        });
+    } catch {
+        return "—";
+    }
+}
+
+/** File-name friendly local timestamp: 2026-10-19_14-05 */
+export function fileTimestamp(ms = Date.now()) {
+    const now = new Date(ms);
+    const yyyy = now.getFullYear();
+    const mm = String(now.getMonth() + 1).padStart(2, "0");
+    const dd = String(now.getDate()).padStart(2, "0");
+    const hh = String(now.getHours()).padStart(2, "0");
+    const min = String(now.getMinutes()).padStart(2, "0");
+    return `${yyyy}-${mm}-${dd}_${hh}-${min}`;
+}
+
+/** Countdown text for a remaining duration: 0:05, 4:30, 30:00 */
+export function formatCountdown(ms) {
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+}
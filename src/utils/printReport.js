@@ -0,0 +1,57 @@
+/**
+ * Print a plain-text report from a hidden iframe: title, subtitle lines, then
+ * sections of { heading, lines }, and optionally sign-off fields at the end.
+ * Built with DOM calls and textContent only, so catalogue names can't inject markup.
+ */
+export function printReport({ title, subtitle = [], sections, signOff = false }) {
+    const iframe = document.createElement("iframe");
+    iframe.setAttribute("aria-hidden", "true");
+    Object.assign(iframe.style, { position: "fixed", width: "0", height: "0", border: "0", opacity: "0", pointerEvents: "none" });
+    document.body.appendChild(iframe);
+
+    const win = iframe.contentWindow;
+    const doc = iframe.contentDocument || win?.document;
+    if (!doc || !win) {
+        iframe.remove();
+        return;
+    }
+
+    const el = (tag, text, parent) => {
+        const node = doc.createElement(tag);
+        if (text != null) node.textContent = text;
+        parent.appendChild(node);
+        return node;
+    };
+
+    doc.title = title;
+    const style = el("style", `
+      @page { margin: 14mm; }
+      body { font: 12px/1.45 system-ui, sans-serif; color: #111; margin: 0; }
+      h1 { font-size: 18px; margin: 0 0 4px; }
+      .sub { color: #555; margin: 0; }
+      h2 { font-size: 13px; margin: 14px 0 2px; break-after: avoid; }
+      ul { margin: 0; padding-left: 18px; }
+      section { break-inside: avoid; }
+      .sign { display: flex; gap: 32px; margin-top: 32px; }
+      .sign div { flex: 1; border-top: 1px solid #111; padding-top: 4px; color: #555; }
+    `, doc.head);
+    style.setAttribute("media", "all");
+
+    el("h1", title, doc.body);
+    for (const line of subtitle) el("p", line, doc.body).className = "sub";
+    for (const s of sections) {
+        const section = el("section", null, doc.body);
+        el("h2", s.heading, section);
+        const list = el("ul", null, section);
+        for (const line of s.lines) el("li", line, list);
+    }
+    if (signOff) {
+        const sign = el("div", null, doc.body);
+        sign.className = "sign";
+        for (const label of ["Reviewed by", "Date", "Signature"]) el("div", label, sign);
+    }
+
+    win.focus();
+    win.print();
+    setTimeout(() => iframe.remove(), 500);
+}
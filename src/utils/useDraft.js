@@ -0,0 +1,16 @@
+import { useState } from 'react';
+
+/**
+ * Text draft for an input that commits on blur. The draft follows `value` when it
+ * changes from outside (undo, another tab, clamping); the change is noticed during
+ * render, like useImageSrc() does, rather than copied over in an effect.
+ */
+export function useDraft(value) {
+    const [draft, setDraft] = useState(() => String(value));
+    const [source, setSource] = useState(value);
+    if (!Object.is(source, value)) {
+        setSource(value);
+        setDraft(String(value));
+    }
+    return [draft, setDraft];
+}
@@ -0,0 +1,31 @@
+import { useEffect, useState } from 'react';
+import { isImageRef } from '../domain/validation.js';
+import { loadImageBlob } from '../storage/idbStore.js';
+
+/**
+ * Resolve a catalogue image value to something an <img> can show. Data URLs pass
+ * through; `idb:` refs are lazy-loaded from IndexedDB into an object URL that is
+ * revoked when the value changes or the component unmounts.
+ */
+export function useImageSrc(value) {
+    const [loaded, setLoaded] = useState({ ref: null, url: null });
+
+    useEffect(() => {
+        if (!isImageRef(value)) return undefined;
+        let cancelled = false;
+        let url = null;
+        loadImageBlob(value).then((blob) => {
+            if (cancelled || !blob) return;
+            url = URL.createObjectURL(blob);
+            setLoaded({ ref: value, url });
+        });
+        return () => {
+            cancelled = true;
+            if (url) URL.revokeObjectURL(url);
+        };
+    }, [value]);
+
+    if (!value) return null;
+    if (!isImageRef(value)) return value;
+    return loaded.ref === value ? loaded.url : null;
+}
@@ -0,0 +1,183 @@
+// Minimal ZIP support for catalogue bundles, no dependencies.
+//
+// Writer: stored (uncompressed) entries only — the payload is mostly JPEGs that
+// don't shrink anyway. Reader: stored and deflated entries (archives re-packed by
+// OS tools use deflate), the latter via the built-in DecompressionStream.
+// No ZIP64, encryption or multi-disk archives.
+
+const SIG_LOCAL = 0x04034b50;
+const SIG_CENTRAL = 0x02014b50;
+const SIG_END = 0x06054b50;
+const FLAG_UTF8 = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+export class ZipFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ZipFormatError';
+    }
+}
+
+let crcTable = null;
+
+export function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date/time as stored in ZIP headers (local time, 2-second resolution)
+function dosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+/**
+ * Build a ZIP archive. `entries` is [{ name, data }] where data is a Uint8Array or a
+ * string (written as UTF-8). Returns the archive bytes.
+ */
+export function createZip(entries, modified = new Date()) {
+    const enc = new TextEncoder();
+    const { time, date } = dosDateTime(modified);
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = enc.encode(entry.name);
+        const data = typeof entry.data === 'string' ? enc.encode(entry.data) : entry.data;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, SIG_LOCAL, true);
+        local.setUint16(4, 20, true);           // version needed
+        local.setUint16(6, FLAG_UTF8, true);
+        local.setUint16(8, METHOD_STORE, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true); // compressed size
+        local.setUint32(22, data.length, true); // uncompressed size
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);           // extra length
+        locals.push(new Uint8Array(local.buffer), name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, SIG_CENTRAL, true);
+        central.setUint16(4, 20, true);         // version made by
+        central.setUint16(6, 20, true);
+        central.setUint16(8, FLAG_UTF8, true);
+        central.setUint16(10, METHOD_STORE, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);    // local header offset
+        centrals.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centrals.reduce((n, part) => n + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, SIG_END, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+    let pos = 0;
+    for (const part of parts) {
+        out.set(part, pos);
+        pos += part.length;
+    }
+    return out;
+}
+
+async function inflateRaw(bytes) {
+    if (typeof DecompressionStream !== 'function') {
+        throw new ZipFormatError('This browser cannot read compressed ZIP entries');
+    }
+    try {
+        const stream = new Response(bytes).body.pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    } catch {
+        throw new ZipFormatError('Corrupted compressed data');
+    }
+}
+
+/**
+ * Read a ZIP archive into [{ name, data: Uint8Array }] (directories skipped).
+ * Throws ZipFormatError for anything it can't read or whose checksum doesn't match.
+ */
+export async function readZip(input) {
+    const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const dec = new TextDecoder();
+
+    // End of central directory: last 22 bytes, or earlier when there is a comment
+    let endAt = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === SIG_END) {
+            endAt = i;
+            break;
+        }
+    }
+    if (endAt < 0) throw new ZipFormatError('Not a ZIP file');
+
+    const count = view.getUint16(endAt + 10, true);
+    let pos = view.getUint32(endAt + 16, true);
+    if (count === 0xffff || pos === 0xffffffff) throw new ZipFormatError('ZIP64 archives are not supported');
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        if (pos + 46 > bytes.length || view.getUint32(pos, true) !== SIG_CENTRAL) {
+            throw new ZipFormatError('Corrupted ZIP directory');
+        }
+        const flags = view.getUint16(pos + 8, true);
+        const method = view.getUint16(pos + 10, true);
+        const crc = view.getUint32(pos + 16, true);
+        const compressedSize = view.getUint32(pos + 20, true);
+        const size = view.getUint32(pos + 24, true);
+        const nameLength = view.getUint16(pos + 28, true);
+        const extraLength = view.getUint16(pos + 30, true);
+        const commentLength = view.getUint16(pos + 32, true);
+        const localOffset = view.getUint32(pos + 42, true);
+        const name = dec.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+        pos += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+        if (flags & 0x1) throw new ZipFormatError(`Encrypted entry: ${name}`);
+        if (localOffset + 30 > bytes.length || view.getUint32(localOffset, true) !== SIG_LOCAL) {
+            throw new ZipFormatError(`Corrupted entry: ${name}`);
+        }
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+        if (raw.length !== compressedSize) throw new ZipFormatError(`Truncated entry: ${name}`);
+
+        let data;
+        if (method === METHOD_STORE) data = raw;
+        else if (method === METHOD_DEFLATE) data = await inflateRaw(raw);
+        else throw new ZipFormatError(`Unsupported compression in ${name}`);
+
+        if (data.length !== size || crc32(data) !== crc) throw new ZipFormatError(`Checksum mismatch in ${name}`);
+        entries.push({ name, data });
+    }
+    return entries;
+}
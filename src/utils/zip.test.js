@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { createZip, readZip, crc32, ZipFormatError } from './zip.js';
+
+// Written by Python's zipfile with ZIP_DEFLATED: "dir/" and "dir/hello.txt"
+const DEFLATED_ZIP = 'UEsDBBQAAAAIAOlxU10AAAAAAgAAAAAAAAAEAAAAZGlyLwMAUEsDBBQAAAAIAOlxU1320lM4CwAAAB0AAAANAAAAZGlyL2hlbGxvLnR4dMtIzcnJV8jATgIAUEsBAhQDFAAAAAgA6XFTXQAAAAACAAAAAAAAAAQAAAAAAAAAAAAQAP1BAAAAAGRpci9QSwECFAMUAAAACADpcVNd9tJTOAsAAAAdAAAADQAAAAAAAAAAAAAAgAEkAAAAZGlyL2hlbGxvLnR4dFBLBQYAAAAAAgACAG0AAABaAAAAAAA=';
+
+const fromBase64 = (s) => Uint8Array.from(atob(s), (c) => c.charCodeAt(0));
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+describe('crc32', () => {
+    it('matches the standard check value', () => {
+        expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+    });
+});
+
+describe('createZip / readZip', () => {
+    it('round-trips text and binary entries with UTF-8 names', async () => {
+        const binary = new Uint8Array([0xff, 0xd8, 0xff, 0x00, 0x01]);
+        const zip = createZip([
+            { name: 'catalogue.json', data: '{"a":1}' },
+            { name: 'drawings/Åsa/MAIN-28.2.jpg', data: binary },
+        ]);
+        const entries = await readZip(zip);
+        expect(entries.map((e) => e.name)).toEqual(['catalogue.json', 'drawings/Åsa/MAIN-28.2.jpg']);
+        expect(text(entries[0].data)).toBe('{"a":1}');
+        expect([...entries[1].data]).toEqual([...binary]);
+    });
+
+    it('reads deflated entries and skips directories', async () => {
+        const entries = await readZip(fromBase64(DEFLATED_ZIP));
+        expect(entries.map((e) => e.name)).toEqual(['dir/hello.txt']);
+        expect(text(entries[0].data)).toBe('hello hello hello hello hello');
+    });
+
+    it('rejects files that are not ZIP archives', async () => {
+        await expect(readZip(new TextEncoder().encode('{"holds":[]}'))).rejects.toBeInstanceOf(ZipFormatError);
+        await expect(readZip(new Uint8Array(0))).rejects.toThrow('Not a ZIP file');
+    });
+
+    it('rejects entries whose checksum does not match', async () => {
+        const zip = createZip([{ name: 'a.txt', data: 'hello' }]);
+        zip[30 + 'a.txt'.length] ^= 0xff; // flip the first data byte
+        await expect(readZip(zip)).rejects.toThrow('Checksum mismatch in a.txt');
+    });
+});